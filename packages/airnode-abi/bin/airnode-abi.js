@@ -0,0 +1,4 @@
+#!/usr/bin/env node
+
+// The CLI is a separate entry of the package, which prints its output here instead of the library depending on a logger
+require('../dist/cli').cli((output) => process.stdout.write(`${output}\n`));
@@ -0,0 +1,79 @@
+import { formatDiff, formatInspection } from './cli';
+import { encode } from '../encoding';
+import { diff, inspect } from '../inspection';
+
+const parameters = [
+  { type: 'string32', name: 'from', value: 'ETH' },
+  { type: 'string', name: 'to', value: 'USD' },
+  { type: 'uint256', name: 'amount', value: '1000' },
+];
+
+describe('formatInspection', () => {
+  it('formats the parameters with their byte offsets', () => {
+    expect(formatInspection(inspect(encode(parameters)))).toEqual(
+      [
+        'Schema header: 1sSu',
+        'Parameters:',
+        '  [32] from (string32) = "ETH"',
+        '  [96] to (string) = "USD" (data at 224)',
+        '  [160] amount (uint256) = "1000"',
+      ].join('\n')
+    );
+  });
+
+  it('formats the diagnostics', () => {
+    expect(formatInspection(inspect(`${encode(parameters)}00`))).toEqual(
+      [
+        'Schema header: 1sSu',
+        'Parameters:',
+        '  [32] from (string32) = "ETH"',
+        '  [96] to (string) = "USD" (data at 224)',
+        '  [160] amount (uint256) = "1000"',
+        'Diagnostics:',
+        '  [288] The encoded data has 1 trailing byte(s) after the encoded parameters',
+      ].join('\n')
+    );
+    expect(formatInspection(inspect('0x12'))).toEqual(
+      [
+        'Parameters: none',
+        'Diagnostics:',
+        '  [0] The encoded data is 1 byte(s) long, which is too short for the schema header',
+      ].join('\n')
+    );
+  });
+});
+
+describe('formatDiff', () => {
+  it('formats the changed, removed and added parameters', () => {
+    const encodedDataAfter = encode([
+      { type: 'string32', name: 'from', value: 'BTC' },
+      { type: 'string', name: 'to', value: 'USD' },
+      { type: 'bool', name: 'inverse', value: true },
+    ]);
+    expect(formatDiff(diff(encode(parameters), encodedDataAfter))).toEqual(
+      [
+        'Schema header: 1sSu -> 1sSf',
+        '~ from (string32) = "ETH" -> from (string32) = "BTC"',
+        '- amount (uint256) = "1000"',
+        '+ inverse (bool) = true',
+      ].join('\n')
+    );
+  });
+
+  it('formats identical parameters', () => {
+    expect(formatDiff(diff(encode(parameters), encode(parameters)))).toEqual('The parameters are identical');
+  });
+
+  it('formats the diagnostics of both payloads', () => {
+    expect(formatDiff(diff('0x12', encode(parameters)))).toEqual(
+      [
+        'Schema header: none -> 1sSu',
+        '+ from (string32) = "ETH"',
+        '+ to (string) = "USD"',
+        '+ amount (uint256) = "1000"',
+        'Diagnostics (before):',
+        '  [0] The encoded data is 1 byte(s) long, which is too short for the schema header',
+      ].join('\n')
+    );
+  });
+});
@@ -0,0 +1,76 @@
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import { diff, Diagnostic, inspect, InspectedParameter, Inspection, InspectionDiff } from '../inspection';
+
+const formatParameter = (parameter: InspectedParameter) =>
+  `${parameter.name} (${parameter.type}) = ${JSON.stringify(parameter.value)}`;
+
+const formatDiagnostics = (diagnostics: Diagnostic[]) =>
+  diagnostics.map((diagnostic) => `  [${diagnostic.offset}] ${diagnostic.message}`);
+
+export function formatInspection(inspection: Inspection): string {
+  const header = inspection.header === undefined ? [] : [`Schema header: ${inspection.header}`];
+  const parameters = inspection.parameters.map((parameter) => {
+    const dataOffset = parameter.dataOffset === undefined ? '' : ` (data at ${parameter.dataOffset})`;
+    return `  [${parameter.nameOffset}] ${formatParameter(parameter)}${dataOffset}`;
+  });
+
+  return [
+    ...header,
+    `Parameters:${parameters.length === 0 ? ' none' : ''}`,
+    ...parameters,
+    ...(inspection.diagnostics.length === 0 ? [] : ['Diagnostics:', ...formatDiagnostics(inspection.diagnostics)]),
+  ].join('\n');
+}
+
+export function formatDiff(inspectionDiff: InspectionDiff): string {
+  const { before, after, headerChanged, parameters } = inspectionDiff;
+  const header = headerChanged ? [`Schema header: ${before.header ?? 'none'} -> ${after.header ?? 'none'}`] : [];
+  const differences = parameters.map((difference) => {
+    if (!difference.before) return `+ ${formatParameter(difference.after!)}`;
+    if (!difference.after) return `- ${formatParameter(difference.before)}`;
+    return `~ ${formatParameter(difference.before)} -> ${formatParameter(difference.after)}`;
+  });
+  const diagnostics = [
+    ...(before.diagnostics.length === 0 ? [] : ['Diagnostics (before):', ...formatDiagnostics(before.diagnostics)]),
+    ...(after.diagnostics.length === 0 ? [] : ['Diagnostics (after):', ...formatDiagnostics(after.diagnostics)]),
+  ];
+
+  const noDifferences = header.length === 0 && differences.length === 0 ? ['The parameters are identical'] : [];
+  return [...header, ...differences, ...noDifferences, ...diagnostics].join('\n');
+}
+
+// The output is printed by the caller, so that the library does not depend on a logger
+export const cli = (print: (output: string) => void) => {
+  yargs(hideBin(process.argv))
+    .command(
+      'inspect <encoded-data>',
+      'Shows the schema header and the name, type, value and byte offsets of each of the encoded parameters',
+      (yargs) => yargs.positional('encoded-data', { type: 'string', demandOption: true }),
+      (args) => {
+        const inspection = inspect(args['encoded-data']);
+        print(formatInspection(inspection));
+        if (inspection.diagnostics.length !== 0) process.exit(1);
+      }
+    )
+    .command(
+      'diff <encoded-data-before> <encoded-data-after>',
+      'Compares the parameters of two encoded payloads by their names',
+      (yargs) =>
+        yargs
+          .positional('encoded-data-before', { type: 'string', demandOption: true })
+          .positional('encoded-data-after', { type: 'string', demandOption: true }),
+      (args) => {
+        const inspectionDiff = diff(args['encoded-data-before'], args['encoded-data-after']);
+        print(formatDiff(inspectionDiff));
+        if (inspectionDiff.before.diagnostics.length !== 0 || inspectionDiff.after.diagnostics.length !== 0) {
+          process.exit(1);
+        }
+      }
+    )
+    .demandCommand(1)
+    .strict()
+    .help()
+    .wrap(120)
+    .parseSync();
+};
@@ -15,6 +15,11 @@ export const PARAMETER_SHORT_TYPES = {
   f: 'bool',
 } as const;
 
+// Version 1 of the schema supports only the basic types above, while version 2 also supports arrays and tuples of them.
+// Parameters of the basic types are always encoded with version 1 so that their encoding stays the same.
+export const BASIC_SCHEMA_VERSION = '1';
+export const EXTENDED_SCHEMA_VERSION = '2';
+
 export type ParameterType = ValueOf<typeof PARAMETER_SHORT_TYPES>;
 export type ParameterTypeShort = keyof typeof PARAMETER_SHORT_TYPES;
 
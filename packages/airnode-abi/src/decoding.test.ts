@@ -1,5 +1,6 @@
 import { ethers } from 'ethers';
 import * as decoding from './decoding';
+import { encode } from './encoding';
 
 describe('decode', () => {
   it('decodes empty parameters', () => {
@@ -87,6 +88,45 @@ describe('decode', () => {
     });
   });
 
+  it('decodes arrays and tuples of schema version 2', () => {
+    const data = ethers.utils.defaultAbiCoder.encode(
+      ['bytes32', 'bytes32', 'bytes32[]', 'bytes32', '(bytes32,int256)[]'],
+      [
+        ethers.utils.formatBytes32String('2s[](si)[]'),
+        ethers.utils.formatBytes32String('symbols'),
+        [ethers.utils.formatBytes32String('ETH'), ethers.utils.formatBytes32String('BTC')],
+        ethers.utils.formatBytes32String('thresholds'),
+        [[ethers.utils.formatBytes32String('ETH'), -1000]],
+      ]
+    );
+    expect(decoding.decode(data)).toEqual({ symbols: ['ETH', 'BTC'], thresholds: [['ETH', '-1000']] });
+  });
+
+  it('decodes basic types of schema version 2', () => {
+    const data = ethers.utils.defaultAbiCoder.encode(
+      ['bytes32', 'bytes32', 'uint256'],
+      [ethers.utils.formatBytes32String('2u'), ethers.utils.formatBytes32String('amount'), 2000]
+    );
+    expect(decoding.decode(data)).toEqual({ amount: '2000' });
+  });
+
+  it('throws an error for arrays of schema version 1', () => {
+    const data = ethers.utils.defaultAbiCoder.encode(
+      ['bytes32', 'bytes32', 'uint256[]'],
+      [ethers.utils.formatBytes32String('1u[]'), ethers.utils.formatBytes32String('amounts'), [2000]]
+    );
+    expect(() => decoding.decode(data)).toThrow(new Error('ABI schema version 1 does not support arrays and tuples'));
+  });
+
+  it('throws an error for unknown schema versions and types', () => {
+    const encodeHeader = (header: string) =>
+      ethers.utils.defaultAbiCoder.encode(['bytes32'], [ethers.utils.formatBytes32String(header)]);
+    expect(() => decoding.decode(encodeHeader('3u'))).toThrow(new Error('Unknown ABI schema version: 3'));
+    expect(() => decoding.decode(encodeHeader('2x[]'))).toThrow(
+      new Error('Invalid parameter types in the schema header: x[]')
+    );
+  });
+
   it('throws an error for AddressZero', () => {
     expect(() => decoding.decode(ethers.constants.AddressZero)).toThrow();
   });
@@ -125,3 +165,59 @@ describe('decode', () => {
     expect(() => decoding.decode(data)).toThrow('Re-encoding mismatch');
   });
 });
+
+describe('decodeTyped', () => {
+  it('has a special case for 0x', () => {
+    expect(decoding.decodeTyped('0x')).toEqual([]);
+  });
+
+  it('decodes the values with their types', () => {
+    const encodedData = encode([
+      { type: 'bytes', name: 'data', value: '0x123abc' },
+      { type: 'bytes32', name: 'id', value: `0x${'01'.repeat(32)}` },
+      { type: 'string', name: 'to', value: 'USD' },
+      { type: 'string32', name: 'from', value: 'ETH' },
+      { type: 'address', name: 'wallet', value: '0x4128922394c63a204dd98ea6fbd887780b78bb7d' },
+      { type: 'int256', name: 'threshold', value: '-1000' },
+      { type: 'uint256', name: 'amount', value: '2000' },
+      { type: 'bool', name: 'inverse', value: true },
+    ]);
+    expect(decoding.decodeTyped(encodedData)).toEqual([
+      { type: 'bytes', name: 'data', value: new Uint8Array([0x12, 0x3a, 0xbc]) },
+      { type: 'bytes32', name: 'id', value: new Uint8Array(32).fill(1) },
+      { type: 'string', name: 'to', value: 'USD' },
+      { type: 'string32', name: 'from', value: 'ETH' },
+      { type: 'address', name: 'wallet', value: '0x4128922394C63A204Dd98ea6fbd887780b78bb7d' },
+      { type: 'int256', name: 'threshold', value: -1000n },
+      { type: 'uint256', name: 'amount', value: 2000n },
+      { type: 'bool', name: 'inverse', value: true },
+    ]);
+  });
+
+  it('decodes arrays and tuples with their types', () => {
+    const encodedData = encode([
+      { type: 'uint256[2]', name: 'range', value: ['1', '2'] },
+      { type: '(string32,bool)[]', name: 'pairs', value: [['ETH', true]] },
+    ]);
+    expect(decoding.decodeTyped(encodedData)).toEqual([
+      { type: 'uint256[2]', name: 'range', value: [1n, 2n] },
+      { type: '(string32,bool)[]', name: 'pairs', value: [['ETH', true]] },
+    ]);
+  });
+
+  it('keeps the parameters with the same name in their encoded order', () => {
+    const encodedData = encode([
+      { type: 'string32', name: 'from', value: 'ETH' },
+      { type: 'string32', name: 'from', value: 'BTC' },
+    ]);
+    expect(decoding.decodeTyped(encodedData)).toEqual([
+      { type: 'string32', name: 'from', value: 'ETH' },
+      { type: 'string32', name: 'from', value: 'BTC' },
+    ]);
+  });
+
+  it('throws the same errors as decode', () => {
+    const encodedData = `${encode([{ type: 'bool', name: 'inverse', value: true }])}00`;
+    expect(() => decoding.decodeTyped(encodedData)).toThrow(new Error('Re-encoding mismatch'));
+  });
+});
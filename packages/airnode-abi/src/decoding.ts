@@ -1,7 +1,14 @@
 import { ethers } from 'ethers';
 import chunk from 'lodash/chunk';
-import { PARAMETER_SHORT_TYPES, ParameterTypeShort, ParameterType, TYPE_TRANSFORMATIONS } from './constants';
-import { DecodedMap, ValueTransformation } from './types';
+import { BASIC_SCHEMA_VERSION, EXTENDED_SCHEMA_VERSION } from './constants';
+import {
+  buildAbiType,
+  buildType,
+  parseShortParameterTypes,
+  ParsedParameterType,
+  transformValue,
+} from './parameter-types';
+import { DecodedMap, DecodedValue, TypedParameter, TypedValue, ValueTransformation } from './types';
 
 // Certain types need to be parsed after ABI decoding happens
 const VALUE_TRANSFORMATIONS: ValueTransformation = {
@@ -10,27 +17,31 @@ const VALUE_TRANSFORMATIONS: ValueTransformation = {
   uint256: (value: ethers.BigNumber) => value.toString(),
 };
 
-function buildDecodedMap(types: ParameterType[], nameValuePairs: [string, string][]): DecodedMap {
+// The values are decoded by decodeTyped as their native types instead of strings
+const TYPED_VALUE_TRANSFORMATIONS: ValueTransformation<TypedValue> = {
+  bytes: ethers.utils.arrayify,
+  bytes32: ethers.utils.arrayify,
+  string32: ethers.utils.parseBytes32String,
+  int256: (value: ethers.BigNumber) => value.toBigInt(),
+  uint256: (value: ethers.BigNumber) => value.toBigInt(),
+};
+
+// Converts the ABI-decoded value to the value returned by decode, e.g. "string32" values to strings
+export function transformDecodedValue(type: ParsedParameterType, value: unknown): DecodedValue {
+  return transformValue(type, value, VALUE_TRANSFORMATIONS) as DecodedValue;
+}
+
+function buildDecodedMap(types: ParsedParameterType[], nameValuePairs: [string, unknown][]): DecodedMap {
   return nameValuePairs.reduce((acc, pair, index) => {
     const [encodedName, encodedValue] = pair;
     const name = ethers.utils.parseBytes32String(encodedName);
-    const type = types[index];
-    const transform = VALUE_TRANSFORMATIONS[type];
-    // If the type does not need to be transformed, return it as is
-    if (!transform) {
-      return { ...acc, [name]: encodedValue };
-    }
-    const parsedValue = transform(encodedValue);
+    const parsedValue = transformDecodedValue(types[index], encodedValue);
     return { ...acc, [name]: parsedValue };
   }, {});
 }
 
-export function decode(encodedData: string): DecodedMap {
-  // Special cases for empty parameters
-  if (encodedData === '0x') {
-    return {};
-  }
-
+// Decodes the encoded data into the parameter types and the pairs of the still encoded names and ABI-decoded values
+function decodeNameValuePairs(encodedData: string): [ParsedParameterType[], [string, unknown][]] {
   // Alternatively:
   // const header = encodedData.substring(0, 66);
   const header = ethers.utils.hexlify(ethers.utils.arrayify(encodedData).slice(0, 32));
@@ -38,7 +49,7 @@ export function decode(encodedData: string): DecodedMap {
 
   // Get and validate the first character of the header
   const encodedEncodingVersion = parsedHeader.substring(0, 1);
-  if (encodedEncodingVersion !== '1') {
+  if (encodedEncodingVersion !== BASIC_SCHEMA_VERSION && encodedEncodingVersion !== EXTENDED_SCHEMA_VERSION) {
     throw new Error(`Unknown ABI schema version: ${encodedEncodingVersion}`);
   }
 
@@ -46,16 +57,17 @@ export function decode(encodedData: string): DecodedMap {
   const encodedParameterTypes = parsedHeader.substring(1);
 
   // Replace encoded types with full type names
-  const fullParameterTypes: ParameterType[] = Array.from(encodedParameterTypes).map(
-    (type) => PARAMETER_SHORT_TYPES[type as ParameterTypeShort]
-  );
+  const parameterTypes = parseShortParameterTypes(encodedParameterTypes);
+  if (encodedEncodingVersion === BASIC_SCHEMA_VERSION && parameterTypes.some((type) => type.kind !== 'basic')) {
+    throw new Error(`ABI schema version ${BASIC_SCHEMA_VERSION} does not support arrays and tuples`);
+  }
 
   // The first `bytes32` is the type encoding
-  const initialDecodedTypes: ParameterType[] = ['bytes32'];
+  const initialDecodedTypes = ['bytes32'];
 
-  const decodingTypes = fullParameterTypes.reduce((acc: string[], type) => {
+  const decodingTypes = parameterTypes.reduce((acc: string[], type) => {
     // Each parameter is expected to have a `bytes32` name
-    return [...acc, 'bytes32' as const, TYPE_TRANSFORMATIONS[type] ?? type];
+    return [...acc, 'bytes32', buildAbiType(type)];
   }, initialDecodedTypes);
 
   // It's important to leave the `encodedData` intact here and not try to trim off the first
@@ -70,7 +82,33 @@ export function decode(encodedData: string): DecodedMap {
   }
 
   const [_version, ...decodedParameters] = decodedData;
-  const nameValuePairs = chunk(decodedParameters, 2) as [string, string][];
+  return [parameterTypes, chunk(decodedParameters, 2) as [string, unknown][]];
+}
+
+export function decode(encodedData: string): DecodedMap {
+  // Special cases for empty parameters
+  if (encodedData === '0x') {
+    return {};
+  }
+
+  const [parameterTypes, nameValuePairs] = decodeNameValuePairs(encodedData);
+  return buildDecodedMap(parameterTypes, nameValuePairs);
+}
+
+/**
+ * Decodes the parameters in their encoded order along with their types. Unlike decode, the values keep their types,
+ * i.e. integers are decoded as bigints, bytes as Uint8Arrays, booleans as booleans and addresses are checksummed.
+ */
+export function decodeTyped(encodedData: string): TypedParameter[] {
+  // Special cases for empty parameters
+  if (encodedData === '0x') {
+    return [];
+  }
 
-  return buildDecodedMap(fullParameterTypes, nameValuePairs);
+  const [parameterTypes, nameValuePairs] = decodeNameValuePairs(encodedData);
+  return nameValuePairs.map(([encodedName, encodedValue], index) => ({
+    name: ethers.utils.parseBytes32String(encodedName),
+    type: buildType(parameterTypes[index]),
+    value: transformValue(parameterTypes[index], encodedValue, TYPED_VALUE_TRANSFORMATIONS),
+  })) as TypedParameter[];
 }
@@ -1,6 +1,7 @@
+import { ethers } from 'ethers';
 import * as decoding from './decoding';
 import * as encoding from './encoding';
-import { InputParameter } from './types';
+import { InputParameter, TypedParameter } from './types';
 
 describe('encode', () => {
   const inputParameters: InputParameter[] = [
@@ -64,6 +65,75 @@ describe('encode', () => {
     expect(() => encoding.encode(parameters as any)).toThrow();
   });
 
+  it('encodes the basic types with schema version 1', () => {
+    const encoded = encoding.encode([{ type: 'string32', name: 'from', value: 'ETH' }]);
+    expect(ethers.utils.parseBytes32String(encoded.substring(0, 66))).toEqual('1s');
+  });
+
+  describe('encoding arrays and tuples', () => {
+    const parameters: InputParameter[] = [
+      { type: 'string32[]', name: 'symbols', value: ['ETH', 'BTC'] },
+      {
+        type: 'address[2]',
+        name: 'wallets',
+        value: ['0x4128922394C63A204Dd98ea6fbd887780b78bb7d', '0x5128922394C63a204dD98Ea6FBD887780b78Bb7D'],
+      },
+      { type: 'uint256[][]', name: 'ranges', value: [['1', '2'], [], ['3']] },
+      { type: '(string32,int256)[]', name: 'thresholds', value: [['ETH', '-1000']] },
+      { type: 'bool', name: 'enabled', value: true },
+    ];
+
+    it('encodes the arrays and tuples with schema version 2', () => {
+      const encoded = encoding.encode(parameters);
+      expect(ethers.utils.parseBytes32String(encoded.substring(0, 66))).toEqual('2s[]a[2]u[][](si)[]f');
+    });
+
+    it('encodes the values of the arrays and tuples', () => {
+      const encoded = encoding.encode(parameters);
+      expect(decoding.decode(encoded)).toEqual({
+        symbols: ['ETH', 'BTC'],
+        wallets: ['0x4128922394C63A204Dd98ea6fbd887780b78bb7d', '0x5128922394C63a204dD98Ea6FBD887780b78Bb7D'],
+        ranges: [['1', '2'], [], ['3']],
+        thresholds: [['ETH', '-1000']],
+        enabled: true,
+      });
+    });
+
+    it('ABI-encodes the values with the Solidity types', () => {
+      const encoded = encoding.encode([parameters[0]]);
+      const [_header, _name, symbols] = ethers.utils.defaultAbiCoder.decode(
+        ['bytes32', 'bytes32', 'bytes32[]'],
+        encoded
+      );
+      expect(symbols.map(ethers.utils.parseBytes32String)).toEqual(['ETH', 'BTC']);
+    });
+
+    it('throws an error for invalid array and tuple types', () => {
+      ['string32[0]', 'xyz[]', '(string32,)', '()', 'uint256[', '(uint256'].forEach((type) =>
+        expect(() => encoding.encode([{ type, name: 'invalid', value: [] }])).toThrow(
+          new Error(`Invalid parameter type: ${type}`)
+        )
+      );
+    });
+
+    it('throws an error if the schema header does not fit in bytes32', () => {
+      const symbols = { type: 'string32[]', name: 'symbols', value: ['ETH'] };
+      // Version 2 takes 3 characters per string32[] parameter, so that 10 of them make a 31 character header
+      expect(() => encoding.encode(Array(10).fill(symbols))).not.toThrow();
+      expect(() => encoding.encode(Array(11).fill(symbols))).toThrow(
+        new Error(
+          `Too many parameters or array dimensions: the schema header 2${'s[]'.repeat(11)} is 34 characters long, but it can be at most 31`
+        )
+      );
+    });
+
+    it('throws an error if the value of an array is not an array', () => {
+      expect(() => encoding.encode([{ type: 'string32[]', name: 'symbols', value: 'ETH' }])).toThrow(
+        new Error('Expected the value of an array to be an array, but it was ETH')
+      );
+    });
+  });
+
   describe('encoding boolean value', () => {
     it('encodes regular JS true/false expressions', () => {
       const trueEncoded = encoding.encode([{ type: 'bool', name: 'boolValue', value: true }]);
@@ -90,3 +160,52 @@ describe('encode', () => {
     });
   });
 });
+
+describe('encodeTyped', () => {
+  it('encodes the same as encode', () => {
+    const parameters: TypedParameter[] = [
+      { type: 'bytes', name: 'data', value: new Uint8Array([0x12, 0x3a, 0xbc]) },
+      { type: 'bytes32', name: 'id', value: new Uint8Array(32).fill(1) },
+      { type: 'string', name: 'to', value: 'USD' },
+      { type: 'string32', name: 'from', value: 'ETH' },
+      { type: 'address', name: 'wallet', value: '0x4128922394C63A204Dd98ea6fbd887780b78bb7d' },
+      { type: 'int256', name: 'threshold', value: -1000n },
+      { type: 'uint256', name: 'amount', value: 2n ** 255n },
+      { type: 'bool', name: 'inverse', value: true },
+      { type: '(string32,uint256)[]', name: 'amounts', value: [['BTC', 1n]] },
+    ];
+    expect(encoding.encodeTyped(parameters)).toEqual(
+      encoding.encode([
+        { type: 'bytes', name: 'data', value: '0x123abc' },
+        { type: 'bytes32', name: 'id', value: `0x${'01'.repeat(32)}` },
+        { type: 'string', name: 'to', value: 'USD' },
+        { type: 'string32', name: 'from', value: 'ETH' },
+        { type: 'address', name: 'wallet', value: '0x4128922394C63A204Dd98ea6fbd887780b78bb7d' },
+        { type: 'int256', name: 'threshold', value: '-1000' },
+        { type: 'uint256', name: 'amount', value: (2n ** 255n).toString() },
+        { type: 'bool', name: 'inverse', value: true },
+        { type: '(string32,uint256)[]', name: 'amounts', value: [['BTC', '1']] },
+      ])
+    );
+  });
+
+  it('encodes what decodeTyped decodes', () => {
+    const parameters: TypedParameter[] = [
+      { type: 'uint256[]', name: 'amounts', value: [1n, 2n] },
+      { type: 'bytes', name: 'data', value: new Uint8Array([0x12, 0x3a, 0xbc]) },
+      { type: 'bool', name: 'inverse', value: false },
+    ];
+    expect(decoding.decodeTyped(encoding.encodeTyped(parameters))).toEqual(parameters);
+  });
+
+  it('throws on values of unexpected types', () => {
+    const parameters = [{ type: 'uint256', name: 'amount', value: '1000' }] as unknown as TypedParameter[];
+    expect(() => encoding.encodeTyped(parameters)).toThrow(
+      new Error('Expected the value of type uint256 to be a bigint, but it was 1000')
+    );
+    const arrayParameters = [{ type: 'bytes[]', name: 'data', value: ['0x12'] }] as unknown as TypedParameter[];
+    expect(() => encoding.encodeTyped(arrayParameters)).toThrow(
+      new Error('Expected the value of type bytes to be a Uint8Array, but it was 0x12')
+    );
+  });
+});
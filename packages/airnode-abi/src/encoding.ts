@@ -1,62 +1,88 @@
 import { ethers } from 'ethers';
 import flatMap from 'lodash/flatMap';
-import { ParameterType, ParameterTypeShort, PARAMETER_SHORT_TYPES, TYPE_TRANSFORMATIONS } from './constants';
-import { InputParameter, ValueTransformation } from './types';
-
-const VERSION = '1';
+import mapValues from 'lodash/mapValues';
+import { BASIC_SCHEMA_VERSION, EXTENDED_SCHEMA_VERSION, ParameterType } from './constants';
+import {
+  buildAbiType,
+  buildShortType,
+  parseParameterType,
+  ParsedParameterType,
+  transformValue,
+} from './parameter-types';
+import { InputParameter, TypedParameter, ValueTransformation } from './types';
 
 // Certain types need to be encoded/transformed before ABI encoding happens
 const VALUE_TRANSFORMATIONS: ValueTransformation = {
   string32: ethers.utils.formatBytes32String,
 };
 
-function buildSchemaHeader(types: ParameterType[]): string {
-  const allShortTypes = Object.keys(PARAMETER_SHORT_TYPES);
+// The values of encodeTyped are expected to have the types decodeTyped returns
+const TYPED_VALUE_CHECKS: { readonly [type in ParameterType]: [string, (value: unknown) => boolean] } = {
+  bytes: ['a Uint8Array', (value) => value instanceof Uint8Array],
+  bytes32: ['a Uint8Array', (value) => value instanceof Uint8Array],
+  string: ['a string', (value) => typeof value === 'string'],
+  string32: ['a string', (value) => typeof value === 'string'],
+  address: ['a string', (value) => typeof value === 'string'],
+  int256: ['a bigint', (value) => typeof value === 'bigint'],
+  uint256: ['a bigint', (value) => typeof value === 'bigint'],
+  bool: ['a boolean', (value) => typeof value === 'boolean'],
+};
+
+const TYPED_VALUE_TRANSFORMATIONS: ValueTransformation<unknown> = mapValues(
+  TYPED_VALUE_CHECKS,
+  ([expectedType, isTyped], type) =>
+    (value: unknown) => {
+      if (!isTyped(value)) {
+        throw new Error(`Expected the value of type ${type} to be ${expectedType}, but it was ${String(value)}`);
+      }
+      // Integers are encoded from their decimal strings
+      return typeof value === 'bigint' ? value.toString() : value;
+    }
+);
+
+// The schema header is encoded as a bytes32 string, which leaves room for 31 characters
+const MAXIMUM_SCHEMA_HEADER_LENGTH = 31;
+
+function buildSchemaHeader(types: ParsedParameterType[]): string {
+  const version = types.every((type) => type.kind === 'basic') ? BASIC_SCHEMA_VERSION : EXTENDED_SCHEMA_VERSION;
 
   // Shorten all selected types with the corresponding "short" type
   // i.e. 'address' types get set as simply 'a' and 'bytes32' becomes
-  // simply 'b' etc
-  const selectedShortTypes = types.reduce((acc: string[], type) => {
-    const shortType = allShortTypes.find((st) => PARAMETER_SHORT_TYPES[st as ParameterTypeShort] === type);
-    return [...acc, shortType!];
-  }, []);
-
-  return `${VERSION}${selectedShortTypes.join('')}`;
+  // simply 'b' etc, while 'string32[]' becomes 's[]'
+  const header = `${version}${types.map(buildShortType).join('')}`;
+  if (header.length > MAXIMUM_SCHEMA_HEADER_LENGTH) {
+    throw new Error(
+      `Too many parameters or array dimensions: the schema header ${header} is ${header.length} characters long, but it can be at most ${MAXIMUM_SCHEMA_HEADER_LENGTH}`
+    );
+  }
+  return header;
 }
 
-function buildNameValuePairs(parameters: InputParameter[]): unknown[] {
-  return flatMap(parameters, (parameter) => {
-    const { name, value, type } = parameter;
-    const transform = VALUE_TRANSFORMATIONS[type as ParameterType];
+function buildNameValuePairs(parameters: InputParameter[], types: ParsedParameterType[]): unknown[] {
+  return flatMap(parameters, (parameter, index) => {
+    const { name, value } = parameter;
     const encodedName = ethers.utils.formatBytes32String(name!);
-    // If the type does not need to be transformed, return it as is
-    if (!transform) {
-      return [encodedName, value];
-    }
-    const encodedValue = transform(value);
+    const encodedValue = transformValue(types[index], value, VALUE_TRANSFORMATIONS);
     return [encodedName, encodedValue];
   });
 }
 
 export function encode(parameters: InputParameter[]): string {
-  const types = parameters.map((parameter) => parameter.type) as ParameterType[];
+  const types = parameters.map((parameter) => parseParameterType(parameter.type));
 
   // Each parameter name is represented by a `bytes32` string. The value
   // types are what the user provides
-  const nameTypePairs = flatMap(types, (type) => {
-    const transformedType = TYPE_TRANSFORMATIONS[type];
-    return ['bytes32', transformedType ?? type];
-  });
+  const nameTypePairs = flatMap(types, (type) => ['bytes32', buildAbiType(type)]);
 
   // The first type is always a bytes32 as it represents the schema header
   const allTypes = ['bytes32', ...nameTypePairs];
 
   // Build the schema which includes the version and the abbreviated list of parameters
-  const schemaHeader = buildSchemaHeader(types as ParameterType[]);
+  const schemaHeader = buildSchemaHeader(types);
   const encodedHeader = ethers.utils.formatBytes32String(schemaHeader);
 
   // Map and encode each name/value pair where necessary
-  const flatNameValues = buildNameValuePairs(parameters);
+  const flatNameValues = buildNameValuePairs(parameters, types);
 
   // The schema header is always the first value to be encoded
   const allValues = [encodedHeader, ...flatNameValues];
@@ -64,3 +90,14 @@ export function encode(parameters: InputParameter[]): string {
   const encoder = new ethers.utils.AbiCoder();
   return encoder.encode(allTypes, allValues);
 }
+
+// Encodes the parameters with the types decodeTyped returns, e.g. bigints for integers and Uint8Arrays for bytes
+export function encodeTyped(parameters: TypedParameter[]): string {
+  return encode(
+    parameters.map(({ name, type, value }) => ({
+      name,
+      type,
+      value: transformValue(parseParameterType(type), value, TYPED_VALUE_TRANSFORMATIONS),
+    }))
+  );
+}
@@ -1,4 +1,5 @@
-export { encode } from './encoding';
-export { decode } from './decoding';
+export { encode, encodeTyped } from './encoding';
+export { decode, decodeTyped } from './decoding';
+export * from './inspection';
 export { PARAMETER_SHORT_TYPES } from './constants';
 export * from './types';
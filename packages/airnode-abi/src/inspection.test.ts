@@ -0,0 +1,189 @@
+import { ethers } from 'ethers';
+import { encode } from './encoding';
+import { diff, inspect } from './inspection';
+
+const parameters = [
+  { type: 'string32', name: 'from', value: 'ETH' },
+  { type: 'string', name: 'to', value: 'USD' },
+  { type: 'uint256', name: 'amount', value: '1000' },
+];
+
+describe('inspect', () => {
+  it('inspects empty parameters', () => {
+    expect(inspect('0x')).toEqual({ parameters: [], diagnostics: [] });
+    expect(inspect(encode([]))).toEqual({ header: '1', version: '1', parameters: [], diagnostics: [] });
+  });
+
+  it('inspects the parameters with their byte offsets', () => {
+    expect(inspect(encode(parameters))).toEqual({
+      header: '1sSu',
+      version: '1',
+      parameters: [
+        { name: 'from', type: 'string32', value: 'ETH', nameOffset: 32, valueOffset: 64 },
+        { name: 'to', type: 'string', value: 'USD', nameOffset: 96, valueOffset: 128, dataOffset: 224 },
+        { name: 'amount', type: 'uint256', value: '1000', nameOffset: 160, valueOffset: 192 },
+      ],
+      diagnostics: [],
+    });
+  });
+
+  it('inspects arrays and tuples', () => {
+    const encodedData = encode([
+      { type: 'uint256[2]', name: 'range', value: ['1', '2'] },
+      { type: '(string32,bool)[]', name: 'pairs', value: [['ETH', true]] },
+    ]);
+    expect(inspect(encodedData)).toEqual({
+      header: '2u[2](sf)[]',
+      version: '2',
+      parameters: [
+        { name: 'range', type: 'uint256[2]', value: ['1', '2'], nameOffset: 32, valueOffset: 64 },
+        {
+          name: 'pairs',
+          type: '(string32,bool)[]',
+          value: [['ETH', true]],
+          nameOffset: 128,
+          valueOffset: 160,
+          dataOffset: 192,
+        },
+      ],
+      diagnostics: [],
+    });
+  });
+
+  it('reports data that is not a hex string', () => {
+    expect(inspect('0x123').diagnostics).toEqual([{ offset: 0, message: 'The encoded data is not a hex string' }]);
+    expect(inspect('hello').diagnostics).toEqual([{ offset: 0, message: 'The encoded data is not a hex string' }]);
+  });
+
+  it('reports data that is too short for the schema header', () => {
+    expect(inspect('0x3173').diagnostics).toEqual([
+      { offset: 0, message: 'The encoded data is 2 byte(s) long, which is too short for the schema header' },
+    ]);
+  });
+
+  it('reports unknown schema versions and invalid types', () => {
+    expect(inspect(ethers.utils.formatBytes32String('3s')).diagnostics).toEqual([
+      { offset: 0, message: 'Unknown ABI schema version: 3' },
+    ]);
+    expect(inspect(ethers.utils.formatBytes32String('1sx')).diagnostics).toEqual([
+      { offset: 0, message: 'Invalid parameter types in the schema header: sx' },
+    ]);
+    expect(inspect(ethers.utils.formatBytes32String('1s[]')).diagnostics).toEqual([
+      { offset: 0, message: 'ABI schema version 1 does not support arrays and tuples' },
+    ]);
+  });
+
+  it('reports parameters that are cut off', () => {
+    const encodedData = encode(parameters);
+    expect(inspect(encodedData.substring(0, 2 + 2 * 160))).toEqual({
+      header: '1sSu',
+      version: '1',
+      parameters: [{ name: 'from', type: 'string32', value: 'ETH', nameOffset: 32, valueOffset: 64 }],
+      diagnostics: [
+        {
+          offset: 128,
+          message: 'Parameter #2 (string) "to" refers to offset 224, which is outside of the encoded data',
+        },
+        { offset: 160, message: 'Parameter #3 (uint256) is cut off at the end of the encoded data' },
+      ],
+    });
+  });
+
+  it('reports offsets outside of the encoded data', () => {
+    const encodedData = encode(parameters);
+    // Keep the head of the parameters and drop the value of the string
+    const inspection = inspect(encodedData.substring(0, 2 + 2 * 224));
+    expect(inspection.diagnostics).toEqual([
+      { offset: 128, message: 'Parameter #2 (string) "to" refers to offset 224, which is outside of the encoded data' },
+    ]);
+  });
+
+  it('reports values that cannot be decoded', () => {
+    const encodedData = encode([{ type: 'string', name: 'to', value: 'USD' }]);
+    // Sets the length of the string to 255 bytes
+    const invalidData = `${encodedData.substring(0, 2 + 2 * 96)}${'00'.repeat(31)}ff${encodedData.substring(2 + 2 * 128)}`;
+    expect(inspect(invalidData).diagnostics).toEqual([
+      { offset: 96, message: 'Parameter #1 (string) "to" cannot be decoded: data out-of-bounds' },
+    ]);
+  });
+
+  it('reports trailing bytes', () => {
+    expect(inspect(`${encode(parameters)}0000`).diagnostics).toEqual([
+      { offset: 288, message: 'The encoded data has 2 trailing byte(s) after the encoded parameters' },
+    ]);
+  });
+
+  it('reports non-zero padding', () => {
+    const encodedData = encode([{ type: 'bool', name: 'flag', value: true }]);
+    // Sets the first byte of the boolean value
+    const paddedData = `${encodedData.substring(0, 2 + 2 * 64)}ff${encodedData.substring(2 + 2 * 65)}`;
+    expect(inspect(paddedData).diagnostics).toEqual([
+      {
+        offset: 64,
+        message:
+          'The encoded data differs from its re-encoding at offset 64, e.g. because of a non-standard offset or non-zero padding',
+      },
+    ]);
+  });
+
+  it('reports duplicate names', () => {
+    const encodedData = encode([
+      { type: 'string32', name: 'from', value: 'ETH' },
+      { type: 'string32', name: 'from', value: 'BTC' },
+    ]);
+    expect(inspect(encodedData).diagnostics).toEqual([
+      { offset: 96, message: 'Parameter name "from" is used more than once, so only its last value is decoded' },
+    ]);
+  });
+});
+
+describe('diff', () => {
+  it('compares the parameters by their names', () => {
+    const inspectionDiff = diff(
+      encode(parameters),
+      encode([
+        { type: 'string32', name: 'from', value: 'BTC' },
+        { type: 'string', name: 'to', value: 'USD' },
+        { type: 'address', name: 'wallet', value: '0x4128922394C63A204Dd98ea6fbd887780b78bb7d' },
+      ])
+    );
+    expect(inspectionDiff.headerChanged).toEqual(true);
+    expect(inspectionDiff.parameters).toEqual([
+      {
+        name: 'from',
+        before: { name: 'from', type: 'string32', value: 'ETH', nameOffset: 32, valueOffset: 64 },
+        after: { name: 'from', type: 'string32', value: 'BTC', nameOffset: 32, valueOffset: 64 },
+      },
+      {
+        name: 'amount',
+        before: { name: 'amount', type: 'uint256', value: '1000', nameOffset: 160, valueOffset: 192 },
+        after: undefined,
+      },
+      {
+        name: 'wallet',
+        before: undefined,
+        after: {
+          name: 'wallet',
+          type: 'address',
+          value: '0x4128922394C63A204Dd98ea6fbd887780b78bb7d',
+          nameOffset: 160,
+          valueOffset: 192,
+        },
+      },
+    ]);
+  });
+
+  it('ignores the order of the parameters', () => {
+    const inspectionDiff = diff(encode(parameters), encode([...parameters].reverse()));
+    expect(inspectionDiff.headerChanged).toEqual(true);
+    expect(inspectionDiff.parameters).toEqual([]);
+  });
+
+  it('compares types along with values', () => {
+    const inspectionDiff = diff(
+      encode([{ type: 'string32', name: 'to', value: 'USD' }]),
+      encode([{ type: 'string', name: 'to', value: 'USD' }])
+    );
+    expect(inspectionDiff.parameters.map(({ name }) => name)).toEqual(['to']);
+  });
+});
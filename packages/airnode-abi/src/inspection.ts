@@ -0,0 +1,248 @@
+import { ethers } from 'ethers';
+import findLast from 'lodash/findLast';
+import isEqual from 'lodash/isEqual';
+import { goSync } from '@api3/promise-utils';
+import { BASIC_SCHEMA_VERSION, EXTENDED_SCHEMA_VERSION } from './constants';
+import { transformDecodedValue } from './decoding';
+import {
+  buildAbiType,
+  buildType,
+  getHeadLength,
+  isDynamicType,
+  parseShortParameterTypes,
+  ParsedParameterType,
+} from './parameter-types';
+
+export interface Diagnostic {
+  // The byte offset of the encoded data the diagnostic refers to
+  readonly offset: number;
+  readonly message: string;
+}
+
+export interface InspectedParameter {
+  readonly name: string;
+  readonly type: string;
+  readonly value: unknown;
+  // The byte offsets of the name and the value within the name/value pairs
+  readonly nameOffset: number;
+  readonly valueOffset: number;
+  // The byte offset of the value of a dynamic type, which is encoded after the name/value pairs
+  readonly dataOffset?: number;
+}
+
+export interface Inspection {
+  readonly header?: string;
+  readonly version?: string;
+  readonly parameters: InspectedParameter[];
+  readonly diagnostics: Diagnostic[];
+}
+
+export interface ParameterDifference {
+  readonly name: string;
+  // The parameter is added if it is missing "before" and removed if it is missing "after"
+  readonly before?: InspectedParameter;
+  readonly after?: InspectedParameter;
+}
+
+export interface InspectionDiff {
+  readonly before: Inspection;
+  readonly after: Inspection;
+  readonly headerChanged: boolean;
+  readonly parameters: ParameterDifference[];
+}
+
+const getErrorReason = (error: Error) => (error as Error & { reason?: string }).reason ?? error.message;
+
+const readWord = (data: Uint8Array, offset: number) => ethers.utils.hexlify(data.slice(offset, offset + 32));
+
+function inspectParameter(
+  data: Uint8Array,
+  type: ParsedParameterType,
+  index: number,
+  nameOffset: number
+): InspectedParameter | Diagnostic {
+  const valueOffset = nameOffset + 32;
+  const fullType = buildType(type);
+  const label = `Parameter #${index + 1} (${fullType})`;
+  if (data.length < valueOffset + getHeadLength(type)) {
+    return { offset: nameOffset, message: `${label} is cut off at the end of the encoded data` };
+  }
+
+  const goName = goSync(() => ethers.utils.parseBytes32String(readWord(data, nameOffset)));
+  if (!goName.success) {
+    return { offset: nameOffset, message: `${label} has a name that is not a bytes32 string` };
+  }
+
+  const dataOffset = isDynamicType(type) ? ethers.BigNumber.from(readWord(data, valueOffset)) : undefined;
+  if (dataOffset && dataOffset.gte(data.length)) {
+    return {
+      offset: valueOffset,
+      message: `${label} "${goName.data}" refers to offset ${dataOffset.toString()}, which is outside of the encoded data`,
+    };
+  }
+
+  // The words before the name are skipped, so that the parameters can be decoded independently of each other
+  const skippedWords = `uint256[${nameOffset / 32}]`;
+  const goValue = goSync(() => {
+    const [_skipped, _name, value] = ethers.utils.defaultAbiCoder.decode(
+      [skippedWords, 'bytes32', buildAbiType(type)],
+      data
+    );
+    return transformDecodedValue(type, value);
+  });
+  if (!goValue.success) {
+    return {
+      offset: dataOffset ? dataOffset.toNumber() : valueOffset,
+      message: `${label} "${goName.data}" cannot be decoded: ${getErrorReason(goValue.error)}`,
+    };
+  }
+
+  return {
+    name: goName.data,
+    type: fullType,
+    value: goValue.data,
+    nameOffset,
+    valueOffset,
+    ...(dataOffset ? { dataOffset: dataOffset.toNumber() } : {}),
+  };
+}
+
+function findDuplicateNames(parameters: InspectedParameter[]): Diagnostic[] {
+  return parameters
+    .filter((parameter, index) => parameters.findIndex(({ name }) => name === parameter.name) !== index)
+    .map((parameter) => ({
+      offset: parameter.nameOffset,
+      message: `Parameter name "${parameter.name}" is used more than once, so only its last value is decoded`,
+    }));
+}
+
+// Decoding requires the encoded data to be identical to its re-encoding, e.g. without trailing bytes
+function checkReEncoding(data: Uint8Array, types: ParsedParameterType[]): Diagnostic[] {
+  const decodingTypes = ['bytes32', ...types.flatMap((type) => ['bytes32', buildAbiType(type)])];
+  const goReEncodedData = goSync(() =>
+    ethers.utils.arrayify(
+      ethers.utils.defaultAbiCoder.encode(decodingTypes, ethers.utils.defaultAbiCoder.decode(decodingTypes, data))
+    )
+  );
+  if (!goReEncodedData.success) {
+    return [{ offset: 0, message: `The encoded data cannot be decoded: ${getErrorReason(goReEncodedData.error)}` }];
+  }
+
+  const reEncodedData = goReEncodedData.data;
+
+  const mismatchOffset = reEncodedData.findIndex((byte, index) => data[index] !== byte);
+  if (mismatchOffset !== -1) {
+    return [
+      {
+        offset: mismatchOffset,
+        message: `The encoded data differs from its re-encoding at offset ${mismatchOffset}, e.g. because of a non-standard offset or non-zero padding`,
+      },
+    ];
+  }
+  if (data.length > reEncodedData.length) {
+    return [
+      {
+        offset: reEncodedData.length,
+        message: `The encoded data has ${data.length - reEncodedData.length} trailing byte(s) after the encoded parameters`,
+      },
+    ];
+  }
+  return [];
+}
+
+function inspectParameters(
+  data: Uint8Array,
+  header: string,
+  version: string,
+  types: ParsedParameterType[]
+): Inspection {
+  if (version === BASIC_SCHEMA_VERSION && types.some((type) => type.kind !== 'basic')) {
+    return {
+      header,
+      version,
+      parameters: [],
+      diagnostics: [
+        { offset: 0, message: `ABI schema version ${BASIC_SCHEMA_VERSION} does not support arrays and tuples` },
+      ],
+    };
+  }
+
+  const { results } = types.reduce(
+    (acc, type, index) => ({
+      results: [...acc.results, inspectParameter(data, type, index, acc.offset)],
+      offset: acc.offset + 32 + getHeadLength(type),
+    }),
+    { results: [] as (InspectedParameter | Diagnostic)[], offset: 32 }
+  );
+  const parameters = results.filter((result): result is InspectedParameter => 'name' in result);
+  const parameterDiagnostics = results.filter((result): result is Diagnostic => 'message' in result);
+
+  const diagnostics = [
+    ...parameterDiagnostics,
+    ...findDuplicateNames(parameters),
+    ...(parameterDiagnostics.length === 0 ? checkReEncoding(data, types) : []),
+  ];
+  return { header, version, parameters, diagnostics };
+}
+
+/**
+ * Inspects the encoded parameters, which returns the schema header and each parameter with its name, type, value and
+ * byte offsets. Instead of throwing, the problems that cause decoding to fail are listed as diagnostics, which point
+ * to the offending bytes.
+ */
+export function inspect(encodedData: string): Inspection {
+  if (!ethers.utils.isHexString(encodedData) || encodedData.length % 2 !== 0) {
+    return { parameters: [], diagnostics: [{ offset: 0, message: 'The encoded data is not a hex string' }] };
+  }
+  // Same as decode, empty parameters are encoded as "0x"
+  if (encodedData === '0x') return { parameters: [], diagnostics: [] };
+
+  const data = ethers.utils.arrayify(encodedData);
+  if (data.length < 32) {
+    return {
+      parameters: [],
+      diagnostics: [
+        {
+          offset: 0,
+          message: `The encoded data is ${data.length} byte(s) long, which is too short for the schema header`,
+        },
+      ],
+    };
+  }
+
+  const goHeader = goSync(() => ethers.utils.parseBytes32String(readWord(data, 0)));
+  if (!goHeader.success) {
+    return { parameters: [], diagnostics: [{ offset: 0, message: 'The schema header is not a bytes32 string' }] };
+  }
+
+  const header = goHeader.data;
+  const version = header.substring(0, 1);
+  if (version !== BASIC_SCHEMA_VERSION && version !== EXTENDED_SCHEMA_VERSION) {
+    return { header, parameters: [], diagnostics: [{ offset: 0, message: `Unknown ABI schema version: ${version}` }] };
+  }
+
+  const goTypes = goSync(() => parseShortParameterTypes(header.substring(1)));
+  if (!goTypes.success) {
+    return { header, version, parameters: [], diagnostics: [{ offset: 0, message: goTypes.error.message }] };
+  }
+
+  return inspectParameters(data, header, version, goTypes.data);
+}
+
+// Compares the parameters of the encoded data by their names
+export function diff(encodedDataBefore: string, encodedDataAfter: string): InspectionDiff {
+  const before = inspect(encodedDataBefore);
+  const after = inspect(encodedDataAfter);
+
+  const names = [...new Set([...before.parameters, ...after.parameters].map(({ name }) => name))];
+  const parameters = names
+    .map((name) => ({
+      name,
+      // The last value of a name is used when decoding
+      before: findLast(before.parameters, (parameter) => parameter.name === name),
+      after: findLast(after.parameters, (parameter) => parameter.name === name),
+    }))
+    .filter(({ before, after }) => before?.type !== after?.type || !isEqual(before?.value, after?.value));
+
+  return { before, after, headerChanged: before.header !== after.header, parameters };
+}
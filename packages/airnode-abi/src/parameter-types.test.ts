@@ -0,0 +1,39 @@
+import { buildAbiType, buildShortType, parseParameterType, parseShortParameterTypes } from './parameter-types';
+
+describe('parseParameterType', () => {
+  it('parses basic types', () => {
+    expect(parseParameterType('string32')).toEqual({ kind: 'basic', type: 'string32' });
+  });
+
+  it('parses nested arrays and tuples', () => {
+    expect(parseParameterType('(string32,uint256[3])[]')).toEqual({
+      kind: 'array',
+      element: {
+        kind: 'tuple',
+        components: [
+          { kind: 'basic', type: 'string32' },
+          { kind: 'array', element: { kind: 'basic', type: 'uint256' }, length: 3 },
+        ],
+      },
+    });
+  });
+
+  it('throws for invalid types', () => {
+    ['uint8', 'string[01]', '(string)]', 'string[] '].forEach((type) =>
+      expect(() => parseParameterType(type)).toThrow(new Error(`Invalid parameter type: ${type}`))
+    );
+  });
+});
+
+describe('parseShortParameterTypes', () => {
+  it('parses the undelimited short types of the schema header', () => {
+    expect(parseShortParameterTypes('S(su)[]a[2][]').map(buildShortType)).toEqual(['S', '(su)[]', 'a[2][]']);
+    expect(parseShortParameterTypes('')).toEqual([]);
+  });
+});
+
+describe('buildAbiType', () => {
+  it('replaces the artificial types with the Solidity types', () => {
+    expect(buildAbiType(parseParameterType('(string32,address)[][2]'))).toEqual('(bytes32,address)[][2]');
+  });
+});
@@ -0,0 +1,188 @@
+import { PARAMETER_SHORT_TYPES, ParameterType, ParameterTypeShort, TYPE_TRANSFORMATIONS } from './constants';
+import { ValueTransformation } from './types';
+
+// A parameter type is either a basic type, a tuple of parameter types or an array of a parameter type, such as
+// "string32[]", "address[2][]" or "(string32,uint256)[]"
+export type ParsedParameterType =
+  | { readonly kind: 'basic'; readonly type: ParameterType }
+  | { readonly kind: 'tuple'; readonly components: ParsedParameterType[] }
+  | { readonly kind: 'array'; readonly element: ParsedParameterType; readonly length?: number };
+
+type ParseResult<T> = [T, string] | null;
+
+// The full types (e.g. "(string32,uint256)[]") and the short types of the schema header (e.g. "(su)[]") differ only
+// in how the basic types are written and how the components of a tuple are delimited
+interface TypeSyntax {
+  readonly readBasicType: (value: string) => ParseResult<ParameterType>;
+  readonly componentDelimeter: string;
+}
+
+const FULL_TYPE_SYNTAX: TypeSyntax = {
+  readBasicType: (value) => {
+    const match = value.match(/^[a-z]+\d*/);
+    if (!match || !Object.values(PARAMETER_SHORT_TYPES).includes(match[0] as ParameterType)) return null;
+
+    return [match[0] as ParameterType, value.slice(match[0].length)];
+  },
+  componentDelimeter: ',',
+};
+
+const SHORT_TYPE_SYNTAX: TypeSyntax = {
+  readBasicType: (value) => {
+    const type = PARAMETER_SHORT_TYPES[value.charAt(0) as ParameterTypeShort];
+    if (!type) return null;
+
+    return [type, value.slice(1)];
+  },
+  componentDelimeter: '',
+};
+
+function parseArraySuffixes(element: ParsedParameterType, value: string): ParseResult<ParsedParameterType> {
+  const match = value.match(/^\[([1-9]\d*)?\]/);
+  if (!match) return [element, value];
+
+  const array: ParsedParameterType = match[1]
+    ? { kind: 'array', element, length: Number(match[1]) }
+    : { kind: 'array', element };
+  return parseArraySuffixes(array, value.slice(match[0].length));
+}
+
+function parseComponents(
+  syntax: TypeSyntax,
+  value: string,
+  components: ParsedParameterType[]
+): ParseResult<ParsedParameterType[]> {
+  const component = parseTypePrefix(syntax, value);
+  if (!component) return null;
+
+  const [parsedComponent, rest] = component;
+  const parsedComponents = [...components, parsedComponent];
+  if (rest.startsWith(')')) return [parsedComponents, rest.slice(1)];
+  if (!rest.startsWith(syntax.componentDelimeter)) return null;
+
+  return parseComponents(syntax, rest.slice(syntax.componentDelimeter.length), parsedComponents);
+}
+
+// Parses the type at the start of the value and returns it along with the rest of the value
+function parseTypePrefix(syntax: TypeSyntax, value: string): ParseResult<ParsedParameterType> {
+  if (value.startsWith('(')) {
+    const components = parseComponents(syntax, value.slice(1), []);
+    if (!components) return null;
+
+    const [parsedComponents, rest] = components;
+    return parseArraySuffixes({ kind: 'tuple', components: parsedComponents }, rest);
+  }
+
+  const basicType = syntax.readBasicType(value);
+  if (!basicType) return null;
+
+  const [type, rest] = basicType;
+  return parseArraySuffixes({ kind: 'basic', type }, rest);
+}
+
+export function parseParameterType(type: string): ParsedParameterType {
+  const parsedType = parseTypePrefix(FULL_TYPE_SYNTAX, type);
+  if (!parsedType || parsedType[1] !== '') {
+    throw new Error(`Invalid parameter type: ${type}`);
+  }
+
+  return parsedType[0];
+}
+
+// Parses the short types of the schema header, which are not delimited, e.g. "S(su)[]a" for three parameters
+export function parseShortParameterTypes(shortTypes: string): ParsedParameterType[] {
+  const parseRest = (value: string, types: ParsedParameterType[]): ParsedParameterType[] => {
+    if (value === '') return types;
+
+    const parsedType = parseTypePrefix(SHORT_TYPE_SYNTAX, value);
+    if (!parsedType) {
+      throw new Error(`Invalid parameter types in the schema header: ${shortTypes}`);
+    }
+    return parseRest(parsedType[1], [...types, parsedType[0]]);
+  };
+
+  return parseRest(shortTypes, []);
+}
+
+function buildArraySuffix(type: Extract<ParsedParameterType, { kind: 'array' }>) {
+  return `[${type.length ?? ''}]`;
+}
+
+export function buildShortType(type: ParsedParameterType): string {
+  switch (type.kind) {
+    case 'basic': {
+      const shortTypes = Object.keys(PARAMETER_SHORT_TYPES) as ParameterTypeShort[];
+      return shortTypes.find((shortType) => PARAMETER_SHORT_TYPES[shortType] === type.type)!;
+    }
+    case 'tuple':
+      return `(${type.components.map(buildShortType).join('')})`;
+    case 'array':
+      return `${buildShortType(type.element)}${buildArraySuffix(type)}`;
+  }
+}
+
+function buildTypeWith(type: ParsedParameterType, buildBasicType: (type: ParameterType) => string): string {
+  switch (type.kind) {
+    case 'basic':
+      return buildBasicType(type.type);
+    case 'tuple':
+      return `(${type.components.map((component) => buildTypeWith(component, buildBasicType)).join(',')})`;
+    case 'array':
+      return `${buildTypeWith(type.element, buildBasicType)}${buildArraySuffix(type)}`;
+  }
+}
+
+export function buildType(type: ParsedParameterType): string {
+  return buildTypeWith(type, (basicType) => basicType);
+}
+
+// Builds the type the parameter is ABI-encoded with, where the artificial types are replaced with the Solidity ones
+export function buildAbiType(type: ParsedParameterType): string {
+  return buildTypeWith(type, (basicType) => TYPE_TRANSFORMATIONS[basicType] ?? basicType);
+}
+
+// The values of the dynamic types are encoded after the name/value pairs and are referred to by their offsets
+export function isDynamicType(type: ParsedParameterType): boolean {
+  switch (type.kind) {
+    case 'basic':
+      return type.type === 'bytes' || type.type === 'string';
+    case 'tuple':
+      return type.components.some(isDynamicType);
+    case 'array':
+      return type.length === undefined || isDynamicType(type.element);
+  }
+}
+
+// Returns the number of bytes the value takes within the name/value pairs
+export function getHeadLength(type: ParsedParameterType): number {
+  if (isDynamicType(type)) return 32;
+
+  switch (type.kind) {
+    case 'basic':
+      return 32;
+    case 'tuple':
+      return type.components.reduce((length, component) => length + getHeadLength(component), 0);
+    case 'array':
+      return type.length! * getHeadLength(type.element);
+  }
+}
+
+// Applies the transformations of the basic types to the values of the basic types within arrays and tuples
+export function transformValue(
+  type: ParsedParameterType,
+  value: any,
+  transformations: ValueTransformation<unknown>
+): unknown {
+  switch (type.kind) {
+    case 'basic': {
+      const transform = transformations[type.type];
+      return transform ? transform(value) : value;
+    }
+    case 'tuple':
+      if (!Array.isArray(value)) throw new Error(`Expected the value of a tuple to be an array, but it was ${value}`);
+      return type.components.map((component, index) => transformValue(component, value[index], transformations));
+    case 'array':
+      if (!Array.isArray(value)) throw new Error(`Expected the value of an array to be an array, but it was ${value}`);
+      return Array.from(value, (element) => transformValue(type.element, element, transformations));
+  }
+}
@@ -1,20 +1,52 @@
 import { ParameterType } from './constants';
 
 export type ValueOf<T> = T[keyof T];
+// The values of the array and tuple parameters are decoded as arrays
+export type DecodedValue = string | DecodedValue[];
 export interface DecodedMap {
-  readonly [key: string]: string;
+  readonly [key: string]: DecodedValue;
 }
 
 export interface InputParameter {
   readonly name: string;
-  // NOTE: The only possible values are from ParameterType, but typing it like this in TS would require writing many
-  // "as const" so it is not worth doing.
+  // NOTE: The only possible values are from ParameterType and the arrays and tuples of them (e.g. "string32[]" or
+  // "(string32,uint256)[]"), but typing it like this in TS would require writing many "as const" so it is not worth
+  // doing.
   readonly type: string;
   readonly value: unknown;
 }
 
-export type ValueTransformation = {
-  readonly [key in ParameterType]?: (value: any) => string;
+// The values of the basic types as they are returned by decodeTyped and accepted by encodeTyped
+export interface TypedValues {
+  readonly bytes: Uint8Array;
+  readonly bytes32: Uint8Array;
+  readonly string: string;
+  readonly string32: string;
+  // Decoded addresses are checksummed
+  readonly address: string;
+  readonly int256: bigint;
+  readonly uint256: bigint;
+  readonly bool: boolean;
+}
+
+export type TypedValue = ValueOf<TypedValues> | TypedValue[];
+
+export type BasicTypedParameter = ValueOf<{
+  readonly [type in ParameterType]: { readonly name: string; readonly type: type; readonly value: TypedValues[type] };
+}>;
+
+// Array types end with their array suffix (e.g. "string32[]") and tuple types start with a parenthesis (e.g.
+// "(string32,uint256)"), which are both typed with arrays
+export interface ComplexTypedParameter {
+  readonly name: string;
+  readonly type: `${string}]` | `(${string}`;
+  readonly value: TypedValue[];
+}
+
+export type TypedParameter = BasicTypedParameter | ComplexTypedParameter;
+
+export type ValueTransformation<T = string> = {
+  readonly [key in ParameterType]?: (value: any) => T;
 };
 
 export type TypeTransformation = {
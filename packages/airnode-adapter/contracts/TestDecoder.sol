@@ -2,6 +2,12 @@
 pragma solidity ^0.8.9;
 
 contract TestDecoder {
+    struct Ticker {
+        uint256 timestamp;
+        int256 price;
+        bytes32 symbol;
+    }
+
     function decodeSignedInt256(bytes calldata data)
         public
         pure
@@ -106,4 +112,28 @@ contract TestDecoder {
     {
         timestamp = abi.decode(data, (uint256));
     }
+
+    function decodeFixedWidthTypes(bytes calldata data)
+        public
+        pure
+        returns (int224 price, uint64 timestamp, bytes4 selector)
+    {
+        (price, timestamp, selector) = abi.decode(data, (int224, uint64, bytes4));
+    }
+
+    function decodeTuple(bytes calldata data)
+        public
+        pure
+        returns (Ticker memory decodedData)
+    {
+        decodedData = abi.decode(data, (Ticker));
+    }
+
+    function decodeTupleArray(bytes calldata data)
+        public
+        pure
+        returns (Ticker[] memory decodedData)
+    {
+        decodedData = abi.decode(data, (Ticker[]));
+    }
 }
@@ -35,6 +35,8 @@ const apiResponse = {
   string: 'random string',
   // The string above encoded to UTF8 bytes
   bytes: '0x72616e646f6d20737472696e6700000000000000000000000000000000000000',
+  // The selector of the ERC20 "transfer" function
+  selector: '0xa9059cbb',
   big: {
     decimal: '11223344556677889900',
     // The maximum number that fits in int256
@@ -58,6 +60,10 @@ const apiResponse = {
     ['strange.key']: 'abc',
   },
   nullType: null,
+  tickers: [
+    { time: 1700000000, price: '3000.5', symbol: 'ETH' },
+    { time: 1700000060, price: '-60000.25', symbol: 'BTC' },
+  ],
   array: {
     int256: ['123', '456'],
     nested: [
@@ -231,6 +237,56 @@ describe('Extraction, encoding and simple on chain decoding', () => {
     });
   });
 
+  it('decodes fixed width types encoded by the adapter package', async () => {
+    const decoded = await testDecoder.decodeFixedWidthTypes(
+      extractAndEncode({
+        _type: 'int224,uint64,bytes4',
+        _path: 'big.floatNegative,decimal,selector',
+        _times: '1000000,,',
+      })
+    );
+
+    assertArrayEquals(decoded.slice(0, 2), ['-112233445566778899', 123456789]);
+    expect(decoded.selector).to.equal(apiResponse.selector);
+  });
+
+  describe('decodes tuples', () => {
+    it('single tuple into a struct', async () => {
+      const decoded = await testDecoder.decodeTuple(
+        extractAndEncode({
+          _type: '(uint256,int256,string32)',
+          _path: 'tickers.0(time,price,symbol)',
+          _times: '(,100,)',
+        })
+      );
+
+      assertArrayEquals([decoded.timestamp, decoded.price], [1700000000, 300050]);
+      expect(ethers.utils.parseBytes32String(decoded.symbol)).to.equal('ETH');
+    });
+
+    it('tuple array into a struct array', async () => {
+      const decoded = await testDecoder.decodeTupleArray(
+        extractAndEncode({
+          _type: '(uint256,int256,string32)[]',
+          _path: 'tickers(time,price,symbol)',
+          _times: '(,100,)',
+        })
+      );
+
+      assertArrayEquals(
+        decoded.map((ticker: any) => [ticker.timestamp, ticker.price]),
+        [
+          [1700000000, 300050],
+          [1700000060, -6000025],
+        ]
+      );
+      expect(decoded.map((ticker: any) => ethers.utils.parseBytes32String(ticker.symbol))).to.deep.equal([
+        'ETH',
+        'BTC',
+      ]);
+    });
+  });
+
   it('decodes string32 encoded by the adapter package', async () => {
     const { parseBytes32String, arrayify } = ethers.utils;
     const encodedBytes = extractAndEncode({ _type: 'string32', _path: 'string' });
@@ -301,7 +357,9 @@ describe('Extraction, encoding and simple on chain decoding', () => {
         )
       );
       assertGoError(goExtractAndEncode);
-      expect(goExtractAndEncode.error.message).to.contain('out-of-bounds');
+      expect(goExtractAndEncode.error.message).to.contain(
+        `Value ${apiResponse.big.tooLargeDecimal} overflows int256, which must be between`
+      );
     });
   });
 });
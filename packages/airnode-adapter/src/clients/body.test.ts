@@ -0,0 +1,66 @@
+import { encodeBody, getContentType } from './body';
+import { Request } from '../types';
+
+const buildRequest = (headers: Request['headers'], data: Request['data']): Request => ({
+  baseUrl: 'https://example.com',
+  path: '/convert',
+  method: 'post',
+  headers,
+  data,
+});
+
+describe('getContentType', () => {
+  it('returns the media type of the Content-Type header', () => {
+    expect(getContentType(buildRequest({}, {}))).toBeUndefined();
+    expect(getContentType(buildRequest({ 'content-type': 'application/json' }, {}))).toEqual('application/json');
+    expect(getContentType(buildRequest({ 'Content-Type': 'Text/Plain; charset=utf-8' }, {}))).toEqual('text/plain');
+  });
+});
+
+describe('encodeBody', () => {
+  it('sends the parameters as a flat object if there is no Content-Type header', () => {
+    const data = { 'prices.from': 'ETH', to: 'USD' };
+    expect(encodeBody(buildRequest({}, data))).toEqual(data);
+  });
+
+  it('keeps the dotted parameter names of JSON bodies by default', () => {
+    const data = { 'prices.from': 'ETH', 'a.b': 'USD', a: 'BTC' };
+    expect(encodeBody(buildRequest({ 'Content-Type': 'application/json' }, data))).toEqual(data);
+    expect(
+      encodeBody(buildRequest({ 'Content-Type': 'application/json' }, data), { jsonBodyEncoding: 'flat' })
+    ).toEqual(data);
+  });
+
+  it('builds nested JSON bodies from the dotted parameter names if opted in', () => {
+    const request = buildRequest(
+      { 'Content-Type': 'application/json' },
+      { query: 'query Price($id: ID!) { price(id: $id) }', 'variables.id': 'ETH', 'variables.quote.currency': 'USD' }
+    );
+    expect(encodeBody(request, { jsonBodyEncoding: 'nested' })).toEqual({
+      query: 'query Price($id: ID!) { price(id: $id) }',
+      variables: { id: 'ETH', quote: { currency: 'USD' } },
+    });
+  });
+
+  it('encodes URL encoded form bodies', () => {
+    const request = buildRequest(
+      { 'Content-Type': 'application/x-www-form-urlencoded' },
+      { from: 'ETH', to: 'US Dollar' }
+    );
+    expect(encodeBody(request)).toEqual('from=ETH&to=US+Dollar');
+  });
+
+  it('encodes multipart form bodies', () => {
+    const request = buildRequest({ 'Content-Type': 'multipart/form-data' }, { from: 'ETH', to: 'USD' });
+    const body = encodeBody(request) as FormData;
+    expect(body).toBeInstanceOf(FormData);
+    expect(Object.fromEntries(body.entries())).toEqual({ from: 'ETH', to: 'USD' });
+  });
+
+  it('sends a single parameter as a raw text body', () => {
+    expect(encodeBody(buildRequest({ 'Content-Type': 'text/plain' }, { message: 'ETH/USD' }))).toEqual('ETH/USD');
+    expect(() => encodeBody(buildRequest({ 'Content-Type': 'text/plain' }, { from: 'ETH', to: 'USD' }))).toThrow(
+      new Error('A text request body must be built from a single parameter, but 2 were provided')
+    );
+  });
+});
@@ -0,0 +1,50 @@
+import set from 'lodash/set';
+import { Config, JsonBodyEncoding, Request } from '../types';
+
+// Returns the media type of the "Content-Type" header of the request without its parameters (e.g. the charset)
+export function getContentType(request: Request) {
+  const headerName = Object.keys(request.headers).find((name) => name.toLowerCase() === 'content-type');
+  if (!headerName) return undefined;
+
+  return request.headers[headerName].split(';')[0].trim().toLowerCase();
+}
+
+export function buildJsonBody(data: Request['data'], encoding: JsonBodyEncoding = 'flat') {
+  if (encoding === 'flat') return data;
+
+  return Object.entries(data).reduce((body, [name, value]) => set(body, name, value), {} as Record<string, unknown>);
+}
+
+export function buildMultipartBody(data: Request['data']) {
+  return Object.entries(data).reduce((formData, [name, value]) => {
+    formData.append(name, value);
+    return formData;
+  }, new FormData());
+}
+
+export function buildTextBody(data: Request['data']) {
+  const values = Object.values(data);
+  if (values.length !== 1) {
+    throw new Error(`A text request body must be built from a single parameter, but ${values.length} were provided`);
+  }
+
+  return values[0];
+}
+
+/**
+ * Encodes the body of the request according to its "Content-Type" header. The requests without a "Content-Type"
+ * header are sent with their parameters as a flat JSON object.
+ */
+export function encodeBody(request: Request, config?: Config) {
+  const contentType = getContentType(request);
+  if (!contentType) return request.data;
+
+  if (contentType === 'application/json' || contentType.endsWith('+json')) {
+    return buildJsonBody(request.data, config?.jsonBodyEncoding);
+  }
+  if (contentType === 'application/x-www-form-urlencoded') return new URLSearchParams(request.data).toString();
+  if (contentType === 'multipart/form-data') return buildMultipartBody(request.data);
+  if (contentType.startsWith('text/')) return buildTextBody(request.data);
+
+  return request.data;
+}
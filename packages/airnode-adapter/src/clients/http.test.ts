@@ -4,6 +4,10 @@ import axios from 'axios';
 import * as http from './http';
 import { Request } from '../types';
 
+beforeEach(() => {
+  (axios as unknown as jest.Mock).mockResolvedValue({ data: '{}', headers: {} });
+});
+
 describe('get', () => {
   it('makes a GET request with the specified details', () => {
     const request: Request = {
@@ -18,6 +22,7 @@ describe('get', () => {
     expect(axios).toHaveBeenCalledWith({
       url: 'https://example.com/convert',
       method: 'get',
+      responseType: 'text',
       params: { from: 'ETH', to: 'USD' },
       headers: { something: 'value' },
     });
@@ -38,9 +43,151 @@ describe('post', () => {
     expect(axios).toHaveBeenCalledWith({
       url: 'https://example.com/convert',
       method: 'post',
+      responseType: 'text',
+      data: { from: 'ETH', to: 'USD' },
+      params: undefined,
+      headers: { something: 'value' },
+    });
+  });
+});
+
+describe('put', () => {
+  it('makes a PUT request with the parameters in the body', () => {
+    const request: Request = {
+      baseUrl: 'https://example.com',
+      path: '/quote',
+      method: 'put',
+      data: { from: 'ETH', to: 'USD' },
+      headers: { something: 'value' },
+    };
+    http.put(request);
+
+    expect(axios).toHaveBeenCalledWith({
+      url: 'https://example.com/quote',
+      method: 'put',
+      responseType: 'text',
       data: { from: 'ETH', to: 'USD' },
       params: undefined,
       headers: { something: 'value' },
     });
   });
 });
+
+describe('patch', () => {
+  it('makes a PATCH request with the parameters in the body', () => {
+    const request: Request = {
+      baseUrl: 'https://example.com',
+      path: '/quote',
+      method: 'patch',
+      data: { from: 'ETH', to: 'USD' },
+      headers: { something: 'value' },
+    };
+    http.patch(request);
+
+    expect(axios).toHaveBeenCalledWith({
+      url: 'https://example.com/quote',
+      method: 'patch',
+      responseType: 'text',
+      data: { from: 'ETH', to: 'USD' },
+      params: undefined,
+      headers: { something: 'value' },
+    });
+  });
+});
+
+describe('del', () => {
+  it('makes a DELETE request with the parameters in the query string', () => {
+    const request: Request = {
+      baseUrl: 'https://example.com',
+      path: '/simulation',
+      method: 'delete',
+      data: { id: '1' },
+      headers: { something: 'value' },
+    };
+    http.del(request);
+
+    expect(axios).toHaveBeenCalledWith({
+      url: 'https://example.com/simulation',
+      method: 'delete',
+      responseType: 'text',
+      params: { id: '1' },
+      headers: { something: 'value' },
+    });
+  });
+});
+
+describe('request bodies', () => {
+  it('encodes the body according to the Content-Type header', () => {
+    const request: Request = {
+      baseUrl: 'https://example.com',
+      path: '/convert',
+      method: 'post',
+      data: { from: 'ETH', to: 'USD' },
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    };
+    http.post(request);
+
+    expect(axios).toHaveBeenCalledWith({
+      url: 'https://example.com/convert',
+      method: 'post',
+      responseType: 'text',
+      data: 'from=ETH&to=USD',
+      params: undefined,
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    });
+  });
+});
+
+describe('response parsing', () => {
+  const request: Request = {
+    baseUrl: 'https://example.com',
+    path: '/prices',
+    method: 'get',
+    data: {},
+    headers: {},
+  };
+
+  it('parses the response body according to its Content-Type header', async () => {
+    (axios as unknown as jest.Mock).mockResolvedValueOnce({
+      data: 'symbol,price\nETH,3000',
+      headers: { 'content-type': 'text/csv' },
+    });
+
+    const response = await http.get(request);
+
+    expect(response.data).toEqual([{ symbol: 'ETH', price: '3000' }]);
+  });
+
+  it('parses the text response bodies as JSON', async () => {
+    (axios as unknown as jest.Mock).mockResolvedValueOnce({
+      data: '{"price":"3000"}',
+      headers: { 'content-type': 'text/plain' },
+    });
+    (axios as unknown as jest.Mock).mockResolvedValueOnce({
+      data: 'ETH/USD 3000',
+      headers: { 'content-type': 'text/plain' },
+    });
+
+    expect((await http.get(request)).data).toEqual({ price: '3000' });
+    expect((await http.get(request)).data).toEqual('ETH/USD 3000');
+  });
+
+  it('keeps the response body as text if the response format of the config is text', async () => {
+    (axios as unknown as jest.Mock).mockResolvedValueOnce({ data: '123', headers: { 'content-type': 'text/plain' } });
+
+    const response = await http.get(request, { responseFormat: 'text' });
+
+    expect(response.data).toEqual('123');
+  });
+
+  it('parses the response body according to the response format of the config', async () => {
+    (axios as unknown as jest.Mock).mockResolvedValueOnce({
+      data: '<rate currency="USD">1.0956</rate>',
+      headers: { 'content-type': 'text/plain' },
+    });
+
+    const response = await http.get(request, { responseFormat: 'xml' });
+
+    expect(response.data).toEqual({ rate: { '#text': '1.0956', '@_currency': 'USD' } });
+  });
+});
@@ -1,5 +1,7 @@
-import axios, { AxiosRequestConfig } from 'axios';
-import { Config, Request } from '../types';
+import axios, { AxiosRequestConfig, AxiosResponse } from 'axios';
+import { encodeBody } from './body';
+import { detectResponseFormat, parseResponseBody } from './response';
+import { Config, HttpMethod, Request } from '../types';
 
 export function execute(config: AxiosRequestConfig) {
   return axios({
@@ -9,26 +11,66 @@ export function execute(config: AxiosRequestConfig) {
     data: config.data,
     params: config.params,
     timeout: config.timeout,
+    responseType: config.responseType,
+    signal: config.signal,
   });
 }
 
+// The response body is received as text and parsed according to its format, which can be CSV, XML or text as well
+async function executeAndParse(axiosConfig: AxiosRequestConfig, config?: Config): Promise<AxiosResponse> {
+  const response = await execute({ ...axiosConfig, responseType: 'text' });
+  const format = config?.responseFormat ?? detectResponseFormat(response.headers);
+
+  return { ...response, data: parseResponseBody(response.data, format) };
+}
+
+// The parameters of the requests without a body (GET and DELETE) are sent in the query string
+function executeWithQuery(request: Request, method: HttpMethod, config?: Config) {
+  return executeAndParse(
+    {
+      ...request,
+      url: `${request.baseUrl}${request.path}`,
+      method,
+      params: request.data,
+      data: undefined,
+      timeout: config?.timeout,
+      signal: config?.signal,
+    },
+    config
+  );
+}
+
+function executeWithBody(request: Request, method: HttpMethod, config?: Config) {
+  return executeAndParse(
+    {
+      ...request,
+      url: `${request.baseUrl}${request.path}`,
+      method,
+      data: encodeBody(request, config),
+      timeout: config?.timeout,
+      signal: config?.signal,
+    },
+    config
+  );
+}
+
 export function get(request: Request, config?: Config) {
-  return execute({
-    ...request,
-    url: `${request.baseUrl}${request.path}`,
-    method: 'get',
-    params: request.data,
-    data: undefined,
-    timeout: config?.timeout,
-  });
+  return executeWithQuery(request, 'get', config);
 }
 
 export function post(request: Request, config?: Config) {
-  return execute({
-    ...request,
-    url: `${request.baseUrl}${request.path}`,
-    method: 'post',
-    data: request.data,
-    timeout: config?.timeout,
-  });
+  return executeWithBody(request, 'post', config);
+}
+
+export function put(request: Request, config?: Config) {
+  return executeWithBody(request, 'put', config);
+}
+
+export function patch(request: Request, config?: Config) {
+  return executeWithBody(request, 'patch', config);
+}
+
+// "delete" is a reserved word, so it can't be the name of the function
+export function del(request: Request, config?: Config) {
+  return executeWithQuery(request, 'delete', config);
 }
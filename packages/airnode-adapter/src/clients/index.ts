@@ -1 +1,3 @@
+export * from './body';
 export * from './http';
+export * from './response';
@@ -0,0 +1,69 @@
+import { detectResponseFormat, parseResponseBody } from './response';
+
+describe('detectResponseFormat', () => {
+  it('detects the format from the Content-Type header', () => {
+    expect(detectResponseFormat(undefined)).toEqual('json');
+    expect(detectResponseFormat({ 'content-type': 'application/json; charset=utf-8' })).toEqual('json');
+    expect(detectResponseFormat({ 'Content-Type': 'Text/CSV' })).toEqual('csv');
+    expect(detectResponseFormat({ 'content-type': 'application/xml' })).toEqual('xml');
+    expect(detectResponseFormat({ 'content-type': 'text/xml' })).toEqual('xml');
+    expect(detectResponseFormat({ 'content-type': 'application/rss+xml' })).toEqual('xml');
+    expect(detectResponseFormat({ 'content-type': 'text/plain' })).toEqual('json');
+    expect(detectResponseFormat({ 'content-type': 'text/html' })).toEqual('json');
+    expect(detectResponseFormat({ 'content-type': 'application/octet-stream' })).toEqual('json');
+  });
+});
+
+describe('parseResponseBody', () => {
+  it('parses JSON bodies and keeps the invalid ones as strings', () => {
+    expect(parseResponseBody('{"price":"1000.5"}', 'json')).toEqual({ price: '1000.5' });
+    expect(parseResponseBody('123', 'json')).toEqual(123);
+    expect(parseResponseBody('not json', 'json')).toEqual('not json');
+  });
+
+  it('parses CSV bodies into row objects', () => {
+    const body = 'symbol, price\nBTC, 60000.5\n\nETH, 3000.25\n';
+    expect(parseResponseBody(body, 'csv')).toEqual([
+      { symbol: 'BTC', price: '60000.5' },
+      { symbol: 'ETH', price: '3000.25' },
+    ]);
+  });
+
+  it('parses XML bodies into a JSON tree', () => {
+    const body = `<?xml version="1.0" encoding="UTF-8"?>
+<Envelope>
+  <Cube time="2024-01-02">
+    <Cube currency="USD" rate="1.0956"/>
+    <Cube currency="JPY" rate="155.52"/>
+  </Cube>
+  <sender>European Central Bank</sender>
+</Envelope>`;
+    expect(parseResponseBody(body, 'xml')).toEqual({
+      '?xml': { '@_version': '1.0', '@_encoding': 'UTF-8' },
+      Envelope: {
+        Cube: {
+          '@_time': '2024-01-02',
+          Cube: [
+            { '@_currency': 'USD', '@_rate': '1.0956' },
+            { '@_currency': 'JPY', '@_rate': '155.52' },
+          ],
+        },
+        sender: 'European Central Bank',
+      },
+    });
+  });
+
+  it('throws if the XML body is invalid', () => {
+    expect(() => parseResponseBody('<rates><rate>1.09</rates>', 'xml')).toThrow(
+      /^Unable to parse the XML response body: /
+    );
+  });
+
+  it('keeps the text bodies as they are', () => {
+    expect(parseResponseBody('1000.5', 'text')).toEqual('1000.5');
+  });
+
+  it('returns the bodies which are already parsed as they are', () => {
+    expect(parseResponseBody({ price: 1000 }, 'csv')).toEqual({ price: 1000 });
+  });
+});
@@ -0,0 +1,65 @@
+import { parse } from 'csv-parse/sync';
+import { XMLParser, XMLValidator } from 'fast-xml-parser';
+import { AxiosResponse } from 'axios';
+import { ResponseFormat } from '../types';
+
+/**
+ * Detects the format of the response body from the media type of its "Content-Type" header, defaulting to JSON. Many
+ * APIs send JSON as "text/plain" or "text/html", so the other text bodies are parsed as JSON as well, which keeps the
+ * invalid ones as strings. Only the response format of the config makes a body plain text.
+ */
+export function detectResponseFormat(headers: AxiosResponse['headers'] | undefined): ResponseFormat {
+  const headerName = Object.keys(headers ?? {}).find((name) => name.toLowerCase() === 'content-type');
+  if (!headerName) return 'json';
+
+  const contentType = String(headers![headerName]).split(';')[0].trim().toLowerCase();
+  if (contentType === 'text/csv' || contentType === 'application/csv') return 'csv';
+  if (contentType === 'application/xml' || contentType === 'text/xml' || contentType.endsWith('+xml')) return 'xml';
+
+  return 'json';
+}
+
+// Bodies which are not valid JSON are returned as strings, similar to the default response parsing of axios
+export function parseJsonBody(body: string) {
+  try {
+    return JSON.parse(body);
+  } catch {
+    return body;
+  }
+}
+
+// Each row is parsed into an object keyed by the column names of the header row
+export function parseCsvBody(body: string): Record<string, string>[] {
+  return parse(body, { columns: true, skip_empty_lines: true, trim: true });
+}
+
+// The attributes are prefixed with "@_" and the values are kept as strings to not lose the precision of the numbers
+export function parseXmlBody(body: string): unknown {
+  const validation = XMLValidator.validate(body);
+  if (validation !== true) {
+    throw new Error(`Unable to parse the XML response body: ${validation.err.msg}`);
+  }
+
+  const parser = new XMLParser({ ignoreAttributes: false, parseTagValue: false, parseAttributeValue: false });
+  return parser.parse(body);
+}
+
+/**
+ * Parses the raw response body according to its format, so that the values can be extracted from CSV, XML and text
+ * responses the same way as from JSON responses.
+ */
+export function parseResponseBody(body: unknown, format: ResponseFormat) {
+  // The body is already parsed if it was not received as text
+  if (typeof body !== 'string') return body;
+
+  switch (format) {
+    case 'json':
+      return parseJsonBody(body);
+    case 'csv':
+      return parseCsvBody(body);
+    case 'xml':
+      return parseXmlBody(body);
+    case 'text':
+      return body;
+  }
+}
@@ -2,8 +2,18 @@ export const solidityBaseTypes = ['uint256', 'int256', 'bool', 'bytes32', 'addre
 export const artificialTypes = ['string32', 'timestamp'] as const;
 export const baseResponseTypes = [...solidityBaseTypes, ...artificialTypes] as const;
 
+// "down" truncates toward zero, which is the default, while "up" rounds away from zero. The "half" modes round to the
+// nearest integer and differ only in how they break ties, where "half-even" is also known as banker's rounding.
+export const roundingModes = ['down', 'up', 'floor', 'ceil', 'half-up', 'half-down', 'half-even'] as const;
+// 10^77 is the largest power of ten that fits uint256
+export const MAX_DECIMALS = 77;
+
 export const MULTIPLE_PARAMETERS_DELIMETER = ',';
 export const PATH_DELIMETER = '.';
 export const ESCAPE_CHARACTER = '\\';
 
+export const RESPONSE_STATUS_PATH = '$status';
+export const RESPONSE_HEADERS_PATH_PREFIX = '$headers.';
+export const JMESPATH_PATH_PREFIX = 'jmespath:';
+
 export const MAX_ENCODED_RESPONSE_SIZE = 16_384;
@@ -1,4 +1,4 @@
-export { buildRequest, executeRequest, buildAndExecuteRequest } from './request-building';
+export { buildRequest, executeRequest, buildAndExecuteRequest, fetchOAuth2Token } from './request-building';
 
 export {
   encodeValue,
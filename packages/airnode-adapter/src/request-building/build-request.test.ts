@@ -7,6 +7,7 @@ describe('buildingRequest', () => {
     const res = build.buildRequest(options);
     expect(res).toEqual({
       baseUrl: 'http://localhost:5000',
+      fallbackBaseUrls: [],
       data: {
         access_key: 'super-secret-key',
         amount: '1',
@@ -19,6 +20,38 @@ describe('buildingRequest', () => {
     });
   });
 
+  it('uses the other servers as fallbacks', () => {
+    const ois = fixtures.buildOIS();
+    const servers = [
+      { url: 'http://localhost:5000' },
+      { url: 'http://localhost:5001' },
+      { url: 'http://localhost:5002' },
+    ];
+    const options = fixtures.buildRequestOptions({
+      ois: { ...ois, apiSpecifications: { ...ois.apiSpecifications, servers } },
+    });
+    const res = build.buildRequest(options);
+    expect(res.baseUrl).toEqual('http://localhost:5000');
+    expect(res.fallbackBaseUrls).toEqual(['http://localhost:5001', 'http://localhost:5002']);
+  });
+
+  it('builds the request of an operation with a method other than GET and POST', () => {
+    const ois = fixtures.buildOIS();
+    const options = fixtures.buildRequestOptions({
+      ois: {
+        ...ois,
+        apiSpecifications: {
+          ...ois.apiSpecifications,
+          paths: { '/convert': { put: ois.apiSpecifications.paths['/convert'].get! } },
+        },
+        endpoints: [{ ...ois.endpoints[0], operation: { method: 'put', path: '/convert' } }],
+      },
+    });
+    const res = build.buildRequest(options);
+    expect(res.method).toEqual('put');
+    expect(res.data).toEqual({ access_key: 'super-secret-key', amount: '1', from: 'ETH', to: 'USD' });
+  });
+
   it('throws an error if the endpoint cannot be found', () => {
     const ois = fixtures.buildOIS({ endpoints: [] });
     const options = fixtures.buildRequestOptions({ ois });
@@ -1,3 +1,4 @@
+import { signRequestWithOptions } from './hmac';
 import { buildParameters } from './parameters';
 import { parsePathWithParameters } from './path-parser';
 import { BuildRequestOptions, CachedBuildRequestOptions, Request } from '../types';
@@ -21,17 +22,21 @@ export function buildRequest(options: BuildRequestOptions): Request {
   const cachedOptions = cacheRequestOptions(options);
   const { endpoint } = cachedOptions;
 
-  // A single base URL should always exist at the API level
+  // At least one base URL should always exist at the API level and the others are used as fallbacks
   // Different base URLs are not supported at the operation level
-  const baseUrl = ois.apiSpecifications.servers[0].url;
+  const [baseUrl, ...fallbackBaseUrls] = ois.apiSpecifications.servers.map((server) => server.url);
   const parameters = buildParameters(cachedOptions);
   const path = parsePathWithParameters(endpoint.operation!.path, parameters.paths);
 
-  return {
+  const request: Request = {
     baseUrl,
+    fallbackBaseUrls,
     path,
     method: endpoint.operation!.method,
     headers: parameters.headers,
     data: parameters.query,
   };
+
+  // The request is signed last, as the signature covers the final request
+  return signRequestWithOptions(request, options);
 }
@@ -1,7 +1,7 @@
 const responseMock = jest.fn();
-jest.mock('axios', () => responseMock);
+jest.mock('axios', () => Object.assign(responseMock, { isAxiosError: jest.requireActual('axios').isAxiosError }));
 
-import axios from 'axios';
+import axios, { AxiosError, AxiosResponse } from 'axios';
 import * as execution from './execution';
 import { Request } from '../types';
 import * as fixtures from '../../test/fixtures';
@@ -17,11 +17,12 @@ describe('executeRequest', () => {
       path: '/convert',
     };
     const res = await execution.executeRequest(request);
-    expect(res).toEqual({ value: '10000' });
+    expect(res).toEqual({ value: '10000', apiServerUrl: 'http://localhost:5000' });
     expect(axios).toHaveBeenCalledTimes(1);
     expect(axios).toHaveBeenCalledWith({
       url: 'http://localhost:5000/convert',
       method: 'get',
+      responseType: 'text',
       headers: { api_key: 'supersecret' },
       params: { from: 'ETH', to: 'USD' },
     });
@@ -37,11 +38,12 @@ describe('executeRequest', () => {
       path: '/convert',
     };
     const res = await execution.executeRequest(request, { timeout: 12_999 });
-    expect(res).toEqual({ value: '10000' });
+    expect(res).toEqual({ value: '10000', apiServerUrl: 'http://localhost:5000' });
     expect(axios).toHaveBeenCalledTimes(1);
     expect(axios).toHaveBeenCalledWith({
       url: 'http://localhost:5000/convert',
       method: 'get',
+      responseType: 'text',
       headers: { api_key: 'supersecret' },
       params: { from: 'ETH', to: 'USD' },
       timeout: 12_999,
@@ -58,11 +60,12 @@ describe('executeRequest', () => {
       path: '/convert',
     };
     const res = await execution.executeRequest(request);
-    expect(res).toEqual({ value: '10000' });
+    expect(res).toEqual({ value: '10000', apiServerUrl: 'http://localhost:5000' });
     expect(axios).toHaveBeenCalledTimes(1);
     expect(axios).toHaveBeenCalledWith({
       url: 'http://localhost:5000/convert',
       method: 'post',
+      responseType: 'text',
       headers: { api_key: 'supersecret' },
       data: { from: 'ETH', to: 'USD' },
     });
@@ -78,16 +81,162 @@ describe('executeRequest', () => {
       path: '/convert',
     };
     const res = await execution.executeRequest(request, { timeout: 12_999 });
-    expect(res).toEqual({ value: '10000' });
+    expect(res).toEqual({ value: '10000', apiServerUrl: 'http://localhost:5000' });
     expect(axios).toHaveBeenCalledTimes(1);
     expect(axios).toHaveBeenCalledWith({
       url: 'http://localhost:5000/convert',
       method: 'post',
+      responseType: 'text',
       headers: { api_key: 'supersecret' },
       data: { from: 'ETH', to: 'USD' },
       timeout: 12_999,
     });
   });
+
+  it.each(['put', 'patch'] as const)('executes %s requests with the parameters in the body', async (method) => {
+    responseMock.mockResolvedValueOnce({ value: '10000' });
+    const request: Request = {
+      baseUrl: 'http://localhost:5000',
+      data: { from: 'ETH', to: 'USD' },
+      headers: {},
+      method,
+      path: '/quote',
+    };
+    const res = await execution.executeRequest(request);
+    expect(res).toEqual({ value: '10000', apiServerUrl: 'http://localhost:5000' });
+    expect(axios).toHaveBeenCalledWith({
+      url: 'http://localhost:5000/quote',
+      method,
+      responseType: 'text',
+      headers: {},
+      data: { from: 'ETH', to: 'USD' },
+    });
+  });
+
+  it('executes DELETE requests with the parameters in the query string', async () => {
+    responseMock.mockResolvedValueOnce({ value: '10000' });
+    const request: Request = {
+      baseUrl: 'http://localhost:5000',
+      data: { id: '1' },
+      headers: {},
+      method: 'delete',
+      path: '/simulation',
+    };
+    const res = await execution.executeRequest(request);
+    expect(res).toEqual({ value: '10000', apiServerUrl: 'http://localhost:5000' });
+    expect(axios).toHaveBeenCalledWith({
+      url: 'http://localhost:5000/simulation',
+      method: 'delete',
+      responseType: 'text',
+      headers: {},
+      params: { id: '1' },
+    });
+  });
+});
+
+describe('executeRequest with fallback servers', () => {
+  const { AxiosError: ActualAxiosError } = jest.requireActual('axios');
+  const buildServerError = (status: number): AxiosError =>
+    new ActualAxiosError('Request failed', 'ERR_BAD_RESPONSE', undefined, {}, { status } as AxiosResponse);
+  const noResponseError: AxiosError = new ActualAxiosError('timeout exceeded', 'ECONNABORTED', undefined, {});
+
+  const request: Request = {
+    baseUrl: 'http://localhost:5000',
+    fallbackBaseUrls: ['http://localhost:5001', 'http://localhost:5002'],
+    data: { from: 'ETH', to: 'USD' },
+    headers: {},
+    method: 'get',
+    path: '/convert',
+  };
+  const calledUrls = () => responseMock.mock.calls.map((call) => call[0].url);
+
+  it('fails over to the next server if a server is unavailable', async () => {
+    responseMock.mockRejectedValueOnce(noResponseError);
+    responseMock.mockRejectedValueOnce(buildServerError(503));
+    responseMock.mockResolvedValueOnce({ value: '10000' });
+
+    const res = await execution.executeRequest(request);
+
+    expect(res).toEqual({ value: '10000', apiServerUrl: 'http://localhost:5002' });
+    expect(calledUrls()).toEqual([
+      'http://localhost:5000/convert',
+      'http://localhost:5001/convert',
+      'http://localhost:5002/convert',
+    ]);
+  });
+
+  it('does not fail over if the server rejects the request', async () => {
+    const error = buildServerError(404);
+    responseMock.mockRejectedValueOnce(error);
+
+    await expect(execution.executeRequest(request)).rejects.toBe(error);
+    expect(calledUrls()).toEqual(['http://localhost:5000/convert']);
+  });
+
+  it('throws the error of the last server if all servers are unavailable', async () => {
+    const error = buildServerError(502);
+    responseMock.mockRejectedValueOnce(noResponseError);
+    responseMock.mockRejectedValueOnce(noResponseError);
+    responseMock.mockRejectedValueOnce(error);
+
+    await expect(execution.executeRequest(request, { serverSelection: 'fallback' })).rejects.toBe(error);
+    expect(responseMock).toHaveBeenCalledTimes(3);
+  });
+
+  it('shares what remains of the timeout between the fallback servers', async () => {
+    jest.spyOn(Date, 'now').mockReturnValueOnce(0).mockReturnValueOnce(4_000).mockReturnValueOnce(4_000);
+    responseMock.mockRejectedValueOnce(noResponseError);
+    responseMock.mockResolvedValueOnce({ value: '10000' });
+
+    await execution.executeRequest(request, { timeout: 10_000 });
+
+    expect(responseMock.mock.calls.map((call) => call[0].timeout)).toEqual([10_000, 6_000]);
+    jest.spyOn(Date, 'now').mockRestore();
+  });
+
+  it('does not fail over if no time remains of the timeout', async () => {
+    jest.spyOn(Date, 'now').mockReturnValueOnce(0).mockReturnValueOnce(10_000);
+    responseMock.mockRejectedValueOnce(noResponseError);
+
+    await expect(execution.executeRequest(request, { timeout: 10_000 })).rejects.toBe(noResponseError);
+    expect(calledUrls()).toEqual(['http://localhost:5000/convert']);
+    jest.spyOn(Date, 'now').mockRestore();
+  });
+
+  it('uses the first successful response if the fastest server is selected', async () => {
+    responseMock.mockRejectedValueOnce(noResponseError);
+    responseMock.mockImplementationOnce(
+      () => new Promise((resolve) => setTimeout(() => resolve({ value: '10001' }), 20))
+    );
+    responseMock.mockResolvedValueOnce({ value: '10002' });
+
+    const res = await execution.executeRequest(request, { serverSelection: 'fastest' });
+
+    expect(res).toEqual({ value: '10002', apiServerUrl: 'http://localhost:5002' });
+    expect(responseMock).toHaveBeenCalledTimes(3);
+    // The request to the slower server is aborted
+    const signals: AbortSignal[] = responseMock.mock.calls.map((call) => call[0].signal);
+    expect(signals.every((signal) => signal.aborted)).toEqual(true);
+  });
+
+  it('falls back to the other servers one by one for the requests other than GET', async () => {
+    responseMock.mockRejectedValueOnce(noResponseError);
+    responseMock.mockResolvedValueOnce({ value: '10001' });
+
+    const res = await execution.executeRequest({ ...request, method: 'post' }, { serverSelection: 'fastest' });
+
+    expect(res).toEqual({ value: '10001', apiServerUrl: 'http://localhost:5001' });
+    expect(calledUrls()).toEqual(['http://localhost:5000/convert', 'http://localhost:5001/convert']);
+  });
+
+  it('throws the error of the primary server if no server responds successfully', async () => {
+    const error = buildServerError(500);
+    responseMock.mockRejectedValueOnce(error);
+    responseMock.mockRejectedValueOnce(noResponseError);
+    responseMock.mockRejectedValueOnce(noResponseError);
+
+    await expect(execution.executeRequest(request, { serverSelection: 'fastest' })).rejects.toBe(error);
+  });
 });
 
 describe('buildAndExecuteRequest', () => {
@@ -95,11 +244,12 @@ describe('buildAndExecuteRequest', () => {
     responseMock.mockResolvedValueOnce({ value: '10000' });
     const options = fixtures.buildRequestOptions();
     const res = await execution.buildAndExecuteRequest(options);
-    expect(res).toEqual({ value: '10000' });
+    expect(res).toEqual({ value: '10000', apiServerUrl: 'http://localhost:5000' });
     expect(axios).toHaveBeenCalledTimes(1);
     expect(axios).toHaveBeenCalledWith({
       url: 'http://localhost:5000/convert',
       method: 'get',
+      responseType: 'text',
       headers: {},
       params: {
         access_key: 'super-secret-key',
@@ -114,11 +264,12 @@ describe('buildAndExecuteRequest', () => {
     responseMock.mockResolvedValueOnce({ value: '7777' });
     const options = fixtures.buildRequestOptions();
     const res = await execution.buildAndExecuteRequest(options, { timeout: 3500 });
-    expect(res).toEqual({ value: '7777' });
+    expect(res).toEqual({ value: '7777', apiServerUrl: 'http://localhost:5000' });
     expect(axios).toHaveBeenCalledTimes(1);
     expect(axios).toHaveBeenCalledWith({
       url: 'http://localhost:5000/convert',
       method: 'get',
+      responseType: 'text',
       headers: {},
       params: {
         access_key: 'super-secret-key',
@@ -1,15 +1,90 @@
+import axios from 'axios';
+import isEmpty from 'lodash/isEmpty';
 import { buildRequest } from './build-request';
 import * as http from '../clients/http';
-import { BuildRequestOptions, Config, Request } from '../types';
+import { BuildRequestOptions, Config, ExecutedRequestResponse, Request } from '../types';
 
-export function executeRequest(request: Request, config?: Config) {
+function executeRequestOnServer(request: Request, baseUrl: string, config?: Config) {
+  const serverRequest = { ...request, baseUrl };
   switch (request.method) {
     case 'get':
-      return http.get(request, config);
+      return http.get(serverRequest, config);
 
     case 'post':
-      return http.post(request, config);
+      return http.post(serverRequest, config);
+
+    case 'put':
+      return http.put(serverRequest, config);
+
+    case 'patch':
+      return http.patch(serverRequest, config);
+
+    case 'delete':
+      return http.del(serverRequest, config);
+  }
+}
+
+// A server is unavailable if it did not respond in time or responded with a server error. Other errors are not
+// expected to change by calling another server.
+export function isServerUnavailable(error: unknown) {
+  // eslint-disable-next-line import/no-named-as-default-member
+  if (!axios.isAxiosError(error)) return false;
+  if (error.response) return error.response.status >= 500;
+  return !!error.request;
+}
+
+// The primary server gets the whole timeout of the request, while the fallback servers share what remains of it
+async function executeRequestWithFallbacks(
+  request: Request,
+  baseUrls: string[],
+  config?: Config
+): Promise<ExecutedRequestResponse> {
+  const [baseUrl, ...fallbackBaseUrls] = baseUrls;
+  const startedAt = Date.now();
+  try {
+    const response = await executeRequestOnServer(request, baseUrl, config);
+    return { ...response, apiServerUrl: baseUrl };
+  } catch (e) {
+    if (isEmpty(fallbackBaseUrls) || !isServerUnavailable(e)) throw e;
+    if (config?.timeout === undefined) return executeRequestWithFallbacks(request, fallbackBaseUrls, config);
+
+    const remainingTimeout = config.timeout - (Date.now() - startedAt);
+    // An axios timeout of zero means no timeout, so the fallback servers are called only if there is time left
+    if (remainingTimeout <= 0) throw e;
+    return executeRequestWithFallbacks(request, fallbackBaseUrls, { ...config, timeout: remainingTimeout });
+  }
+}
+
+// The requests to the other servers are aborted once a server responds successfully
+async function executeRequestOnFastestServer(
+  request: Request,
+  baseUrls: string[],
+  config?: Config
+): Promise<ExecutedRequestResponse> {
+  const abortController = new AbortController();
+  const calls = baseUrls.map(async (baseUrl) => {
+    const response = await executeRequestOnServer(request, baseUrl, { ...config, signal: abortController.signal });
+    return { ...response, apiServerUrl: baseUrl };
+  });
+
+  try {
+    return await Promise.any(calls);
+  } catch (e) {
+    // All servers failed, in which case the error of the primary server is the most relevant one
+    throw (e as AggregateError).errors[0];
+  } finally {
+    abortController.abort();
+  }
+}
+
+export function executeRequest(request: Request, config?: Config) {
+  const baseUrls = [request.baseUrl, ...(request.fallbackBaseUrls ?? [])];
+
+  // Only the GET requests are sent to all servers, as the other requests may change the state of the API
+  if (config?.serverSelection === 'fastest' && request.method === 'get') {
+    return executeRequestOnFastestServer(request, baseUrls, config);
   }
+  return executeRequestWithFallbacks(request, baseUrls, config);
 }
 
 export function buildAndExecuteRequest(options: BuildRequestOptions, config?: Config) {
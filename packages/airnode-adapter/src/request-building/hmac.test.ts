@@ -0,0 +1,133 @@
+import { createHmac } from 'crypto';
+import { buildCanonicalString, signRequest, signRequestWithOptions } from './hmac';
+import { buildRequest } from './build-request';
+import * as fixtures from '../../test/fixtures';
+import { HmacSecurityScheme, Request } from '../types';
+
+const hmacSecurityScheme: HmacSecurityScheme = {
+  securitySchemeName: 'exchangeSigning',
+  canonicalString: '{timestamp}{method}{path}{query}{body}',
+  algorithm: 'sha256',
+  encoding: 'hex',
+  signatureHeader: 'X-Signature',
+  timestampHeader: 'X-Timestamp',
+};
+const secret = 'supersecret';
+const now = () => 1_700_000_000_123;
+const hmac = (canonicalString: string) => createHmac('sha256', secret).update(canonicalString).digest('hex');
+
+describe('buildCanonicalString', () => {
+  it('replaces all placeholders of the template', () => {
+    const values = { timestamp: '1', method: 'GET', path: '/ticker', query: 'symbol=ETH', body: '' };
+    expect(buildCanonicalString('{timestamp}\n{method}\n{path}\n{query}\n{body}\n{timestamp}', values)).toEqual(
+      '1\nGET\n/ticker\nsymbol=ETH\n\n1'
+    );
+  });
+});
+
+describe('signRequest', () => {
+  it('signs the query string of GET requests and moves it to the path', () => {
+    const request: Request = {
+      baseUrl: 'https://api.exchange.com',
+      path: '/ticker',
+      method: 'get',
+      headers: { Accept: 'application/json' },
+      data: { symbol: 'ETH USD', depth: '5' },
+    };
+
+    const signedRequest = signRequest(request, hmacSecurityScheme, secret, now);
+
+    expect(signedRequest).toEqual({
+      baseUrl: 'https://api.exchange.com',
+      path: '/ticker?symbol=ETH+USD&depth=5',
+      method: 'get',
+      headers: {
+        Accept: 'application/json',
+        'X-Signature': hmac('1700000000123GET/tickersymbol=ETH+USD&depth=5'),
+        'X-Timestamp': '1700000000123',
+      },
+      data: {},
+    });
+  });
+
+  it('signs the encoded body of POST requests', () => {
+    const request: Request = {
+      baseUrl: 'https://api.exchange.com',
+      path: '/order',
+      method: 'post',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      data: { symbol: 'ETH', quantity: '1' },
+    };
+
+    const signedRequest = signRequest(
+      request,
+      { ...hmacSecurityScheme, encoding: 'base64', timestampFormat: 'seconds', timestampHeader: undefined },
+      secret,
+      now
+    );
+
+    expect(signedRequest.data).toEqual(request.data);
+    expect(signedRequest.headers).toEqual({
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'X-Signature': createHmac('sha256', secret).update('1700000000POST/ordersymbol=ETH&quantity=1').digest('base64'),
+    });
+  });
+
+  it('signs the JSON body of requests without a content type', () => {
+    const request: Request = {
+      baseUrl: 'https://api.exchange.com',
+      path: '/quote',
+      method: 'put',
+      headers: {},
+      data: { symbol: 'ETH' },
+    };
+
+    const signedRequest = signRequest(request, hmacSecurityScheme, secret, now);
+
+    expect(signedRequest.headers['X-Signature']).toEqual(hmac('1700000000123PUT/quote{"symbol":"ETH"}'));
+  });
+
+  it('throws if the body is multipart', () => {
+    const request: Request = {
+      baseUrl: 'https://api.exchange.com',
+      path: '/quote',
+      method: 'post',
+      headers: { 'Content-Type': 'multipart/form-data' },
+      data: { symbol: 'ETH' },
+    };
+
+    expect(() => signRequest(request, hmacSecurityScheme, secret, now)).toThrow(
+      new Error('Multipart request bodies cannot be signed')
+    );
+  });
+});
+
+describe('signRequestWithOptions', () => {
+  it('signs the built request with the secret from the API credentials', () => {
+    const apiCredentials = [
+      ...fixtures.buildCredentials(),
+      { securitySchemeName: 'exchangeSigning', securitySchemeValue: secret },
+    ];
+    const options = fixtures.buildRequestOptions({ apiCredentials, hmacSecurityScheme });
+
+    const request = buildRequest(options);
+
+    expect(request.path).toEqual('/convert?from=ETH&amount=1&to=USD&access_key=super-secret-key');
+    expect(request.headers['X-Signature']).toMatch(/^[0-9a-f]{64}$/);
+    expect(request.headers['X-Timestamp']).toMatch(/^\d+$/);
+  });
+
+  it('throws if there are no API credentials for the security scheme', () => {
+    const options = fixtures.buildRequestOptions({ hmacSecurityScheme });
+    const request = buildRequest(fixtures.buildRequestOptions());
+
+    expect(() => signRequestWithOptions(request, options)).toThrow(
+      new Error("No API credentials for HMAC security scheme: 'exchangeSigning'")
+    );
+  });
+
+  it('does not change the request without an HMAC security scheme', () => {
+    const request = buildRequest(fixtures.buildRequestOptions());
+    expect(signRequestWithOptions(request, fixtures.buildRequestOptions())).toBe(request);
+  });
+});
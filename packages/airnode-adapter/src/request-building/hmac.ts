@@ -0,0 +1,75 @@
+import { createHmac } from 'crypto';
+import find from 'lodash/find';
+import { encodeBody } from '../clients/body';
+import { BuildRequestOptions, HmacSecurityScheme, Request } from '../types';
+
+export const HMAC_CANONICAL_STRING_PLACEHOLDERS = ['timestamp', 'method', 'path', 'query', 'body'] as const;
+
+export type HmacCanonicalStringValues = Record<(typeof HMAC_CANONICAL_STRING_PLACEHOLDERS)[number], string>;
+
+export function buildCanonicalString(template: string, values: HmacCanonicalStringValues) {
+  return HMAC_CANONICAL_STRING_PLACEHOLDERS.reduce(
+    (canonicalString, placeholder) => canonicalString.split(`{${placeholder}}`).join(values[placeholder]),
+    template
+  );
+}
+
+function getSignedBody(request: Request) {
+  const body = encodeBody(request);
+  if (typeof body === 'string') return body;
+  if (body instanceof FormData) throw new Error('Multipart request bodies cannot be signed');
+  return JSON.stringify(body);
+}
+
+/**
+ * Signs the request with the HMAC security scheme. The query string of a GET or DELETE request is moved to the path,
+ * so that the request is sent with exactly the query string that is signed.
+ */
+export function signRequest(
+  request: Request,
+  hmacSecurityScheme: HmacSecurityScheme,
+  secret: string,
+  now = Date.now
+): Request {
+  const { canonicalString, algorithm, encoding, signatureHeader, timestampHeader, timestampFormat } =
+    hmacSecurityScheme;
+  const timestamp = (timestampFormat === 'seconds' ? Math.floor(now() / 1_000) : now()).toString();
+
+  const hasBody = ['post', 'put', 'patch'].includes(request.method);
+  const query = hasBody ? '' : new URLSearchParams(request.data).toString();
+  const signedRequest: Request = hasBody
+    ? request
+    : { ...request, path: query ? `${request.path}?${query}` : request.path, data: {} };
+
+  const values: HmacCanonicalStringValues = {
+    timestamp,
+    method: request.method.toUpperCase(),
+    path: request.path,
+    query,
+    body: hasBody ? getSignedBody(request) : '',
+  };
+  const signature = createHmac(algorithm, secret)
+    .update(buildCanonicalString(canonicalString, values))
+    .digest(encoding);
+
+  return {
+    ...signedRequest,
+    headers: {
+      ...signedRequest.headers,
+      [signatureHeader]: signature,
+      ...(timestampHeader ? { [timestampHeader]: timestamp } : {}),
+    },
+  };
+}
+
+export function signRequestWithOptions(request: Request, options: BuildRequestOptions): Request {
+  const { hmacSecurityScheme } = options;
+  if (!hmacSecurityScheme) return request;
+
+  const credentials = find(options.apiCredentials, ['securitySchemeName', hmacSecurityScheme.securitySchemeName]);
+  if (!credentials) {
+    throw new Error(`No API credentials for HMAC security scheme: '${hmacSecurityScheme.securitySchemeName}'`);
+  }
+
+  return signRequest(request, hmacSecurityScheme, credentials.securitySchemeValue);
+}
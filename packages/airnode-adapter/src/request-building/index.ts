@@ -1,5 +1,7 @@
 export * from './build-request';
 export * from './cookies';
 export * from './execution';
+export * from './hmac';
+export * from './oauth2';
 export * from './parameters';
 export * from './path-parser';
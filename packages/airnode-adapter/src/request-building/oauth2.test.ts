@@ -0,0 +1,54 @@
+const responseMock = jest.fn();
+jest.mock('axios', () => responseMock);
+
+import axios from 'axios';
+import { DEFAULT_OAUTH2_TOKEN_LIFETIME_SECONDS, fetchOAuth2Token } from './oauth2';
+import { OAuth2ClientCredentials } from '../types';
+
+const credentials: OAuth2ClientCredentials = {
+  tokenUrl: 'https://auth.example.com/oauth/token',
+  clientId: 'client-id',
+  clientSecret: 'client-secret',
+  scope: 'prices',
+};
+const now = () => 1_000_000;
+
+describe('fetchOAuth2Token', () => {
+  it('requests a token with the client credentials grant', async () => {
+    responseMock.mockResolvedValueOnce({ data: { access_token: 'token', token_type: 'Bearer', expires_in: 3600 } });
+
+    const token = await fetchOAuth2Token(credentials, { timeout: 5_000 }, now);
+
+    expect(token).toEqual({ accessToken: 'token', expiresAt: 1_000_000 + 3_600_000 });
+    expect(axios).toHaveBeenCalledWith({
+      url: 'https://auth.example.com/oauth/token',
+      method: 'post',
+      headers: {
+        Authorization: `Basic ${Buffer.from('client-id:client-secret').toString('base64')}`,
+        'Content-Type': 'application/x-www-form-urlencoded',
+      },
+      data: 'grant_type=client_credentials&scope=prices',
+      timeout: 5_000,
+    });
+  });
+
+  it('uses the default lifetime if the token response does not specify it', async () => {
+    responseMock.mockResolvedValueOnce({ data: { access_token: 'token' } });
+
+    const token = await fetchOAuth2Token({ ...credentials, scope: undefined }, undefined, now);
+
+    expect(token).toEqual({
+      accessToken: 'token',
+      expiresAt: 1_000_000 + DEFAULT_OAUTH2_TOKEN_LIFETIME_SECONDS * 1_000,
+    });
+    expect(responseMock.mock.calls[0][0].data).toEqual('grant_type=client_credentials');
+  });
+
+  it('throws if the token response does not contain an access token', async () => {
+    responseMock.mockResolvedValueOnce({ data: { error: 'invalid_client' } });
+
+    await expect(fetchOAuth2Token(credentials)).rejects.toThrow(
+      new Error('OAuth2 token response of https://auth.example.com/oauth/token does not contain an access token')
+    );
+  });
+});
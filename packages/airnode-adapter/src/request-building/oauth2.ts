@@ -0,0 +1,37 @@
+import * as http from '../clients/http';
+import { Config, OAuth2ClientCredentials, OAuth2Token } from '../types';
+
+// Used if the token response does not specify the lifetime of the token
+export const DEFAULT_OAUTH2_TOKEN_LIFETIME_SECONDS = 60;
+
+/**
+ * Requests an access token from the token URL using the OAuth2 client credentials grant. The client credentials are
+ * sent with HTTP basic authentication, as recommended by RFC 6749.
+ */
+export async function fetchOAuth2Token(
+  credentials: OAuth2ClientCredentials,
+  config?: Config,
+  now = Date.now
+): Promise<OAuth2Token> {
+  const { tokenUrl, clientId, clientSecret, scope } = credentials;
+  const encodedCredentials = Buffer.from(`${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`);
+
+  const response = await http.execute({
+    url: tokenUrl,
+    method: 'post',
+    headers: {
+      Authorization: `Basic ${encodedCredentials.toString('base64')}`,
+      'Content-Type': 'application/x-www-form-urlencoded',
+    },
+    data: new URLSearchParams({ grant_type: 'client_credentials', ...(scope ? { scope } : {}) }).toString(),
+    timeout: config?.timeout,
+  });
+
+  const { access_token: accessToken, expires_in: expiresIn } = response.data ?? {};
+  if (typeof accessToken !== 'string') {
+    throw new Error(`OAuth2 token response of ${tokenUrl} does not contain an access token`);
+  }
+  const lifetimeSeconds = typeof expiresIn === 'number' ? expiresIn : DEFAULT_OAUTH2_TOKEN_LIFETIME_SECONDS;
+
+  return { accessToken, expiresAt: now() + lifetimeSeconds * 1_000 };
+}
@@ -1,4 +1,10 @@
-import { parseArrayType, applyToArrayRecursively } from './array-type';
+import {
+  parseArrayType,
+  applyToArrayRecursively,
+  parseIntegerType,
+  parseFixedBytesType,
+  isNumericType,
+} from './array-type';
 
 it('parses array type correctly', () => {
   expect(parseArrayType('uint256[]')).toEqual({ dimensions: 1, baseType: 'uint256' });
@@ -8,6 +14,9 @@ it('parses array type correctly', () => {
   expect(parseArrayType('uint256[-1]')).toEqual(null);
   expect(parseArrayType('uint256[0]')).toEqual(null);
 
+  expect(parseArrayType('int224[2]')).toEqual({ dimensions: 1, baseType: 'int224' });
+  expect(parseArrayType('bytes4[]')).toEqual({ dimensions: 1, baseType: 'bytes4' });
+
   expect(parseArrayType('unit256[]')).toEqual(null);
   expect(parseArrayType('uint256')).toEqual(null);
 });
@@ -17,3 +26,26 @@ it('applyToArrayRecursively works', () => {
     applyToArrayRecursively([1, 2, 3, 4, 5], { baseType: 'int256', dimensions: 1 }, (value) => (value as number) % 2)
   ).toEqual([1, 0, 1, 0, 1]);
 });
+
+it('parses integer types correctly', () => {
+  expect(parseIntegerType('uint8')).toEqual({ signed: false, bits: 8 });
+  expect(parseIntegerType('int224')).toEqual({ signed: true, bits: 224 });
+  expect(parseIntegerType('uint256')).toEqual({ signed: false, bits: 256 });
+
+  expect(parseIntegerType('uint')).toEqual(null);
+  expect(parseIntegerType('uint12')).toEqual(null);
+  expect(parseIntegerType('int264')).toEqual(null);
+  expect(parseIntegerType('bytes8')).toEqual(null);
+
+  expect(isNumericType('uint64')).toEqual(true);
+  expect(isNumericType('bytes32')).toEqual(false);
+});
+
+it('parses fixed size bytes types correctly', () => {
+  expect(parseFixedBytesType('bytes1')).toEqual(1);
+  expect(parseFixedBytesType('bytes32')).toEqual(32);
+
+  expect(parseFixedBytesType('bytes')).toEqual(null);
+  expect(parseFixedBytesType('bytes0')).toEqual(null);
+  expect(parseFixedBytesType('bytes33')).toEqual(null);
+});
@@ -1,9 +1,42 @@
 import { baseResponseTypes } from '../constants';
 import { ResponseType, BaseResponseType } from '../types';
 
+export interface ParsedIntegerType {
+  readonly signed: boolean;
+  readonly bits: number;
+}
+
+// Integer types are "uintN" and "intN", where N is a multiple of 8 up to 256
+export function parseIntegerType(type: ResponseType): ParsedIntegerType | null {
+  const match = type.match(/^(u?)int(\d+)$/);
+  if (!match) return null;
+
+  const bits = Number.parseInt(match[2], 10);
+  if (bits < 8 || bits > 256 || bits % 8 !== 0) return null;
+
+  return { signed: match[1] === '', bits };
+}
+
+// Fixed size bytes types are "bytes1" to "bytes32"
+export function parseFixedBytesType(type: ResponseType): number | null {
+  const match = type.match(/^bytes(\d+)$/);
+  if (!match) return null;
+
+  const size = Number.parseInt(match[1], 10);
+  if (size < 1 || size > 32) return null;
+
+  return size;
+}
+
+export function isBaseResponseType(type: ResponseType): type is BaseResponseType {
+  return (
+    baseResponseTypes.includes(type as any) || parseIntegerType(type) !== null || parseFixedBytesType(type) !== null
+  );
+}
+
 // Numeric types could be multiplied by the "_times" reserved parameter
-export function isNumericType(type: ResponseType): type is 'uint256' | 'int256' {
-  return type === 'int256' || type === 'uint256';
+export function isNumericType(type: ResponseType): type is `uint${number}` | `int${number}` {
+  return parseIntegerType(type) !== null;
 }
 
 export interface ParsedArrayType {
@@ -15,7 +48,7 @@ export function parseArrayType(type: ResponseType): ParsedArrayType | null {
   if (!type.includes('[')) return null;
 
   const typeMatch = type.match(/^([^\[]+)(.*)$/);
-  if (!typeMatch || !baseResponseTypes.includes(typeMatch[1] as any)) return null;
+  if (!typeMatch || !isBaseResponseType(typeMatch[1])) return null;
   const baseType = typeMatch[1] as BaseResponseType;
 
   let dimensionsString = typeMatch[2];
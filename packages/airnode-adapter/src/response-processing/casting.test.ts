@@ -1,6 +1,14 @@
 import { BigNumber } from 'bignumber.js';
 import { ethers } from 'ethers';
-import { castValue, multiplyValue, bigNumberToString, floorStringifiedNumber } from './casting';
+import {
+  castValue,
+  checkIntegerRange,
+  multiplyValue,
+  bigNumberToString,
+  floorStringifiedNumber,
+  parseDecimals,
+  parseRoundingMode,
+} from './casting';
 
 describe('castValue', () => {
   describe('casting boolean values', () => {
@@ -160,16 +168,56 @@ describe('castValue', () => {
 
         expect(() => castValue('0x123', type)).toThrow('Unable to cast value to bytes');
       });
+    });
+  });
 
-      it('casts valid bytes string', () => {
-        const exampleString = 'this is an example string that is a bit longer';
-        const bytesString = ethers.utils.hexlify(ethers.utils.toUtf8Bytes(exampleString));
-        expect(bytesString).toBe(
-          '0x7468697320697320616e206578616d706c6520737472696e672074686174206973206120626974206c6f6e676572'
-        );
+  it('casts valid bytes string', () => {
+    const exampleString = 'this is an example string that is a bit longer';
+    const bytesString = ethers.utils.hexlify(ethers.utils.toUtf8Bytes(exampleString));
+    expect(bytesString).toBe(
+      '0x7468697320697320616e206578616d706c6520737472696e672074686174206973206120626974206c6f6e676572'
+    );
 
-        expect(castValue(bytesString, type)).toBe(bytesString);
-      });
+    expect(castValue(bytesString, 'bytes')).toBe(bytesString);
+  });
+
+  describe('convert fixed size bytes values', () => {
+    it('casts the values of the declared size', () => {
+      const bytes32String = ethers.utils.formatBytes32String('example');
+      expect(castValue(bytes32String, 'bytes32')).toBe(bytes32String);
+      expect(castValue('0xa9059cbb', 'bytes4')).toBe('0xa9059cbb');
+      expect(castValue('0x01', 'bytes1')).toBe('0x01');
+    });
+
+    it('throws if the value does not have the declared size', () => {
+      const bytesString = ethers.utils.hexlify(
+        ethers.utils.toUtf8Bytes('this is an example string that is a bit longer')
+      );
+      expect(() => castValue(bytesString, 'bytes32')).toThrow(
+        new Error('Value is 46 bytes long, but bytes32 must be exactly 32 bytes long')
+      );
+      expect(() => castValue('0xa9059c', 'bytes4')).toThrow(
+        new Error('Value is 3 bytes long, but bytes4 must be exactly 4 bytes long')
+      );
+    });
+
+    it('throws on invalid sizes', () => {
+      expect(() => castValue('0x01', 'bytes0')).toThrow('Invalid type: bytes0');
+      expect(() => castValue('0x01', 'bytes33')).toThrow('Invalid type: bytes33');
+    });
+  });
+
+  describe('convert fixed width integer values', () => {
+    it('casts the values of all valid widths', () => {
+      expect(castValue('123.45', 'uint64')).toEqual(new BigNumber('123.45'));
+      expect(castValue('-123', 'int224')).toEqual(new BigNumber('-123'));
+      expect(castValue('1', 'uint8')).toEqual(new BigNumber('1'));
+    });
+
+    it('throws on invalid widths', () => {
+      expect(() => castValue('1', 'uint7')).toThrow('Invalid type: uint7');
+      expect(() => castValue('1', 'int0')).toThrow('Invalid type: int0');
+      expect(() => castValue('1', 'uint264')).toThrow('Invalid type: uint264');
     });
   });
 
@@ -265,6 +313,84 @@ describe('multiplyValue', () => {
     const res = multiplyValue('777.7777');
     expect(res).toEqual('777');
   });
+
+  it('truncates negative numbers toward zero by default', () => {
+    expect(multiplyValue('-777.7777')).toEqual('-777');
+  });
+
+  it('rounds the result with the rounding mode', () => {
+    const roundAll = (rounding: Parameters<typeof multiplyValue>[2]) =>
+      ['2.5', '-2.5', '3.5', '2.4'].map((value) => multiplyValue(value, undefined, rounding));
+
+    expect(roundAll('down')).toEqual(['2', '-2', '3', '2']);
+    expect(roundAll('up')).toEqual(['3', '-3', '4', '3']);
+    expect(roundAll('floor')).toEqual(['2', '-3', '3', '2']);
+    expect(roundAll('ceil')).toEqual(['3', '-2', '4', '3']);
+    expect(roundAll('half-up')).toEqual(['3', '-3', '4', '2']);
+    expect(roundAll('half-down')).toEqual(['2', '-2', '3', '2']);
+    expect(roundAll('half-even')).toEqual(['2', '-2', '4', '2']);
+  });
+
+  it('scales the result up by the decimals before rounding', () => {
+    expect(multiplyValue('777.7777', undefined, 'down', 2)).toEqual('77777');
+    expect(multiplyValue('777.7777', '2', 'half-up', 3)).toEqual('1555555');
+    expect(multiplyValue('1.5', undefined, 'down', 18)).toEqual('1500000000000000000');
+  });
+});
+
+describe('parseRoundingMode', () => {
+  it('defaults to rounding down', () => {
+    expect(parseRoundingMode(undefined)).toEqual('down');
+    expect(parseRoundingMode('')).toEqual('down');
+    expect(parseRoundingMode('half-even')).toEqual('half-even');
+  });
+
+  it('throws if the rounding mode is not supported', () => {
+    expect(() => parseRoundingMode('nearest')).toThrow(
+      new Error(
+        'Invalid rounding mode: nearest. The supported rounding modes are down, up, floor, ceil, half-up, half-down, half-even'
+      )
+    );
+  });
+});
+
+describe('parseDecimals', () => {
+  it('parses the decimals', () => {
+    expect(parseDecimals(undefined)).toEqual(0);
+    expect(parseDecimals('18')).toEqual(18);
+    expect(parseDecimals('77')).toEqual(77);
+  });
+
+  it('throws if the decimals are not an integer from 0 to 77', () => {
+    ['-1', '1.5', '1e3', 'abc', '78'].forEach((decimals) =>
+      expect(() => parseDecimals(decimals)).toThrow(
+        new Error(`Parameter "_decimals" must be an integer from 0 to 77, but it was "${decimals}"`)
+      )
+    );
+  });
+});
+
+describe('checkIntegerRange', () => {
+  it('returns the values within the range of the type', () => {
+    expect(checkIntegerRange('255', 'uint8')).toEqual('255');
+    expect(checkIntegerRange('0', 'uint8')).toEqual('0');
+    expect(checkIntegerRange('-128', 'int8')).toEqual('-128');
+    expect(checkIntegerRange('13479973333575319897333507543509815336818572211270286240551805124607', 'int224')).toEqual(
+      '13479973333575319897333507543509815336818572211270286240551805124607'
+    );
+  });
+
+  it('throws if the value overflows the type', () => {
+    expect(() => checkIntegerRange('256', 'uint8')).toThrow(
+      new Error('Value 256 overflows uint8, which must be between 0 and 255')
+    );
+    expect(() => checkIntegerRange('-1', 'uint64')).toThrow(
+      new Error('Value -1 overflows uint64, which must be between 0 and 18446744073709551615')
+    );
+    expect(() => checkIntegerRange('-129', 'int8')).toThrow(
+      new Error('Value -129 overflows int8, which must be between -128 and 127')
+    );
+  });
 });
 
 describe('bigNumberToString', () => {
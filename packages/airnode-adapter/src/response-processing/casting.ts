@@ -3,9 +3,16 @@ import isPlainObject from 'lodash/isPlainObject';
 import { BigNumber } from 'bignumber.js';
 import { ethers } from 'ethers';
 import { goSync } from '@api3/promise-utils';
-import { isNumericType, parseArrayType, applyToArrayRecursively } from './array-type';
-import { ResponseType, ValueType } from '../types';
-import { baseResponseTypes } from '../constants';
+import {
+  isBaseResponseType,
+  isNumericType,
+  parseArrayType,
+  parseFixedBytesType,
+  parseIntegerType,
+  applyToArrayRecursively,
+} from './array-type';
+import { ResponseType, RoundingMode, ValueType } from '../types';
+import { MAX_DECIMALS, roundingModes } from '../constants';
 
 interface SpecialNumber {
   readonly result: number;
@@ -79,6 +86,15 @@ function castBytesLike(value: unknown): string {
   return ethers.utils.hexlify(String(value));
 }
 
+function checkFixedBytesSize(bytesValue: string, size: number): string {
+  // Shorter values would be rejected by the encoder and longer ones truncated by the consumer
+  const valueSize = ethers.utils.hexDataLength(bytesValue);
+  if (valueSize !== size) {
+    throw new Error(`Value is ${valueSize} bytes long, but bytes${size} must be exactly ${size} bytes long`);
+  }
+  return bytesValue;
+}
+
 function castString32(value: unknown) {
   assertValueIsNotArrayOrObject(value);
 
@@ -92,7 +108,28 @@ function createTimestamp() {
 }
 
 function isValidType(type: ResponseType) {
-  return baseResponseTypes.includes(type as any) || parseArrayType(type) !== null;
+  return isBaseResponseType(type) || parseArrayType(type) !== null;
+}
+
+/**
+ * Checks that the integer fits the width of its type, e.g. 0 to 255 for uint8. Otherwise the value would either be
+ * rejected by the encoder or truncated by the consumer.
+ */
+export function checkIntegerRange(value: string, type: ResponseType): string {
+  const parsedIntegerType = parseIntegerType(type);
+  if (!parsedIntegerType) throw new Error(`Invalid integer type: ${type}`);
+
+  const { signed, bits } = parsedIntegerType;
+  const max = new BigNumber(2).pow(signed ? bits - 1 : bits).minus(1);
+  const min = signed ? max.plus(1).negated() : new BigNumber(0);
+  const bigNumberValue = new BigNumber(value);
+  if (bigNumberValue.lt(min) || bigNumberValue.gt(max)) {
+    throw new Error(
+      `Value ${value} overflows ${type}, which must be between ${bigNumberToString(min)} and ${bigNumberToString(max)}`
+    );
+  }
+
+  return value;
 }
 
 export function castValue(value: unknown, type: ResponseType): ValueType {
@@ -113,6 +150,15 @@ export function castValue(value: unknown, type: ResponseType): ValueType {
     return goApplyToArrayRecursively.data as ValueType;
   }
 
+  const fixedBytesSize = parseFixedBytesType(type);
+  if (fixedBytesSize) {
+    const goCast = goSync(() => castBytesLike(value));
+    if (!goCast.success) throw new Error(`Unable to cast value to ${type}`);
+
+    // The size is checked separately to surface the overflow error
+    return checkFixedBytesSize(goCast.data, fixedBytesSize);
+  }
+
   switch (type) {
     case 'bool': {
       const goCast = goSync(() => castBoolean(value));
@@ -120,12 +166,6 @@ export function castValue(value: unknown, type: ResponseType): ValueType {
 
       return goCast.data;
     }
-    case 'bytes32': {
-      const goCast = goSync(() => castBytesLike(value));
-      if (!goCast.success) throw new Error(`Unable to cast value to ${type}`);
-
-      return goCast.data;
-    }
     case 'string': {
       const goCast = goSync(() => castString(value));
       if (!goCast.success) throw new Error(`Unable to cast value to ${type}`);
@@ -162,14 +202,47 @@ export function castValue(value: unknown, type: ResponseType): ValueType {
   throw new Error('Conversion for the given type is not defined');
 }
 
-export function multiplyValue(value: string | BigNumber, times?: string | BigNumber): string {
-  if (!times) {
-    const stringifiedNumber = bigNumberToString(new BigNumber(value));
-    return floorStringifiedNumber(stringifiedNumber);
+const bigNumberRoundingModes: { readonly [mode in RoundingMode]: BigNumber.RoundingMode } = {
+  down: BigNumber.ROUND_DOWN,
+  up: BigNumber.ROUND_UP,
+  floor: BigNumber.ROUND_FLOOR,
+  ceil: BigNumber.ROUND_CEIL,
+  'half-up': BigNumber.ROUND_HALF_UP,
+  'half-down': BigNumber.ROUND_HALF_DOWN,
+  'half-even': BigNumber.ROUND_HALF_EVEN,
+};
+
+export function parseRoundingMode(rounding?: string): RoundingMode {
+  if (!rounding) return 'down';
+  if (!roundingModes.includes(rounding as any)) {
+    throw new Error(`Invalid rounding mode: ${rounding}. The supported rounding modes are ${roundingModes.join(', ')}`);
   }
-  const bigNumProduct = new BigNumber(value).times(new BigNumber(times));
-  const stringProduct = bigNumberToString(bigNumProduct);
-  return floorStringifiedNumber(stringProduct);
+
+  return rounding as RoundingMode;
+}
+
+export function parseDecimals(decimals?: string): number {
+  if (!decimals) return 0;
+
+  const parsedDecimals = Number(decimals);
+  if (!/^\d+$/.test(decimals) || parsedDecimals > MAX_DECIMALS) {
+    throw new Error(`Parameter "_decimals" must be an integer from 0 to ${MAX_DECIMALS}, but it was "${decimals}"`);
+  }
+  return parsedDecimals;
+}
+
+/**
+ * Multiplies the value by "times" and scales it up by the given number of decimals, after which the result is rounded
+ * to an integer. The result is truncated toward zero by default.
+ */
+export function multiplyValue(
+  value: string | BigNumber,
+  times?: string | BigNumber,
+  rounding: RoundingMode = 'down',
+  decimals = 0
+): string {
+  const product = new BigNumber(value).times(new BigNumber(times || 1)).shiftedBy(decimals);
+  return bigNumberToString(product.integerValue(bigNumberRoundingModes[rounding]));
 }
 
 export function bigNumberToString(value: BigNumber): string {
@@ -15,7 +15,8 @@ const artificialTypeToSolidityType: ArtificialTypeMapping = {
 export function getSolidityType(type: ResponseType) {
   return artificialTypes.reduce(
     (result, currentType) =>
-      result.replace(currentType, artificialTypeToSolidityType[currentType as keyof ArtificialTypeMapping]),
+      // The tuple types can contain the same artificial type multiple times
+      result.split(currentType).join(artificialTypeToSolidityType[currentType as keyof ArtificialTypeMapping]),
     type
   );
 }
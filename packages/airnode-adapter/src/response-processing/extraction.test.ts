@@ -65,6 +65,39 @@ describe('extractValue', () => {
     const obj = { a: 1 };
     expect(() => extractValue(obj, 'unknown')).toThrow(new Error(`Unable to find value at path: 'unknown'`));
   });
+
+  it('evaluates the JMESPath expressions', () => {
+    const obj = {
+      tickers: [
+        { symbol: 'BTC', price: 60000 },
+        { symbol: 'ETH', price: 3000 },
+      ],
+      prices: [1, 2, 6],
+    };
+    expect(extractValue(obj, "jmespath:tickers[?symbol=='ETH'].price | [0]")).toEqual(3000);
+    expect(extractValue(obj, 'jmespath:tickers[*].symbol')).toEqual(['BTC', 'ETH']);
+    expect(extractValue(obj, 'jmespath:max(prices)')).toEqual(6);
+    expect(extractValue(obj, 'jmespath:avg(prices)')).toEqual(3);
+  });
+
+  it('throws an error if the JMESPath expression finds no value or is invalid', () => {
+    const obj = { tickers: [] };
+    expect(() => extractValue(obj, "jmespath:tickers[?symbol=='ETH'].price | [0]")).toThrow(
+      new Error(`Unable to find value at path: 'jmespath:tickers[?symbol=='ETH'].price | [0]'`)
+    );
+    expect(() => extractValue(obj, 'jmespath:tickers[')).toThrow(/^Invalid JMESPath expression: 'tickers\['/);
+  });
+
+  it('extracts the status and headers from the response envelope', () => {
+    const obj = { $status: 'body value' };
+    const envelope = { status: 200, headers: { 'x-ratelimit-remaining': '42' } };
+    expect(extractValue(obj, '$status', envelope)).toEqual(200);
+    expect(extractValue(obj, '$headers.X-RateLimit-Remaining', envelope)).toEqual('42');
+    expect(() => extractValue(obj, '$headers.etag', envelope)).toThrow(
+      new Error(`Unable to find value at path: '$headers.etag'`)
+    );
+    expect(() => extractValue(obj, '$status')).toThrow(new Error(`Unable to find value at path: '$status'`));
+  });
 });
 
 describe('extract and encode single value', () => {
@@ -113,6 +146,34 @@ describe('extract and encode single value', () => {
 });
 
 describe('extract and encode multiple values', () => {
+  it('evaluates the JMESPath expressions with escaped delimeters', () => {
+    const data = { tickers: [{ symbol: 'ETH', price: '3000.5', volume: 10 }] };
+    const parameters: ResponseReservedParameters = {
+      _path: "jmespath:tickers[?symbol=='ETH'].price | [0],jmespath:max_by(tickers\\, &volume).volume",
+      _type: 'int256,uint256',
+      _times: '100,',
+    };
+    const res = extractAndEncodeResponse(data, parameters);
+    expect(res.values).toEqual(['300050', '10']);
+  });
+
+  it('extracts values from both the body and the response envelope', () => {
+    const data = { price: '750.51' };
+    const envelope = { status: 200, headers: { 'x-ratelimit-remaining': '42' } };
+    const parameters: ResponseReservedParameters = {
+      _path: 'price,$headers.x-ratelimit-remaining,$status',
+      _type: 'int256,uint256,uint256',
+      _times: '100,,',
+    };
+    const res = extractAndEncodeResponse(data, parameters, envelope);
+    expect(res).toEqual({
+      rawValue: data,
+      values: ['75051', '42', '200'],
+      encodedValue:
+        '0x000000000000000000000000000000000000000000000000000000000001252b000000000000000000000000000000000000000000000000000000000000002a00000000000000000000000000000000000000000000000000000000000000c8',
+    });
+  });
+
   it('works for basic request', () => {
     const data = { a: { b: [{ c: 1 }, { d: '750.51' }] } };
     const parameters: ResponseReservedParameters = { _path: 'a.b.1.d,a.b.0.c', _type: 'int256,bool', _times: '100,' };
@@ -254,6 +315,169 @@ describe('extract and encode multiple values', () => {
   });
 });
 
+describe('extract and encode fixed width types', () => {
+  it('encodes the values of the fixed width types', () => {
+    const data = { price: '3000.5', timestamp: 1700000000, selector: '0xa9059cbb' };
+    const parameters: ResponseReservedParameters = {
+      _type: 'int224,uint64,bytes4',
+      _path: 'price,timestamp,selector',
+      _times: '1000000000000000000,,',
+    };
+    const res = extractAndEncodeResponse(data, parameters);
+
+    expect(res.values).toEqual(['3000500000000000000000', '1700000000', '0xa9059cbb']);
+    expect(res.encodedValue).toEqual(ethers.utils.defaultAbiCoder.encode(['int224', 'uint64', 'bytes4'], res.values));
+  });
+
+  it('throws if the multiplied value overflows the type', () => {
+    expect(() =>
+      extractAndEncodeResponse({ price: '2.56' }, { _type: 'uint8', _path: 'price', _times: '100' })
+    ).toThrow(new Error('Value 256 overflows uint8, which must be between 0 and 255'));
+    expect(() => extractAndEncodeResponse({ prices: ['1', '-1'] }, { _type: 'uint8[]', _path: 'prices' })).toThrow(
+      new Error('Value -1 overflows uint8, which must be between 0 and 255')
+    );
+  });
+
+  it('checks the range after the multiplication', () => {
+    const res = extractAndEncodeResponse({ price: '300' }, { _type: 'uint8', _path: 'price', _times: '0.5' });
+    expect(res.values).toEqual(['150']);
+  });
+});
+
+describe('extract and encode with rounding modes and decimals', () => {
+  it('rounds and scales each of the values separately', () => {
+    const data = { price: '3000.55', change: '-0.125', volume: '12.5' };
+    const parameters: ResponseReservedParameters = {
+      _type: 'int256,int256,uint256',
+      _path: 'price,change,volume',
+      _times: ',,',
+      _rounding: 'half-up,floor,half-even',
+      _decimals: '1,2,',
+    };
+    const res = extractAndEncodeResponse(data, parameters);
+
+    expect(res.values).toEqual(['30006', '-13', '12']);
+  });
+
+  it('rounds the elements of the arrays', () => {
+    const res = extractAndEncodeResponse(
+      { prices: ['1.25', '1.35'] },
+      { _type: 'uint256[]', _path: 'prices', _rounding: 'half-even', _decimals: '1' }
+    );
+    expect(res.values).toEqual([['12', '14']]);
+  });
+
+  it('throws if the rounding mode or the decimals are invalid', () => {
+    expect(() =>
+      extractAndEncodeResponse({ price: '1.5' }, { _type: 'int256', _path: 'price', _rounding: 'nearest' })
+    ).toThrow(
+      new Error(
+        'Invalid rounding mode: nearest. The supported rounding modes are down, up, floor, ceil, half-up, half-down, half-even'
+      )
+    );
+    expect(() =>
+      extractAndEncodeResponse({ price: '1.5' }, { _type: 'int256', _path: 'price', _decimals: '-1' })
+    ).toThrow(new Error('Parameter "_decimals" must be an integer from 0 to 77, but it was "-1"'));
+  });
+
+  it('throws if the rounding mode or the decimals are used with non-numeric types', () => {
+    expect(() => extractAndEncodeResponse('ETH', { _type: 'string', _rounding: 'up' })).toThrow(
+      new Error('Parameter "_rounding" can only be used with numeric types, but "_type" was "string"')
+    );
+    expect(() => extractAndEncodeResponse('ETH', { _type: 'bytes32', _decimals: '2' })).toThrow(
+      new Error('Parameter "_decimals" can only be used with numeric types, but "_type" was "bytes32"')
+    );
+  });
+});
+
+describe('extract and encode tuples', () => {
+  const data = {
+    items: [
+      { time: 1700000000, price: '3000.5', symbol: 'ETH' },
+      { time: 1700000060, price: '-3001.25', symbol: 'BTC' },
+    ],
+    candle: [1700000000, '3000.5', '2999.5'],
+  };
+
+  it('extracts the fields of the tuples from their paths', () => {
+    const parameters: ResponseReservedParameters = {
+      _type: '(uint256,int256,string32)[]',
+      _path: 'items(time,price,symbol)',
+      _times: '(,100,)',
+    };
+    const res = extractAndEncodeResponse(data, parameters);
+
+    expect(res.values).toEqual([
+      [
+        ['1700000000', '300050', ethers.utils.formatBytes32String('ETH')],
+        ['1700000060', '-300125', ethers.utils.formatBytes32String('BTC')],
+      ],
+    ]);
+    const [decoded] = ethers.utils.defaultAbiCoder.decode(['(uint256,int256,bytes32)[]'], res.encodedValue);
+    expect(decoded.map((tuple: any) => [tuple[0].toString(), tuple[1].toString()])).toEqual([
+      ['1700000000', '300050'],
+      ['1700000060', '-300125'],
+    ]);
+  });
+
+  it('extracts the fields of the tuples from the elements if the field paths are not listed', () => {
+    const res = extractAndEncodeResponse(data, { _type: '(uint256,int256,int256)', _path: 'candle' });
+
+    expect(res.values).toEqual([['1700000000', '3000', '2999']]);
+    expect(res.encodedValue).toEqual(
+      ethers.utils.defaultAbiCoder.encode(['(uint256,int256,int256)'], [['1700000000', '3000', '2999']])
+    );
+  });
+
+  it('extracts tuples along with the other values', () => {
+    const parameters: ResponseReservedParameters = {
+      _type: '(uint256,int256),uint256',
+      _path: 'items.0(time,price),items.1.time',
+      _times: '(,100),',
+    };
+    const res = extractAndEncodeResponse(data, parameters);
+
+    expect(res.values).toEqual([['1700000000', '300050'], '1700000060']);
+    expect(res.encodedValue).toEqual(
+      ethers.utils.defaultAbiCoder.encode(['(uint256,int256)', 'uint256'], [['1700000000', '300050'], '1700000060'])
+    );
+  });
+
+  it('rounds and scales the fields of the tuples', () => {
+    const parameters: ResponseReservedParameters = {
+      _type: '(uint256,int256)[]',
+      _path: 'items(time,price)',
+      _rounding: '(,half-up)',
+      _decimals: '(,1)',
+    };
+    const res = extractAndEncodeResponse(data, parameters);
+
+    expect(res.values).toEqual([
+      [
+        ['1700000000', '30005'],
+        ['1700000060', '-30013'],
+      ],
+    ]);
+  });
+
+  it('throws if the tuple fields do not match the paths or multipliers', () => {
+    expect(() => extractAndEncodeResponse(data, { _type: '(uint256,int256)[]', _path: 'items(time)' })).toThrow(
+      new Error('Expected 2 tuple field paths in "_path", but there were 1')
+    );
+    expect(() =>
+      extractAndEncodeResponse(data, { _type: '(uint256,int256)[]', _path: 'items(time,price)', _times: '100' })
+    ).toThrow(
+      new Error('Parameter "_times" must list the multipliers of the tuple fields in parentheses, but it was "100"')
+    );
+    expect(() =>
+      extractAndEncodeResponse(data, { _type: '(uint256,int256)[]', _path: 'items(time,price)', _rounding: '(up)' })
+    ).toThrow(new Error('Expected 2 tuple field rounding modes in "_rounding", but there were 1'));
+    expect(() => extractAndEncodeResponse(data, { _type: '(uint256,invalid)[]', _path: 'items(time,price)' })).toThrow(
+      new Error('Invalid type: invalid')
+    );
+  });
+});
+
 describe('respects maximum encoded size', () => {
   const encodedSize = (type: string, value: any) =>
     ethers.utils.arrayify(ethers.utils.defaultAbiCoder.encode([type], [value])).byteLength;
@@ -1,21 +1,34 @@
+import find from 'lodash/find';
 import isUndefined from 'lodash/isUndefined';
 import range from 'lodash/range';
 import { ethers } from 'ethers';
+import { search } from 'jmespath';
 import { goSync } from '@api3/promise-utils';
-import { castValue, multiplyValue } from './casting';
+import { castValue, checkIntegerRange, multiplyValue, parseDecimals, parseRoundingMode } from './casting';
 import { parseArrayType, isNumericType, applyToArrayRecursively } from './array-type';
 import { encodeMultipleValues, encodeValue } from './encoding';
+import {
+  ParsedTupleType,
+  applyToTupleArrayRecursively,
+  findLastParenthesizedGroup,
+  parseTupleType,
+  splitOutsideParentheses,
+} from './tuple-type';
 import {
   ESCAPE_CHARACTER,
+  JMESPATH_PATH_PREFIX,
   MAX_ENCODED_RESPONSE_SIZE,
   MULTIPLE_PARAMETERS_DELIMETER,
   PATH_DELIMETER,
+  RESPONSE_HEADERS_PATH_PREFIX,
+  RESPONSE_STATUS_PATH,
 } from '../constants';
 import {
   ResponseReservedParameters,
   ValueType,
   ExtractedAndEncodedResponse,
   ReservedParametersDelimeter,
+  ResponseEnvelope,
 } from '../types';
 
 export function unescape(value: string, delimeter: ReservedParametersDelimeter) {
@@ -60,8 +73,43 @@ export function getRawValue(data: any, path?: string, defaultValue?: any) {
   }, data);
 }
 
-export function extractValue(data: unknown, path?: string) {
-  const rawValue = getRawValue(data, path);
+export function isJmesPath(path?: string) {
+  return !!path?.startsWith(JMESPATH_PATH_PREFIX);
+}
+
+// JMESPath is evaluated by an interpreter, so the expressions cannot run arbitrary code
+export function getJmesPathValue(data: unknown, path: string) {
+  const expression = path.slice(JMESPATH_PATH_PREFIX.length);
+  const goSearch = goSync(() => search(data, expression));
+  if (!goSearch.success) {
+    throw new Error(`Invalid JMESPath expression: '${expression}'. ${goSearch.error.message}`);
+  }
+
+  // JMESPath evaluates the missing values to null
+  return goSearch.data === null ? undefined : goSearch.data;
+}
+
+export function isEnvelopePath(path?: string) {
+  return path === RESPONSE_STATUS_PATH || !!path?.startsWith(RESPONSE_HEADERS_PATH_PREFIX);
+}
+
+export function getEnvelopeValue(envelope: ResponseEnvelope | undefined, path: string) {
+  if (!envelope) return undefined;
+  if (path === RESPONSE_STATUS_PATH) return envelope.status;
+
+  // The header names are case insensitive
+  const headerName = path.slice(RESPONSE_HEADERS_PATH_PREFIX.length).toLowerCase();
+  return find(envelope.headers, (_value, name) => name.toLowerCase() === headerName);
+}
+
+function getPathValue(data: unknown, path?: string, envelope?: ResponseEnvelope) {
+  if (isEnvelopePath(path)) return getEnvelopeValue(envelope, path!);
+  if (isJmesPath(path)) return getJmesPathValue(data, path!);
+  return getRawValue(data, path);
+}
+
+export function extractValue(data: unknown, path?: string, envelope?: ResponseEnvelope) {
+  const rawValue = getPathValue(data, path, envelope);
 
   if (isUndefined(rawValue)) {
     throw new Error(`Unable to find value at path: '${path}'`);
@@ -70,20 +118,29 @@ export function extractValue(data: unknown, path?: string) {
   return rawValue;
 }
 
+function splitMultipleParameters(value: string) {
+  return splitOutsideParentheses(value, MULTIPLE_PARAMETERS_DELIMETER).map((token) =>
+    unescape(token, MULTIPLE_PARAMETERS_DELIMETER)
+  );
+}
+
 export function splitReservedParameters(parameters: ResponseReservedParameters): ResponseReservedParameters[] {
   const splitByDelimeter = (name: keyof ResponseReservedParameters) => {
     return {
       name,
-      splitResult: parameters[name] ? escapeAwareSplit(parameters[name]!, MULTIPLE_PARAMETERS_DELIMETER) : undefined,
+      // The commas within parentheses separate the fields of a tuple instead of the values
+      splitResult: parameters[name] ? splitMultipleParameters(parameters[name]!) : undefined,
     };
   };
 
   const types = splitByDelimeter('_type');
   const paths = splitByDelimeter('_path');
   const timeses = splitByDelimeter('_times');
+  const roundings = splitByDelimeter('_rounding');
+  const decimalses = splitByDelimeter('_decimals');
 
   // Check that all of the parsed arrays have the same length or are undefined
-  const splitParams = [types, paths, timeses] as const;
+  const splitParams = [types, paths, timeses, roundings, decimalses] as const;
   const typesLength = types.splitResult!.length;
   splitParams.forEach((split) => {
     if (split.splitResult && split.splitResult.length !== typesLength) {
@@ -106,28 +163,117 @@ export function splitReservedParameters(parameters: ResponseReservedParameters):
   return reservedParameters;
 }
 
-function extractSingleResponse(data: unknown, parameters: ResponseReservedParameters) {
+/**
+ * The "_path" of a tuple lists the paths of its fields relative to the tuple in parentheses, e.g. "items(price,time)".
+ * The fields are the elements of the tuple if they are not listed.
+ */
+export function parseTuplePath(path: string | undefined, fieldCount: number) {
+  const group = path ? findLastParenthesizedGroup(path) : null;
+  if (!group || group.suffix !== '') {
+    return { basePath: path, fieldPaths: range(fieldCount).map((index) => index.toString()) };
+  }
+
+  const fieldPaths = splitMultipleParameters(group.inner);
+  if (fieldPaths.length !== fieldCount) {
+    throw new Error(`Expected ${fieldCount} tuple field paths in "_path", but there were ${fieldPaths.length}`);
+  }
+
+  return { basePath: group.prefix, fieldPaths };
+}
+
+const tupleFieldParameterDescriptions = {
+  _times: 'multipliers',
+  _rounding: 'rounding modes',
+  _decimals: 'decimals',
+} as const;
+
+// The "_times", "_rounding" and "_decimals" of a tuple list the values of its fields in parentheses, e.g. "(100,)"
+export function parseTupleFieldParameter(
+  name: keyof typeof tupleFieldParameterDescriptions,
+  value: string | undefined,
+  fieldCount: number
+) {
+  if (!value) return range(fieldCount).map(() => undefined);
+
+  const description = tupleFieldParameterDescriptions[name];
+  const group = findLastParenthesizedGroup(value);
+  if (!group || group.prefix !== '' || group.suffix !== '') {
+    throw new Error(
+      `Parameter "${name}" must list the ${description} of the tuple fields in parentheses, but it was "${value}"`
+    );
+  }
+
+  const fieldValues = splitMultipleParameters(group.inner);
+  if (fieldValues.length !== fieldCount) {
+    throw new Error(
+      `Expected ${fieldCount} tuple field ${description} in "${name}", but there were ${fieldValues.length}`
+    );
+  }
+
+  return fieldValues;
+}
+
+function extractTupleResponse(
+  data: unknown,
+  parameters: ResponseReservedParameters,
+  tupleType: ParsedTupleType,
+  envelope?: ResponseEnvelope
+): ValueType {
+  const { components, dimensions } = tupleType;
+  const { basePath, fieldPaths } = parseTuplePath(parameters._path, components.length);
+  const fieldTimeses = parseTupleFieldParameter('_times', parameters._times, components.length);
+  const fieldRoundings = parseTupleFieldParameter('_rounding', parameters._rounding, components.length);
+  const fieldDecimalses = parseTupleFieldParameter('_decimals', parameters._decimals, components.length);
+  const fieldParameters = components.map(
+    (type, index): ResponseReservedParameters => ({
+      _type: type,
+      _path: fieldPaths[index],
+      _times: fieldTimeses[index],
+      _rounding: fieldRoundings[index],
+      _decimals: fieldDecimalses[index],
+    })
+  );
+
+  const extracted = extractValue(data, basePath, envelope);
+  return applyToTupleArrayRecursively(extracted, dimensions, (tuple) =>
+    fieldParameters.map((params) => extractSingleResponse(tuple, params, envelope))
+  ) as ValueType;
+}
+
+function extractSingleResponse(
+  data: unknown,
+  parameters: ResponseReservedParameters,
+  envelope?: ResponseEnvelope
+): ValueType {
+  const parsedTupleType = parseTupleType(parameters._type);
+  if (parsedTupleType) return extractTupleResponse(data, parameters, parsedTupleType, envelope);
+
   const parsedArrayType = parseArrayType(parameters._type);
   const type = parsedArrayType?.baseType ?? parameters._type;
 
-  if (!isNumericType(type) && parameters._times) {
-    throw new Error(`Parameter "_times" can only be used with numeric types, but "_type" was "${type}"`);
-  }
+  (['_times', '_rounding', '_decimals'] as const).forEach((name) => {
+    if (!isNumericType(type) && parameters[name]) {
+      throw new Error(`Parameter "${name}" can only be used with numeric types, but "_type" was "${type}"`);
+    }
+  });
   if (type === 'timestamp' && parameters._path) {
     throw new Error(
       `Parameter "_path" must be empty string or undefined when "_type" is "timestamp", but it was "${parameters._path}"`
     );
   }
 
-  const extracted = extractValue(data, parameters._path);
+  const extracted = extractValue(data, parameters._path, envelope);
   const value = castValue(extracted, parameters._type);
 
   if (isNumericType(type)) {
+    const rounding = parseRoundingMode(parameters._rounding);
+    const decimals = parseDecimals(parameters._decimals);
+    // The range is checked after the multiplication, which can both scale the value up and down
+    const multiplyAndCheckRange = (num: unknown) =>
+      checkIntegerRange(multiplyValue(String(num), parameters._times, rounding, decimals), type);
     const multipledValue = parsedArrayType
-      ? (applyToArrayRecursively(value, parsedArrayType, (num: number) =>
-          multiplyValue(num.toString(), parameters._times)
-        ) as ValueType)
-      : multiplyValue(value.toString(), parameters._times);
+      ? (applyToArrayRecursively(value, parsedArrayType, multiplyAndCheckRange) as ValueType)
+      : multiplyAndCheckRange(value);
 
     return multipledValue;
   }
@@ -142,11 +288,12 @@ export function exceedsMaximumEncodedResponseSize(encodedValue: string) {
 
 export function extractAndEncodeResponse(
   data: unknown,
-  parameters: ResponseReservedParameters
+  parameters: ResponseReservedParameters,
+  envelope?: ResponseEnvelope
 ): ExtractedAndEncodedResponse {
   const reservedParameters = splitReservedParameters(parameters);
   if (reservedParameters.length > 1) {
-    const extractedValues = reservedParameters.map((params) => extractSingleResponse(data, params));
+    const extractedValues = reservedParameters.map((params) => extractSingleResponse(data, params, envelope));
     const encodedValue = encodeMultipleValues(
       extractedValues,
       reservedParameters.map((param) => param._type)
@@ -155,7 +302,8 @@ export function extractAndEncodeResponse(
     return { rawValue: data, encodedValue, values: extractedValues };
   }
 
-  const extractedValue = extractSingleResponse(data, parameters);
+  // The split parameters are unescaped, which is needed for the escaped commas of a single value as well
+  const extractedValue = extractSingleResponse(data, reservedParameters[0], envelope);
   const encodedValue = encodeValue(extractedValue, parameters._type);
 
   if (exceedsMaximumEncodedResponseSize(encodedValue)) {
@@ -0,0 +1,52 @@
+import { findLastParenthesizedGroup, parseTupleType, splitOutsideParentheses } from './tuple-type';
+
+describe('splitOutsideParentheses', () => {
+  it('does not split within the parentheses', () => {
+    expect(splitOutsideParentheses('(uint256,int256)[],bool', ',')).toEqual(['(uint256,int256)[]', 'bool']);
+    expect(splitOutsideParentheses('((uint256,bool),int256),', ',')).toEqual(['((uint256,bool),int256)', '']);
+    expect(splitOutsideParentheses('a\\,b,c', ',')).toEqual(['a\\,b', 'c']);
+    expect(splitOutsideParentheses('a\\(,b', ',')).toEqual(['a\\(', 'b']);
+  });
+});
+
+describe('findLastParenthesizedGroup', () => {
+  it('returns the last top level group', () => {
+    expect(findLastParenthesizedGroup('items(price,(a,b))')).toEqual({
+      prefix: 'items',
+      inner: 'price,(a,b)',
+      suffix: '',
+    });
+    expect(findLastParenthesizedGroup('(uint256,bool)[2]')).toEqual({
+      prefix: '',
+      inner: 'uint256,bool',
+      suffix: '[2]',
+    });
+  });
+
+  it('returns null if there is no balanced group', () => {
+    expect(findLastParenthesizedGroup('items.price')).toBeNull();
+    expect(findLastParenthesizedGroup('items(price')).toBeNull();
+    expect(findLastParenthesizedGroup('items\\(price\\)')).toBeNull();
+  });
+});
+
+describe('parseTupleType', () => {
+  it('parses the components and the array dimensions', () => {
+    expect(parseTupleType('(uint256,int256,bytes32)')).toEqual({
+      components: ['uint256', 'int256', 'bytes32'],
+      dimensions: 0,
+    });
+    expect(parseTupleType('((uint256,bool)[],string)[][3]')).toEqual({
+      components: ['(uint256,bool)[]', 'string'],
+      dimensions: 2,
+    });
+  });
+
+  it('returns null for the other types', () => {
+    expect(parseTupleType('uint256')).toBeNull();
+    expect(parseTupleType('int256[]')).toBeNull();
+    expect(parseTupleType('(uint256,int256')).toBeNull();
+    expect(parseTupleType('(uint256)[0]')).toBeNull();
+    expect(parseTupleType('(uint256)x')).toBeNull();
+  });
+});
@@ -0,0 +1,97 @@
+import { ESCAPE_CHARACTER, MULTIPLE_PARAMETERS_DELIMETER } from '../constants';
+import { ReservedParametersDelimeter, ResponseType } from '../types';
+
+export interface ParsedTupleType {
+  readonly components: ResponseType[];
+  readonly dimensions: number;
+}
+
+interface ParenthesizedGroup {
+  readonly prefix: string;
+  readonly inner: string;
+  readonly suffix: string;
+}
+
+/**
+ * Splits the value by the delimeter, except for the delimeters within parentheses (e.g. the fields of a tuple type)
+ * and the escaped delimeters. The escape characters are kept, so that the tokens can be unescaped by the caller.
+ */
+export function splitOutsideParentheses(value: string, delimeter: ReservedParametersDelimeter) {
+  let tokens: string[] = [];
+  let tokenStart = 0;
+  let depth = 0;
+  for (let index = 0; index < value.length; index++) {
+    const character = value[index];
+    if (character === ESCAPE_CHARACTER) {
+      index++;
+      continue;
+    }
+
+    if (character === '(') depth++;
+    if (character === ')') depth = Math.max(depth - 1, 0);
+    if (character === delimeter && depth === 0) {
+      tokens = [...tokens, value.slice(tokenStart, index)];
+      tokenStart = index + 1;
+    }
+  }
+
+  return [...tokens, value.slice(tokenStart)];
+}
+
+// Returns the last top level parenthesized group of the value, e.g. "items(price,time)" for the tuple paths
+export function findLastParenthesizedGroup(value: string): ParenthesizedGroup | null {
+  let depth = 0;
+  let openingIndex = -1;
+  let closingIndex = -1;
+  for (let index = 0; index < value.length; index++) {
+    const character = value[index];
+    if (character === ESCAPE_CHARACTER) {
+      index++;
+      continue;
+    }
+
+    if (character === '(') {
+      if (depth === 0) openingIndex = index;
+      depth++;
+    }
+    if (character === ')' && depth > 0) {
+      depth--;
+      if (depth === 0) closingIndex = index;
+    }
+  }
+  if (depth !== 0 || openingIndex === -1 || closingIndex < openingIndex) return null;
+
+  return {
+    prefix: value.slice(0, openingIndex),
+    inner: value.slice(openingIndex + 1, closingIndex),
+    suffix: value.slice(closingIndex + 1),
+  };
+}
+
+// Counts the array dimensions of a type suffix such as "[][3]", which are all valid as long as they are not zero sized
+function parseArrayDimensions(suffix: string): number | null {
+  if (!/^(\[([1-9]\d*)?\])*$/.test(suffix)) return null;
+
+  return suffix.split('[').length - 1;
+}
+
+export function parseTupleType(type: ResponseType): ParsedTupleType | null {
+  if (!type.startsWith('(')) return null;
+
+  const group = findLastParenthesizedGroup(type);
+  if (!group || group.prefix !== '') return null;
+  const dimensions = parseArrayDimensions(group.suffix);
+  if (dimensions === null) return null;
+
+  return { components: splitOutsideParentheses(group.inner, MULTIPLE_PARAMETERS_DELIMETER), dimensions };
+}
+
+export function applyToTupleArrayRecursively<T>(value: unknown, dimensions: number, predicate: (value: unknown) => T) {
+  if (dimensions === 0) return predicate(value);
+
+  if (!Array.isArray(value)) {
+    throw new Error(`Expected ${value} to be an array`);
+  }
+
+  return value.map((element): unknown => applyToTupleArrayRecursively(element, dimensions - 1, predicate));
+}
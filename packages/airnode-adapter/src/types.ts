@@ -1,6 +1,7 @@
-import { Endpoint, Method, OIS, Operation } from '@api3/ois';
+import { ApiSpecification, Endpoint as OisEndpoint, Method, OIS as BaseOIS, Operation } from '@api3/ois';
+import { AxiosResponse } from 'axios';
 import { BigNumber } from 'bignumber.js';
-import { baseResponseTypes, MULTIPLE_PARAMETERS_DELIMETER, PATH_DELIMETER } from './constants';
+import { baseResponseTypes, MULTIPLE_PARAMETERS_DELIMETER, PATH_DELIMETER, roundingModes } from './constants';
 
 export interface RequestMetadata {
   requesterAddress: string;
@@ -16,11 +17,57 @@ export interface BaseApiCredentials {
   readonly securitySchemeValue: string;
 }
 
+export interface OAuth2ClientCredentials {
+  readonly tokenUrl: string;
+  readonly clientId: string;
+  readonly clientSecret: string;
+  readonly scope?: string;
+}
+
+export interface OAuth2Token {
+  readonly accessToken: string;
+  // The timestamp (in milliseconds) after which the token should not be used
+  readonly expiresAt: number;
+}
+
+export type HmacAlgorithm = 'sha256' | 'sha384' | 'sha512';
+export type HmacEncoding = 'hex' | 'base64';
+
+// Signs each request with an HMAC of the canonical string, which is a template of the "{timestamp}", "{method}",
+// "{path}", "{query}" and "{body}" placeholders. The secret is the value of the API credentials of the security scheme.
+export interface HmacSecurityScheme {
+  readonly securitySchemeName: string;
+  readonly canonicalString: string;
+  readonly algorithm: HmacAlgorithm;
+  readonly encoding: HmacEncoding;
+  readonly signatureHeader: string;
+  readonly timestampHeader?: string;
+  readonly timestampFormat?: 'milliseconds' | 'seconds';
+}
+
+// The OIS methods and the other HTTP methods the adapter is able to call
+export type HttpMethod = Method | 'put' | 'patch' | 'delete';
+
+// The endpoints and API specifications of @api3/ois, with the operations widened to all methods the adapter is able to
+// call. The reserved parameters are not checked by name, as the node reads them before the request is built.
+export type Endpoint = Omit<OisEndpoint, 'operation' | 'reservedParameters'> & {
+  readonly operation?: { readonly method: HttpMethod; readonly path: string };
+  readonly reservedParameters: { readonly name: string; readonly default?: string; readonly fixed?: string }[];
+};
+
+export type OIS = Omit<BaseOIS, 'apiSpecifications' | 'endpoints'> & {
+  readonly apiSpecifications: Omit<ApiSpecification, 'paths'> & {
+    readonly paths: Record<string, Partial<Record<HttpMethod, Operation>>>;
+  };
+  readonly endpoints: Endpoint[];
+};
+
 export interface BuildRequestOptions {
   readonly ois: OIS;
   readonly endpointName: string;
   readonly parameters: Parameters;
   readonly apiCredentials: BaseApiCredentials[];
+  readonly hmacSecurityScheme?: HmacSecurityScheme;
   // NOTE: Metadata is "null" in case the request was triggered by testing gateway
   readonly metadata: RequestMetadata | null;
 }
@@ -46,19 +93,47 @@ export interface BuilderParameters extends RequestParameters {
 
 export interface Request {
   readonly baseUrl: string;
+  // The base URLs of the other servers of the OIS, in the order they are listed
+  readonly fallbackBaseUrls?: string[];
   readonly path: string;
-  readonly method: Method;
+  readonly method: HttpMethod;
   readonly headers: { [key: string]: string };
   readonly data: { [key: string]: string };
 }
 
+// "fallback" tries the servers one by one until one of them is available, while "fastest" calls all servers
+// concurrently and uses the first successful response
+export type ServerSelection = 'fallback' | 'fastest';
+
+// The format of the response body, which determines how it is parsed before the values are extracted from it
+export type ResponseFormat = 'json' | 'csv' | 'xml' | 'text';
+
+// "flat" sends the parameters of a JSON body as its keys as they are, while "nested" treats the dotted parameter names
+// as paths (e.g. "variables.id"), which allows building the nested bodies of APIs such as GraphQL
+export type JsonBodyEncoding = 'flat' | 'nested';
+
 export interface Config {
+  // The timeout of the request, which the fallback servers share with the primary server
   readonly timeout?: number;
+  // Aborts the request, e.g. once another server has responded
+  readonly signal?: AbortSignal;
+  readonly serverSelection?: ServerSelection;
+  // Overrides the response format detected from the "Content-Type" header of the response
+  readonly responseFormat?: ResponseFormat;
+  // The JSON bodies are flat by default
+  readonly jsonBodyEncoding?: JsonBodyEncoding;
 }
 
+export type ExecutedRequestResponse = AxiosResponse & {
+  // The base URL of the server which served the response
+  readonly apiServerUrl: string;
+};
+
 export type ValueType = string | BigNumber | boolean | Array<ValueType>;
 
-export type BaseResponseType = (typeof baseResponseTypes)[number];
+// The fixed width integers (e.g. uint64 and int224) and fixed size bytes (e.g. bytes4) are valid for all widths that
+// Solidity supports
+export type BaseResponseType = (typeof baseResponseTypes)[number] | `uint${number}` | `int${number}` | `bytes${number}`;
 // Use might pass a complex type (e.g. int256[3][]) which we cannot type
 export type ResponseType = string;
 
@@ -68,6 +143,16 @@ export interface ResponseReservedParameters {
   _path?: string;
   _times?: string;
   _type: ResponseType;
+  _rounding?: string;
+  _decimals?: string;
+}
+
+export type RoundingMode = (typeof roundingModes)[number];
+
+// The parts of the API response other than its body, which can be extracted with the "$status" and "$headers." paths
+export interface ResponseEnvelope {
+  readonly status: number;
+  readonly headers: Record<string, unknown>;
 }
 
 export interface ExtractedAndEncodedResponse {
@@ -1,4 +1,4 @@
-import { OIS } from '@api3/ois';
+import { OIS } from '../../src/types';
 
 export function buildOIS(overrides?: Partial<OIS>): OIS {
   return {
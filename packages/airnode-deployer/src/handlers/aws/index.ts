@@ -12,6 +12,7 @@ import {
   EnabledGateway,
   verifyHttpRequest,
   verifyHttpSignedDataRequest,
+  verifyHttpSignedDataBatchRequest,
   verifyRequestOrigin,
   ProcessSignOevDataRequestBody,
   verifySignOevDataRequest,
@@ -173,6 +174,9 @@ interface ProcessHttpSignedDataRequestBody {
 export async function processHttpSignedDataRequest(
   event: AWSLambda.APIGatewayProxyEvent
 ): Promise<AWSLambda.APIGatewayProxyResult> {
+  // The batch route is served by the same function and it is the only route without the "endpointId" path parameter
+  if (!event.pathParameters?.endpointId) return processHttpSignedDataBatchRequest(event);
+
   setLogOptions({
     format: parsedConfig.nodeSettings.logFormat,
     level: parsedConfig.nodeSettings.logLevel,
@@ -223,6 +227,49 @@ export async function processHttpSignedDataRequest(
   return { statusCode: 200, headers: originVerification.headers, body: JSON.stringify(result!.data) };
 }
 
+export async function processHttpSignedDataBatchRequest(
+  event: AWSLambda.APIGatewayProxyEvent
+): Promise<AWSLambda.APIGatewayProxyResult> {
+  setLogOptions({
+    format: parsedConfig.nodeSettings.logFormat,
+    level: parsedConfig.nodeSettings.logLevel,
+  });
+
+  logger.debug(`HTTP signed data gateway batch request received`);
+
+  const gatewaySettings = parsedConfig.nodeSettings.httpSignedDataGateway as EnabledGateway;
+  // Check if the request origin header is allowed in the config
+  const originVerification = verifyRequestOrigin(gatewaySettings.corsOrigins, event.headers.origin);
+  // Respond to preflight requests
+  if (event.httpMethod === 'OPTIONS') {
+    if (!originVerification.success) {
+      logger.error(`HTTP signed data gateway batch request origin verification error`);
+      return { statusCode: 400, body: JSON.stringify(originVerification.error) };
+    }
+
+    return { statusCode: 204, headers: originVerification.headers, body: '' };
+  }
+  logger.debug(`HTTP signed data gateway batch request passed origin verification`);
+
+  // The body is guaranteed to be valid JSON by the openAPI spec, the items are verified one by one
+  const verificationResult = verifyHttpSignedDataBatchRequest(parsedConfig, JSON.parse(event.body!));
+  if (!verificationResult.success) {
+    logger.error(`HTTP signed data gateway batch request verification error`);
+    const { statusCode, error } = verificationResult;
+    return { statusCode, headers: originVerification.headers, body: JSON.stringify(error) };
+  }
+  logger.debug(`HTTP signed data gateway batch request passed request verification`);
+
+  const responses = await handlers.processHttpSignedDataBatchRequest(
+    parsedConfig,
+    verificationResult.items,
+    gatewaySettings.maxConcurrency
+  );
+
+  // The batch itself succeeded, the status of each item is part of its response
+  return { statusCode: 200, headers: originVerification.headers, body: JSON.stringify(responses) };
+}
+
 export async function processSignOevDataRequest(
   event: AWSLambda.APIGatewayProxyEvent
 ): Promise<AWSLambda.APIGatewayProxyResult> {
@@ -0,0 +1,122 @@
+import { Request, Response } from '@google-cloud/functions-framework/build/src/functions';
+import { handlers, verifyHttpSignedDataBatchRequest, verifyHttpSignedDataRequest } from '@api3/airnode-node';
+import { processHttpSignedDataRequest } from './index';
+
+jest.mock('@api3/airnode-utilities', () => {
+  const utilities = jest.requireActual('@api3/airnode-utilities');
+  return { ...utilities, caching: { ...utilities.caching, init: jest.fn() } };
+});
+
+jest.mock('@api3/airnode-node', () => {
+  const node = jest.requireActual('@api3/airnode-node');
+  return {
+    ...node,
+    loadTrustedConfig: jest.fn(() => jest.requireActual('../../../test/fixtures/config.gcp.valid.json')),
+    verifyHttpSignedDataRequest: jest.fn(),
+    verifyHttpSignedDataBatchRequest: jest.fn(),
+    handlers: {
+      ...node.handlers,
+      processHttpSignedDataRequest: jest.fn(),
+      processHttpSignedDataBatchRequest: jest.fn(),
+    },
+  };
+});
+
+const ENDPOINT_ID = '0xf466b8feec41e9e50815e0c9dca4db1ff959637e564bb13fefa99e9f9f90453c';
+const ENCODED_PARAMETERS = '0x3173000000000000000000000000000000000000000000000000000000000000';
+const SIGNED_DATA = { timestamp: '1634041410', encodedValue: '0x01', signature: '0x02' };
+
+const buildRequest = (request: Partial<Request>) => ({ method: 'POST', headers: {}, query: {}, ...request }) as Request;
+
+const buildResponse = () => {
+  const res = { set: jest.fn(), status: jest.fn(), send: jest.fn() };
+  res.set.mockReturnValue(res);
+  res.status.mockReturnValue(res);
+  return res as unknown as Response & typeof res;
+};
+
+describe('processHttpSignedDataRequest', () => {
+  beforeEach(() => {
+    jest.mocked(verifyHttpSignedDataRequest).mockReturnValue({
+      success: true,
+      endpointId: ENDPOINT_ID,
+      encodedParameters: ENCODED_PARAMETERS,
+    });
+    jest.mocked(handlers.processHttpSignedDataRequest).mockResolvedValue([null, { success: true, data: SIGNED_DATA }]);
+  });
+
+  it('processes the requests with an endpoint ID as single requests', async () => {
+    const res = buildResponse();
+
+    await processHttpSignedDataRequest(
+      buildRequest({ query: { endpointId: ENDPOINT_ID }, body: { encodedParameters: ENCODED_PARAMETERS } }),
+      res
+    );
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.send).toHaveBeenCalledWith(SIGNED_DATA);
+    expect(verifyHttpSignedDataRequest).toHaveBeenCalledWith(expect.any(Object), ENCODED_PARAMETERS, ENDPOINT_ID);
+    expect(handlers.processHttpSignedDataRequest).toHaveBeenCalledWith(
+      expect.any(Object),
+      ENDPOINT_ID,
+      ENCODED_PARAMETERS
+    );
+    expect(verifyHttpSignedDataBatchRequest).not.toHaveBeenCalled();
+    expect(handlers.processHttpSignedDataBatchRequest).not.toHaveBeenCalled();
+  });
+
+  it('returns the verification error of single requests', async () => {
+    jest.mocked(verifyHttpSignedDataRequest).mockReturnValue({
+      success: false,
+      statusCode: 400,
+      error: { message: 'Request has invalid parameters' },
+    });
+    const res = buildResponse();
+
+    await processHttpSignedDataRequest(
+      buildRequest({ query: { endpointId: ENDPOINT_ID }, body: { encodedParameters: ENCODED_PARAMETERS } }),
+      res
+    );
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.send).toHaveBeenCalledWith({ message: 'Request has invalid parameters' });
+    expect(handlers.processHttpSignedDataRequest).not.toHaveBeenCalled();
+  });
+
+  describe('without an endpoint ID', () => {
+    const body = [{ endpointId: ENDPOINT_ID, encodedParameters: ENCODED_PARAMETERS }];
+    const items = [{ success: true as const, endpointId: ENDPOINT_ID, encodedParameters: ENCODED_PARAMETERS }];
+    const responses = [{ statusCode: 200 as const, data: SIGNED_DATA }];
+
+    beforeEach(() => {
+      jest.mocked(verifyHttpSignedDataBatchRequest).mockReturnValue({ success: true, items });
+      jest.mocked(handlers.processHttpSignedDataBatchRequest).mockResolvedValue(responses);
+    });
+
+    it.each([{}, { endpointId: '' }])('processes the requests as batch requests with query %p', async (query) => {
+      const res = buildResponse();
+
+      await processHttpSignedDataRequest(buildRequest({ query, body }), res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith(responses);
+      expect(verifyHttpSignedDataBatchRequest).toHaveBeenCalledWith(expect.any(Object), body);
+      // The "maxConcurrency" of the HTTP signed data gateway in the config
+      expect(handlers.processHttpSignedDataBatchRequest).toHaveBeenCalledWith(expect.any(Object), items, 20);
+      expect(verifyHttpSignedDataRequest).not.toHaveBeenCalled();
+      expect(handlers.processHttpSignedDataRequest).not.toHaveBeenCalled();
+    });
+
+    it('returns the verification error of batch requests', async () => {
+      const error = { message: 'Request body must be an array of 1 to 100 items' };
+      jest.mocked(verifyHttpSignedDataBatchRequest).mockReturnValue({ success: false, statusCode: 400, error });
+      const res = buildResponse();
+
+      await processHttpSignedDataRequest(buildRequest({ body: [] }), res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith(error);
+      expect(handlers.processHttpSignedDataBatchRequest).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -10,6 +10,7 @@ import {
   loadTrustedConfig,
   EnabledGateway,
   verifyHttpSignedDataRequest,
+  verifyHttpSignedDataBatchRequest,
   verifyHttpRequest,
   verifyRequestOrigin,
   signOevDataBodySchema,
@@ -190,6 +191,9 @@ const httpSignedDataBodySchema = z.object({
 // TODO: Copy&paste for now, will refactor as part of
 // https://api3dao.atlassian.net/browse/AN-527
 export async function processHttpSignedDataRequest(req: Request, res: Response) {
+  // The batch route is served by the same function and it is the only route without the "endpointId" parameter
+  if (!req.query.endpointId) return processHttpSignedDataBatchRequest(req, res);
+
   setLogOptions({
     format: parsedConfig.nodeSettings.logFormat,
     level: parsedConfig.nodeSettings.logLevel,
@@ -259,6 +263,51 @@ export async function processHttpSignedDataRequest(req: Request, res: Response)
   res.status(200).send(result!.data);
 }
 
+export async function processHttpSignedDataBatchRequest(req: Request, res: Response) {
+  setLogOptions({
+    format: parsedConfig.nodeSettings.logFormat,
+    level: parsedConfig.nodeSettings.logLevel,
+  });
+
+  logger.debug(`HTTP signed data gateway batch request received`);
+
+  const gatewaySettings = parsedConfig.nodeSettings.httpSignedDataGateway as EnabledGateway;
+  // Check if the request origin header is allowed in the config
+  const originVerification = verifyRequestOrigin(gatewaySettings.corsOrigins, req.headers.origin);
+  // Respond to preflight requests
+  if (req.method === 'OPTIONS') {
+    if (!originVerification.success) {
+      logger.error(`HTTP signed data gateway batch request origin verification error`);
+      res.status(400).send(originVerification.error);
+      return;
+    }
+
+    res.set(originVerification.headers).status(204).send('');
+    return;
+  }
+  // Set headers for the responses
+  res.set(originVerification.headers);
+  logger.debug(`HTTP signed data gateway batch request passed origin verification`);
+
+  const verificationResult = verifyHttpSignedDataBatchRequest(parsedConfig, req.body);
+  if (!verificationResult.success) {
+    logger.error(`HTTP signed data gateway batch request verification error`);
+    const { statusCode, error } = verificationResult;
+    res.status(statusCode).send(error);
+    return;
+  }
+  logger.debug(`HTTP signed data gateway batch request passed request verification`);
+
+  const responses = await handlers.processHttpSignedDataBatchRequest(
+    parsedConfig,
+    verificationResult.items,
+    gatewaySettings.maxConcurrency
+  );
+
+  // The batch itself succeeded, the status of each item is part of its response
+  res.status(200).send(responses);
+}
+
 export async function processSignOevDataRequest(req: Request, res: Response) {
   setLogOptions({
     format: parsedConfig.nodeSettings.logFormat,
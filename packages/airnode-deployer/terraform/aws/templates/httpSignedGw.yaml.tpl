@@ -27,6 +27,22 @@ components:
         - response
       properties:
         response: {}
+    BatchRequest:
+      type: array
+      minItems: 1
+      items:
+        type: object
+        required:
+          - endpointId
+          - encodedParameters
+        properties:
+          endpointId:
+            type: string
+          encodedParameters:
+            type: string
+    BatchResponse:
+      type: array
+      items: {}
 
   examples:
     EndpointIdParameterExample:
@@ -39,6 +55,9 @@ components:
     EndpointResponseExample:
       summary: Endpoint response example
       value: { "timestamp": "1648226003", "encodedValue": "0x0000...14c0", "signature": "0xa74e4...f61b" }
+    BatchRequestExample:
+      summary: Batch request example
+      value: [{ "endpointId": "0xeddc...9353", "encodedParameters": "0x3173...0000" }]
 
   parameters:
     endpointId:
@@ -53,6 +72,67 @@ components:
           $ref: "#/components/examples/EndpointIdParameterExample"
 
 paths:
+  # The batch route is served by the same function as the single requests
+  /${path_key}/batch:
+    post:
+      requestBody:
+        content:
+          application/json:
+            schema:
+              $ref: "#/components/schemas/BatchRequest"
+            examples:
+              example:
+                $ref: "#/components/examples/BatchRequestExample"
+      responses:
+        "200":
+          description: Batch request called
+          headers:
+            Access-Control-Allow-Headers:
+              schema:
+                type: string
+            Access-Control-Allow-Methods:
+              schema:
+                type: string
+            Access-Control-Allow-Origin:
+              schema:
+                type: string
+          content:
+            application/json:
+              schema:
+                $ref: "#/components/schemas/BatchResponse"
+      x-amazon-apigateway-integration:
+        type: aws_proxy
+        uri: arn:aws:apigateway:${region}:lambda:path/2015-03-31/functions/${proxy_lambda}/invocations
+        credentials: ${role}
+        httpMethod: POST
+        payloadFormatVersion: "1.0"
+        responses:
+          default:
+            statusCode: 200
+    options:
+      responses:
+        "204":
+          description: CORS preflight response
+          headers:
+            Access-Control-Allow-Headers:
+              schema:
+                type: string
+            Access-Control-Allow-Methods:
+              schema:
+                type: string
+            Access-Control-Allow-Origin:
+              schema:
+                type: string
+      x-amazon-apigateway-integration:
+        passthroughBehavior: "when_no_match"
+        type: aws_proxy
+        uri: arn:aws:apigateway:${region}:lambda:path/2015-03-31/functions/${proxy_lambda}/invocations
+        credentials: ${role}
+        httpMethod: POST
+        payloadFormatVersion: "1.0"
+        responses:
+          default:
+            statusCode: 200
   /${path_key}/{endpointId}:
     post:
       parameters:
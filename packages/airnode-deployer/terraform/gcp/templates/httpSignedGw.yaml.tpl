@@ -20,6 +20,22 @@ definitions:
       - response
     properties:
       response: {}
+  BatchRequest:
+    type: array
+    minItems: 1
+    items:
+      type: object
+      required:
+        - endpointId
+        - encodedParameters
+      properties:
+        endpointId:
+          type: string
+        encodedParameters:
+          type: string
+  BatchResponse:
+    type: array
+    items: {}
 
 parameters:
   endpointId:
@@ -30,6 +46,42 @@ parameters:
     required: true
 
 paths:
+  # The batch route is served by the same function as the single requests
+  /${path_key}/batch:
+    post:
+      operationId: batchEndpoint
+      consumes:
+        - application/json
+      produces:
+        - application/json
+      parameters:
+        - name: request
+          in: body
+          required: true
+          schema:
+            $ref: "#/definitions/BatchRequest"
+      responses:
+        "200":
+          description: Batch request called
+          schema:
+            $ref: "#/definitions/BatchResponse"
+      x-google-backend:
+        address: https://${region}-${project}.cloudfunctions.net/${cloud_function_name}
+        path_translation: CONSTANT_ADDRESS
+    options:
+      operationId: corsBatchEndpoint
+      consumes:
+        - application/json
+      produces:
+        - application/json
+      responses:
+        "204":
+          description: Request called
+          schema:
+            $ref: "#/definitions/BatchResponse"
+      x-google-backend:
+        address: https://${region}-${project}.cloudfunctions.net/${cloud_function_name}
+        path_translation: CONSTANT_ADDRESS
   /${path_key}/{endpointId}:
     post:
       operationId: testEndpoint
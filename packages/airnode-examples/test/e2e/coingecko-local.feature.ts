@@ -1,9 +1,10 @@
 import { readFileSync, writeFileSync } from 'fs';
 import { join } from 'path';
 import { ethers } from 'ethers';
-import { Config, DEFAULT_PATH_KEY } from '@api3/airnode-node';
+import { Config, deriveGatewayPathKey } from '@api3/airnode-node';
 import { logger } from '@api3/airnode-utilities';
 import { runCommand, runCommandInBackground } from '../utils';
+import { getAirnodeWallet } from '../../src';
 
 const integration = 'coingecko-cross-chain-authorizer';
 
@@ -66,16 +67,17 @@ describe('Coingecko integration with containerized Airnode and hardhat', () => {
       const endpointId = config.triggers.rrp[0].endpointId;
       const timesReservedParameter = config.ois[0].endpoints[0].reservedParameters.find((rp) => rp.name === '_times');
       const timesValue = Number(timesReservedParameter!.fixed);
+      const pathKey = deriveGatewayPathKey(getAirnodeWallet().mnemonic.phrase, config.nodeSettings.stage);
 
       const httpResponse = runCommand(
-        `curl --silent --show-error -X POST -H 'Content-Type: application/json' -d '{"parameters": {"coinId": "ethereum"}}' 'http://localhost:3000/http-data/${DEFAULT_PATH_KEY}/${endpointId}'`
+        `curl --silent --show-error -X POST -H 'Content-Type: application/json' -d '{"parameters": {"coinId": "ethereum"}}' 'http://localhost:3000/http-data/${pathKey}/${endpointId}'`
       );
       const httpGatewayPrice = Number(JSON.parse(httpResponse).values[0]) / timesValue;
       expect(httpGatewayPrice).toEqual(expect.any(Number));
       logger.log(`HTTP Gateway request: The Ethereum price is ${price} USD.`);
 
       const signedHttpResponse = runCommand(
-        `curl --silent --show-error -X POST -H 'Content-Type: application/json' -d '{"encodedParameters": "0x3173000000000000000000000000000000000000000000000000000000000000636f696e49640000000000000000000000000000000000000000000000000000657468657265756d000000000000000000000000000000000000000000000000"}' 'http://localhost:3000/http-signed-data/${DEFAULT_PATH_KEY}/${endpointId}'`
+        `curl --silent --show-error -X POST -H 'Content-Type: application/json' -d '{"encodedParameters": "0x3173000000000000000000000000000000000000000000000000000000000000636f696e49640000000000000000000000000000000000000000000000000000657468657265756d000000000000000000000000000000000000000000000000"}' 'http://localhost:3000/http-signed-data/${pathKey}/${endpointId}'`
       );
       const encodedValue = JSON.parse(signedHttpResponse).encodedValue;
       const decodedBigNumber: ethers.BigNumber = ethers.utils.defaultAbiCoder.decode(['int256'], encodedValue)[0];
@@ -3,4 +3,10 @@
 set -e
 
 node /app/src/cli/validate-config.js
+
+# In the daemon mode the Airnode keeps running and processes new blocks as they arrive instead of being invoked by cron
+if [ "$AIRNODE_RUN_MODE" = "daemon" ]; then
+  node /app/src/workers/local-gateways/run-server.js & exec su-exec ${name} node /app/src/cli/daemon.js
+fi
+
 node /app/src/workers/local-gateways/run-server.js & crond -f
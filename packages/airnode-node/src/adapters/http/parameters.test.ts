@@ -1,8 +1,8 @@
-import { Endpoint } from '@api3/ois';
+import { ois } from '@api3/airnode-validator';
 import * as parameters from './parameters';
 
 describe('getResponseParameterValue', () => {
-  let mutableBaseEndpoint: Endpoint;
+  let mutableBaseEndpoint: ois.Endpoint;
 
   beforeEach(() => {
     mutableBaseEndpoint = {
@@ -43,10 +43,17 @@ describe('getResponseParameterValue', () => {
     const res = parameters.getReservedParameterValue('_path', endpoint, requestParameters);
     expect(res).toEqual('new.path');
   });
+
+  it('joins the request parameters encoded as arrays into their multi-value form', () => {
+    const endpoint = { ...mutableBaseEndpoint };
+    const requestParameters = { _path: ['prices.0', 'jmespath:[bid, ask]'] };
+    const res = parameters.getReservedParameterValue('_path', endpoint, requestParameters);
+    expect(res).toEqual('prices.0,jmespath:[bid\\, ask]');
+  });
 });
 
 describe('getReservedParameters', () => {
-  let mutableBaseEndpoint: Endpoint;
+  let mutableBaseEndpoint: ois.Endpoint;
 
   beforeEach(() => {
     mutableBaseEndpoint = {
@@ -73,8 +80,24 @@ describe('getReservedParameters', () => {
       _type: 'int256',
       _path: 'updated.path',
       _times: '1000000',
+      _rounding: undefined,
+      _decimals: undefined,
       _gasPrice: undefined,
       _minConfirmations: undefined,
     });
   });
+
+  it('fetches the rounding mode and decimals', () => {
+    const endpoint: ois.Endpoint = {
+      ...mutableBaseEndpoint,
+      reservedParameters: [
+        ...mutableBaseEndpoint.reservedParameters,
+        { name: '_rounding', default: 'down' },
+        { name: '_decimals', fixed: '18' },
+      ],
+    };
+
+    const res = parameters.getReservedParameters(endpoint, { _rounding: 'half-even', _decimals: '6' });
+    expect(res).toEqual(expect.objectContaining({ _rounding: 'half-even', _decimals: '18' }));
+  });
 });
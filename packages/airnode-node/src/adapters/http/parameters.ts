@@ -1,9 +1,9 @@
-import { Endpoint, ReservedParameterName } from '@api3/ois';
+import { ois } from '@api3/airnode-validator';
 import { ApiCallParameters } from '../../types';
 
 export function getReservedParameterValue(
-  name: ReservedParameterName,
-  endpoint: Endpoint,
+  name: ois.ReservedParameterName,
+  endpoint: ois.Endpoint,
   requestParameters: ApiCallParameters
 ): any {
   const reservedParameter = endpoint.reservedParameters.find((rp) => rp.name === name);
@@ -12,14 +12,24 @@ export function getReservedParameterValue(
     return undefined;
   }
 
-  return reservedParameter.fixed || requestParameters[name] || reservedParameter.default;
+  return reservedParameter.fixed || toReservedParameterValue(requestParameters[name]) || reservedParameter.default;
 }
 
-export function getReservedParameters(endpoint: Endpoint, requestParameters: ApiCallParameters) {
+// The reserved parameters encoded as arrays are used in their multi-value form, e.g. ["price", "volume"] becomes
+// "price,volume", where the commas within the values are escaped
+function toReservedParameterValue(value: unknown) {
+  if (!Array.isArray(value)) return value;
+
+  return value.map((element) => String(element).replace(/,/g, '\\,')).join(',');
+}
+
+export function getReservedParameters(endpoint: ois.Endpoint, requestParameters: ApiCallParameters) {
   const _path = getReservedParameterValue('_path', endpoint, requestParameters);
   const _times = getReservedParameterValue('_times', endpoint, requestParameters);
   const _type = getReservedParameterValue('_type', endpoint, requestParameters);
+  const _rounding = getReservedParameterValue('_rounding', endpoint, requestParameters);
+  const _decimals = getReservedParameterValue('_decimals', endpoint, requestParameters);
   const _gasPrice = getReservedParameterValue('_gasPrice', endpoint, requestParameters);
 
-  return { _type, _path, _times, _gasPrice };
+  return { _type, _path, _times, _rounding, _decimals, _gasPrice };
 }
@@ -0,0 +1,362 @@
+import * as adapter from '@api3/airnode-adapter';
+import { AxiosError, AxiosHeaders } from 'axios';
+import * as fixtures from '../../test/fixtures';
+import { HttpApiCallPayload, RegularApiCallPayload } from '../types';
+import {
+  buildOptions,
+  callApi,
+  getFailedApiServerUrl,
+  getJsonBodyEncoding,
+  getResponseFormat,
+  getServerSelectionStrategy,
+  getUpstreamTimestamp,
+  performApiCall,
+  processSuccessfulApiCall,
+} from '.';
+
+const buildConfigWithServers = (serverCount: number) => {
+  const ois = fixtures.buildOIS();
+  const servers = Array.from({ length: serverCount }, (_, index) => ({ url: `http://localhost:${5000 + index}` }));
+  return fixtures.buildConfig({ ois: [{ ...ois, apiSpecifications: { ...ois.apiSpecifications, servers } }] });
+};
+
+describe('buildOptions', () => {
+  it('includes the HMAC security scheme of the OIS', () => {
+    const hmacSecurityScheme = {
+      securitySchemeName: 'exchangeSigning',
+      canonicalString: '{timestamp}{method}{path}{query}{body}',
+      algorithm: 'sha256' as const,
+      encoding: 'hex' as const,
+      signatureHeader: 'X-Signature',
+    };
+    const baseConfig = fixtures.buildConfig();
+    const config = fixtures.buildConfig({
+      apiCredentials: [
+        ...baseConfig.apiCredentials,
+        { oisTitle: 'Currency Converter API', securitySchemeName: 'exchangeSigning', securitySchemeValue: 'secret' },
+      ],
+      hmacSecuritySchemes: [{ oisTitle: 'Currency Converter API', ...hmacSecurityScheme }],
+    });
+
+    const options = buildOptions({
+      type: 'http-gateway',
+      config,
+      aggregatedApiCall: fixtures.buildAggregatedHttpGatewayApiCall(),
+    });
+
+    expect(options.hmacSecurityScheme).toEqual(hmacSecurityScheme);
+    expect(options.apiCredentials).toContainEqual({
+      securitySchemeName: 'exchangeSigning',
+      securitySchemeValue: 'secret',
+    });
+    expect(
+      buildOptions({
+        type: 'http-gateway',
+        config: baseConfig,
+        aggregatedApiCall: fixtures.buildAggregatedHttpGatewayApiCall(),
+      }).hmacSecurityScheme
+    ).toBeUndefined();
+  });
+});
+
+describe('getUpstreamTimestamp', () => {
+  const now = Date.parse('Tue, 01 Jan 2030 00:01:00 GMT');
+
+  it('returns the timestamp of the Date header', () => {
+    expect(getUpstreamTimestamp({ Date: 'Tue, 01 Jan 2030 00:00:00 GMT' }, now)).toEqual(1893456000);
+  });
+
+  it('caps the timestamps from the future at the current time', () => {
+    expect(getUpstreamTimestamp({ date: 'Tue, 01 Jan 2030 00:05:00 GMT' }, now)).toEqual(1893456060);
+  });
+
+  it('returns undefined if the Date header is missing or invalid', () => {
+    expect(getUpstreamTimestamp(undefined, now)).toBeUndefined();
+    expect(getUpstreamTimestamp({}, now)).toBeUndefined();
+    expect(getUpstreamTimestamp({ date: 'yesterday' }, now)).toBeUndefined();
+  });
+});
+
+describe('getServerSelectionStrategy', () => {
+  it('returns the strategy of the server selection policy of the OIS', () => {
+    const config = {
+      ...fixtures.buildConfig(),
+      serverSelectionPolicies: [{ oisTitle: 'Currency Converter API', strategy: 'fastest' as const }],
+    };
+    expect(getServerSelectionStrategy(config, 'Currency Converter API')).toEqual('fastest');
+    expect(getServerSelectionStrategy(config, 'Other API')).toEqual('fallback');
+  });
+});
+
+describe('getResponseFormat', () => {
+  it('returns the response format of the endpoint', () => {
+    const config = {
+      ...fixtures.buildConfig(),
+      responseFormats: [{ oisTitle: 'Currency Converter API', endpointName: 'convertToUSD', format: 'csv' as const }],
+    };
+    expect(getResponseFormat(config, 'Currency Converter API', 'convertToUSD')).toEqual('csv');
+    expect(getResponseFormat(config, 'Currency Converter API', 'convertToEUR')).toBeUndefined();
+  });
+
+  it('passes the response format of the endpoint to the adapter', async () => {
+    const spy = jest.spyOn(adapter, 'buildAndExecuteRequest') as jest.SpyInstance;
+    spy.mockResolvedValueOnce({ data: [{ price: '1000' }] });
+    const config = {
+      ...fixtures.buildConfig(),
+      responseFormats: [{ oisTitle: 'Currency Converter API', endpointName: 'convertToUSD', format: 'csv' as const }],
+    };
+
+    await performApiCall({ type: 'regular', config, aggregatedApiCall: fixtures.buildAggregatedRegularApiCall() });
+
+    expect(spy).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ responseFormat: 'csv' }));
+  });
+});
+
+describe('getJsonBodyEncoding', () => {
+  it('returns the JSON body encoding of the endpoint', () => {
+    const config = {
+      ...fixtures.buildConfig(),
+      jsonBodyEncodings: [
+        { oisTitle: 'Currency Converter API', endpointName: 'convertToUSD', encoding: 'nested' as const },
+      ],
+    };
+    expect(getJsonBodyEncoding(config, 'Currency Converter API', 'convertToUSD')).toEqual('nested');
+    expect(getJsonBodyEncoding(config, 'Currency Converter API', 'convertToEUR')).toBeUndefined();
+  });
+
+  it('passes the JSON body encoding of the endpoint to the adapter', async () => {
+    const spy = jest.spyOn(adapter, 'buildAndExecuteRequest') as jest.SpyInstance;
+    spy.mockResolvedValueOnce({ data: { price: '1000' } });
+    const config = {
+      ...fixtures.buildConfig(),
+      jsonBodyEncodings: [
+        { oisTitle: 'Currency Converter API', endpointName: 'convertToUSD', encoding: 'nested' as const },
+      ],
+    };
+
+    await performApiCall({ type: 'regular', config, aggregatedApiCall: fixtures.buildAggregatedRegularApiCall() });
+
+    expect(spy).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ jsonBodyEncoding: 'nested' }));
+  });
+});
+
+describe('performApiCall with fallback servers', () => {
+  const buildPayload = (config = buildConfigWithServers(3)): RegularApiCallPayload => ({
+    type: 'regular',
+    config,
+    aggregatedApiCall: fixtures.buildAggregatedRegularApiCall(),
+  });
+
+  it('logs the API server which served the response', async () => {
+    const spy = jest.spyOn(adapter, 'buildAndExecuteRequest') as jest.SpyInstance;
+    spy.mockResolvedValueOnce({ data: { price: 1000 }, apiServerUrl: 'http://localhost:5001' });
+
+    const [logs, res] = await performApiCall(buildPayload());
+
+    expect(logs).toEqual([
+      { level: 'DEBUG', message: 'Endpoint:convertToUSD was served by API server:http://localhost:5001' },
+    ]);
+    expect(res).toEqual({ data: { price: 1000 }, apiServerUrl: 'http://localhost:5001' });
+  });
+
+  it('passes the whole timeout of an attempt to the adapter', async () => {
+    const spy = jest.spyOn(adapter, 'buildAndExecuteRequest') as jest.SpyInstance;
+    spy.mockResolvedValue({ data: { price: 1000 }, apiServerUrl: 'http://localhost:5000' });
+
+    await performApiCall(buildPayload());
+    expect(spy).toHaveBeenCalledWith(expect.anything(), { timeout: 10_000, serverSelection: 'fallback' });
+
+    const config = {
+      ...buildConfigWithServers(3),
+      serverSelectionPolicies: [{ oisTitle: 'Currency Converter API', strategy: 'fastest' as const }],
+    };
+    await performApiCall(buildPayload(config));
+    expect(spy).toHaveBeenLastCalledWith(expect.anything(), { timeout: 10_000, serverSelection: 'fastest' });
+  });
+
+  it('reports the API server which returned the error', async () => {
+    const spy = jest.spyOn(adapter, 'buildAndExecuteRequest') as jest.SpyInstance;
+    const config = { url: 'http://localhost:5002/convert', headers: new AxiosHeaders() };
+    const response = { status: 404, statusText: '', data: {}, headers: {}, config, request: {} };
+    spy.mockRejectedValue(new AxiosError('Request failed', undefined, config, {}, response));
+
+    const [_logs, res] = await performApiCall(buildPayload());
+    spy.mockRestore();
+
+    expect(res).toEqual({
+      success: false,
+      errorMessage: 'API call failed with status code 404',
+      errorClass: { type: 'status', statusCode: 404 },
+      apiServerUrl: 'http://localhost:5002',
+    });
+  });
+});
+
+describe('callApi', () => {
+  fixtures.setEnvVariables({ AIRNODE_WALLET_PRIVATE_KEY: fixtures.getAirnodeWalletPrivateKey() });
+
+  it('reports the API server which served a regular API call', async () => {
+    const spy = jest.spyOn(adapter, 'buildAndExecuteRequest') as jest.SpyInstance;
+    spy.mockResolvedValueOnce({ data: { price: 1000 }, apiServerUrl: 'http://localhost:5001' });
+    const payload: RegularApiCallPayload = {
+      type: 'regular',
+      config: buildConfigWithServers(3),
+      aggregatedApiCall: fixtures.buildAggregatedRegularApiCall({ parameters: { _type: 'int256', _path: 'price' } }),
+    };
+
+    const [_logs, res] = await callApi(payload);
+
+    expect(res).toEqual(expect.objectContaining({ success: true, apiServerUrl: 'http://localhost:5001' }));
+  });
+});
+
+describe('getFailedApiServerUrl', () => {
+  const buildError = (url?: string) =>
+    new AxiosError('Request failed', undefined, { url, headers: new AxiosHeaders() });
+
+  it('returns the API server the failed request was sent to', () => {
+    const ois = fixtures.buildOIS();
+    const servers = [{ url: 'http://localhost:5000' }, { url: 'http://localhost:5000/v2' }];
+    const config = fixtures.buildConfig({
+      ois: [{ ...ois, apiSpecifications: { ...ois.apiSpecifications, servers } }],
+    });
+
+    expect(
+      getFailedApiServerUrl(config, 'Currency Converter API', buildError('http://localhost:5000/convert'))
+    ).toEqual('http://localhost:5000');
+    expect(
+      getFailedApiServerUrl(config, 'Currency Converter API', buildError('http://localhost:5000/v2/convert'))
+    ).toEqual('http://localhost:5000/v2');
+  });
+
+  it('returns undefined if the API server is not known', () => {
+    const config = buildConfigWithServers(2);
+
+    expect(getFailedApiServerUrl(config, 'Currency Converter API', new Error('Operation timed out'))).toBeUndefined();
+    expect(getFailedApiServerUrl(config, 'Currency Converter API', buildError())).toBeUndefined();
+    expect(
+      getFailedApiServerUrl(config, 'Currency Converter API', buildError('http://localhost:6000/convert'))
+    ).toBeUndefined();
+  });
+});
+
+describe('processSuccessfulApiCall', () => {
+  fixtures.setEnvVariables({ AIRNODE_WALLET_PRIVATE_KEY: fixtures.getAirnodeWalletPrivateKey() });
+
+  const payload: HttpApiCallPayload = {
+    type: 'http-gateway',
+    config: fixtures.buildConfig(),
+    aggregatedApiCall: fixtures.buildAggregatedHttpGatewayApiCall({
+      parameters: { from: 'ETH', _type: 'int256', _path: 'price' },
+    }),
+  };
+
+  it('includes the API server in the metadata of the HTTP gateway response', async () => {
+    const [_logs, res] = await processSuccessfulApiCall(payload, {
+      data: { price: 1000 },
+      apiServerUrl: 'http://localhost:5001',
+    });
+
+    expect(res).toEqual({
+      success: true,
+      data: {
+        values: ['100000000'],
+        rawValue: { price: 1000 },
+        encodedValue: '0x0000000000000000000000000000000000000000000000000000000005f5e100',
+        metadata: { apiServerUrl: 'http://localhost:5001' },
+      },
+    });
+  });
+
+  it('includes the API server in the metadata of a partial HTTP gateway response', async () => {
+    const [_logs, res] = await processSuccessfulApiCall(payload, {
+      data: { price: 'not a number' },
+      apiServerUrl: 'http://localhost:5001',
+    });
+
+    expect(res).toEqual({
+      success: true,
+      errorMessage: expect.any(String),
+      data: { rawValue: { price: 'not a number' }, metadata: { apiServerUrl: 'http://localhost:5001' } },
+    });
+  });
+
+  it('extracts the status and headers of the API response', async () => {
+    const [_logs, res] = await processSuccessfulApiCall(
+      {
+        ...payload,
+        aggregatedApiCall: fixtures.buildAggregatedHttpGatewayApiCall({
+          parameters: { from: 'ETH', _type: 'uint256,string', _path: '$status,$headers.etag', _times: ',' },
+        }),
+      },
+      { data: { price: 1000 }, status: 200, headers: { etag: 'W/"123"' } }
+    );
+
+    expect(res).toEqual({
+      success: true,
+      data: expect.objectContaining({ values: ['200', 'W/"123"'] }),
+    });
+  });
+
+  it('rounds the numeric values with the rounding mode and decimals', async () => {
+    const ois = fixtures.buildOIS();
+    const endpoints = ois.endpoints.map((endpoint) => ({
+      ...endpoint,
+      reservedParameters: [
+        ...endpoint.reservedParameters,
+        { name: '_rounding' as const },
+        { name: '_decimals' as const },
+      ],
+    }));
+    const [_logs, res] = await processSuccessfulApiCall(
+      {
+        ...payload,
+        config: fixtures.buildConfig({ ois: [{ ...ois, endpoints }] }),
+        aggregatedApiCall: fixtures.buildAggregatedHttpGatewayApiCall({
+          parameters: {
+            from: 'ETH',
+            _type: 'int256',
+            _path: 'price',
+            _times: '1',
+            _rounding: 'half-up',
+            _decimals: '2',
+          },
+        }),
+      },
+      { data: { price: 10.005 } }
+    );
+
+    expect(res).toEqual({ success: true, data: expect.objectContaining({ values: ['1001'] }) });
+  });
+
+  const signedDataPayload = (upstreamTimestamp?: boolean) => ({
+    type: 'http-signed-data-gateway' as const,
+    config: fixtures.buildConfig(),
+    aggregatedApiCall: fixtures.buildAggregatedHttpSignedDataApiCall({
+      parameters: { from: 'ETH', _type: 'int256', _path: 'price' },
+      upstreamTimestamp,
+    }),
+  });
+  const responseWithDate = { data: { price: 1000 }, status: 200, headers: { date: 'Tue, 01 Jan 2019 00:00:00 GMT' } };
+
+  it('signs the data with the current time by default', async () => {
+    const dateNowSpy = jest.spyOn(Date, 'now').mockReturnValue(1_700_000_000_000);
+
+    const [_logs, res] = await processSuccessfulApiCall(signedDataPayload(), responseWithDate);
+
+    expect(res).toEqual({
+      success: true,
+      data: { timestamp: '1700000000', encodedValue: expect.any(String), signature: expect.any(String) },
+    });
+    dateNowSpy.mockRestore();
+  });
+
+  it('signs the data with the timestamp of the Date header of the API response if the trigger opts in', async () => {
+    const [_logs, res] = await processSuccessfulApiCall(signedDataPayload(true), responseWithDate);
+
+    expect(res).toEqual({
+      success: true,
+      data: { timestamp: '1546300800', encodedValue: expect.any(String), signature: expect.any(String) },
+    });
+  });
+});
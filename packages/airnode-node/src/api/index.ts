@@ -1,15 +1,20 @@
 import * as adapter from '@api3/airnode-adapter';
+import find from 'lodash/find';
 import isEmpty from 'lodash/isEmpty';
-import { RESERVED_PARAMETERS } from '@api3/ois';
-import { preProcessEndpointParameters, postProcessResponse } from '@api3/commons';
+import sortBy from 'lodash/sortBy';
+import { ois as oisTypes } from '@api3/airnode-validator';
 import { logger, removeKeys, removeKey } from '@api3/airnode-utilities';
 import { go, goSync } from '@api3/promise-utils';
 import axios, { AxiosError } from 'axios';
 import { ethers } from 'ethers';
 import compact from 'lodash/compact';
+import { addOAuth2Tokens, getOAuth2Credentials } from './oauth2';
+import { preProcessEndpointParameters, postProcessResponse } from './processing';
+import { classifyApiCallError, getBackoffDelay, getRetryPolicy } from './retry-policy';
+import { JsonBodyEncoding, ResponseFormat, ServerSelectionStrategy } from '../config';
 import { getAirnodeWalletFromPrivateKey } from '../evm';
+import { recordApiCall } from '../reporting/metrics';
 import { getReservedParameters } from '../adapters/http/parameters';
-import { FIRST_API_CALL_TIMEOUT, PROCESSING_TIMEOUT, SECOND_API_CALL_TIMEOUT } from '../constants';
 import { isValidRequestId } from '../evm/verification';
 import { getExpectedTemplateIdV0, getExpectedTemplateIdV1 } from '../evm/templates';
 import {
@@ -17,6 +22,8 @@ import {
   LogsData,
   RequestErrorMessage,
   ApiCallErrorResponse,
+  ApiCallErrorClass,
+  ApiCallConfig,
   ApiCallParameters,
   ApiCallPayload,
   RegularApiCallPayload,
@@ -31,6 +38,10 @@ export function buildOptions(payload: ApiCallPayload): adapter.BuildRequestOptio
   const apiCredentials = config.apiCredentials
     .filter((c) => c.oisTitle === oisTitle)
     .map((c) => removeKey(c, 'oisTitle')) as adapter.BaseApiCredentials[];
+  const hmacSecurityScheme = (config.hmacSecuritySchemes ?? []).find((h) => h.oisTitle === oisTitle);
+  const hmacOptions = hmacSecurityScheme
+    ? { hmacSecurityScheme: removeKey(hmacSecurityScheme, 'oisTitle') as adapter.HmacSecurityScheme }
+    : {};
 
   // Gather the default endpoint parameter values
   const endpoint = ois.endpoints.find((endpoint) => endpoint.name === endpointName)!;
@@ -42,7 +53,7 @@ export function buildOptions(payload: ApiCallPayload): adapter.BuildRequestOptio
   const allParameters = { ...defaultParameters, ...parameters };
 
   // Don't submit the reserved parameters to the API
-  const sanitizedParameters: adapter.Parameters = removeKeys(allParameters, RESERVED_PARAMETERS);
+  const sanitizedParameters: adapter.Parameters = removeKeys(allParameters, oisTypes.RESERVED_PARAMETERS);
 
   switch (type) {
     case 'http-signed-data-gateway':
@@ -52,6 +63,7 @@ export function buildOptions(payload: ApiCallPayload): adapter.BuildRequestOptio
         parameters: sanitizedParameters,
         ois,
         apiCredentials,
+        ...hmacOptions,
         metadata: null,
       };
     }
@@ -66,6 +78,7 @@ export function buildOptions(payload: ApiCallPayload): adapter.BuildRequestOptio
         parameters: sanitizedParameters,
         ois,
         apiCredentials,
+        ...hmacOptions,
         metadata: {
           requesterAddress: requesterAddress,
           sponsorAddress: sponsorAddress,
@@ -166,6 +179,11 @@ export function verifyHttpSignedCallApiParams(payload: HttpSignedApiCallPayload)
 
 export interface PerformApiCallSuccess {
   data: unknown;
+  // The status and headers of the API response, which are missing if the API call is skipped
+  status?: number;
+  headers?: Record<string, unknown>;
+  // The base URL of the API server which served the response
+  apiServerUrl?: string;
 }
 
 export function isPerformApiCallFailure(
@@ -187,28 +205,158 @@ export function errorMsgFromAxiosError(e: AxiosError): string {
 export async function performApiCall(
   payload: ApiCallPayload
 ): Promise<LogsData<ApiCallErrorResponse | PerformApiCallSuccess>> {
-  const options = buildOptions(payload);
-  // We also pass the timeout to adapter to gracefully abort the request after the timeout.
-  // timeout passed to adapter will cause axios socket to hang until the timeout is reached
-  // even if the totalTimeoutMs is reached and the 2nd attempt is made
-  const goAttempt1 = await go(() => adapter.buildAndExecuteRequest(options, { timeout: FIRST_API_CALL_TIMEOUT }), {
-    totalTimeoutMs: FIRST_API_CALL_TIMEOUT,
-  });
-  if (goAttempt1.success) {
-    return [[], { ...goAttempt1.data }];
-  }
-  const goAttempt2 = await go(() => adapter.buildAndExecuteRequest(options, { timeout: SECOND_API_CALL_TIMEOUT }), {
-    totalTimeoutMs: SECOND_API_CALL_TIMEOUT,
-  });
-  if (goAttempt2.success) {
-    return [[], { ...goAttempt2.data }];
-  }
-  const { aggregatedApiCall } = payload;
-  const log = logger.pend('ERROR', `Failed to call Endpoint:${aggregatedApiCall.endpointName}`, goAttempt2.error);
+  const { oisTitle, endpointName } = payload.aggregatedApiCall;
+  const startedAt = Date.now();
+  const [logs, response] = await performApiCallWithRetry(payload);
+  recordApiCall(oisTitle, endpointName, Date.now() - startedAt, !isPerformApiCallFailure(response));
+
+  return [logs, response];
+}
+
+function apiCallFailure(
+  message: string,
+  error: Error,
+  errorClass?: ApiCallErrorClass,
+  apiServerUrl?: string
+): LogsData<ApiCallErrorResponse> {
+  const log = logger.pend('ERROR', message, error);
   // eslint-disable-next-line import/no-named-as-default-member
-  const axiosErrorMsg = axios.isAxiosError(goAttempt2.error) ? errorMsgFromAxiosError(goAttempt2.error) : '';
+  const axiosErrorMsg = axios.isAxiosError(error) ? errorMsgFromAxiosError(error) : '';
   const errorMessage = compact([RequestErrorMessage.ApiCallFailed, axiosErrorMsg]).join(' ');
-  return [[log], { success: false, errorMessage: errorMessage }];
+  return [
+    [log],
+    {
+      success: false,
+      errorMessage: errorMessage,
+      ...(errorClass ? { errorClass } : {}),
+      ...(apiServerUrl ? { apiServerUrl } : {}),
+    },
+  ];
+}
+
+// The error of an HTTP request is matched to the server of the OIS it was sent to, where the longest base URL wins in
+// case the base URL of one server is the prefix of another
+export function getFailedApiServerUrl(config: ApiCallConfig, oisTitle: string, error: unknown): string | undefined {
+  // eslint-disable-next-line import/no-named-as-default-member
+  const url = axios.isAxiosError(error) ? error.config?.url : undefined;
+  if (!url) return undefined;
+
+  const ois = config.ois.find((o) => o.title === oisTitle);
+  const serverUrls = (ois?.apiSpecifications.servers ?? []).map((server) => server.url);
+  return sortBy(serverUrls, (serverUrl) => -serverUrl.length).find((serverUrl) => url.startsWith(serverUrl));
+}
+
+async function performApiCallWithRetry(
+  payload: ApiCallPayload
+): Promise<LogsData<ApiCallErrorResponse | PerformApiCallSuccess>> {
+  const { config, aggregatedApiCall } = payload;
+  const { oisTitle, endpointName } = aggregatedApiCall;
+  const oauth2Credentials = getOAuth2Credentials(config, oisTitle);
+  const goOptions = await go(() => addOAuth2Tokens(buildOptions(payload), oauth2Credentials));
+  if (!goOptions.success) {
+    return apiCallFailure(`Failed to fetch the OAuth2 access token for Endpoint:${endpointName}`, goOptions.error);
+  }
+  const retryPolicy = getRetryPolicy(config, oisTitle, endpointName);
+  const serverSelection = getServerSelectionStrategy(config, oisTitle);
+  const responseFormat = getResponseFormat(config, oisTitle, endpointName);
+  const jsonBodyEncoding = getJsonBodyEncoding(config, oisTitle, endpointName);
+
+  const attempt = async (
+    attemptNumber: number,
+    options: adapter.BuildRequestOptions,
+    hasRefreshedTokens: boolean
+  ): Promise<LogsData<ApiCallErrorResponse | PerformApiCallSuccess>> => {
+    const timeout = retryPolicy.getAttemptTimeoutMs(attemptNumber);
+    // We also pass the timeout to adapter to gracefully abort the request after the timeout.
+    // timeout passed to adapter will cause axios socket to hang until the timeout is reached
+    // even if the totalTimeoutMs is reached and the next attempt is made
+    const goAttempt = await go(
+      () => adapter.buildAndExecuteRequest(options, { timeout, serverSelection, responseFormat, jsonBodyEncoding }),
+      { totalTimeoutMs: timeout }
+    );
+    if (goAttempt.success) {
+      const { data, status, headers, apiServerUrl } = goAttempt.data;
+      const logs = apiServerUrl
+        ? [logger.pend('DEBUG', `Endpoint:${endpointName} was served by API server:${apiServerUrl}`)]
+        : [];
+      return [logs, { data, status, headers, apiServerUrl }];
+    }
+
+    // The cached OAuth2 access tokens may have been revoked before they expired, in which case new tokens are fetched
+    // and the attempt is repeated once
+    const errorClass = classifyApiCallError(goAttempt.error);
+    if (
+      !hasRefreshedTokens &&
+      !isEmpty(oauth2Credentials) &&
+      errorClass.type === 'status' &&
+      errorClass.statusCode === 401
+    ) {
+      const goRefreshedOptions = await go(() => addOAuth2Tokens(options, oauth2Credentials, true));
+      if (goRefreshedOptions.success) return attempt(attemptNumber, goRefreshedOptions.data, true);
+    }
+
+    if (attemptNumber < retryPolicy.maxAttempts && retryPolicy.isRetryable(goAttempt.error)) {
+      const delay = getBackoffDelay(retryPolicy.backoff, attemptNumber);
+      if (delay > 0) await new Promise((resolve) => setTimeout(resolve, delay));
+      return attempt(attemptNumber + 1, options, hasRefreshedTokens);
+    }
+
+    return apiCallFailure(
+      `Failed to call Endpoint:${endpointName}`,
+      goAttempt.error,
+      errorClass,
+      getFailedApiServerUrl(config, oisTitle, goAttempt.error)
+    );
+  };
+
+  return attempt(1, goOptions.data, false);
+}
+
+// The response format is detected from the response if the endpoint does not override it
+export function getResponseFormat(
+  config: ApiCallConfig,
+  oisTitle: string,
+  endpointName: string
+): ResponseFormat | undefined {
+  const responseFormat = (config.responseFormats ?? []).find(
+    (responseFormat) => responseFormat.oisTitle === oisTitle && responseFormat.endpointName === endpointName
+  );
+
+  return responseFormat?.format;
+}
+
+// The adapter sends flat JSON bodies if the endpoint does not opt in to building them from the dotted parameter names
+export function getJsonBodyEncoding(
+  config: ApiCallConfig,
+  oisTitle: string,
+  endpointName: string
+): JsonBodyEncoding | undefined {
+  const jsonBodyEncoding = (config.jsonBodyEncodings ?? []).find(
+    (jsonBodyEncoding) => jsonBodyEncoding.oisTitle === oisTitle && jsonBodyEncoding.endpointName === endpointName
+  );
+
+  return jsonBodyEncoding?.encoding;
+}
+
+/**
+ * Returns the time at which the API generated the response, as stated by its `Date` header. Timestamps from the future
+ * are capped at the current time to tolerate the clock skew of the API server.
+ */
+export function getUpstreamTimestamp(headers?: Record<string, unknown>, now = Date.now()): number | undefined {
+  const date = find(headers, (_value, name) => name.toLowerCase() === 'date');
+  if (typeof date !== 'string') return undefined;
+
+  const dateMs = Date.parse(date);
+  if (isNaN(dateMs)) return undefined;
+  return Math.floor(Math.min(dateMs, now) / 1000);
+}
+
+export function getServerSelectionStrategy(config: ApiCallConfig, oisTitle: string): ServerSelectionStrategy {
+  const serverSelectionPolicy = (config.serverSelectionPolicies ?? []).find(
+    (serverSelectionPolicy) => serverSelectionPolicy.oisTitle === oisTitle
+  );
+
+  return serverSelectionPolicy?.strategy ?? 'fallback';
 }
 
 export async function processSuccessfulApiCall(
@@ -219,13 +367,15 @@ export async function processSuccessfulApiCall(
   const { endpointName, oisTitle, parameters } = aggregatedApiCall;
   const ois = config.ois.find((o) => o.title === oisTitle)!;
   const endpoint = ois.endpoints.find((e) => e.name === endpointName)!;
+  // The API call is skipped for the endpoints without an operation, in which case there is no API server to report
+  const metadata = rawResponse.apiServerUrl ? { metadata: { apiServerUrl: rawResponse.apiServerUrl } } : {};
+  const envelope =
+    rawResponse.status === undefined ? undefined : { status: rawResponse.status, headers: rawResponse.headers ?? {} };
   // _minConfirmations is handled prior to the API call
-  const { _type, _path, _times, _gasPrice } = getReservedParameters(endpoint, parameters);
+  const { _type, _path, _times, _rounding, _decimals, _gasPrice } = getReservedParameters(endpoint, parameters);
 
   const goPostProcessApiSpecifications = await go(() =>
-    postProcessResponse(rawResponse.data, endpoint, aggregatedApiCall.parameters, {
-      totalTimeoutMs: PROCESSING_TIMEOUT,
-    })
+    postProcessResponse(rawResponse.data, endpoint, aggregatedApiCall.parameters)
   );
   if (!goPostProcessApiSpecifications.success) {
     const log = logger.pend('ERROR', goPostProcessApiSpecifications.error.message);
@@ -234,11 +384,17 @@ export async function processSuccessfulApiCall(
   const postProcessedData = goPostProcessApiSpecifications.data;
 
   const goExtractAndEncodeResponse = goSync(() =>
-    adapter.extractAndEncodeResponse(postProcessedData.response, {
-      _type,
-      _path,
-      _times,
-    } as adapter.ResponseReservedParameters)
+    adapter.extractAndEncodeResponse(
+      postProcessedData.response,
+      {
+        _type,
+        _path,
+        _times,
+        _rounding,
+        _decimals,
+      } as adapter.ResponseReservedParameters,
+      envelope
+    )
   );
   if (!goExtractAndEncodeResponse.success) {
     const log = logger.pend('ERROR', goExtractAndEncodeResponse.error.message);
@@ -246,7 +402,11 @@ export async function processSuccessfulApiCall(
     if (type === 'http-gateway') {
       return [
         [log],
-        { success: true, errorMessage: goExtractAndEncodeResponse.error.message, data: { rawValue: rawResponse.data } },
+        {
+          success: true,
+          errorMessage: goExtractAndEncodeResponse.error.message,
+          data: { rawValue: rawResponse.data, ...metadata },
+        },
       ];
     }
     return [[log], { success: false, errorMessage: goExtractAndEncodeResponse.error.message }];
@@ -256,7 +416,7 @@ export async function processSuccessfulApiCall(
 
   switch (type) {
     case 'http-gateway':
-      return [[], { success: true, data: response }];
+      return [[], { success: true, data: { ...response, ...metadata } }];
     case 'regular': {
       const goSignWithRequestId = await go(() => signWithRequestId(aggregatedApiCall.id, response.encodedValue));
       if (!goSignWithRequestId.success) {
@@ -274,7 +434,12 @@ export async function processSuccessfulApiCall(
       ];
     }
     case 'http-signed-data-gateway': {
-      const timestamp = (postProcessedData.timestamp ?? Math.floor(Date.now() / 1000)).toString();
+      // The API response is timestamped with its "Date" header only if the trigger opts in, as the clocks and caches of
+      // the API servers would otherwise decide how fresh the signed data claims to be
+      const upstreamTimestamp = aggregatedApiCall.upstreamTimestamp
+        ? getUpstreamTimestamp(rawResponse.headers)
+        : undefined;
+      const timestamp = (postProcessedData.timestamp ?? upstreamTimestamp ?? Math.floor(Date.now() / 1000)).toString();
       const goSignWithTemplateId = await go(() =>
         signWithTemplateId(aggregatedApiCall.templateId, timestamp, response.encodedValue)
       );
@@ -303,9 +468,7 @@ export async function callApi(payload: ApiCallPayload): Promise<LogsData<ApiCall
   } = payload;
   const ois = payload.config.ois.find((o) => o.title === payload.aggregatedApiCall.oisTitle)!;
   const endpoint = ois.endpoints.find((e) => e.name === payload.aggregatedApiCall.endpointName)!;
-  const { endpointParameters: processedEndpointParameters } = await preProcessEndpointParameters(endpoint, parameters, {
-    totalTimeoutMs: PROCESSING_TIMEOUT,
-  });
+  const processedEndpointParameters = await preProcessEndpointParameters(endpoint, parameters);
 
   // Skip API call if operation is undefined and fixedOperationParameters is empty array. We can be sure that there is
   // at least one processing specification defined (either v1 or v2) because it is verified by the OIS schema.
@@ -322,5 +485,8 @@ export async function callApi(payload: ApiCallPayload): Promise<LogsData<ApiCall
   if (isPerformApiCallFailure(response)) {
     return [logs, response];
   }
-  return processSuccessfulApiCall(payload, response);
+  const [processLogs, processedResponse] = await processSuccessfulApiCall(payload, response);
+  // The outcome of a regular API call is recorded in the circuit breaker of the API server which served it
+  if (payload.type !== 'regular' || !response.apiServerUrl) return [processLogs, processedResponse];
+  return [processLogs, { ...processedResponse, apiServerUrl: response.apiServerUrl }];
 }
@@ -0,0 +1,178 @@
+import * as adapter from '@api3/airnode-adapter';
+import { caching } from '@api3/airnode-utilities';
+import { AxiosError, AxiosHeaders } from 'axios';
+import {
+  addOAuth2Tokens,
+  clearOAuth2Tokens,
+  getOAuth2Credentials,
+  getOAuth2Token,
+  OAuth2ClientCredentials,
+} from './oauth2';
+import * as fixtures from '../../test/fixtures';
+import { OAuth2Credentials } from '../config';
+import { RegularApiCallPayload } from '../types';
+import { buildOptions, performApiCall } from '.';
+
+const securitySchemeName = 'myOAuth2SecurityScheme';
+const oauth2Credentials: OAuth2Credentials = {
+  oisTitle: 'Currency Converter API',
+  securitySchemeName,
+  tokenUrl: 'https://auth.example.com/oauth/token',
+  clientId: 'client-id',
+};
+const oauth2ClientCredentials: OAuth2ClientCredentials = { ...oauth2Credentials, clientSecret: 'client-secret' };
+
+const buildConfigWithOAuth2 = () => {
+  const ois = fixtures.buildOIS();
+  const apiSpecifications = {
+    ...ois.apiSpecifications,
+    components: {
+      securitySchemes: {
+        ...ois.apiSpecifications.components.securitySchemes,
+        [securitySchemeName]: { type: 'http' as const, scheme: 'bearer' as const },
+      },
+    },
+    security: { ...ois.apiSpecifications.security, [securitySchemeName]: [] as [] },
+  };
+  const apiCredentials = [
+    ...fixtures.buildConfig().apiCredentials,
+    { oisTitle: ois.title, securitySchemeName, securitySchemeValue: 'client-secret' },
+  ];
+  return fixtures.buildConfig({
+    ois: [{ ...ois, apiSpecifications }],
+    apiCredentials,
+    oauth2Credentials: [oauth2Credentials],
+  });
+};
+
+describe('getOAuth2Credentials', () => {
+  it('returns the OAuth2 credentials of the enabled security schemes of the OIS with their client secrets', () => {
+    const config = buildConfigWithOAuth2();
+    expect(getOAuth2Credentials(config, 'Currency Converter API')).toEqual([oauth2ClientCredentials]);
+    expect(getOAuth2Credentials(fixtures.buildConfig(), 'Currency Converter API')).toEqual([]);
+  });
+});
+
+beforeEach(() => {
+  clearOAuth2Tokens();
+});
+
+describe('getOAuth2Token', () => {
+  it('returns the cached token if it does not expire soon', async () => {
+    const fetchSpy = jest
+      .spyOn(adapter, 'fetchOAuth2Token')
+      .mockResolvedValueOnce({ accessToken: 'cached', expiresAt: Date.now() + 60_000 });
+
+    await expect(getOAuth2Token(oauth2ClientCredentials)).resolves.toEqual('cached');
+    await expect(getOAuth2Token(oauth2ClientCredentials)).resolves.toEqual('cached');
+    expect(fetchSpy).toHaveBeenCalledTimes(1);
+    expect(fetchSpy).toHaveBeenCalledWith(oauth2ClientCredentials, { timeout: 5_000 });
+  });
+
+  it('fetches a new token if the cached one expires soon', async () => {
+    const fetchSpy = jest
+      .spyOn(adapter, 'fetchOAuth2Token')
+      .mockResolvedValueOnce({ accessToken: 'cached', expiresAt: Date.now() + 1_000 })
+      .mockResolvedValueOnce({ accessToken: 'fresh', expiresAt: Date.now() + 3_600_000 });
+
+    await expect(getOAuth2Token(oauth2ClientCredentials)).resolves.toEqual('cached');
+    await expect(getOAuth2Token(oauth2ClientCredentials)).resolves.toEqual('fresh');
+    expect(fetchSpy).toHaveBeenCalledTimes(2);
+  });
+
+  it('ignores the cached token if forced to refresh', async () => {
+    jest
+      .spyOn(adapter, 'fetchOAuth2Token')
+      .mockResolvedValueOnce({ accessToken: 'cached', expiresAt: Date.now() + 60_000 })
+      .mockResolvedValueOnce({ accessToken: 'fresh', expiresAt: Date.now() + 60_000 });
+
+    await expect(getOAuth2Token(oauth2ClientCredentials)).resolves.toEqual('cached');
+    await expect(getOAuth2Token(oauth2ClientCredentials, true)).resolves.toEqual('fresh');
+    await expect(getOAuth2Token(oauth2ClientCredentials)).resolves.toEqual('fresh');
+  });
+
+  it('does not write the token to the filesystem cache', async () => {
+    const addKeySpy = jest.spyOn(caching, 'addKey');
+    jest
+      .spyOn(adapter, 'fetchOAuth2Token')
+      .mockResolvedValueOnce({ accessToken: 'secret', expiresAt: Date.now() + 60_000 });
+
+    await getOAuth2Token(oauth2ClientCredentials);
+
+    expect(addKeySpy).not.toHaveBeenCalled();
+  });
+});
+
+describe('addOAuth2Tokens', () => {
+  it('uses the tokens as the credentials of the security schemes', async () => {
+    jest
+      .spyOn(adapter, 'fetchOAuth2Token')
+      .mockResolvedValueOnce({ accessToken: 'token', expiresAt: Date.now() + 60_000 });
+    const options = buildOptions({
+      type: 'http-gateway',
+      config: buildConfigWithOAuth2(),
+      aggregatedApiCall: fixtures.buildAggregatedHttpGatewayApiCall(),
+    });
+
+    const res = await addOAuth2Tokens(options, [oauth2ClientCredentials]);
+
+    // The client secret is replaced by the token, so that it is never sent to the API
+    expect(options.apiCredentials).toContainEqual({ securitySchemeName, securitySchemeValue: 'client-secret' });
+    expect(res.apiCredentials).toEqual([
+      ...options.apiCredentials.filter((credentials) => credentials.securitySchemeName !== securitySchemeName),
+      { securitySchemeName, securitySchemeValue: 'token' },
+    ]);
+  });
+});
+
+describe('performApiCall with OAuth2 credentials', () => {
+  const buildPayload = (): RegularApiCallPayload => ({
+    type: 'regular',
+    config: buildConfigWithOAuth2(),
+    aggregatedApiCall: fixtures.buildAggregatedRegularApiCall(),
+  });
+  const buildUnauthorizedError = () => {
+    const config = { headers: new AxiosHeaders() };
+    const response = { status: 401, statusText: '', data: {}, headers: {}, config, request: {} };
+    return new AxiosError('Request failed', undefined, config, {}, response);
+  };
+
+  it('refreshes the token and calls the API again if the token is rejected', async () => {
+    const fetchSpy = jest
+      .spyOn(adapter, 'fetchOAuth2Token')
+      .mockResolvedValueOnce({ accessToken: 'revoked', expiresAt: Date.now() + 60_000 })
+      .mockResolvedValueOnce({ accessToken: 'fresh', expiresAt: Date.now() + 60_000 });
+    const spy = jest.spyOn(adapter, 'buildAndExecuteRequest') as jest.SpyInstance;
+    spy.mockRejectedValueOnce(buildUnauthorizedError());
+    spy.mockResolvedValueOnce({ data: { price: 1000 } });
+
+    const [_logs, res] = await performApiCall(buildPayload());
+
+    expect(res).toEqual({ data: { price: 1000 } });
+    expect(fetchSpy).toHaveBeenCalledTimes(2);
+    const usedTokens = spy.mock.calls.map(
+      (call) =>
+        (call[0] as adapter.BuildRequestOptions).apiCredentials.find(
+          (credentials) => credentials.securitySchemeName === securitySchemeName
+        )!.securitySchemeValue
+    );
+    expect(usedTokens).toEqual(['revoked', 'fresh']);
+  });
+
+  it('fails the API call if the token cannot be fetched', async () => {
+    jest.spyOn(adapter, 'fetchOAuth2Token').mockRejectedValueOnce(new Error('Token URL unavailable'));
+    const spy = jest.spyOn(adapter, 'buildAndExecuteRequest');
+
+    const [logs, res] = await performApiCall(buildPayload());
+
+    expect(logs).toEqual([
+      {
+        level: 'ERROR',
+        message: 'Failed to fetch the OAuth2 access token for Endpoint:convertToUSD',
+        error: new Error('Token URL unavailable'),
+      },
+    ]);
+    expect(res).toEqual({ success: false, errorMessage: 'API call failed' });
+    expect(spy).not.toHaveBeenCalled();
+  });
+});
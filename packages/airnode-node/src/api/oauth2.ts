@@ -0,0 +1,75 @@
+import * as adapter from '@api3/airnode-adapter';
+import { OAuth2Credentials } from '../config';
+import { OAUTH2_TOKEN_EXPIRY_MARGIN, OAUTH2_TOKEN_REQUEST_TIMEOUT } from '../constants';
+import { ApiCallConfig } from '../types';
+
+// The access tokens are secrets, so they are kept in the memory of the process and never written to the disk
+let cachedTokens: { readonly [key: string]: adapter.OAuth2Token } = {};
+
+export function getOAuth2TokenKey(oauth2Credentials: OAuth2Credentials) {
+  const { oisTitle, securitySchemeName, tokenUrl, clientId } = oauth2Credentials;
+  return JSON.stringify([oisTitle, securitySchemeName, tokenUrl, clientId]);
+}
+
+export function clearOAuth2Tokens() {
+  cachedTokens = {};
+}
+
+// The client secret is the value of the API credentials of the security scheme, which is replaced by the access token
+export type OAuth2ClientCredentials = OAuth2Credentials & { readonly clientSecret: string };
+
+export function getOAuth2Credentials(config: ApiCallConfig, oisTitle: string): OAuth2ClientCredentials[] {
+  const ois = config.ois.find((ois) => ois.title === oisTitle)!;
+
+  return (config.oauth2Credentials ?? [])
+    .filter(
+      (oauth2Credentials) =>
+        oauth2Credentials.oisTitle === oisTitle &&
+        !!ois.apiSpecifications.security[oauth2Credentials.securitySchemeName]
+    )
+    .map((oauth2Credentials) => {
+      // The API credentials are guaranteed to exist because validation is already performed
+      const apiCredentials = config.apiCredentials.find(
+        (apiCredentials) =>
+          apiCredentials.oisTitle === oisTitle &&
+          apiCredentials.securitySchemeName === oauth2Credentials.securitySchemeName
+      )!;
+      return { ...oauth2Credentials, clientSecret: apiCredentials.securitySchemeValue };
+    });
+}
+
+/**
+ * Returns the access token of the OAuth2 security scheme. The token is cached in memory until it is about to expire,
+ * which allows it to be reused for as long as the process lives, e.g. across the runs of the daemon or the invocations
+ * of a warm serverless function.
+ */
+export async function getOAuth2Token(oauth2Credentials: OAuth2ClientCredentials, forceRefresh = false) {
+  const key = getOAuth2TokenKey(oauth2Credentials);
+  const cachedToken = forceRefresh ? undefined : cachedTokens[key];
+  if (cachedToken && cachedToken.expiresAt - OAUTH2_TOKEN_EXPIRY_MARGIN > Date.now()) {
+    return cachedToken.accessToken;
+  }
+
+  const token = await adapter.fetchOAuth2Token(oauth2Credentials, { timeout: OAUTH2_TOKEN_REQUEST_TIMEOUT });
+  cachedTokens = { ...cachedTokens, [key]: token };
+  return token.accessToken;
+}
+
+// Uses the OAuth2 access tokens as the credentials of the HTTP bearer security schemes they are fetched for
+export async function addOAuth2Tokens(
+  options: adapter.BuildRequestOptions,
+  oauth2Credentials: OAuth2ClientCredentials[],
+  forceRefresh = false
+): Promise<adapter.BuildRequestOptions> {
+  const tokenCredentials = await Promise.all(
+    oauth2Credentials.map(async (credentials) => ({
+      securitySchemeName: credentials.securitySchemeName,
+      securitySchemeValue: await getOAuth2Token(credentials, forceRefresh),
+    }))
+  );
+
+  const apiCredentials = options.apiCredentials.filter(
+    (credentials) => !tokenCredentials.some((token) => token.securitySchemeName === credentials.securitySchemeName)
+  );
+  return { ...options, apiCredentials: [...apiCredentials, ...tokenCredentials] };
+}
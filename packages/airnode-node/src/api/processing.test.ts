@@ -0,0 +1,72 @@
+import { NODE_RESERVED_PARAMETERS, postProcessResponse, preProcessEndpointParameters } from './processing';
+import * as fixtures from '../../test/fixtures';
+
+const buildEndpoint = (processing: object) => ({ ...fixtures.buildOIS().endpoints[0], ...processing });
+const parameters = { from: 'ETH', _type: 'int256', _path: 'price', _rounding: 'half-up', _decimals: '2' };
+
+describe('NODE_RESERVED_PARAMETERS', () => {
+  it('lists the reserved parameters unknown to @api3/ois', () => {
+    expect(NODE_RESERVED_PARAMETERS).toEqual(['_rounding', '_decimals']);
+  });
+});
+
+describe('preProcessEndpointParameters', () => {
+  it('hides all reserved parameters from the v1 specifications and keeps them', async () => {
+    const endpoint = buildEndpoint({
+      preProcessingSpecifications: [
+        {
+          environment: 'Node',
+          value: 'const output = { ...input, seen: Object.keys(endpointParameters).join() };',
+          timeoutMs: 5_000,
+        },
+      ],
+    });
+
+    const res = await preProcessEndpointParameters(endpoint, parameters);
+
+    expect(res).toEqual({ ...parameters, seen: 'from' });
+  });
+
+  it('hides all reserved parameters from the v2 specification and keeps them', async () => {
+    const endpoint = buildEndpoint({
+      preProcessingSpecificationV2: {
+        environment: 'Node',
+        value: '({ endpointParameters }) => ({ endpointParameters: { ...endpointParameters, from: "BTC" } })',
+        timeoutMs: 5_000,
+      },
+    });
+
+    const res = await preProcessEndpointParameters(endpoint, parameters);
+
+    expect(res).toEqual({ ...parameters, from: 'BTC' });
+  });
+});
+
+describe('postProcessResponse', () => {
+  it('hides all reserved parameters from the v1 specifications', async () => {
+    const endpoint = buildEndpoint({
+      postProcessingSpecifications: [
+        { environment: 'Node', value: 'const output = Object.keys(endpointParameters);', timeoutMs: 5_000 },
+      ],
+    });
+
+    const res = await postProcessResponse({ price: 1000 }, endpoint, parameters);
+
+    expect(res).toEqual({ response: ['from'] });
+  });
+
+  it('returns the response and timestamp of the v2 specification', async () => {
+    const endpoint = buildEndpoint({
+      postProcessingSpecificationV2: {
+        environment: 'Node',
+        value:
+          '({ response, endpointParameters }) => ({ response: Object.keys(endpointParameters), timestamp: response.timestamp })',
+        timeoutMs: 5_000,
+      },
+    });
+
+    const res = await postProcessResponse({ timestamp: 1_700_000_000 }, endpoint, parameters);
+
+    expect(res).toEqual({ response: ['from'], timestamp: 1_700_000_000 });
+  });
+});
@@ -0,0 +1,64 @@
+import difference from 'lodash/difference';
+import pick from 'lodash/pick';
+import {
+  postProcessResponseV1,
+  postProcessResponseV2,
+  preProcessEndpointParametersV1,
+  preProcessEndpointParametersV2,
+} from '@api3/commons';
+import { RESERVED_PARAMETERS as OIS_RESERVED_PARAMETERS } from '@api3/ois';
+import { ois as oisTypes } from '@api3/airnode-validator';
+import { removeKeys } from '@api3/airnode-utilities';
+import { ApiCallParameters } from '../types';
+import { PROCESSING_TIMEOUT } from '../constants';
+
+// @api3/commons leaves out the reserved parameters listed by @api3/ois from the parameters it passes to the processing
+// snippets. These are the ones Airnode supports on top of them, which are left out here the same way.
+export const NODE_RESERVED_PARAMETERS = difference(oisTypes.RESERVED_PARAMETERS, OIS_RESERVED_PARAMETERS);
+
+const processingOptions = { totalTimeoutMs: PROCESSING_TIMEOUT };
+
+/**
+ * Pre-processes the endpoint parameters with the v2 specification of the endpoint if it has one, else with its v1
+ * specifications. The reserved parameters are not visible to the processing snippets and are kept as they are.
+ */
+export async function preProcessEndpointParameters(
+  endpoint: oisTypes.Endpoint,
+  parameters: ApiCallParameters
+): Promise<ApiCallParameters> {
+  const { preProcessingSpecificationV2, preProcessingSpecifications } = endpoint;
+  const processingParameters = removeKeys(parameters, NODE_RESERVED_PARAMETERS);
+
+  const processedParameters = preProcessingSpecificationV2
+    ? (await preProcessEndpointParametersV2(preProcessingSpecificationV2, processingParameters, processingOptions))
+        .endpointParameters
+    : await preProcessEndpointParametersV1(preProcessingSpecifications, processingParameters, processingOptions);
+
+  return { ...processedParameters, ...pick(parameters, NODE_RESERVED_PARAMETERS) };
+}
+
+/**
+ * Post-processes the response with the v2 specification of the endpoint if it has one, else with its v1
+ * specifications. Only the v2 specification can return a timestamp.
+ */
+export async function postProcessResponse(
+  response: unknown,
+  endpoint: oisTypes.Endpoint,
+  parameters: ApiCallParameters
+) {
+  const { postProcessingSpecificationV2, postProcessingSpecifications } = endpoint;
+  const processingParameters = removeKeys(parameters, NODE_RESERVED_PARAMETERS);
+
+  if (postProcessingSpecificationV2) {
+    return postProcessResponseV2(response, postProcessingSpecificationV2, processingParameters, processingOptions);
+  }
+
+  return {
+    response: await postProcessResponseV1(
+      response,
+      postProcessingSpecifications,
+      processingParameters,
+      processingOptions
+    ),
+  };
+}
@@ -0,0 +1,154 @@
+import * as adapter from '@api3/airnode-adapter';
+import { AxiosError, AxiosHeaders } from 'axios';
+import {
+  classifyApiCallError,
+  getBackoffDelay,
+  getRetryPolicy,
+  LEGACY_RETRY_POLICY,
+  resolveRetryPolicy,
+} from './retry-policy';
+import * as fixtures from '../../test/fixtures';
+import { FIRST_API_CALL_TIMEOUT, SECOND_API_CALL_TIMEOUT } from '../constants';
+import { RetryPolicy } from '../config';
+import { RegularApiCallPayload } from '../types';
+import { performApiCall } from '.';
+
+const buildAxiosError = (status?: number, code?: string) => {
+  const config = { headers: new AxiosHeaders() };
+  const response = status ? { status, statusText: '', data: {}, headers: {}, config, request: {} } : undefined;
+  return new AxiosError('Request failed', code, config, {}, response);
+};
+
+const retryPolicy: RetryPolicy = {
+  oisTitle: 'Currency Converter API',
+  endpointName: 'convertToUSD',
+  maxAttempts: 3,
+  attemptTimeoutMs: 1_000,
+  backoff: { initialDelayMs: 1, multiplier: 2, maxDelayMs: 2, jitter: false },
+};
+
+describe('classifyApiCallError', () => {
+  it('classifies the errors of an attempt', () => {
+    expect(classifyApiCallError(new Error('Operation timed out'))).toEqual({ type: 'timeout' });
+    expect(classifyApiCallError(buildAxiosError(undefined, 'ECONNABORTED'))).toEqual({ type: 'timeout' });
+    expect(classifyApiCallError(buildAxiosError(503))).toEqual({ type: 'status', statusCode: 503 });
+    expect(classifyApiCallError(buildAxiosError())).toEqual({ type: 'noResponse' });
+    expect(classifyApiCallError(new Error('Invalid URL'))).toEqual({ type: 'other' });
+  });
+});
+
+describe('getRetryPolicy', () => {
+  it('returns the legacy retry policy for the endpoints without a retry policy', () => {
+    const config = fixtures.buildConfig();
+    expect(getRetryPolicy(config, 'Currency Converter API', 'convertToUSD')).toEqual(LEGACY_RETRY_POLICY);
+    expect(LEGACY_RETRY_POLICY.getAttemptTimeoutMs(1)).toEqual(FIRST_API_CALL_TIMEOUT);
+    expect(LEGACY_RETRY_POLICY.getAttemptTimeoutMs(2)).toEqual(SECOND_API_CALL_TIMEOUT);
+  });
+
+  it('returns the retry policy of the endpoint', () => {
+    const config = { ...fixtures.buildConfig(), retryPolicies: [retryPolicy] };
+    const resolved = getRetryPolicy(config, 'Currency Converter API', 'convertToUSD');
+    expect(resolved.maxAttempts).toEqual(3);
+    expect(resolved.getAttemptTimeoutMs(2)).toEqual(1_000);
+  });
+
+  it('retries the default status codes and errors', () => {
+    const { isRetryable } = resolveRetryPolicy(retryPolicy);
+    expect(isRetryable(buildAxiosError(429))).toEqual(true);
+    expect(isRetryable(buildAxiosError(503))).toEqual(true);
+    expect(isRetryable(buildAxiosError(404))).toEqual(false);
+    expect(isRetryable(buildAxiosError())).toEqual(true);
+    expect(isRetryable(new Error('Operation timed out'))).toEqual(true);
+    expect(isRetryable(new Error('Invalid URL'))).toEqual(false);
+  });
+
+  it('retries only the configured status codes and errors', () => {
+    const { isRetryable } = resolveRetryPolicy({ ...retryPolicy, retryableStatusCodes: [404], retryableErrors: [] });
+    expect(isRetryable(buildAxiosError(404))).toEqual(true);
+    expect(isRetryable(buildAxiosError(503))).toEqual(false);
+    expect(isRetryable(buildAxiosError())).toEqual(false);
+  });
+});
+
+describe('getBackoffDelay', () => {
+  const backoff = { initialDelayMs: 100, multiplier: 3, maxDelayMs: 500, jitter: false };
+
+  it('grows the delay exponentially up to the maximum delay', () => {
+    expect(getBackoffDelay(backoff, 1)).toEqual(100);
+    expect(getBackoffDelay(backoff, 2)).toEqual(300);
+    expect(getBackoffDelay(backoff, 3)).toEqual(500);
+    expect(getBackoffDelay(undefined, 1)).toEqual(0);
+  });
+
+  it('randomizes the delay with jitter', () => {
+    expect(getBackoffDelay({ ...backoff, jitter: true }, 2, () => 0.5)).toEqual(150);
+    expect(getBackoffDelay({ ...backoff, jitter: true }, 2, () => 0)).toEqual(0);
+  });
+});
+
+describe('performApiCall with a retry policy', () => {
+  const buildPayload = (retryPolicies?: RetryPolicy[]): RegularApiCallPayload => ({
+    type: 'regular',
+    config: { ...fixtures.buildConfig(), retryPolicies },
+    aggregatedApiCall: fixtures.buildAggregatedRegularApiCall(),
+  });
+
+  it('retries the retryable errors until the call succeeds', async () => {
+    const spy = jest.spyOn(adapter, 'buildAndExecuteRequest') as jest.SpyInstance;
+    spy.mockRejectedValueOnce(buildAxiosError(503));
+    spy.mockRejectedValueOnce(buildAxiosError());
+    spy.mockResolvedValueOnce({ data: { price: 1000 } });
+
+    const [logs, res] = await performApiCall(buildPayload([retryPolicy]));
+
+    expect(logs).toEqual([]);
+    expect(res).toEqual({ data: { price: 1000 } });
+    expect(spy).toHaveBeenCalledTimes(3);
+    expect(spy.mock.calls.map((call) => call[1].timeout)).toEqual([1_000, 1_000, 1_000]);
+  });
+
+  it('does not retry the errors which are not retryable', async () => {
+    const spy = jest.spyOn(adapter, 'buildAndExecuteRequest') as jest.SpyInstance;
+    spy.mockRejectedValueOnce(buildAxiosError(404));
+
+    const [logs, res] = await performApiCall(buildPayload([retryPolicy]));
+
+    expect(logs).toEqual([
+      { level: 'ERROR', message: 'Failed to call Endpoint:convertToUSD', error: expect.any(AxiosError) },
+    ]);
+    expect(res).toEqual({
+      success: false,
+      errorMessage: 'API call failed with status code 404',
+      errorClass: { type: 'status', statusCode: 404 },
+    });
+    expect(spy).toHaveBeenCalledTimes(1);
+  });
+
+  it('stops after the maximum number of attempts', async () => {
+    const spy = jest.spyOn(adapter, 'buildAndExecuteRequest') as jest.SpyInstance;
+    spy.mockRejectedValue(buildAxiosError(500));
+
+    const [_logs, res] = await performApiCall(buildPayload([retryPolicy]));
+
+    expect(res).toEqual({
+      success: false,
+      errorMessage: 'API call failed with status code 500',
+      errorClass: { type: 'status', statusCode: 500 },
+    });
+    expect(spy).toHaveBeenCalledTimes(3);
+  });
+
+  it('calls the endpoints without a retry policy twice on any error', async () => {
+    const spy = jest.spyOn(adapter, 'buildAndExecuteRequest') as jest.SpyInstance;
+    spy.mockRejectedValue(buildAxiosError(404));
+
+    const [_logs, res] = await performApiCall(buildPayload());
+
+    expect(res).toEqual({
+      success: false,
+      errorMessage: 'API call failed with status code 404',
+      errorClass: { type: 'status', statusCode: 404 },
+    });
+    expect(spy.mock.calls.map((call) => call[1].timeout)).toEqual([FIRST_API_CALL_TIMEOUT, SECOND_API_CALL_TIMEOUT]);
+  });
+});
@@ -0,0 +1,75 @@
+import axios from 'axios';
+import { ApiCallBackoff, getMaxBackoffDelay, RetryableError, RetryPolicy } from '../config';
+import { ApiCallConfig, ApiCallErrorClass } from '../types';
+import { FIRST_API_CALL_TIMEOUT, SECOND_API_CALL_TIMEOUT } from '../constants';
+
+// The status codes which are retried unless the retry policy of the endpoint specifies otherwise
+export const DEFAULT_RETRYABLE_STATUS_CODES = [408, 429, 500, 502, 503, 504];
+export const DEFAULT_RETRYABLE_ERRORS: RetryableError[] = ['timeout', 'noResponse'];
+
+export interface ResolvedRetryPolicy {
+  maxAttempts: number;
+  getAttemptTimeoutMs: (attempt: number) => number;
+  backoff?: ApiCallBackoff;
+  // Returns true if the error of an attempt is worth retrying
+  isRetryable: (error: unknown) => boolean;
+}
+
+// The endpoints without a retry policy are called twice (with a longer timeout the second time) on any error
+export const LEGACY_RETRY_POLICY: ResolvedRetryPolicy = {
+  maxAttempts: 2,
+  getAttemptTimeoutMs: (attempt) => (attempt === 1 ? FIRST_API_CALL_TIMEOUT : SECOND_API_CALL_TIMEOUT),
+  isRetryable: () => true,
+};
+
+export function classifyApiCallError(error: unknown): ApiCallErrorClass {
+  // The attempt timeout is enforced by "go", which rejects with this message
+  if (error instanceof Error && error.message === 'Operation timed out') return { type: 'timeout' };
+  // eslint-disable-next-line import/no-named-as-default-member
+  if (!axios.isAxiosError(error)) return { type: 'other' };
+
+  if (error.response) return { type: 'status', statusCode: error.response.status };
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') return { type: 'timeout' };
+  if (error.request) return { type: 'noResponse' };
+  // The request could not be built, which will not change by retrying
+  return { type: 'other' };
+}
+
+export function resolveRetryPolicy(retryPolicy: RetryPolicy): ResolvedRetryPolicy {
+  const retryableStatusCodes = retryPolicy.retryableStatusCodes ?? DEFAULT_RETRYABLE_STATUS_CODES;
+  const retryableErrors = retryPolicy.retryableErrors ?? DEFAULT_RETRYABLE_ERRORS;
+
+  const isRetryable = (error: unknown) => {
+    const errorClass = classifyApiCallError(error);
+    switch (errorClass.type) {
+      case 'status':
+        return retryableStatusCodes.includes(errorClass.statusCode);
+      case 'timeout':
+      case 'noResponse':
+        return retryableErrors.includes(errorClass.type);
+      case 'other':
+        return false;
+    }
+  };
+
+  return {
+    maxAttempts: retryPolicy.maxAttempts,
+    getAttemptTimeoutMs: () => retryPolicy.attemptTimeoutMs,
+    backoff: retryPolicy.backoff,
+    isRetryable,
+  };
+}
+
+export function getRetryPolicy(config: ApiCallConfig, oisTitle: string, endpointName: string): ResolvedRetryPolicy {
+  const retryPolicy = (config.retryPolicies ?? []).find(
+    (retryPolicy) => retryPolicy.oisTitle === oisTitle && retryPolicy.endpointName === endpointName
+  );
+
+  return retryPolicy ? resolveRetryPolicy(retryPolicy) : LEGACY_RETRY_POLICY;
+}
+
+// Returns the delay before the given retry (the first retry is 1)
+export function getBackoffDelay(backoff: ApiCallBackoff | undefined, retry: number, random = Math.random) {
+  const delay = getMaxBackoffDelay(backoff, retry);
+  return backoff?.jitter ? Math.floor(random() * delay) : delay;
+}
@@ -0,0 +1,24 @@
+import * as path from 'path';
+import dotenv from 'dotenv';
+import { setLogOptions } from '@api3/airnode-utilities';
+import { createDaemon } from '../handlers';
+import { loadConfig, setAirnodePrivateKeyToEnv } from '../workers/local-handlers';
+
+dotenv.config({ path: path.resolve(`${__dirname}/../../config/secrets.env`) });
+
+const config = loadConfig();
+setLogOptions({
+  format: config.nodeSettings.logFormat,
+  level: config.nodeSettings.logLevel,
+});
+setAirnodePrivateKeyToEnv(config.nodeSettings.airnodeWalletMnemonic);
+
+const daemon = createDaemon(config);
+daemon.start();
+
+const shutdown = async () => {
+  await daemon.stop();
+  process.exit(0);
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
@@ -0,0 +1,74 @@
+import * as path from 'path';
+import dotenv from 'dotenv';
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import { logger, setLogOptions } from '@api3/airnode-utilities';
+import { replayCoordinatorStep } from '../handlers';
+import { loadTrustedConfig } from '../config';
+import { coordinatorStepNames, createFsJournalStore, JOURNAL_BASE_PATH } from '../coordinator/journal';
+import { setAirnodePrivateKeyToEnv } from '../workers/local-handlers';
+
+dotenv.config({ path: path.resolve(`${__dirname}/../../config/secrets.env`) });
+
+const journalPathOption = {
+  'journal-path': {
+    alias: 'j',
+    description: 'The directory containing the coordinator journals',
+    default: JOURNAL_BASE_PATH,
+    type: 'string',
+  },
+} as const;
+
+yargs(hideBin(process.argv))
+  .command('list', 'List the recorded coordinator journals, most recent first', journalPathOption, (args) => {
+    const store = createFsJournalStore(args['journal-path']);
+    store.list().forEach((coordinatorId) => {
+      const journal = store.read(coordinatorId);
+      if (!journal) return;
+
+      const stepNames = journal.steps.map((step) => step.name).join(', ');
+      logger.log(`${coordinatorId} started at ${journal.startedAt}, steps: ${stepNames || 'none'}`);
+    });
+  })
+  .command(
+    '$0',
+    'Replay a single step of a recorded coordinator run',
+    {
+      ...journalPathOption,
+      'coordinator-id': {
+        alias: 'c',
+        description: 'The ID of the coordinator run to be replayed',
+        type: 'string',
+        required: true,
+      },
+      step: {
+        alias: 's',
+        description: 'The coordinator step to be replayed',
+        choices: coordinatorStepNames,
+        required: true,
+      },
+    },
+    async (args) => {
+      const journal = createFsJournalStore(args['journal-path']).read(args['coordinator-id']);
+      if (!journal) {
+        throw new Error(`Unable to find the journal for the coordinator with ID:${args['coordinator-id']}`);
+      }
+
+      const config = loadTrustedConfig(path.resolve(`${__dirname}/../../config/config.json`), process.env);
+      setLogOptions({
+        format: config.nodeSettings.logFormat,
+        level: config.nodeSettings.logLevel,
+        meta: { 'Coordinator-ID': journal.coordinatorId },
+      });
+      setAirnodePrivateKeyToEnv(config.nodeSettings.airnodeWalletMnemonic);
+
+      const [err, outputState] = await replayCoordinatorStep(config, journal, args.step);
+      if (err) {
+        throw err;
+      }
+      logger.log(JSON.stringify(outputState, null, 2));
+    }
+  )
+  .help()
+  .strict()
+  .wrap(120).argv;
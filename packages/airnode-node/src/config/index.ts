@@ -1,14 +1,18 @@
 import * as fs from 'fs';
-import { OIS } from '@api3/ois';
 import { randomHexString } from '@api3/airnode-utilities';
-import { unsafeParseConfigWithSecrets, parseConfigWithSecrets, config as configTypes } from '@api3/airnode-validator';
+import {
+  unsafeParseConfigWithSecrets,
+  parseConfigWithSecrets,
+  config as configTypes,
+  ois as oisTypes,
+} from '@api3/airnode-validator';
 import { goSync } from '@api3/promise-utils';
 
 // Accessing specifically the `config` directory so we can export the content of the `config` module not the module itself
 export * from '@api3/airnode-validator/dist/src/config';
 
 // TODO: Is this needed?
-function parseOises(oises: OIS[]): OIS[] {
+function parseOises(oises: oisTypes.OIS[]): oisTypes.OIS[] {
   // Assign unique identifiers to each API and Oracle specification.
   return oises.map((ois) => {
     const endpoints = ois.endpoints.map((endpoint) => ({ ...endpoint, id: randomHexString(32) }));
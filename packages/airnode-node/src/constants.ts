@@ -35,3 +35,46 @@ export const MAXIMUM_ONCHAIN_ERROR_LENGTH = 100;
 
 // The maximum amount of time in milliseconds that pre and post processing is allowed to execute
 export const PROCESSING_TIMEOUT = 10_000;
+
+// The maximum number of coordinator run journals kept in the journal store
+export const JOURNAL_MAX_ENTRIES = 100;
+
+// The amount of time the daemon waits between checking the chains for new blocks
+export const DAEMON_POLLING_INTERVAL = 5_000;
+
+// The number of most recent blocks the daemon fetches the logs for again on each new block, in order to account for
+// chain reorganizations
+export const DAEMON_LOG_REFETCH_BLOCK_COUNT = 5;
+
+// The maximum amount of time the daemon waits before running the coordinator again for requests that are still pending
+export const DAEMON_COORDINATOR_RETRY_INTERVAL = 60_000;
+
+// The amount of time between the heartbeats sent by the daemon
+export const DAEMON_HEARTBEAT_INTERVAL = 60_000;
+
+// The amount of time the local gateway server caches the gateway path key before checking the secrets for a new one
+export const GATEWAY_PATH_KEY_REFRESH_INTERVAL = 10_000;
+
+// The maximum number of items in a single batch request of the HTTP signed data gateway
+export const HTTP_SIGNED_DATA_BATCH_MAX_SIZE = 100;
+
+// The number of consecutive failed API calls to an API server after which the rest of the calls to it are skipped
+export const API_CIRCUIT_BREAKER_FAILURE_THRESHOLD = 3;
+
+// The maximum number of API calls to the API servers of an OIS that are in flight at the same time, so that the calls
+// which start after its circuit breaker opens are skipped
+export const API_SERVER_MAX_CONCURRENT_CALLS = 5;
+
+// The timeout of the requests made to the token URLs of the OAuth2 security schemes
+export const OAUTH2_TOKEN_REQUEST_TIMEOUT = 5_000;
+
+// The cached OAuth2 access tokens are refreshed this long before they expire, so that they don't expire mid-request
+export const OAUTH2_TOKEN_EXPIRY_MARGIN = 10_000;
+
+// The amount of time after which a pending transaction of a sponsor wallet is considered stuck, in which case it is
+// replaced by a transaction with the same nonce and a higher gas price
+export const STUCK_TRANSACTION_AGE = 300_000;
+
+// The percentage by which the gas price of a replacement transaction exceeds that of the transaction it replaces, which
+// needs to be at least 10% for most nodes to accept the replacement
+export const REPLACEMENT_GAS_PRICE_BUMP_PERCENTAGE = 10;
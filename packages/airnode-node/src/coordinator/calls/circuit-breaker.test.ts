@@ -0,0 +1,125 @@
+import { caching } from '@api3/airnode-utilities';
+import {
+  API_CIRCUIT_BREAKER_KEY_PREFIX,
+  createCircuitBreaker,
+  getApiServerUrls,
+  getCircuitBreakerKey,
+  isApiServerFailure,
+} from './circuit-breaker';
+import * as fixtures from '../../../test/fixtures';
+import { ApiCallErrorClass, RegularAggregatedApiCallWithResponse, RequestErrorMessage } from '../../types';
+
+const serverUrl = 'http://localhost:5000';
+
+describe('getApiServerUrls', () => {
+  it('returns the server URLs of the OIS', () => {
+    const config = fixtures.buildConfig();
+    const ois = {
+      ...config.ois[0],
+      apiSpecifications: {
+        ...config.ois[0].apiSpecifications,
+        servers: [{ url: 'http://localhost:5000' }, { url: 'http://localhost:5001' }],
+      },
+    };
+    expect(getApiServerUrls({ ...config, ois: [ois] }, 'Currency Converter API')).toEqual([
+      'http://localhost:5000',
+      'http://localhost:5001',
+    ]);
+    expect(getApiServerUrls(config, 'Unknown API')).toEqual(['Unknown API']);
+  });
+});
+
+describe('getCircuitBreakerKey', () => {
+  it('returns a key which is a valid file name', () => {
+    const key = getCircuitBreakerKey(serverUrl);
+    expect(key.startsWith(API_CIRCUIT_BREAKER_KEY_PREFIX)).toEqual(true);
+    expect(key).not.toContain('/');
+  });
+});
+
+describe('isApiServerFailure', () => {
+  const failed = (errorClass?: ApiCallErrorClass) =>
+    ({
+      ...fixtures.buildAggregatedRegularApiCall(),
+      success: false,
+      errorMessage: RequestErrorMessage.ApiCallFailed,
+      ...(errorClass ? { errorClass } : {}),
+    }) as RegularAggregatedApiCallWithResponse;
+
+  it('counts the failures which signal that the API server is unavailable', () => {
+    expect(isApiServerFailure(failed({ type: 'timeout' }))).toEqual(true);
+    expect(isApiServerFailure(failed({ type: 'noResponse' }))).toEqual(true);
+    expect(isApiServerFailure(failed({ type: 'status', statusCode: 503 }))).toEqual(true);
+    expect(isApiServerFailure(failed({ type: 'status', statusCode: 429 }))).toEqual(true);
+    expect(isApiServerFailure(failed({ type: 'status', statusCode: 408 }))).toEqual(true);
+  });
+
+  it('does not count the bad requests and the failures which did not reach the API server', () => {
+    expect(isApiServerFailure(failed({ type: 'status', statusCode: 404 }))).toEqual(false);
+    expect(isApiServerFailure(failed({ type: 'other' }))).toEqual(false);
+    // E.g. the worker crashed or the response could not be processed
+    expect(isApiServerFailure(failed())).toEqual(false);
+    expect(
+      isApiServerFailure({
+        ...fixtures.buildAggregatedRegularApiCall(),
+        success: true,
+        data: { encodedValue: '0x', signature: '0x' },
+      })
+    ).toEqual(false);
+  });
+});
+
+describe('createCircuitBreaker', () => {
+  it('opens after the given number of consecutive failures', () => {
+    const circuitBreaker = createCircuitBreaker(serverUrl, 3);
+    expect(circuitBreaker.getState()).toEqual('closed');
+
+    circuitBreaker.recordFailure();
+    circuitBreaker.recordFailure();
+    circuitBreaker.recordSuccess();
+    circuitBreaker.recordFailure();
+    circuitBreaker.recordFailure();
+    expect(circuitBreaker.getState()).toEqual('closed');
+
+    circuitBreaker.recordFailure();
+    expect(circuitBreaker.getState()).toEqual('open');
+  });
+
+  it('starts half-open if it was open at the end of the previous run', () => {
+    const getValueForKeySpy = jest.spyOn(caching, 'getValueForKey').mockReturnValueOnce({ openedAt: 1 });
+
+    const circuitBreaker = createCircuitBreaker(serverUrl, 3);
+
+    expect(getValueForKeySpy).toHaveBeenCalledWith(getCircuitBreakerKey(serverUrl));
+    expect(circuitBreaker.getState()).toEqual('half-open');
+    circuitBreaker.recordFailure();
+    expect(circuitBreaker.getState()).toEqual('open');
+  });
+
+  it('closes if the probe call succeeds', () => {
+    jest.spyOn(caching, 'getValueForKey').mockReturnValueOnce({ openedAt: 1 });
+
+    const circuitBreaker = createCircuitBreaker(serverUrl, 3);
+    circuitBreaker.recordSuccess();
+
+    expect(circuitBreaker.getState()).toEqual('closed');
+  });
+
+  it('persists only the open state', () => {
+    const removeKeySpy = jest.spyOn(caching, 'removeKey').mockImplementation(() => {});
+    const addKeySpy = jest.spyOn(caching, 'addKey').mockImplementation(() => {});
+    jest.spyOn(caching, 'getValueForKey').mockReturnValueOnce({ openedAt: 1 });
+
+    const circuitBreaker = createCircuitBreaker(serverUrl, 3);
+    circuitBreaker.recordFailure();
+    circuitBreaker.persist();
+
+    expect(removeKeySpy).toHaveBeenCalledWith(getCircuitBreakerKey(serverUrl));
+    expect(addKeySpy).toHaveBeenCalledWith(getCircuitBreakerKey(serverUrl), { openedAt: 1 });
+
+    addKeySpy.mockClear();
+    circuitBreaker.recordSuccess();
+    circuitBreaker.persist();
+    expect(addKeySpy).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,83 @@
+import { caching } from '@api3/airnode-utilities';
+import { ethers } from 'ethers';
+import isEmpty from 'lodash/isEmpty';
+import { Config } from '../../config';
+import { API_CIRCUIT_BREAKER_FAILURE_THRESHOLD } from '../../constants';
+import { RegularAggregatedApiCallWithResponse } from '../../types';
+
+export const API_CIRCUIT_BREAKER_KEY_PREFIX = 'apiCircuitBreaker-';
+
+export type CircuitBreakerState = 'closed' | 'open' | 'half-open';
+
+export interface PersistedCircuitBreaker {
+  openedAt: number;
+}
+
+// The server URLs are hashed as they are not valid file names of the filesystem cache
+export function getCircuitBreakerKey(serverUrl: string) {
+  return `${API_CIRCUIT_BREAKER_KEY_PREFIX}${ethers.utils.id(serverUrl)}`;
+}
+
+// The primary server of the OIS comes first, followed by its fallback servers
+export function getApiServerUrls(config: Config, oisTitle: string) {
+  const ois = config.ois.find((ois) => ois.title === oisTitle);
+  const serverUrls = (ois?.apiSpecifications.servers ?? []).map((server) => server.url);
+  // The API call fails on its own if the OIS is unknown, so it is enough to keep such calls apart from the others
+  return isEmpty(serverUrls) ? [oisTitle] : serverUrls;
+}
+
+// Only the failures which signal that the API server is unavailable count, as opposed to a bad request (4xx status
+// code) or a response which can't be processed
+export function isApiServerFailure(apiCall: RegularAggregatedApiCallWithResponse) {
+  if (apiCall.success || !apiCall.errorClass) return false;
+
+  switch (apiCall.errorClass.type) {
+    case 'status': {
+      const { statusCode } = apiCall.errorClass;
+      return statusCode >= 500 || statusCode === 408 || statusCode === 429;
+    }
+    case 'timeout':
+    case 'noResponse':
+      return true;
+    case 'other':
+      return false;
+  }
+}
+
+/**
+ * Creates a circuit breaker for an API server which is shared by all API calls to that server in a coordinator run.
+ * The breaker opens after the given number of consecutive failures, after which the remaining calls to the server are
+ * skipped. An open breaker is persisted in the filesystem cache, so that the next run starts half-open and lets a
+ * single call through to probe the server before the others.
+ */
+export function createCircuitBreaker(serverUrl: string, failureThreshold = API_CIRCUIT_BREAKER_FAILURE_THRESHOLD) {
+  const key = getCircuitBreakerKey(serverUrl);
+  const persisted: PersistedCircuitBreaker | undefined = caching.getValueForKey(key);
+
+  let state: CircuitBreakerState = persisted ? 'half-open' : 'closed';
+  let consecutiveFailures = 0;
+
+  const getState = () => state;
+
+  const recordSuccess = () => {
+    state = 'closed';
+    consecutiveFailures = 0;
+  };
+
+  const recordFailure = () => {
+    consecutiveFailures = consecutiveFailures + 1;
+    if (state === 'half-open' || consecutiveFailures >= failureThreshold) state = 'open';
+  };
+
+  const persist = () => {
+    caching.removeKey(key);
+    if (state === 'open') {
+      const value: PersistedCircuitBreaker = { openedAt: persisted?.openedAt ?? Date.now() };
+      caching.addKey(key, value);
+    }
+  };
+
+  return { serverUrl, getState, recordSuccess, recordFailure, persist };
+}
+
+export type CircuitBreaker = ReturnType<typeof createCircuitBreaker>;
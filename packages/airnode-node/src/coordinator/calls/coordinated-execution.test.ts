@@ -1,7 +1,9 @@
 import { mockReadFileSync } from '../../../test/mock-utils';
 import * as adapter from '@api3/airnode-adapter';
 import * as validator from '@api3/airnode-validator';
+import { caching, metrics } from '@api3/airnode-utilities';
 import { ethers } from 'ethers';
+import { getCircuitBreakerKey } from './circuit-breaker';
 import * as coordinatedExecution from './coordinated-execution';
 import * as fixtures from '../../../test/fixtures';
 import * as workers from '../../workers/index';
@@ -16,7 +18,7 @@ describe('callApis', () => {
       errorMessage: RequestErrorMessage.Unauthorized,
     });
     const workerOpts = fixtures.buildWorkerOptions();
-    const [logs, res] = await coordinatedExecution.callApis([aggregatedApiCall], workerOpts);
+    const [logs, res] = await coordinatedExecution.callApis([aggregatedApiCall], workerOpts, fixtures.buildConfig());
     expect(logs).toEqual([{ level: 'INFO', message: 'No pending API calls to process. Skipping API calls...' }]);
     expect(res).toEqual([{ ...aggregatedApiCall, success: false }]);
     expect(spy).not.toHaveBeenCalled();
@@ -32,7 +34,7 @@ describe('callApis', () => {
     const aggregatedApiCall = fixtures.buildAggregatedRegularApiCall({ parameters });
     const workerOpts = fixtures.buildWorkerOptions();
 
-    const [logs, res] = await coordinatedExecution.callApis([aggregatedApiCall], workerOpts);
+    const [logs, res] = await coordinatedExecution.callApis([aggregatedApiCall], workerOpts, config);
 
     expect(logs.length).toEqual(4);
     expect(logs[0]).toEqual({ level: 'INFO', message: 'Processing 1 pending API call(s)...' });
@@ -58,6 +60,26 @@ describe('callApis', () => {
     expect(spy).toHaveBeenCalledTimes(1);
   });
 
+  it('records the API call metrics', async () => {
+    metrics.reset();
+    const config = fixtures.buildConfig();
+    mockReadFileSync('config.json', JSON.stringify(config));
+    jest.spyOn(validator, 'unsafeParseConfigWithSecrets').mockReturnValueOnce(config);
+    const spy = jest.spyOn(adapter, 'buildAndExecuteRequest') as jest.SpyInstance;
+    spy.mockResolvedValueOnce({ data: { prices: ['443.76381', '441.83723'] } });
+    const aggregatedApiCall = fixtures.buildAggregatedRegularApiCall({
+      parameters: { _type: 'int256', _path: 'prices.1' },
+    });
+
+    await coordinatedExecution.callApis([aggregatedApiCall], fixtures.buildWorkerOptions(), config);
+
+    const rendered = metrics.render();
+    expect(rendered).toContain(
+      'airnode_api_call_duration_seconds_count{ois="Currency Converter API",endpoint="convertToUSD"} 1'
+    );
+    expect(rendered).not.toContain('airnode_api_call_failures_total');
+  });
+
   it('returns an error if the adapter fails to extract and encode the response value', async () => {
     const config = fixtures.buildConfig();
     mockReadFileSync('config.json', JSON.stringify(config));
@@ -71,7 +93,7 @@ describe('callApis', () => {
     const parameters = { from: 'ETH', _type: 'int256', _path: 'unknown' };
     const aggregatedApiCall = fixtures.buildAggregatedRegularApiCall({ parameters });
     const workerOpts = fixtures.buildWorkerOptions();
-    const [logs, res] = await coordinatedExecution.callApis([aggregatedApiCall], workerOpts);
+    const [logs, res] = await coordinatedExecution.callApis([aggregatedApiCall], workerOpts, config);
     expect(logs.length).toEqual(4);
     expect(logs[0]).toEqual({ level: 'INFO', message: 'Processing 1 pending API call(s)...' });
     expect(logs[1].level).toEqual('ERROR');
@@ -100,7 +122,7 @@ describe('callApis', () => {
     const parameters = { _type: 'int256', _path: 'prices.1' };
     const aggregatedApiCall = fixtures.buildAggregatedRegularApiCall({ parameters });
     const workerOpts = fixtures.buildWorkerOptions();
-    const [logs, res] = await coordinatedExecution.callApis([aggregatedApiCall], workerOpts);
+    const [logs, res] = await coordinatedExecution.callApis([aggregatedApiCall], workerOpts, config);
     expect(logs.length).toEqual(4);
     expect(logs[0]).toEqual({ level: 'INFO', message: 'Processing 1 pending API call(s)...' });
     expect(logs[1].level).toEqual('ERROR');
@@ -115,6 +137,7 @@ describe('callApis', () => {
         ...aggregatedApiCall,
         success: false,
         errorMessage: `${RequestErrorMessage.ApiCallFailed}`,
+        errorClass: { type: 'other' },
       },
     ]);
     expect(spy).toHaveBeenCalledTimes(2);
@@ -125,7 +148,7 @@ describe('callApis', () => {
     spy.mockRejectedValueOnce(new Error('Worker crashed'));
     const aggregatedApiCall = fixtures.buildAggregatedRegularApiCall();
     const workerOpts = fixtures.buildWorkerOptions();
-    const [logs, res] = await coordinatedExecution.callApis([aggregatedApiCall], workerOpts);
+    const [logs, res] = await coordinatedExecution.callApis([aggregatedApiCall], workerOpts, fixtures.buildConfig());
     expect(logs.length).toEqual(5);
     expect(logs[0]).toEqual({ level: 'INFO', message: 'Processing 1 pending API call(s)...' });
     expect(logs[1]).toEqual({
@@ -146,4 +169,181 @@ describe('callApis', () => {
     ]);
     expect(spy).toHaveBeenCalledTimes(1);
   });
+
+  const unavailable = {
+    ok: true,
+    data: {
+      success: false,
+      errorMessage: `${RequestErrorMessage.ApiCallFailed} with status code 503`,
+      errorClass: { type: 'status', statusCode: 503 },
+    },
+  };
+
+  it('makes the API calls to an API server concurrently and opens its circuit breaker after consecutive failures', async () => {
+    jest.spyOn(caching, 'getValueForKey').mockReturnValueOnce(undefined);
+    const addKeySpy = jest.spyOn(caching, 'addKey').mockImplementation(() => {});
+    jest.spyOn(caching, 'removeKey').mockImplementation(() => {});
+    const spy = jest.spyOn(workers, 'spawn');
+    spy.mockResolvedValue(unavailable);
+    const aggregatedApiCalls = ['0x1', '0x2', '0x3', '0x4', '0x5'].map((id) =>
+      fixtures.buildAggregatedRegularApiCall({ id })
+    );
+    const workerOpts = fixtures.buildWorkerOptions();
+
+    const [logs, res] = await coordinatedExecution.callApis(aggregatedApiCalls, workerOpts, fixtures.buildConfig());
+
+    expect(spy).toHaveBeenCalledTimes(5);
+    expect(logs).toContainEqual({
+      level: 'WARN',
+      message:
+        'The API server:http://localhost:5000 of OIS:Currency Converter API is unavailable and will be probed in the next run',
+    });
+    expect(res.map((apiCall) => apiCall.errorMessage)).toEqual(
+      Array(5).fill(`${RequestErrorMessage.ApiCallFailed} with status code 503`)
+    );
+    expect(addKeySpy).toHaveBeenCalledWith(expect.stringMatching(/^apiCircuitBreaker-/), {
+      openedAt: expect.any(Number),
+    });
+    spy.mockReset();
+  });
+
+  it('skips the API calls that start after the circuit breaker opens', async () => {
+    jest.spyOn(caching, 'getValueForKey').mockReturnValueOnce(undefined);
+    jest.spyOn(caching, 'addKey').mockImplementation(() => {});
+    jest.spyOn(caching, 'removeKey').mockImplementation(() => {});
+    const spy = jest.spyOn(workers, 'spawn');
+    spy.mockResolvedValue(unavailable);
+    const ids = ['0x1', '0x2', '0x3', '0x4', '0x5', '0x6', '0x7', '0x8'];
+    const aggregatedApiCalls = ids.map((id) => fixtures.buildAggregatedRegularApiCall({ id }));
+    const workerOpts = fixtures.buildWorkerOptions();
+
+    const [_logs, res] = await coordinatedExecution.callApis(aggregatedApiCalls, workerOpts, fixtures.buildConfig());
+
+    // The first 5 API calls are in flight when the circuit breaker opens
+    expect(spy).toHaveBeenCalledTimes(5);
+    expect(res.map((apiCall) => apiCall.errorMessage)).toEqual([
+      ...Array(5).fill(`${RequestErrorMessage.ApiCallFailed} with status code 503`),
+      ...Array(3).fill(RequestErrorMessage.ApiServerUnavailable),
+    ]);
+    spy.mockReset();
+  });
+
+  it('records the outcomes of the API calls in the circuit breaker of the API server which served them', async () => {
+    const config = fixtures.buildConfig();
+    const ois = {
+      ...config.ois[0],
+      apiSpecifications: {
+        ...config.ois[0].apiSpecifications,
+        servers: [{ url: 'http://localhost:5000' }, { url: 'http://localhost:5001' }],
+      },
+    };
+    jest.spyOn(caching, 'getValueForKey').mockReturnValue(undefined);
+    const addKeySpy = jest.spyOn(caching, 'addKey').mockImplementation(() => {});
+    jest.spyOn(caching, 'removeKey').mockImplementation(() => {});
+    const spy = jest.spyOn(workers, 'spawn');
+    spy.mockResolvedValue({ ok: true, data: { ...unavailable.data, apiServerUrl: 'http://localhost:5001' } });
+    const aggregatedApiCalls = ['0x1', '0x2', '0x3'].map((id) => fixtures.buildAggregatedRegularApiCall({ id }));
+    const workerOpts = fixtures.buildWorkerOptions();
+
+    const [logs] = await coordinatedExecution.callApis(aggregatedApiCalls, workerOpts, { ...config, ois: [ois] });
+
+    expect(logs).toContainEqual({
+      level: 'WARN',
+      message:
+        'The API server:http://localhost:5001 of OIS:Currency Converter API is unavailable and will be probed in the next run',
+    });
+    expect(addKeySpy).toHaveBeenCalledTimes(1);
+    expect(addKeySpy).toHaveBeenCalledWith(getCircuitBreakerKey('http://localhost:5001'), {
+      openedAt: expect.any(Number),
+    });
+    spy.mockReset();
+  });
+
+  it('makes the API calls while the circuit breaker of a fallback API server is closed', async () => {
+    const config = fixtures.buildConfig();
+    const ois = {
+      ...config.ois[0],
+      apiSpecifications: {
+        ...config.ois[0].apiSpecifications,
+        servers: [{ url: 'http://localhost:5000' }, { url: 'http://localhost:5001' }],
+      },
+    };
+    jest
+      .spyOn(caching, 'getValueForKey')
+      .mockImplementation((key) =>
+        key === getCircuitBreakerKey('http://localhost:5000') ? { openedAt: 1 } : undefined
+      );
+    jest.spyOn(caching, 'addKey').mockImplementation(() => {});
+    jest.spyOn(caching, 'removeKey').mockImplementation(() => {});
+    const spy = jest.spyOn(workers, 'spawn');
+    const response = {
+      success: true,
+      data: { encodedValue: '0x', signature: '0x' },
+      apiServerUrl: 'http://localhost:5001',
+    };
+    spy.mockResolvedValue({ ok: true, data: response });
+    const aggregatedApiCalls = ['0x1', '0x2', '0x3'].map((id) => fixtures.buildAggregatedRegularApiCall({ id }));
+    const workerOpts = fixtures.buildWorkerOptions();
+
+    const [_logs, res] = await coordinatedExecution.callApis(aggregatedApiCalls, workerOpts, { ...config, ois: [ois] });
+
+    expect(spy).toHaveBeenCalledTimes(3);
+    expect(res.map((apiCall) => apiCall.success)).toEqual([true, true, true]);
+    spy.mockReset();
+  });
+
+  it('does not open the circuit breaker if the worker crashes', async () => {
+    jest.spyOn(caching, 'getValueForKey').mockReturnValueOnce(undefined);
+    const addKeySpy = jest.spyOn(caching, 'addKey').mockImplementation(() => {});
+    jest.spyOn(caching, 'removeKey').mockImplementation(() => {});
+    const spy = jest.spyOn(workers, 'spawn');
+    spy.mockRejectedValue(new Error('Worker crashed'));
+    const aggregatedApiCalls = ['0x1', '0x2', '0x3'].map((id) => fixtures.buildAggregatedRegularApiCall({ id }));
+    const workerOpts = fixtures.buildWorkerOptions();
+
+    await coordinatedExecution.callApis(aggregatedApiCalls, workerOpts, fixtures.buildConfig());
+
+    expect(spy).toHaveBeenCalledTimes(3);
+    expect(addKeySpy).not.toHaveBeenCalled();
+    spy.mockReset();
+  });
+
+  it('probes an API server with a single API call if it was unavailable in the previous run', async () => {
+    jest.spyOn(caching, 'getValueForKey').mockReturnValueOnce({ openedAt: 1 });
+    const addKeySpy = jest.spyOn(caching, 'addKey').mockImplementation(() => {});
+    jest.spyOn(caching, 'removeKey').mockImplementation(() => {});
+    const spy = jest.spyOn(workers, 'spawn');
+    spy.mockResolvedValue(unavailable);
+    const aggregatedApiCalls = ['0x1', '0x2', '0x3'].map((id) => fixtures.buildAggregatedRegularApiCall({ id }));
+    const workerOpts = fixtures.buildWorkerOptions();
+
+    const [_logs, res] = await coordinatedExecution.callApis(aggregatedApiCalls, workerOpts, fixtures.buildConfig());
+
+    expect(spy).toHaveBeenCalledTimes(1);
+    expect(res.map((apiCall) => apiCall.errorMessage)).toEqual([
+      `${RequestErrorMessage.ApiCallFailed} with status code 503`,
+      RequestErrorMessage.ApiServerUnavailable,
+      RequestErrorMessage.ApiServerUnavailable,
+    ]);
+    expect(addKeySpy).toHaveBeenCalledWith(expect.stringMatching(/^apiCircuitBreaker-/), { openedAt: 1 });
+    spy.mockReset();
+  });
+
+  it('makes the remaining API calls concurrently if the probe succeeds', async () => {
+    jest.spyOn(caching, 'getValueForKey').mockReturnValueOnce({ openedAt: 1 });
+    const addKeySpy = jest.spyOn(caching, 'addKey').mockImplementation(() => {});
+    jest.spyOn(caching, 'removeKey').mockImplementation(() => {});
+    const spy = jest.spyOn(workers, 'spawn');
+    const response = { success: true, data: { encodedValue: '0x', signature: '0x' } };
+    spy.mockResolvedValue({ ok: true, data: response });
+    const aggregatedApiCalls = ['0x1', '0x2', '0x3'].map((id) => fixtures.buildAggregatedRegularApiCall({ id }));
+    const workerOpts = fixtures.buildWorkerOptions();
+
+    const [_logs, res] = await coordinatedExecution.callApis(aggregatedApiCalls, workerOpts, fixtures.buildConfig());
+
+    expect(spy).toHaveBeenCalledTimes(3);
+    expect(res.map((apiCall) => apiCall.success)).toEqual([true, true, true]);
+    expect(addKeySpy).not.toHaveBeenCalled();
+    spy.mockReset();
+  });
 });
@@ -1,8 +1,20 @@
 import flatMap from 'lodash/flatMap';
+import groupBy from 'lodash/groupBy';
 import isEmpty from 'lodash/isEmpty';
+import mapValues from 'lodash/mapValues';
+import range from 'lodash/range';
+import uniq from 'lodash/uniq';
 import { logger } from '@api3/airnode-utilities';
 import { go } from '@api3/promise-utils';
+import {
+  CircuitBreaker,
+  CircuitBreakerState,
+  createCircuitBreaker,
+  getApiServerUrls,
+  isApiServerFailure,
+} from './circuit-breaker';
 import { spawnNewApiCall } from '../../adapters/http/worker';
+import { Config } from '../../config';
 import {
   LogsData,
   RequestErrorMessage,
@@ -11,11 +23,12 @@ import {
   RegularAggregatedApiCallWithResponse,
   RegularApiCallSuccessResponse,
 } from '../../types';
-import { WORKER_CALL_API_TIMEOUT } from '../../constants';
+import { API_SERVER_MAX_CONCURRENT_CALLS, WORKER_CALL_API_TIMEOUT } from '../../constants';
 
 async function execute(
   aggregatedApiCall: RegularAggregatedApiCall,
-  workerOpts: WorkerOptions
+  workerOpts: WorkerOptions,
+  timeoutMs: number
 ): Promise<LogsData<RegularAggregatedApiCallWithResponse>> {
   const startedAt = new Date();
   const baseLogMsg = `API call to Endpoint:${aggregatedApiCall.endpointName}`;
@@ -24,24 +37,26 @@ async function execute(
   // responses from crashing the main coordinator process. We need to catch any errors here (like a timeout)
   // as a rejection here will cause Promise.all to fail
   const goLogData = await go(() => spawnNewApiCall(aggregatedApiCall, workerOpts), {
-    totalTimeoutMs: WORKER_CALL_API_TIMEOUT,
+    totalTimeoutMs: timeoutMs,
   });
   const resLogs = goLogData.success && goLogData.data ? goLogData.data[0] : [];
 
   const finishedAt = new Date();
   const durationMs = Math.abs(finishedAt.getTime() - startedAt.getTime());
 
-  // If the worker crashed for whatever reason, mark the request as failed
+  // The worker does not reject, so the API call timed out
   if (!goLogData.success) {
     const log = logger.pend('ERROR', `${baseLogMsg} failed after ${durationMs}ms`, goLogData.error);
     const updatedApiCall: RegularAggregatedApiCallWithResponse = {
       ...aggregatedApiCall,
       success: false,
       errorMessage: RequestErrorMessage.ApiCallFailed,
+      errorClass: { type: 'timeout' },
     };
     return [[...resLogs, log], updatedApiCall];
   }
 
+  // If the worker crashed for whatever reason, mark the request as failed
   if (!goLogData.data || !goLogData.data[1]) {
     const log = logger.pend('ERROR', `${baseLogMsg} failed after ${durationMs}ms`);
     const updatedApiCall: RegularAggregatedApiCallWithResponse = {
@@ -78,9 +93,127 @@ async function execute(
   return [[...resLogs, completeLog], updatedApiCall];
 }
 
+function skip(aggregatedApiCall: RegularAggregatedApiCall): LogsData<RegularAggregatedApiCallWithResponse> {
+  const log = logger.pend(
+    'ERROR',
+    `API call to Endpoint:${aggregatedApiCall.endpointName} skipped as the API server of OIS:${aggregatedApiCall.oisTitle} is unavailable`
+  );
+  const updatedApiCall: RegularAggregatedApiCallWithResponse = {
+    ...aggregatedApiCall,
+    success: false,
+    errorMessage: RequestErrorMessage.ApiServerUnavailable,
+  };
+  return [[log], updatedApiCall];
+}
+
+// The API calls which are left without time are not made, and as the API server was not called, they do not count
+// against it
+function timeOut(aggregatedApiCall: RegularAggregatedApiCall): LogsData<RegularAggregatedApiCallWithResponse> {
+  const log = logger.pend(
+    'ERROR',
+    `API call to Endpoint:${aggregatedApiCall.endpointName} timed out before it could be made`
+  );
+  const updatedApiCall: RegularAggregatedApiCallWithResponse = {
+    ...aggregatedApiCall,
+    success: false,
+    errorMessage: RequestErrorMessage.ApiCallFailed,
+  };
+  return [[log], updatedApiCall];
+}
+
+// The API calls to an OIS are skipped only if the circuit breakers of all of its API servers are open, and they are
+// made one at a time to probe the API servers if none of them is known to be available
+function getCombinedState(circuitBreakers: CircuitBreaker[]): CircuitBreakerState {
+  const states = circuitBreakers.map((circuitBreaker) => circuitBreaker.getState());
+  if (states.includes('closed')) return 'closed';
+  if (states.includes('half-open')) return 'half-open';
+  return 'open';
+}
+
+async function executeAndRecord(
+  aggregatedApiCall: RegularAggregatedApiCall,
+  circuitBreakers: CircuitBreaker[],
+  workerOpts: WorkerOptions,
+  timeoutMs: number
+): Promise<LogsData<RegularAggregatedApiCallWithResponse>> {
+  const [logs, response] = await execute(aggregatedApiCall, workerOpts, timeoutMs);
+  // The API server is not known if e.g. the worker timed out, in which case the primary server is held responsible
+  const circuitBreaker =
+    circuitBreakers.find((circuitBreaker) => circuitBreaker.serverUrl === response.apiServerUrl) ?? circuitBreakers[0];
+  if (!isApiServerFailure(response)) {
+    circuitBreaker.recordSuccess();
+    return [logs, response];
+  }
+
+  const wasOpen = circuitBreaker.getState() === 'open';
+  circuitBreaker.recordFailure();
+  if (wasOpen || circuitBreaker.getState() !== 'open') return [logs, response];
+
+  const openLog = logger.pend(
+    'WARN',
+    `The API server:${circuitBreaker.serverUrl} of OIS:${aggregatedApiCall.oisTitle} is unavailable and will be probed in the next run`
+  );
+  return [[...logs, openLog], response];
+}
+
+// Each lane makes its API calls one after the other, so that every API call checks the circuit breakers right before
+// it is made. The responses are returned in the order of the API calls.
+async function executeInLanes(
+  aggregatedApiCalls: RegularAggregatedApiCall[],
+  laneCount: number,
+  executeOne: (aggregatedApiCall: RegularAggregatedApiCall) => Promise<LogsData<RegularAggregatedApiCallWithResponse>>
+): Promise<LogsData<RegularAggregatedApiCallWithResponse>[]> {
+  const lanes = range(laneCount).map((lane) => aggregatedApiCalls.filter((_call, index) => index % laneCount === lane));
+  const responsesByLane = await Promise.all(
+    lanes.map((lane) =>
+      lane.reduce(
+        async (previousResponses, aggregatedApiCall) => [
+          ...(await previousResponses),
+          await executeOne(aggregatedApiCall),
+        ],
+        Promise.resolve([] as LogsData<RegularAggregatedApiCallWithResponse>[])
+      )
+    )
+  );
+
+  return aggregatedApiCalls.map((_call, index) => responsesByLane[index % laneCount][Math.floor(index / laneCount)]);
+}
+
+/**
+ * Executes the API calls to the API servers of an OIS and records their outcomes in the circuit breakers of the servers
+ * which served them. At most API_SERVER_MAX_CONCURRENT_CALLS calls are in flight at the same time, and the calls that
+ * start after the circuit breakers of all servers have opened are skipped. If none of the servers is known to be
+ * available, the calls are made one at a time until a server responds or all servers turn out to be unavailable. All
+ * calls are bound by the deadline of the run.
+ */
+async function executeWithCircuitBreakers(
+  aggregatedApiCalls: RegularAggregatedApiCall[],
+  circuitBreakers: CircuitBreaker[],
+  workerOpts: WorkerOptions,
+  deadline: number
+): Promise<LogsData<RegularAggregatedApiCallWithResponse>[]> {
+  if (isEmpty(aggregatedApiCalls)) return [];
+
+  const executeOne = (aggregatedApiCall: RegularAggregatedApiCall) => {
+    if (getCombinedState(circuitBreakers) === 'open') return Promise.resolve(skip(aggregatedApiCall));
+    const timeoutMs = deadline - Date.now();
+    if (timeoutMs <= 0) return Promise.resolve(timeOut(aggregatedApiCall));
+    return executeAndRecord(aggregatedApiCall, circuitBreakers, workerOpts, timeoutMs);
+  };
+
+  if (getCombinedState(circuitBreakers) !== 'half-open') {
+    return executeInLanes(aggregatedApiCalls, API_SERVER_MAX_CONCURRENT_CALLS, executeOne);
+  }
+
+  const [probe, ...rest] = aggregatedApiCalls;
+  const probeLogsWithResponse = await executeOne(probe);
+  return [probeLogsWithResponse, ...(await executeWithCircuitBreakers(rest, circuitBreakers, workerOpts, deadline))];
+}
+
 export async function callApis(
   aggregatedApiCalls: RegularAggregatedApiCall[],
-  workerOpts: WorkerOptions
+  workerOpts: WorkerOptions,
+  config: Config
 ): Promise<LogsData<RegularAggregatedApiCallWithResponse[]>> {
   const pendingAggregatedCalls = aggregatedApiCalls.filter((a) => !a.errorMessage);
   const skippedAggregatedCalls = aggregatedApiCalls
@@ -93,10 +226,26 @@ export async function callApis(
   }
   const processLog = logger.pend('INFO', `Processing ${pendingAggregatedCalls.length} pending API call(s)...`);
 
-  // Execute all pending API calls concurrently
-  const calls = pendingAggregatedCalls.map((aggregatedApiCall) => execute(aggregatedApiCall, workerOpts));
+  // Execute the pending API calls concurrently. The API calls to the same API server share a circuit breaker, so that
+  // an API server which was unavailable in the previous run is probed before it is called again. All API calls, the
+  // probes included, are bound by the same deadline.
+  const deadline = Date.now() + WORKER_CALL_API_TIMEOUT;
+  const callsByOisTitle = groupBy(pendingAggregatedCalls, (aggregatedApiCall) => aggregatedApiCall.oisTitle);
+  const serverUrlsByOisTitle = mapValues(callsByOisTitle, (_calls, oisTitle) => getApiServerUrls(config, oisTitle));
+  const circuitBreakers = uniq(flatMap(Object.values(serverUrlsByOisTitle))).map((serverUrl) =>
+    createCircuitBreaker(serverUrl)
+  );
+  const calls = Object.entries(callsByOisTitle).map(([oisTitle, oisCalls]) =>
+    executeWithCircuitBreakers(
+      oisCalls,
+      serverUrlsByOisTitle[oisTitle].map((serverUrl) => circuitBreakers.find((c) => c.serverUrl === serverUrl)!),
+      workerOpts,
+      deadline
+    )
+  );
 
-  const logsWithresponses = await Promise.all(calls);
+  const logsWithresponses = flatMap(await Promise.all(calls));
+  circuitBreakers.forEach((circuitBreaker) => circuitBreaker.persist());
   const responseLogs = flatMap(logsWithresponses, (r) => r[0]);
   const responses = flatMap(logsWithresponses, (r) => r[1]);
 
@@ -0,0 +1,232 @@
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { ethers } from 'ethers';
+import * as journal from './journal';
+import * as coordinatorState from './state';
+import * as fixtures from '../../test/fixtures';
+
+describe('redactState', () => {
+  fixtures.setEnvVariables({ AIRNODE_WALLET_PRIVATE_KEY: fixtures.getAirnodeWalletPrivateKey() });
+
+  it('removes the config, class instances and provider URLs', () => {
+    const config = fixtures.buildConfig();
+    const providerState = fixtures.buildEVMProviderState();
+    const state = coordinatorState.update(coordinatorState.create(config, 'coordinatorId'), {
+      providerStates: { evm: [providerState] },
+    });
+
+    const redactedState = journal.redactState(state);
+
+    expect(redactedState).not.toHaveProperty('config');
+    const [redactedProviderState] = redactedState.providerStates.evm;
+    expect(Object.keys(redactedProviderState)).not.toEqual(
+      expect.arrayContaining(['config', 'masterHDNode', 'provider'])
+    );
+    expect(redactedProviderState.settings.url).toEqual(journal.REDACTED_VALUE);
+    expect(redactedProviderState.settings.chainId).toEqual(providerState.settings.chainId);
+    expect(JSON.stringify(redactedState)).not.toContain(config.nodeSettings.airnodeWalletMnemonic);
+  });
+});
+
+describe('reviveState', () => {
+  fixtures.setEnvVariables({ AIRNODE_WALLET_PRIVATE_KEY: fixtures.getAirnodeWalletPrivateKey() });
+
+  it('restores the redacted parts of the state from the config', () => {
+    const providerState = fixtures.buildEVMProviderState({ currentBlock: 123 });
+    const config = providerState.config!;
+    const state = coordinatorState.update(coordinatorState.create(config, 'coordinatorId'), {
+      providerStates: { evm: [providerState] },
+    });
+
+    const revivedState = journal.reviveState(journal.redactState(state), config);
+
+    expect(revivedState.config).toEqual(config);
+    const [revivedProviderState] = revivedState.providerStates.evm;
+    expect(revivedProviderState.settings).toEqual(providerState.settings);
+    expect(revivedProviderState.currentBlock).toEqual(123);
+    expect(revivedProviderState.provider).toBeInstanceOf(ethers.providers.JsonRpcProvider);
+    expect(revivedProviderState.masterHDNode.extendedKey).toEqual(providerState.masterHDNode.extendedKey);
+  });
+
+  it('throws if the journaled provider is not in the config', () => {
+    const providerState = fixtures.buildEVMProviderState();
+    const config = providerState.config!;
+    const state = coordinatorState.update(coordinatorState.create(config, 'coordinatorId'), {
+      providerStates: { evm: [providerState] },
+    });
+
+    expect(() => journal.reviveState(journal.redactState(state), { ...config, chains: [] })).toThrow(
+      'Unable to find provider:Ganache test for chain:31337 in the config'
+    );
+  });
+});
+
+describe('createRecorder', () => {
+  fixtures.setEnvVariables({ AIRNODE_WALLET_PRIVATE_KEY: fixtures.getAirnodeWalletPrivateKey() });
+
+  it('records the input and output state of each step', async () => {
+    const state = coordinatorState.create(fixtures.buildConfig(), 'coordinatorId');
+    const aggregatedApiCallsById = { apiCallId: fixtures.buildAggregatedRegularApiCall() };
+    const recorder = journal.createRecorder('coordinatorId');
+
+    const newState = await recorder.record('aggregateApiCalls', state, (state) =>
+      coordinatorState.update(state, { aggregatedApiCallsById })
+    );
+
+    expect(newState.aggregatedApiCallsById).toEqual(aggregatedApiCallsById);
+    const { coordinatorId, steps } = recorder.getJournal();
+    expect(coordinatorId).toEqual('coordinatorId');
+    expect(steps).toEqual([
+      {
+        name: 'aggregateApiCalls',
+        startedAt: expect.any(String),
+        durationMs: expect.any(Number),
+        input: journal.redactState(state),
+        output: journal.redactState(newState),
+      },
+    ]);
+  });
+
+  it('records failed steps and rethrows the error', async () => {
+    const state = coordinatorState.create(fixtures.buildConfig(), 'coordinatorId');
+    const recorder = journal.createRecorder('coordinatorId');
+
+    await expect(
+      recorder.record('initiateTransactions', state, () => Promise.reject(new Error('Transactions failed')))
+    ).rejects.toThrow('Transactions failed');
+
+    const [step] = recorder.getJournal().steps;
+    expect(step).toEqual(
+      expect.objectContaining({ name: 'initiateTransactions', output: null, errorMessage: 'Transactions failed' })
+    );
+  });
+});
+
+describe('createFsJournalStore', () => {
+  fixtures.setEnvVariables({ AIRNODE_WALLET_PRIVATE_KEY: fixtures.getAirnodeWalletPrivateKey() });
+  let basePath: string;
+
+  beforeEach(() => {
+    basePath = mkdtempSync(join(tmpdir(), 'airnode-journal-'));
+  });
+
+  afterEach(() => {
+    rmSync(basePath, { recursive: true, force: true });
+  });
+
+  it('writes and reads journals', () => {
+    const store = journal.createFsJournalStore(basePath, 10, true);
+    const coordinatorJournal = journal.addStep(journal.create('coordinatorId'), {
+      name: 'initializeProviders',
+      startedAt: new Date().toISOString(),
+      durationMs: 1,
+      input: journal.redactState(coordinatorState.create(fixtures.buildConfig(), 'coordinatorId')),
+      output: null,
+      errorMessage: 'Some error',
+    });
+
+    store.write(coordinatorJournal);
+
+    expect(store.list()).toEqual(['coordinatorId']);
+    expect(store.read('coordinatorId')).toEqual(coordinatorJournal);
+  });
+
+  it('revives BigNumber values', () => {
+    const store = journal.createFsJournalStore(basePath, 10, true);
+    const gasTarget = {
+      type: 0 as const,
+      gasPrice: ethers.BigNumber.from(1000),
+      gasLimit: ethers.BigNumber.from(500_000),
+    };
+    const providerState = { ...fixtures.buildEVMProviderState(), gasTarget };
+    const state = coordinatorState.update(coordinatorState.create(providerState.config!, 'coordinatorId'), {
+      providerStates: { evm: [providerState] },
+    });
+    const coordinatorJournal = journal.addStep(journal.create('coordinatorId'), {
+      name: 'initializeProviders',
+      startedAt: new Date().toISOString(),
+      durationMs: 1,
+      input: journal.redactState(state),
+      output: null,
+    });
+
+    store.write(coordinatorJournal);
+
+    const revivedGasTarget = store.read('coordinatorId')!.steps[0].input.providerStates.evm[0].gasTarget;
+    expect(revivedGasTarget).toEqual(gasTarget);
+  });
+
+  it('keeps only the most recent journals', () => {
+    const store = journal.createFsJournalStore(basePath, 2, true);
+
+    ['first', 'second', 'third'].forEach((coordinatorId) => store.write(journal.create(coordinatorId)));
+
+    expect(store.list()).toHaveLength(2);
+  });
+
+  it('does not write journals in a test environment unless forced', () => {
+    const store = journal.createFsJournalStore(basePath);
+
+    store.write(journal.create('coordinatorId'));
+
+    expect(store.list()).toEqual([]);
+  });
+
+  it('returns undefined for unknown journals', () => {
+    const store = journal.createFsJournalStore(basePath);
+
+    expect(store.read('unknown')).toBeUndefined();
+  });
+});
+
+describe('createInMemoryJournalStore', () => {
+  it('keeps only the most recent journals', () => {
+    const store = journal.createInMemoryJournalStore(2);
+
+    ['first', 'second', 'third'].forEach((coordinatorId) => store.write(journal.create(coordinatorId)));
+
+    expect(store.list()).toEqual(['third', 'second']);
+    expect(store.read('first')).toBeUndefined();
+    expect(store.read('third')).toEqual(expect.objectContaining({ coordinatorId: 'third', steps: [] }));
+  });
+});
+
+describe('isJournalEnabled', () => {
+  const awsCloudProvider = { type: 'aws' as const, region: 'us-east-1', disableConcurrencyReservations: false };
+
+  it('enables the journal for the local deployments by default', () => {
+    expect(journal.isJournalEnabled(fixtures.buildConfig())).toEqual(true);
+    expect(
+      journal.isJournalEnabled(
+        fixtures.buildConfig({ nodeSettings: fixtures.buildNodeSettings({ cloudProvider: awsCloudProvider }) })
+      )
+    ).toEqual(false);
+  });
+
+  it('uses the node setting if it is set', () => {
+    expect(
+      journal.isJournalEnabled(
+        fixtures.buildConfig({ nodeSettings: fixtures.buildNodeSettings({ enableJournal: false }) })
+      )
+    ).toEqual(false);
+    expect(
+      journal.isJournalEnabled(
+        fixtures.buildConfig({
+          nodeSettings: fixtures.buildNodeSettings({ cloudProvider: awsCloudProvider, enableJournal: true }),
+        })
+      )
+    ).toEqual(true);
+  });
+});
+
+describe('createJournalStore', () => {
+  it('keeps the journal of the run in memory if the journal is disabled', () => {
+    const config = fixtures.buildConfig({ nodeSettings: fixtures.buildNodeSettings({ enableJournal: false }) });
+    const store = journal.createJournalStore(config);
+
+    ['first', 'second'].forEach((coordinatorId) => store.write(journal.create(coordinatorId)));
+
+    expect(store.list()).toEqual(['second']);
+  });
+});
@@ -0,0 +1,257 @@
+import { existsSync, mkdirSync, readdirSync, readFileSync, rmSync, statSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { ethers } from 'ethers';
+import { isJest, logger, removeKeys } from '@api3/airnode-utilities';
+import { go, goSync } from '@api3/promise-utils';
+import { buildEVMState } from '../providers/state';
+import { CoordinatorState, EVMProviderState, ProviderState } from '../types';
+import { Config } from '../config';
+import { JOURNAL_MAX_ENTRIES } from '../constants';
+import { version as getNodeVersion } from '../version';
+
+export const JOURNAL_BASE_PATH = '/tmp/airnode-journal';
+
+export const REDACTED_VALUE = '[REDACTED]';
+
+// The order in which the steps are run by the coordinator
+export const coordinatorStepNames = [
+  'initializeProviders',
+  'applyChainRequestLimits',
+  'aggregateApiCalls',
+  'filterByMinConfirmations',
+  'executeApiCalls',
+  'disaggregateApiCalls',
+  'initiateTransactions',
+] as const;
+
+export type CoordinatorStepName = (typeof coordinatorStepNames)[number];
+
+// Provider states are journaled without the class instances and the config (see "redactState")
+export type JournaledProviderState = Omit<ProviderState<EVMProviderState>, 'config' | 'masterHDNode' | 'provider'>;
+
+export interface JournaledState extends Omit<CoordinatorState, 'config' | 'providerStates'> {
+  readonly providerStates: { readonly evm: JournaledProviderState[] };
+}
+
+export interface JournalStep {
+  readonly name: CoordinatorStepName;
+  readonly startedAt: string;
+  readonly durationMs: number;
+  readonly input: JournaledState;
+  readonly output: JournaledState | null;
+  readonly errorMessage?: string;
+}
+
+export interface CoordinatorJournal {
+  readonly coordinatorId: string;
+  readonly nodeVersion: string;
+  readonly startedAt: string;
+  readonly completedAt?: string;
+  readonly steps: JournalStep[];
+}
+
+/**
+ * A store is responsible for persisting journals between coordinator runs. Implementations must not throw, because
+ * journaling must never interfere with the coordinator itself.
+ */
+export interface JournalStore {
+  readonly write: (journal: CoordinatorJournal) => void;
+  readonly read: (coordinatorId: string) => CoordinatorJournal | undefined;
+  // Returns the coordinator IDs of the stored journals, most recent first
+  readonly list: () => string[];
+}
+
+// Secrets are stored in the config and in the chain provider URLs (which often contain API keys)
+function redactUrls(value: unknown): unknown {
+  if (Array.isArray(value)) return value.map(redactUrls);
+  if (value === null || typeof value !== 'object' || ethers.BigNumber.isBigNumber(value)) return value;
+
+  return Object.fromEntries(
+    Object.entries(value).map(([key, nestedValue]) => [key, key === 'url' ? REDACTED_VALUE : redactUrls(nestedValue)])
+  );
+}
+
+export function redactState(state: CoordinatorState): JournaledState {
+  const evm = state.providerStates.evm.map(
+    (providerState) =>
+      ({
+        ...removeKeys(providerState, ['config', 'masterHDNode', 'provider']),
+        settings: redactUrls(providerState.settings),
+      }) as JournaledProviderState
+  );
+
+  return { ...(removeKeys(state, ['config']) as Omit<CoordinatorState, 'config'>), providerStates: { evm } };
+}
+
+/**
+ * Restores a journaled state so that it can be passed to a coordinator step again. The redacted parts of the state
+ * are re-derived from the given config, which needs to contain the chains and providers of the journaled run.
+ */
+export function reviveState(journaledState: JournaledState, config: Config): CoordinatorState {
+  const evm = journaledState.providerStates.evm.map((journaledProviderState) => {
+    const { chainId, name, airnodeAddress } = journaledProviderState.settings;
+    const chain = config.chains.find((chain) => chain.id === chainId);
+    if (!chain || !chain.providers[name]) {
+      throw new Error(`Unable to find provider:${name} for chain:${chainId} in the config`);
+    }
+
+    const freshState = buildEVMState(journaledState.coordinatorId, airnodeAddress, chain, name, config);
+    return { ...freshState, ...journaledProviderState, settings: freshState.settings };
+  });
+
+  return { ...journaledState, config, providerStates: { evm } };
+}
+
+export function create(coordinatorId: string, startedAt = new Date()): CoordinatorJournal {
+  return { coordinatorId, nodeVersion: getNodeVersion(), startedAt: startedAt.toISOString(), steps: [] };
+}
+
+export function addStep(journal: CoordinatorJournal, step: JournalStep): CoordinatorJournal {
+  return { ...journal, steps: [...journal.steps, step] };
+}
+
+export function complete(journal: CoordinatorJournal, completedAt = new Date()): CoordinatorJournal {
+  return { ...journal, completedAt: completedAt.toISOString() };
+}
+
+export function findStep(journal: CoordinatorJournal, name: CoordinatorStepName) {
+  return journal.steps.find((step) => step.name === name);
+}
+
+/**
+ * Creates a recorder which journals the input and output state of each coordinator step. The recorder keeps track of
+ * the journal of a single coordinator run.
+ */
+export function createRecorder(coordinatorId: string) {
+  let journal = create(coordinatorId);
+
+  const record = async <T extends CoordinatorState, U extends CoordinatorState>(
+    name: CoordinatorStepName,
+    state: T,
+    step: (state: T) => U | Promise<U>
+  ): Promise<U> => {
+    const startedAt = new Date();
+    const goOutput = await go(() => step(state));
+    const durationMs = Date.now() - startedAt.getTime();
+
+    journal = addStep(journal, {
+      name,
+      startedAt: startedAt.toISOString(),
+      durationMs,
+      input: redactState(state),
+      output: goOutput.success ? redactState(goOutput.data) : null,
+      ...(goOutput.success ? {} : { errorMessage: goOutput.error.message }),
+    });
+
+    if (!goOutput.success) throw goOutput.error;
+    return goOutput.data;
+  };
+
+  const getJournal = () => journal;
+
+  return { record, getJournal };
+}
+
+export type JournalRecorder = ReturnType<typeof createRecorder>;
+
+// BigNumber instances (e.g. in the gas target) are serialized as { type: 'BigNumber', hex: '0x...' }
+function reviveBigNumbers(_key: string, value: any) {
+  if (value && value.type === 'BigNumber' && typeof value.hex === 'string') {
+    return ethers.BigNumber.from(value.hex);
+  }
+  return value;
+}
+
+export function parseJournal(rawJournal: string): CoordinatorJournal {
+  return JSON.parse(rawJournal, reviveBigNumbers);
+}
+
+/**
+ * Creates a store which persists each journal as a JSON file named after the coordinator ID. Only the most recent
+ * journals are kept.
+ *
+ * @param basePath the directory the journals are stored in
+ * @param maxEntries the maximum number of journals kept in the directory
+ * @param force write journals also when executing in a test environment
+ */
+export function createFsJournalStore(
+  basePath = JOURNAL_BASE_PATH,
+  maxEntries = JOURNAL_MAX_ENTRIES,
+  force = false
+): JournalStore {
+  const journalPath = (coordinatorId: string) => join(basePath, `${coordinatorId}.json`);
+
+  const list = () => {
+    const goFiles = goSync(() =>
+      readdirSync(basePath)
+        .filter((file) => file.endsWith('.json'))
+        .map((file) => ({ file, mtimeMs: statSync(join(basePath, file)).mtimeMs }))
+    );
+    if (!goFiles.success) return [];
+
+    return goFiles.data
+      .sort((a, b) => b.mtimeMs - a.mtimeMs)
+      .map(({ file }) => file.substring(0, file.length - '.json'.length));
+  };
+
+  const sweep = () => {
+    list()
+      .slice(maxEntries)
+      .forEach((coordinatorId) => rmSync(journalPath(coordinatorId), { force: true }));
+  };
+
+  const write = (journal: CoordinatorJournal) => {
+    // To not pollute the filesystem do nothing if we're executing in a test environment
+    if (isJest() && !force) {
+      return;
+    }
+
+    const goWrite = goSync(() => {
+      if (!existsSync(basePath)) mkdirSync(basePath, { recursive: true });
+      writeFileSync(journalPath(journal.coordinatorId), JSON.stringify(journal));
+      sweep();
+    });
+    if (!goWrite.success) {
+      logger.error(`Unable to write coordinator journal`);
+      logger.error(goWrite.error.stack!);
+    }
+  };
+
+  const read = (coordinatorId: string) => {
+    const goRead = goSync(() => parseJournal(readFileSync(journalPath(coordinatorId), 'utf8')));
+    if (!goRead.success) {
+      logger.error(`Unable to read coordinator journal for coordinator ID:${coordinatorId}`);
+      return undefined;
+    }
+    return goRead.data;
+  };
+
+  return { write, read, list };
+}
+
+/**
+ * Creates a store which keeps the journals in memory. Useful when the journals are inspected in the same process.
+ */
+export function createInMemoryJournalStore(maxEntries = JOURNAL_MAX_ENTRIES): JournalStore {
+  let journals: CoordinatorJournal[] = [];
+
+  const write = (journal: CoordinatorJournal) => {
+    const otherJournals = journals.filter(({ coordinatorId }) => coordinatorId !== journal.coordinatorId);
+    journals = [journal, ...otherJournals].slice(0, maxEntries);
+  };
+  const read = (coordinatorId: string) => journals.find((journal) => journal.coordinatorId === coordinatorId);
+  const list = () => journals.map(({ coordinatorId }) => coordinatorId);
+
+  return { write, read, list };
+}
+
+// The journals are persisted to the filesystem only if enabled, which is the default for the local deployments, because
+// the cloud functions would write them on every run while nothing replays them there
+export function isJournalEnabled(config: Config) {
+  const { enableJournal, cloudProvider } = config.nodeSettings;
+  return enableJournal ?? cloudProvider.type === 'local';
+}
+
+export function createJournalStore(config: Config): JournalStore {
+  return isJournalEnabled(config) ? createFsJournalStore() : createInMemoryJournalStore(1);
+}
@@ -1,3 +1,4 @@
+import { encode } from '@api3/airnode-abi';
 import { ethers } from 'ethers';
 import { safeDecode } from './abi-encoding';
 
@@ -12,6 +13,16 @@ describe('safeDecode', () => {
     });
   });
 
+  it('decodes array parameters', () => {
+    const res = safeDecode(
+      encode([
+        { type: 'string32[]', name: 'symbols', value: ['ETH', 'BTC'] },
+        { type: 'string32[]', name: '_path', value: ['ETH.usd', 'BTC.usd'] },
+      ])
+    );
+    expect(res).toEqual({ symbols: ['ETH', 'BTC'], _path: ['ETH.usd', 'BTC.usd'] });
+  });
+
   it('returns empty parameters if data is empty', () => {
     const res = safeDecode('0x');
     expect(res).toEqual({});
@@ -18,10 +18,12 @@ mockEthers({
 });
 
 import { ethers } from 'ethers';
-import { GasTarget } from '@api3/airnode-utilities';
+import { caching, GasTarget } from '@api3/airnode-utilities';
 import * as fixtures from '../../../test/fixtures';
 import { EVMProviderSponsorState, GroupedRequests, ProviderState, RequestErrorMessage } from '../../types';
 import * as providerState from '../../providers/state';
+import { ReconciledNonces } from '../nonce-manager';
+import * as wallet from '../wallet';
 import * as fulfillments from './index';
 
 describe('submit', () => {
@@ -144,4 +146,99 @@ describe('submit', () => {
     const res = await fulfillments.submit(state);
     expect(res.withdrawals).toEqual([withdrawal]);
   });
+
+  it('skips the requests whose transactions are pending or mined and records the broadcast transactions', async () => {
+    const sponsorAddress = '0x69e2B095fbAc6C3f9E528Ef21882b86BF1595181';
+    const pendingApiCall = fixtures.requests.buildSuccessfulApiCall({
+      id: '0xd211ecb4fbf347cabfb32e25d8485338abc28d54bd4735022ade13854d13cad8',
+      nonce: 10,
+      sponsorAddress,
+      fulfillment: { hash: '0xpending_tx' },
+    });
+    const apiCall = fixtures.requests.buildSuccessfulApiCall({
+      id: '0x0995770ea47ab31250abed45f091375f4bc16a1713c2b20ba04430865295bde0',
+      nonce: 11,
+      sponsorAddress,
+    });
+    const requests: GroupedRequests = { apiCalls: [pendingApiCall, apiCall], withdrawals: [] };
+    const gasTarget: GasTarget = {
+      type: 0,
+      gasPrice: ethers.BigNumber.from(1000),
+      gasLimit: ethers.BigNumber.from(500_000),
+    };
+    const provider = new ethers.providers.JsonRpcProvider();
+    const state = providerState.update(mutableInitialState, {
+      gasTarget,
+      provider,
+      requests,
+      sponsorAddress,
+      transactionCountsBySponsorAddress: { [sponsorAddress]: 10 },
+    });
+
+    staticFulfillMock.mockResolvedValue({ callSuccess: true });
+    // Drops the responses left over from the previous tests
+    fulfillMock.mockReset();
+    fulfillMock.mockResolvedValueOnce({ hash: '0xapicall_tx' });
+    jest.spyOn(caching, 'getValueForKey').mockReturnValueOnce(undefined);
+    jest.spyOn(caching, 'removeKey').mockImplementation(() => {});
+    const addKeySpy = jest.spyOn(caching, 'addKey').mockImplementation(() => {});
+    const dateNowSpy = jest.spyOn(Date, 'now').mockReturnValue(1000);
+
+    const res = await fulfillments.submit(state);
+    dateNowSpy.mockRestore();
+    expect(res.apiCalls).toEqual([pendingApiCall, { ...apiCall, fulfillment: { hash: '0xapicall_tx' } }]);
+    expect(fulfillMock).toHaveBeenCalledTimes(1);
+
+    const sponsorWalletAddress = wallet.deriveSponsorWallet(state.masterHDNode, sponsorAddress).address;
+    expect(addKeySpy).toHaveBeenCalledWith(
+      `sponsorWalletNonces-${state.settings.chainId}-${sponsorWalletAddress}`,
+      [{ requestId: apiCall.id, nonce: 11, hash: '0xapicall_tx', gasPrice: '1000', broadcastAt: 1000 }],
+      true
+    );
+  });
+
+  it('replaces stuck transactions with a higher gas price', async () => {
+    const sponsorAddress = '0x69e2B095fbAc6C3f9E528Ef21882b86BF1595181';
+    const apiCall = fixtures.requests.buildSuccessfulApiCall({
+      id: '0xd211ecb4fbf347cabfb32e25d8485338abc28d54bd4735022ade13854d13cad8',
+      nonce: 10,
+      sponsorAddress,
+    });
+    const requests: GroupedRequests = { apiCalls: [apiCall], withdrawals: [] };
+    const gasTarget: GasTarget = {
+      type: 0,
+      gasPrice: ethers.BigNumber.from(1000),
+      gasLimit: ethers.BigNumber.from(500_000),
+    };
+    const provider = new ethers.providers.JsonRpcProvider();
+    const state = providerState.update(mutableInitialState, {
+      gasTarget,
+      provider,
+      requests,
+      sponsorAddress,
+      transactionCountsBySponsorAddress: { [sponsorAddress]: 10 },
+    });
+    const reconciledNonces: ReconciledNonces = {
+      transactions: [
+        { requestId: apiCall.id, nonce: 10, hash: '0xstuck_tx', gasPrice: '1000', broadcastAt: 0, status: 'stuck' },
+      ],
+      gaps: [],
+    };
+
+    staticFulfillMock.mockResolvedValue({ callSuccess: true });
+    fulfillMock.mockReset();
+    fulfillMock.mockResolvedValueOnce({ hash: '0xreplacement_tx' });
+    jest.spyOn(caching, 'getValueForKey').mockReturnValueOnce(undefined);
+    jest.spyOn(caching, 'removeKey').mockImplementation(() => {});
+    jest.spyOn(caching, 'addKey').mockImplementation(() => {});
+
+    const res = await fulfillments.submit(state, reconciledNonces);
+    expect(res.apiCalls).toEqual([{ ...apiCall, fulfillment: { hash: '0xreplacement_tx' } }]);
+    expect(fulfillMock).toHaveBeenCalledTimes(1);
+    expect(fulfillMock.mock.calls[0][6]).toEqual({
+      ...gasTarget,
+      gasPrice: ethers.BigNumber.from(1100),
+      nonce: 10,
+    });
+  });
 });
@@ -1,7 +1,8 @@
-import { LegacyTypeLiteral, logger } from '@api3/airnode-utilities';
+import { GasTarget, LegacyTypeLiteral, logger } from '@api3/airnode-utilities';
 import { BigNumber } from 'ethers';
 import { submitApiCall } from './api-calls';
 import { submitWithdrawal } from './withdrawals';
+import * as nonceManager from '../nonce-manager';
 import * as wallet from '../wallet';
 import {
   Request,
@@ -17,16 +18,22 @@ import {
 import { AirnodeRrpV0Factory, AirnodeRrpV0 } from '../contracts';
 import * as verification from '../verification';
 
+interface SubmittedRequest<T> {
+  request: Request<T>;
+  gasTarget: GasTarget;
+}
+
 interface OrderedRequest<T> {
   request: Request<T>;
   type: RequestType;
-  makeRequest: () => Promise<Request<T> | Error>;
+  makeRequest: () => Promise<SubmittedRequest<T> | Error>;
 }
 
 function getTransactionOptions<T>(
   state: ProviderState<EVMProviderSponsorState>,
   request: Request<T>,
-  type: RequestType
+  type: RequestType,
+  replacedTransaction?: nonceManager.BroadcastTransaction
 ) {
   let gasTarget = state.gasTarget!;
 
@@ -47,6 +54,12 @@ function getTransactionOptions<T>(
     }
   }
 
+  // A stuck transaction can only be replaced by a transaction with a higher gas price
+  if (replacedTransaction) {
+    gasTarget = nonceManager.getReplacementGasTarget(gasTarget, replacedTransaction);
+    logger.info(`Replacing stuck Transaction:${replacedTransaction.hash} for Request:${request.id}`);
+  }
+
   return {
     gasTarget: gasTarget,
     contracts: state.contracts,
@@ -61,19 +74,20 @@ function prepareRequestSubmissions<T>(
   requests: Request<T>[],
   type: RequestType,
   submitFunction: SubmitRequest<T>,
-  contract: AirnodeRrpV0
+  contract: AirnodeRrpV0,
+  reconciledNonces: nonceManager.ReconciledNonces
 ): OrderedRequest<T>[] {
   return requests.map((request) => {
     const makeRequest = async () => {
-      const [logs, err, submittedRequest] = await submitFunction(
-        contract,
-        request,
-        getTransactionOptions(state, request, type)
+      const replacedTransaction = reconciledNonces.transactions.find(
+        (transaction) => transaction.requestId === request.id && transaction.status === 'stuck'
       );
+      const transactionOptions = getTransactionOptions(state, request, type, replacedTransaction);
+      const [logs, err, submittedRequest] = await submitFunction(contract, request, transactionOptions);
       logger.logPending(logs);
 
       if (err) return err;
-      return submittedRequest || request;
+      return { request: submittedRequest || request, gasTarget: transactionOptions.gasTarget };
     };
 
     return {
@@ -89,11 +103,15 @@ function prepareRequestSubmissions<T>(
  * of order transactions.
  *
  * This function performs the requests of a particular sponsor sequentially, ordered by transaction nonce increasingly.
+ * The broadcast transactions are persisted, so that the following runs do not reuse their nonces while they are pending.
  *
  * There is a concept of batched requests, but that doesn't work with transactions. See:
  * https://github.com/ethers-io/ethers.js/issues/892#issuecomment-828897859
  */
-export async function submit(state: ProviderState<EVMProviderSponsorState>): Promise<GroupedRequests> {
+export async function submit(
+  state: ProviderState<EVMProviderSponsorState>,
+  reconciledNonces: nonceManager.ReconciledNonces = { transactions: [], gaps: [] }
+): Promise<GroupedRequests> {
   const { AirnodeRrp } = state.contracts;
   const { requests } = state;
   const sponsorWallet = wallet.deriveSponsorWallet(state.masterHDNode, state.sponsorAddress);
@@ -107,7 +125,8 @@ export async function submit(state: ProviderState<EVMProviderSponsorState>): Pro
     requests.apiCalls as Request<ApiCallWithResponse>[],
     RequestType.ApiCall,
     submitApiCall,
-    contract
+    contract,
+    reconciledNonces
   );
 
   // Verify sponsor wallets for withdrawals
@@ -123,7 +142,8 @@ export async function submit(state: ProviderState<EVMProviderSponsorState>): Pro
     verifiedWithdrawals,
     RequestType.Withdrawal,
     submitWithdrawal,
-    contract
+    contract,
+    reconciledNonces
   );
 
   const allRequestSubmissions = [...preparedApiCallSubmissions, ...preparedWithdrawalSubmissions];
@@ -141,11 +161,23 @@ export async function submit(state: ProviderState<EVMProviderSponsorState>): Pro
     }
   };
 
+  const broadcastTransactions: nonceManager.BroadcastTransaction[] = [];
+
   // If one of the requests fail other request are bound to fail as well because of the wrong nonce
   let previousTransactionFailed = false;
 
   // Perform the requests sequentially to in order to respect the nonce value
   for (const requestSubmission of allRequestSubmissions) {
+    const { fulfillment } = requestSubmission.request;
+    if (fulfillment) {
+      logger.info(
+        `Request:${requestSubmission.request.id} skipped because its Transaction:${fulfillment.hash} is already pending or mined`
+      );
+
+      saveRequest(requestSubmission.type, requestSubmission.request);
+      continue;
+    }
+
     if (previousTransactionFailed) {
       logger.info(`Request:${requestSubmission.request.id} skipped because one of the previous requests failed`);
 
@@ -162,13 +194,24 @@ export async function submit(state: ProviderState<EVMProviderSponsorState>): Pro
       continue;
     }
 
-    if (submittedRequest.fulfillment?.hash) {
-      logger.info(`Transaction:${submittedRequest.fulfillment.hash} submitted for Request:${submittedRequest.id}`);
+    const { request, gasTarget } = submittedRequest;
+    if (request.fulfillment?.hash) {
+      logger.info(`Transaction:${request.fulfillment.hash} submitted for Request:${request.id}`);
+      broadcastTransactions.push(
+        nonceManager.buildBroadcastTransaction(request.id, request.nonce!, request.fulfillment.hash, gasTarget)
+      );
     }
 
-    saveRequest(requestSubmission.type, submittedRequest);
+    saveRequest(requestSubmission.type, request);
   }
 
+  nonceManager.recordBroadcastTransactions(
+    state.settings.chainId,
+    sponsorWallet.address,
+    state.transactionCountsBySponsorAddress[state.sponsorAddress],
+    broadcastTransactions
+  );
+
   return {
     apiCalls,
     withdrawals,
@@ -18,6 +18,7 @@ export async function fetchPendingRequests(state: ProviderState<EVMProviderState
     mayOverrideMinConfirmations: state.settings.mayOverrideMinConfirmations,
     provider: state.provider,
     chainId,
+    eventLogs: state.eventLogs,
   };
   // Fetch event logs from the provider. Let this throw if something goes wrong.
   // We can't do anything if logs cannot be fetched or parsed successfully.
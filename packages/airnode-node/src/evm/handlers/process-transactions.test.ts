@@ -19,7 +19,7 @@ mockEthers({
   },
 });
 
-import { GasTarget } from '@api3/airnode-utilities';
+import { caching, GasTarget } from '@api3/airnode-utilities';
 import { BigNumber, ethers } from 'ethers';
 import { processTransactions } from './process-transactions';
 import * as fixtures from '../../../test/fixtures';
@@ -50,6 +50,11 @@ const createConfig = () => {
 describe('processTransactions', () => {
   fixtures.setEnvVariables({ AIRNODE_WALLET_PRIVATE_KEY: fixtures.getAirnodeWalletPrivateKey() });
 
+  beforeEach(() => {
+    // The broadcast transactions are persisted with forced writes, which the cache does not skip in tests
+    jest.spyOn(caching, 'addKey').mockImplementation(() => {});
+  });
+
   test.each(['legacy', 'eip1559'] as const)(
     'fetches the gas price, assigns nonces and submits transactions - txType: %s',
     async (txType) => {
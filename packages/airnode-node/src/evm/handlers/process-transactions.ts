@@ -1,5 +1,6 @@
 import { getGasPrice, logger } from '@api3/airnode-utilities';
 import * as fulfillments from '../fulfillments';
+import * as nonceManager from '../nonce-manager';
 import * as nonces from '../../requests/nonces';
 import * as state from '../../providers/state';
 import { EVMProviderSponsorState, ProviderState } from '../../types';
@@ -19,13 +20,17 @@ export async function processTransactions(
   // =================================================================
   // STEP 2: Assign nonces to processable requests
   // =================================================================
-  const requestsWithNonces = nonces.assign(initialState);
+  // The persisted transactions keep their nonces for their requests and are not submitted again while they are pending
+  const [nonceLogs, reconciledNonces] = await nonceManager.reconcile(state1);
+  logger.logPending(nonceLogs);
+
+  const requestsWithNonces = nonces.assign(initialState, reconciledNonces);
   const state2 = state.update(state1, { requests: requestsWithNonces });
 
   // =================================================================
   // STEP 3: Get the latest gas price
   // =================================================================
-  const [logs, gasTarget] = await getGasPrice(state2.provider, chainOptions);
+  const [logs, gasTarget] = await getGasPrice(state2.provider, chainOptions, state2.settings.chainId);
   logger.logPending(logs);
 
   const state3 = state.update(state2, { gasTarget });
@@ -33,7 +38,7 @@ export async function processTransactions(
   // =================================================================
   // STEP 4: Submit transactions for each wallet
   // =================================================================
-  const requestsWithFulfillments = await fulfillments.submit(state3);
+  const requestsWithFulfillments = await fulfillments.submit(state3, reconciledNonces);
   const state4 = state.update(state3, { requests: requestsWithFulfillments });
 
   return state4;
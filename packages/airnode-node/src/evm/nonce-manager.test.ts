@@ -0,0 +1,284 @@
+import { caching } from '@api3/airnode-utilities';
+import { ethers } from 'ethers';
+import * as nonceManager from './nonce-manager';
+import * as wallet from './wallet';
+import * as fixtures from '../../test/fixtures';
+import { STUCK_TRANSACTION_AGE } from '../constants';
+
+const chainId = '31337';
+const sponsorAddress = '0x69e2B095fbAc6C3f9E528Ef21882b86BF1595181';
+
+const buildBroadcastTransaction = (
+  overrides: Partial<nonceManager.BroadcastTransaction> = {}
+): nonceManager.BroadcastTransaction => ({
+  requestId: '0x1',
+  nonce: 5,
+  hash: '0xa',
+  gasPrice: '1000',
+  broadcastAt: Date.now(),
+  ...overrides,
+});
+
+describe('recordBroadcastTransactions', () => {
+  const sponsorWalletAddress = '0xdBFe14C250643DEFE92C9AbC52103bf4978C7113';
+
+  it('adds the new transactions to the persisted ones', () => {
+    const persisted = [
+      buildBroadcastTransaction({ requestId: '0x1', nonce: 3, hash: '0xa' }),
+      buildBroadcastTransaction({ requestId: '0x2', nonce: 5, hash: '0xb' }),
+      buildBroadcastTransaction({ requestId: '0x3', nonce: 6, hash: '0xc' }),
+      buildBroadcastTransaction({ requestId: '0x4', nonce: 7, hash: '0xd' }),
+    ];
+    const getValueForKeySpy = jest.spyOn(caching, 'getValueForKey').mockReturnValueOnce(persisted);
+    const removeKeySpy = jest.spyOn(caching, 'removeKey').mockImplementation(() => {});
+    const addKeySpy = jest.spyOn(caching, 'addKey').mockImplementation(() => {});
+
+    const newTransactions = [
+      // Replaces the transaction with the same nonce
+      buildBroadcastTransaction({ requestId: '0x5', nonce: 6, hash: '0xe' }),
+      // Replaces the transaction of the same request
+      buildBroadcastTransaction({ requestId: '0x4', nonce: 8, hash: '0xf' }),
+    ];
+    nonceManager.recordBroadcastTransactions(chainId, sponsorWalletAddress, 4, newTransactions);
+
+    const key = `sponsorWalletNonces-31337-${sponsorWalletAddress}`;
+    expect(getValueForKeySpy).toHaveBeenCalledWith(key);
+    expect(removeKeySpy).not.toHaveBeenCalled();
+    expect(addKeySpy).toHaveBeenCalledWith(key, [persisted[1], ...newTransactions], true);
+  });
+
+  it('does nothing without new transactions', () => {
+    const getValueForKeySpy = jest.spyOn(caching, 'getValueForKey');
+    const addKeySpy = jest.spyOn(caching, 'addKey').mockImplementation(() => {});
+
+    nonceManager.recordBroadcastTransactions(chainId, sponsorWalletAddress, 4, []);
+
+    expect(getValueForKeySpy).not.toHaveBeenCalled();
+    expect(addKeySpy).not.toHaveBeenCalled();
+  });
+});
+
+describe('persist', () => {
+  const sponsorWalletAddress = '0xdBFe14C250643DEFE92C9AbC52103bf4978C7113';
+  const key = `sponsorWalletNonces-31337-${sponsorWalletAddress}`;
+
+  it('overwrites the persisted transactions', () => {
+    const removeKeySpy = jest.spyOn(caching, 'removeKey').mockImplementation(() => {});
+    const addKeySpy = jest.spyOn(caching, 'addKey').mockImplementation(() => {});
+    const transactions = [buildBroadcastTransaction()];
+
+    nonceManager.persist(chainId, sponsorWalletAddress, transactions);
+
+    expect(addKeySpy).toHaveBeenCalledWith(key, transactions, true);
+    expect(removeKeySpy).not.toHaveBeenCalled();
+  });
+
+  it('removes the persisted transactions without transactions', () => {
+    const removeKeySpy = jest.spyOn(caching, 'removeKey').mockImplementation(() => {});
+    const addKeySpy = jest.spyOn(caching, 'addKey').mockImplementation(() => {});
+
+    nonceManager.persist(chainId, sponsorWalletAddress, []);
+
+    expect(removeKeySpy).toHaveBeenCalledWith(key);
+    expect(addKeySpy).not.toHaveBeenCalled();
+  });
+});
+
+describe('buildBroadcastTransaction', () => {
+  it('keeps the fees of the gas target', () => {
+    jest.spyOn(Date, 'now').mockReturnValueOnce(1000);
+    expect(
+      nonceManager.buildBroadcastTransaction('0x1', 5, '0xa', { type: 0, gasPrice: ethers.BigNumber.from(10) })
+    ).toEqual({ requestId: '0x1', nonce: 5, hash: '0xa', gasPrice: '10', broadcastAt: 1000 });
+
+    jest.spyOn(Date, 'now').mockReturnValueOnce(2000);
+    expect(
+      nonceManager.buildBroadcastTransaction('0x1', 5, '0xa', {
+        type: 2,
+        maxFeePerGas: ethers.BigNumber.from(20),
+        maxPriorityFeePerGas: ethers.BigNumber.from(2),
+      })
+    ).toEqual({
+      requestId: '0x1',
+      nonce: 5,
+      hash: '0xa',
+      maxFeePerGas: '20',
+      maxPriorityFeePerGas: '2',
+      broadcastAt: 2000,
+    });
+  });
+});
+
+describe('reconcile', () => {
+  fixtures.setEnvVariables({ AIRNODE_WALLET_PRIVATE_KEY: fixtures.getAirnodeWalletPrivateKey() });
+
+  const getTransactionCountMock = jest.fn();
+  const getTransactionMock = jest.fn();
+
+  let removeKeySpy: jest.SpyInstance;
+  let addKeySpy: jest.SpyInstance;
+
+  beforeEach(() => {
+    removeKeySpy = jest.spyOn(caching, 'removeKey').mockImplementation(() => {});
+    addKeySpy = jest.spyOn(caching, 'addKey').mockImplementation(() => {});
+  });
+
+  const buildState = () => {
+    const state = fixtures.buildEVMProviderSponsorState({
+      sponsorAddress,
+      transactionCountsBySponsorAddress: { [sponsorAddress]: 4 },
+    });
+    return {
+      ...state,
+      provider: {
+        getTransactionCount: getTransactionCountMock,
+        getTransaction: getTransactionMock,
+      } as unknown as ethers.providers.JsonRpcProvider,
+    };
+  };
+
+  it('does not call the provider without persisted transactions from the transaction count onwards', async () => {
+    const state = buildState();
+    const sponsorWalletAddress = wallet.deriveSponsorWallet(state.masterHDNode, sponsorAddress).address;
+    jest.spyOn(caching, 'getValueForKey').mockReturnValueOnce([buildBroadcastTransaction({ nonce: 3 })]);
+
+    const [logs, res] = await nonceManager.reconcile(state);
+
+    expect(logs).toEqual([]);
+    expect(res).toEqual({ transactions: [], gaps: [] });
+    expect(getTransactionCountMock).not.toHaveBeenCalled();
+    expect(getTransactionMock).not.toHaveBeenCalled();
+    expect(removeKeySpy).toHaveBeenCalledWith(`sponsorWalletNonces-${state.settings.chainId}-${sponsorWalletAddress}`);
+    expect(addKeySpy).not.toHaveBeenCalled();
+  });
+
+  it('prunes the persisted transactions below the transaction count', async () => {
+    const state = buildState();
+    const sponsorWalletAddress = wallet.deriveSponsorWallet(state.masterHDNode, sponsorAddress).address;
+    const key = `sponsorWalletNonces-${state.settings.chainId}-${sponsorWalletAddress}`;
+    const confirmed = buildBroadcastTransaction({ requestId: '0x1', nonce: 3, hash: '0xa' });
+    const pending = buildBroadcastTransaction({ requestId: '0x2', nonce: 4, hash: '0xb' });
+    jest.spyOn(caching, 'getValueForKey').mockReturnValueOnce([confirmed, pending]);
+    getTransactionCountMock.mockResolvedValueOnce(4);
+    getTransactionMock.mockResolvedValueOnce({ blockNumber: null });
+
+    const [_logs, res] = await nonceManager.reconcile(state);
+
+    expect(res).toEqual({ transactions: [{ ...pending, status: 'pending' }], gaps: [] });
+    expect(addKeySpy).toHaveBeenCalledTimes(1);
+    expect(addKeySpy).toHaveBeenCalledWith(key, [pending], true);
+    expect(removeKeySpy).not.toHaveBeenCalled();
+  });
+
+  it('reconciles the persisted transactions with the mined and pending transactions', async () => {
+    const state = buildState();
+    const sponsorWalletAddress = wallet.deriveSponsorWallet(state.masterHDNode, sponsorAddress).address;
+    const mined = buildBroadcastTransaction({ requestId: '0x1', nonce: 4, hash: '0xa' });
+    const obsolete = buildBroadcastTransaction({ requestId: '0x2', nonce: 5, hash: '0xb' });
+    const dropped = buildBroadcastTransaction({ requestId: '0x3', nonce: 6, hash: '0xc' });
+    const stuck = buildBroadcastTransaction({
+      requestId: '0x4',
+      nonce: 7,
+      hash: '0xd',
+      broadcastAt: Date.now() - STUCK_TRANSACTION_AGE,
+    });
+    const pending = buildBroadcastTransaction({ requestId: '0x5', nonce: 9, hash: '0xe' });
+    const getValueForKeySpy = jest
+      .spyOn(caching, 'getValueForKey')
+      .mockReturnValueOnce([mined, obsolete, dropped, stuck, pending]);
+    getTransactionCountMock.mockResolvedValueOnce(6);
+    getTransactionMock.mockImplementation((hash: string) =>
+      Promise.resolve({ '0xa': { blockNumber: 100 }, '0xd': { blockNumber: null }, '0xe': { blockNumber: null } }[hash])
+    );
+
+    const [logs, res] = await nonceManager.reconcile(state);
+
+    expect(getValueForKeySpy).toHaveBeenCalledWith(
+      `sponsorWalletNonces-${state.settings.chainId}-${sponsorWalletAddress}`
+    );
+    expect(getTransactionCountMock).toHaveBeenCalledWith(sponsorWalletAddress, 'latest');
+    expect(res).toEqual({
+      transactions: [
+        { ...mined, status: 'mined' },
+        { ...dropped, status: 'dropped' },
+        { ...stuck, status: 'stuck' },
+        { ...pending, status: 'pending' },
+      ],
+      gaps: [6, 8],
+    });
+    // The transactions mined after the block up to which the requests are confirmed are kept
+    expect(addKeySpy).not.toHaveBeenCalled();
+    expect(removeKeySpy).not.toHaveBeenCalled();
+    expect(logs).toEqual([
+      { level: 'WARN', message: 'Transaction:0xc with nonce 6 for Request:0x3 is dropped' },
+      { level: 'WARN', message: 'Transaction:0xd with nonce 7 for Request:0x4 is stuck' },
+      {
+        level: 'WARN',
+        message: `Sponsor wallet:${sponsorWalletAddress} has no pending transactions with nonces 6, 8, which block its pending transactions with higher nonces`,
+      },
+    ]);
+  });
+
+  it('keeps the persisted transactions pending if the transaction count cannot be fetched', async () => {
+    const pending = buildBroadcastTransaction({ nonce: 5 });
+    jest.spyOn(caching, 'getValueForKey').mockReturnValueOnce([pending]);
+    getTransactionCountMock.mockRejectedValue(new Error('Unable to fetch'));
+
+    const [logs, res] = await nonceManager.reconcile(buildState());
+
+    expect(logs).toEqual([
+      expect.objectContaining({
+        level: 'ERROR',
+        message: expect.stringContaining('Unable to fetch transaction count'),
+      }),
+    ]);
+    expect(res).toEqual({ transactions: [{ ...pending, status: 'pending' }], gaps: [] });
+    expect(getTransactionMock).not.toHaveBeenCalled();
+  });
+});
+
+describe('getReplacementGasTarget', () => {
+  it('bumps the gas price of the replaced transaction', () => {
+    const gasTarget = { type: 0 as const, gasPrice: ethers.BigNumber.from(1000), gasLimit: ethers.BigNumber.from(1) };
+    expect(nonceManager.getReplacementGasTarget(gasTarget, buildBroadcastTransaction({ gasPrice: '1000' }))).toEqual({
+      ...gasTarget,
+      gasPrice: ethers.BigNumber.from(1100),
+    });
+    // The gas price is rounded up
+    expect(nonceManager.getReplacementGasTarget(gasTarget, buildBroadcastTransaction({ gasPrice: '999' }))).toEqual({
+      ...gasTarget,
+      gasPrice: ethers.BigNumber.from(1099),
+    });
+  });
+
+  it('keeps the gas price if it exceeds the bumped gas price', () => {
+    const gasTarget = { type: 0 as const, gasPrice: ethers.BigNumber.from(2000) };
+    expect(nonceManager.getReplacementGasTarget(gasTarget, buildBroadcastTransaction({ gasPrice: '1000' }))).toEqual(
+      gasTarget
+    );
+  });
+
+  it('bumps the fees of the replaced EIP-1559 transaction', () => {
+    const gasTarget = {
+      type: 2 as const,
+      maxFeePerGas: ethers.BigNumber.from(1000),
+      maxPriorityFeePerGas: ethers.BigNumber.from(200),
+    };
+    const replacedTransaction = buildBroadcastTransaction({
+      gasPrice: undefined,
+      maxFeePerGas: '1000',
+      maxPriorityFeePerGas: '100',
+    });
+    expect(nonceManager.getReplacementGasTarget(gasTarget, replacedTransaction)).toEqual({
+      ...gasTarget,
+      maxFeePerGas: ethers.BigNumber.from(1100),
+      maxPriorityFeePerGas: ethers.BigNumber.from(200),
+    });
+    // A legacy transaction is replaced with fees that exceed its gas price
+    expect(nonceManager.getReplacementGasTarget(gasTarget, buildBroadcastTransaction({ gasPrice: '1000' }))).toEqual({
+      ...gasTarget,
+      maxFeePerGas: ethers.BigNumber.from(1100),
+      maxPriorityFeePerGas: ethers.BigNumber.from(1100),
+    });
+  });
+});
@@ -0,0 +1,219 @@
+import { ethers } from 'ethers';
+import { caching, GasTarget, logger, PendingLog } from '@api3/airnode-utilities';
+import { go } from '@api3/promise-utils';
+import * as wallet from './wallet';
+import {
+  BLOCKCHAIN_CALL_ATTEMPT_TIMEOUT,
+  REPLACEMENT_GAS_PRICE_BUMP_PERCENTAGE,
+  STUCK_TRANSACTION_AGE,
+} from '../constants';
+import { EVMProviderSponsorState, LogsData, ProviderState } from '../types';
+
+export const SPONSOR_WALLET_NONCES_KEY_PREFIX = 'sponsorWalletNonces-';
+
+// A transaction broadcast from a sponsor wallet, which is persisted so that the following coordinator runs neither
+// reuse its nonce for another request nor collide with it while it is pending
+export interface BroadcastTransaction {
+  readonly requestId: string;
+  readonly nonce: number;
+  readonly hash: string;
+  // The fees are decimal strings of wei, so that a replacement transaction can outbid them
+  readonly gasPrice?: string;
+  readonly maxFeePerGas?: string;
+  readonly maxPriorityFeePerGas?: string;
+  readonly broadcastAt: number;
+}
+
+// A pending transaction is stuck after STUCK_TRANSACTION_AGE and a dropped transaction is no longer known to the
+// provider, which frees its nonce
+export type BroadcastTransactionStatus = 'mined' | 'pending' | 'stuck' | 'dropped';
+
+export interface ReconciledTransaction extends BroadcastTransaction {
+  readonly status: BroadcastTransactionStatus;
+}
+
+export interface ReconciledNonces {
+  // The transactions with nonces from the transaction count of the sponsor wallet onwards
+  readonly transactions: ReconciledTransaction[];
+  // The nonces without a pending transaction that block the pending transactions with higher nonces
+  readonly gaps: number[];
+}
+
+export function getKey(chainId: string, sponsorWalletAddress: string) {
+  return `${SPONSOR_WALLET_NONCES_KEY_PREFIX}${chainId}-${sponsorWalletAddress}`;
+}
+
+export function load(chainId: string, sponsorWalletAddress: string): BroadcastTransaction[] {
+  return caching.getValueForKey(getKey(chainId, sponsorWalletAddress)) ?? [];
+}
+
+export function persist(chainId: string, sponsorWalletAddress: string, transactions: BroadcastTransaction[]) {
+  const key = getKey(chainId, sponsorWalletAddress);
+  // The key is overwritten instead of being removed first, so that the transactions are not lost in between
+  if (transactions.length === 0) caching.removeKey(key);
+  else caching.addKey(key, transactions, true);
+}
+
+/**
+ * Adds the newly broadcast transactions to the persisted ones. A new transaction replaces the persisted transactions
+ * with the same nonce or request ID, and the transactions with nonces below the transaction count are dropped as
+ * their nonces are used for good.
+ */
+export function recordBroadcastTransactions(
+  chainId: string,
+  sponsorWalletAddress: string,
+  transactionCount: number,
+  newTransactions: BroadcastTransaction[]
+) {
+  if (newTransactions.length === 0) return;
+
+  const retainedTransactions = load(chainId, sponsorWalletAddress).filter(
+    (transaction) =>
+      transaction.nonce >= transactionCount &&
+      !newTransactions.some(
+        ({ nonce, requestId }) => nonce === transaction.nonce || requestId === transaction.requestId
+      )
+  );
+  const transactions = [...retainedTransactions, ...newTransactions].sort((a, b) => a.nonce - b.nonce);
+  persist(chainId, sponsorWalletAddress, transactions);
+}
+
+export function buildBroadcastTransaction(
+  requestId: string,
+  nonce: number,
+  hash: string,
+  gasTarget: GasTarget
+): BroadcastTransaction {
+  const fees =
+    gasTarget.type === 0
+      ? { gasPrice: gasTarget.gasPrice.toString() }
+      : {
+          maxFeePerGas: gasTarget.maxFeePerGas.toString(),
+          maxPriorityFeePerGas: gasTarget.maxPriorityFeePerGas.toString(),
+        };
+  return { requestId, nonce, hash, ...fees, broadcastAt: Date.now() };
+}
+
+async function getStatus(
+  provider: ethers.providers.JsonRpcProvider,
+  transaction: BroadcastTransaction
+): Promise<LogsData<BroadcastTransactionStatus>> {
+  const goTransaction = await go(() => provider.getTransaction(transaction.hash), {
+    retries: 1,
+    attemptTimeoutMs: BLOCKCHAIN_CALL_ATTEMPT_TIMEOUT,
+  });
+  // Assume that the transaction is still pending, so that its nonce is not reused for another request
+  if (!goTransaction.success) {
+    const log = logger.pend('ERROR', `Unable to fetch Transaction:${transaction.hash}`, goTransaction.error);
+    return [[log], 'pending'];
+  }
+
+  if (!goTransaction.data) return [[], 'dropped'];
+  if (goTransaction.data.blockNumber) return [[], 'mined'];
+  return [[], Date.now() - transaction.broadcastAt >= STUCK_TRANSACTION_AGE ? 'stuck' : 'pending'];
+}
+
+function findGaps(transactions: ReconciledTransaction[], minedTransactionCount: number) {
+  const pendingNonces = transactions
+    .filter(({ status }) => status === 'pending' || status === 'stuck')
+    .map(({ nonce }) => nonce);
+  if (pendingNonces.length === 0) return [];
+
+  const nonceCount = Math.max(...pendingNonces) - minedTransactionCount;
+  return Array.from({ length: Math.max(0, nonceCount) }, (_, index) => minedTransactionCount + index).filter(
+    (nonce) => !pendingNonces.includes(nonce)
+  );
+}
+
+/**
+ * Reconciles the persisted transactions of the sponsor wallet with the state of the chain, i.e. whether they are
+ * mined, still pending in the transaction pool or dropped from it. The transaction count of the state is read at the
+ * block up to which the requests are confirmed, so the transactions with nonces from that count onwards are checked.
+ */
+export async function reconcile(state: ProviderState<EVMProviderSponsorState>): Promise<LogsData<ReconciledNonces>> {
+  const { chainId } = state.settings;
+  const transactionCount = state.transactionCountsBySponsorAddress[state.sponsorAddress];
+  const sponsorWalletAddress = wallet.deriveSponsorWallet(state.masterHDNode, state.sponsorAddress).address;
+
+  const loadedTransactions = load(chainId, sponsorWalletAddress);
+  const persistedTransactions = loadedTransactions.filter((transaction) => transaction.nonce >= transactionCount);
+  // The transactions with nonces below the transaction count are mined by the block up to which the requests are
+  // confirmed, so they are pruned even if no new transactions are recorded in this run
+  if (persistedTransactions.length !== loadedTransactions.length) {
+    persist(chainId, sponsorWalletAddress, persistedTransactions);
+  }
+  if (persistedTransactions.length === 0) return [[], { transactions: [], gaps: [] }];
+
+  const goMinedTransactionCount = await go(() => state.provider.getTransactionCount(sponsorWalletAddress, 'latest'), {
+    retries: 1,
+    attemptTimeoutMs: BLOCKCHAIN_CALL_ATTEMPT_TIMEOUT,
+  });
+  if (!goMinedTransactionCount.success) {
+    const log = logger.pend(
+      'ERROR',
+      `Unable to fetch transaction count for wallet:${sponsorWalletAddress}`,
+      goMinedTransactionCount.error
+    );
+    // The nonces of the persisted transactions are kept for their requests as they might still be pending
+    const transactions = persistedTransactions.map((transaction) => ({ ...transaction, status: 'pending' as const }));
+    return [[log], { transactions, gaps: [] }];
+  }
+  const minedTransactionCount = goMinedTransactionCount.data;
+
+  const statuses = await Promise.all(
+    persistedTransactions.map((transaction) => getStatus(state.provider, transaction))
+  );
+  const statusLogs = statuses.flatMap(([logs]) => logs);
+  const transactions = persistedTransactions
+    .map((transaction, index) => ({ ...transaction, status: statuses[index][1] }))
+    // A dropped transaction whose nonce is used by another transaction is obsolete
+    .filter(({ status, nonce }) => status !== 'dropped' || nonce >= minedTransactionCount);
+
+  const gaps = findGaps(transactions, minedTransactionCount);
+  const transactionLogs = transactions
+    .filter(({ status }) => status === 'stuck' || status === 'dropped')
+    .map(({ status, hash, nonce, requestId }) =>
+      logger.pend('WARN', `Transaction:${hash} with nonce ${nonce} for Request:${requestId} is ${status}`)
+    );
+  const gapLogs: PendingLog[] =
+    gaps.length === 0
+      ? []
+      : [
+          logger.pend(
+            'WARN',
+            `Sponsor wallet:${sponsorWalletAddress} has no pending transactions with nonces ${gaps.join(
+              ', '
+            )}, which block its pending transactions with higher nonces`
+          ),
+        ];
+
+  return [[...statusLogs, ...transactionLogs, ...gapLogs], { transactions, gaps }];
+}
+
+const bumpGasPrice = (gasPrice: ethers.BigNumber, replacedGasPrice: string | undefined) => {
+  if (replacedGasPrice === undefined) return gasPrice;
+
+  // Rounds up, so that the replacement exceeds the replaced gas price by at least the bump percentage
+  const bumpedGasPrice = ethers.BigNumber.from(replacedGasPrice)
+    .mul(100 + REPLACEMENT_GAS_PRICE_BUMP_PERCENTAGE)
+    .add(99)
+    .div(100);
+  return gasPrice.gt(bumpedGasPrice) ? gasPrice : bumpedGasPrice;
+};
+
+/**
+ * Returns the gas target of a transaction which replaces (i.e. speeds up) the given transaction, whose gas prices it
+ * needs to exceed by REPLACEMENT_GAS_PRICE_BUMP_PERCENTAGE for the provider to accept it
+ */
+export function getReplacementGasTarget(gasTarget: GasTarget, replacedTransaction: BroadcastTransaction): GasTarget {
+  const { gasPrice, maxFeePerGas, maxPriorityFeePerGas } = replacedTransaction;
+  if (gasTarget.type === 0) {
+    return { ...gasTarget, gasPrice: bumpGasPrice(gasTarget.gasPrice, gasPrice ?? maxFeePerGas) };
+  }
+
+  return {
+    ...gasTarget,
+    maxFeePerGas: bumpGasPrice(gasTarget.maxFeePerGas, maxFeePerGas ?? gasPrice),
+    maxPriorityFeePerGas: bumpGasPrice(gasTarget.maxPriorityFeePerGas, maxPriorityFeePerGas ?? gasPrice),
+  };
+}
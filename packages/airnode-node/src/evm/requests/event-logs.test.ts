@@ -195,6 +195,42 @@ describe('EVM event logs - fetch', () => {
       topics: [null, '0x000000000000000000000000a30ca71ba54e83127214d3271aea8f5d6bd4dace'],
     });
   });
+
+  it('uses the given event logs within the block range instead of fetching them', async () => {
+    const getLogs = jest.spyOn(ethers.providers.JsonRpcProvider.prototype, 'getLogs') as any;
+    const eventLog = (blockNumber: number, transactionHash: string) =>
+      ({ blockNumber, transactionHash, logIndex: 0 }) as ethers.providers.Log;
+    const contractInterface = new ethers.utils.Interface('abi here');
+    const parseLog = contractInterface.parseLog as jest.Mock;
+    parseLog.mockReturnValueOnce({ topic: '0xeb39930cdcbb560e6422558a2468b93a215af60063622e63cbb165eba14c3203' });
+
+    const fetchOptions = {
+      address: '0xe60b966B798f9a0C41724f111225A5586ff30656',
+      airnodeAddress: '0xa30ca71ba54e83127214d3271aea8f5d6bd4dace',
+      blockHistoryLimit: 300,
+      currentBlock: 10716084,
+      minConfirmations: 1,
+      mayOverrideMinConfirmations: false,
+      provider: new ethers.providers.JsonRpcProvider(),
+      chainId: '31137',
+      // The first log is older than the block history limit and the last log does not have enough confirmations
+      eventLogs: [eventLog(10715783, '0x1'), eventLog(10716082, '0x2'), eventLog(10716084, '0x3')],
+    };
+
+    const res = await eventLogs.fetch(fetchOptions);
+    expect(getLogs).not.toHaveBeenCalled();
+    expect(res).toEqual([
+      {
+        blockNumber: 10716082,
+        currentBlock: 10716084,
+        minConfirmations: 1,
+        parsedLog: { topic: '0xeb39930cdcbb560e6422558a2468b93a215af60063622e63cbb165eba14c3203' },
+        transactionHash: '0x2',
+        logIndex: 0,
+        chainId: '31137',
+      },
+    ]);
+  });
 });
 
 describe('EVM event logs - group', () => {
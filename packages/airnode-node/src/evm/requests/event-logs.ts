@@ -19,6 +19,7 @@ export interface FetchOptions {
   readonly mayOverrideMinConfirmations: boolean;
   readonly provider: ethers.providers.JsonRpcProvider;
   readonly chainId: string;
+  readonly eventLogs?: ethers.providers.Log[];
 }
 
 interface GroupedLogs {
@@ -52,7 +53,9 @@ export async function fetch(options: FetchOptions): Promise<EVMEventLog[]> {
   };
 
   // Let this throw if something goes wrong
-  const rawLogs = await options.provider.getLogs(filter);
+  const rawLogs = options.eventLogs
+    ? options.eventLogs.filter((log) => log.blockNumber >= fromBlock && log.blockNumber <= toBlock)
+    : await options.provider.getLogs(filter);
 
   const logsWithBlocks = rawLogs.map((log) => ({
     address: log.address,
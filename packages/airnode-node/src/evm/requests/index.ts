@@ -2,4 +2,5 @@ export * as apiCalls from './api-calls';
 export * from './blocking';
 export * from './event-logs';
 export * from './events';
+export * as logWindow from './log-window';
 export * from './withdrawals';
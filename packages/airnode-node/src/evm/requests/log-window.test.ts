@@ -0,0 +1,84 @@
+import { caching } from '@api3/airnode-utilities';
+import * as logWindow from './log-window';
+import * as fixtures from '../../../test/fixtures';
+
+describe('getFromBlock', () => {
+  it('returns the oldest block within the block history limit if there is no window', () => {
+    expect(logWindow.getFromBlock(undefined, 1000, 300)).toEqual(700);
+    expect(logWindow.getFromBlock(undefined, 100, 300)).toEqual(0);
+  });
+
+  it('fetches the most recent blocks of the window again', () => {
+    expect(logWindow.getFromBlock({ lastProcessedBlock: 990, logs: [] }, 1000, 300)).toEqual(986);
+  });
+
+  it('does not go past the block history limit', () => {
+    expect(logWindow.getFromBlock({ lastProcessedBlock: 500, logs: [] }, 1000, 300)).toEqual(700);
+  });
+});
+
+describe('advance', () => {
+  const templateRequest = fixtures.evm.logs.buildMadeTemplateRequest();
+  const fullRequest = fixtures.evm.logs.buildMadeFullRequest();
+  const withdrawalRequest = fixtures.evm.logs.buildRequestedWithdrawal();
+
+  it('keeps the logs of the pending requests', () => {
+    const res = logWindow.advance(undefined, [fullRequest, templateRequest, withdrawalRequest], 0, 20, 300);
+
+    expect(res).toEqual({ lastProcessedBlock: 20, logs: [templateRequest, fullRequest, withdrawalRequest] });
+  });
+
+  it('drops the fulfilled requests together with their fulfillments', () => {
+    const window = { lastProcessedBlock: 14, logs: [templateRequest, fullRequest, withdrawalRequest] };
+    const newLogs = [fixtures.evm.logs.buildTemplateFulfilledRequest(), fixtures.evm.logs.buildFulfilledWithdrawal()];
+
+    const res = logWindow.advance(window, newLogs, 15, 20, 300);
+
+    expect(res).toEqual({ lastProcessedBlock: 20, logs: [fullRequest] });
+  });
+
+  it('replaces the logs of the blocks that are fetched again', () => {
+    // The full request was dropped by a chain reorganization
+    const window = { lastProcessedBlock: 14, logs: [templateRequest, fullRequest] };
+
+    const res = logWindow.advance(window, [], 13, 20, 300);
+
+    expect(res).toEqual({ lastProcessedBlock: 20, logs: [templateRequest] });
+  });
+
+  it('drops the requests older than the block history limit', () => {
+    const window = { lastProcessedBlock: 14, logs: [templateRequest, fullRequest] };
+
+    const res = logWindow.advance(window, [], 15, 20, 7);
+
+    expect(res).toEqual({ lastProcessedBlock: 20, logs: [fullRequest] });
+  });
+});
+
+describe('hasNewlyConfirmedRequests', () => {
+  const window = { lastProcessedBlock: 15, logs: [fixtures.evm.logs.buildMadeTemplateRequest()] };
+
+  it('returns true if a request reached the minimum confirmations after the previous block', () => {
+    expect(logWindow.hasNewlyConfirmedRequests(window, 11, 0)).toEqual(true);
+    expect(logWindow.hasNewlyConfirmedRequests(window, 14, 3)).toEqual(true);
+  });
+
+  it('returns false if the requests were already confirmed or do not have enough confirmations', () => {
+    expect(logWindow.hasNewlyConfirmedRequests(window, 12, 0)).toEqual(false);
+    expect(logWindow.hasNewlyConfirmedRequests(window, 14, 4)).toEqual(false);
+  });
+});
+
+describe('load and persist', () => {
+  it('stores the window in the cache under the chain and provider specific key', () => {
+    const addKeySpy = jest.spyOn(caching, 'addKey').mockImplementation(() => {});
+    const getValueForKeySpy = jest.spyOn(caching, 'getValueForKey').mockReturnValue(undefined);
+    const window = { lastProcessedBlock: 15, logs: [] };
+
+    logWindow.persist('31337', 'Ganache/test', window);
+    expect(logWindow.load('31337', 'Ganache/test')).toBeUndefined();
+
+    expect(addKeySpy).toHaveBeenCalledWith('daemonLogWindow-31337-Ganache%2Ftest', window, true);
+    expect(getValueForKeySpy).toHaveBeenCalledWith('daemonLogWindow-31337-Ganache%2Ftest');
+  });
+});
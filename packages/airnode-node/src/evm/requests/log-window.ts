@@ -0,0 +1,97 @@
+import compact from 'lodash/compact';
+import sortBy from 'lodash/sortBy';
+import { ethers } from 'ethers';
+import { caching } from '@api3/airnode-utilities';
+import { goSync } from '@api3/promise-utils';
+import { parseAirnodeRrpLog } from './event-logs';
+import { API_CALL_REQUEST_TOPICS, WITHDRAWAL_REQUEST_TOPICS } from './events';
+import { DAEMON_LOG_REFETCH_BLOCK_COUNT } from '../../constants';
+
+/**
+ * The Airnode RRP logs of a single chain provider which are kept up to date by the daemon, so that the pending
+ * requests do not need to be fetched from the whole block history on each coordinator run.
+ */
+export interface LogWindow {
+  // The most recent block whose logs are included in the window
+  readonly lastProcessedBlock: number;
+  // The logs of the requests that have not been fulfilled yet, ordered by block number and log index
+  readonly logs: ethers.providers.Log[];
+}
+
+const REQUEST_TOPICS = [...API_CALL_REQUEST_TOPICS, ...WITHDRAWAL_REQUEST_TOPICS];
+
+export function getCacheKey(chainId: string, providerName: string) {
+  return `daemonLogWindow-${chainId}-${encodeURIComponent(providerName)}`;
+}
+
+export function load(chainId: string, providerName: string): LogWindow | undefined {
+  return caching.getValueForKey(getCacheKey(chainId, providerName));
+}
+
+export function persist(chainId: string, providerName: string, logWindow: LogWindow) {
+  caching.addKey(getCacheKey(chainId, providerName), logWindow, true);
+}
+
+/**
+ * Returns the first block whose logs need to be fetched to bring the window up to date. The most recent blocks of
+ * the window are fetched again, because their logs might have changed due to a chain reorganization.
+ */
+export function getFromBlock(logWindow: LogWindow | undefined, currentBlock: number, blockHistoryLimit: number) {
+  // Protect against a potential negative fromBlock value
+  const oldestBlock = Math.max(0, currentBlock - blockHistoryLimit);
+  if (!logWindow) {
+    return oldestBlock;
+  }
+
+  return Math.max(oldestBlock, logWindow.lastProcessedBlock + 1 - DAEMON_LOG_REFETCH_BLOCK_COUNT);
+}
+
+function getRequestId(log: ethers.providers.Log): string | undefined {
+  const goParsedLog = goSync(() =>
+    parseAirnodeRrpLog<{ readonly args: { readonly requestId?: string; readonly withdrawalRequestId?: string } }>(log)
+  );
+  if (!goParsedLog.success) {
+    return undefined;
+  }
+
+  const { requestId, withdrawalRequestId } = goParsedLog.data.args;
+  return requestId ?? withdrawalRequestId;
+}
+
+/**
+ * Merges the logs fetched from "fromBlock" up to "currentBlock" into the window. Requests older than the block history
+ * limit and fulfilled requests are dropped together with their fulfillments, so that only the logs of the pending
+ * requests remain.
+ */
+export function advance(
+  logWindow: LogWindow | undefined,
+  newLogs: ethers.providers.Log[],
+  fromBlock: number,
+  currentBlock: number,
+  blockHistoryLimit: number
+): LogWindow {
+  const oldestBlock = Math.max(0, currentBlock - blockHistoryLimit);
+  // The logs from "fromBlock" onwards are replaced by the newly fetched ones
+  const retainedLogs = (logWindow?.logs ?? []).filter(
+    (log) => log.blockNumber >= oldestBlock && log.blockNumber < fromBlock
+  );
+  const logs = [...retainedLogs, ...newLogs];
+
+  const fulfilledRequestIds = compact(logs.filter((log) => !REQUEST_TOPICS.includes(log.topics[0])).map(getRequestId));
+  const pendingRequestLogs = logs.filter(
+    (log) => REQUEST_TOPICS.includes(log.topics[0]) && !fulfilledRequestIds.includes(getRequestId(log)!)
+  );
+
+  return { lastProcessedBlock: currentBlock, logs: sortBy(pendingRequestLogs, ['blockNumber', 'logIndex']) };
+}
+
+/**
+ * Checks whether any of the pending requests reached the minimum number of confirmations after the given block, in
+ * which case the coordinator should be run to fulfill them.
+ */
+export function hasNewlyConfirmedRequests(logWindow: LogWindow, previousBlock: number, minConfirmations: number) {
+  return logWindow.logs.some((log) => {
+    const confirmedAtBlock = log.blockNumber + minConfirmations;
+    return confirmedAtBlock > previousBlock && confirmedAtBlock <= logWindow.lastProcessedBlock;
+  });
+}
@@ -1,3 +1,4 @@
+import { encode } from '@api3/airnode-abi';
 import * as application from './template-application';
 import * as fixtures from '../../../test/fixtures';
 import { ApiCallTemplate } from '../../types';
@@ -68,6 +69,22 @@ describe('mergeApiCallsWithTemplates', () => {
     });
   });
 
+  it('merges template parameters encoded with arrays', () => {
+    const apiCall = fixtures.requests.buildApiCall({ templateId: 'templateId-0', parameters: { to: 'USD' } });
+
+    const templatesById: { readonly [id: string]: ApiCallTemplate } = {
+      'templateId-0': {
+        airnodeAddress: '0xA30CA71Ba54E83127214D3271aEA8F5D6bD4Dace',
+        endpointId: 'templateEndpointId-0',
+        encodedParameters: encode([{ type: 'string32[]', name: 'symbols', value: ['ETH', 'BTC'] }]),
+        id: 'templateId-0',
+      },
+    };
+
+    const [_logs, res] = application.mergeApiCallsWithTemplates([apiCall], templatesById);
+    expect(res[0].parameters).toEqual({ symbols: ['ETH', 'BTC'], to: 'USD' });
+  });
+
   it('overwrites template parameters with request parameters with the same name', () => {
     const apiCall = fixtures.requests.buildApiCall({
       templateId: 'templateId-0',
@@ -2,6 +2,9 @@ export * from './call-api';
 export * from './initialize-provider';
 export * from './process-transactions';
 export * from './start-coordinator';
+export * from './start-daemon';
 export * from './process-http-request';
 export * from './process-http-signed-data-request';
+export * from './process-http-signed-data-batch-request';
 export * from './sign-oev-data';
+export * from './replay-coordinator-step';
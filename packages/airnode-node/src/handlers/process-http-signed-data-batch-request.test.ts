@@ -0,0 +1,70 @@
+import { processHttpSignedDataBatchRequest } from './process-http-signed-data-batch-request';
+import * as processHttpSignedDataRequestModule from './process-http-signed-data-request';
+import * as fixtures from '../../test/fixtures';
+import { HttpSignedDataApiCallSuccessResponse } from '../types';
+
+const ENDPOINT_ID = '0x13dea3311fe0d6b84f4daeab831befbc49e19e6494c41e9e065a09c3c68f43b6';
+
+describe('processHttpSignedDataBatchRequest', () => {
+  const buildItem = (encodedParameters: string) => ({
+    success: true as const,
+    endpointId: ENDPOINT_ID,
+    encodedParameters,
+  });
+  const buildResponse = (encodedValue: string): HttpSignedDataApiCallSuccessResponse => ({
+    success: true,
+    data: { encodedValue, timestamp: '123456789', signature: 'signature' },
+  });
+
+  it('responds to each item separately', async () => {
+    const spy = jest.spyOn(processHttpSignedDataRequestModule, 'processHttpSignedDataRequest');
+    spy.mockResolvedValueOnce([null, buildResponse('0x1')]);
+    spy.mockResolvedValueOnce([new Error('API call failed'), null]);
+
+    const responses = await processHttpSignedDataBatchRequest(
+      fixtures.buildConfig(),
+      [
+        buildItem('0x01'),
+        { success: false, statusCode: 400, error: { message: 'Invalid request body' } },
+        buildItem('0x02'),
+      ],
+      10
+    );
+
+    expect(responses).toEqual([
+      { statusCode: 200, data: buildResponse('0x1').data },
+      { statusCode: 400, error: { message: 'Invalid request body' } },
+      { statusCode: 500, error: { message: 'Error: API call failed' } },
+    ]);
+    expect(spy).toHaveBeenCalledTimes(2);
+    expect(spy).toHaveBeenNthCalledWith(1, fixtures.buildConfig(), ENDPOINT_ID, '0x01');
+    expect(spy).toHaveBeenNthCalledWith(2, fixtures.buildConfig(), ENDPOINT_ID, '0x02');
+  });
+
+  it('processes at most "maxConcurrency" items at the same time and keeps the order of the items', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    jest
+      .spyOn(processHttpSignedDataRequestModule, 'processHttpSignedDataRequest')
+      .mockImplementation(async (_config, _endpointId, encodedParameters) => {
+        running = running + 1;
+        maxRunning = Math.max(maxRunning, running);
+        // The items finish in a different order than they were started
+        await new Promise((resolve) => setTimeout(resolve, 50 - Number(encodedParameters) * 10));
+        running = running - 1;
+        return [null, buildResponse(encodedParameters)];
+      });
+
+    const encodedParameters = ['1', '2', '3', '4', '5'];
+    const responses = await processHttpSignedDataBatchRequest(
+      fixtures.buildConfig(),
+      encodedParameters.map(buildItem),
+      2
+    );
+
+    expect(maxRunning).toEqual(2);
+    expect(responses).toEqual(
+      encodedParameters.map((encodedValue) => ({ statusCode: 200, data: buildResponse(encodedValue).data }))
+    );
+  });
+});
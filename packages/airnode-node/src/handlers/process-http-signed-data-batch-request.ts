@@ -0,0 +1,52 @@
+import { logger } from '@api3/airnode-utilities';
+import { processHttpSignedDataRequest } from './process-http-signed-data-request';
+import { HttpSignedDataBatchItemResponse } from '../types';
+import { Config } from '../config';
+import { HttpSignedDataRequestData, VerificationResult } from '../workers/local-gateways';
+
+async function mapWithConcurrency<T, R>(items: T[], concurrency: number, mapper: (item: T) => Promise<R>) {
+  const results: R[] = [];
+  let nextIndex = 0;
+
+  // Each runner takes the next unprocessed item until there are none left
+  const runner = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex;
+      nextIndex = nextIndex + 1;
+      // eslint-disable-next-line functional/immutable-data
+      results[index] = await mapper(items[index]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, runner));
+
+  return results;
+}
+
+/**
+ * Processes the verified items of a batch request of the HTTP signed data gateway. At most "maxConcurrency" items are
+ * processed at the same time. The items which failed the verification are responded with their verification error.
+ */
+export async function processHttpSignedDataBatchRequest(
+  config: Config,
+  items: VerificationResult<HttpSignedDataRequestData>[],
+  maxConcurrency: number
+): Promise<HttpSignedDataBatchItemResponse[]> {
+  const responses = await mapWithConcurrency(items, maxConcurrency, async (item) => {
+    if (!item.success) {
+      const { statusCode, error } = item;
+      return { statusCode, error };
+    }
+
+    const [err, result] = await processHttpSignedDataRequest(config, item.endpointId, item.encodedParameters);
+    if (err) {
+      // Status code 500 because failure here means something went wrong internally with a valid item
+      return { statusCode: 500, error: { message: err.toString() } };
+    }
+    return { statusCode: 200 as const, data: result!.data };
+  });
+
+  const failedCount = responses.filter((response) => response.statusCode !== 200).length;
+  logger.debug(`HTTP signed data gateway batch request processed with ${failedCount}/${items.length} failed items`);
+
+  return responses;
+}
@@ -46,4 +46,64 @@ describe('processHttpSignedDataRequests', () => {
     expect(spy).toHaveBeenCalledTimes(1);
     expect(spy).toHaveBeenCalledWith({ type: 'http-signed-data-gateway', config, aggregatedApiCall });
   });
+
+  it('caches the signed responses if enabled for the endpoint', async () => {
+    const spy = jest.spyOn(api, 'callApi');
+    const mockedResponse = {
+      success: true,
+      data: { encodedValue: 'value', timestamp: '123456789', signature: 'signature' },
+    } as HttpSignedDataApiCallSuccessResponse;
+    spy.mockResolvedValue([[], mockedResponse]);
+    const config = fixtures.buildConfig();
+    const cachedConfig = {
+      ...config,
+      triggers: {
+        ...config.triggers,
+        httpSignedData: config.triggers.httpSignedData.map((trigger) => ({
+          ...trigger,
+          responseCache: { ttlSeconds: 60 },
+        })),
+      },
+    };
+
+    const encodedParameters =
+      '0x3173000000000000000000000000000000000000000000000000000000000000636f696e49640000000000000000000000000000000000000000000000000000626974636f696e00000000000000000000000000000000000000000000000000';
+    const results = await Promise.all([
+      processHttpSignedDataRequest(cachedConfig, ENDPOINT_ID, encodedParameters),
+      processHttpSignedDataRequest(cachedConfig, ENDPOINT_ID, encodedParameters),
+    ]);
+    const cachedResult = await processHttpSignedDataRequest(cachedConfig, ENDPOINT_ID, encodedParameters);
+
+    expect(results).toEqual([
+      [null, mockedResponse],
+      [null, mockedResponse],
+    ]);
+    expect(cachedResult).toEqual([null, mockedResponse]);
+    expect(spy).toHaveBeenCalledTimes(1);
+  });
+
+  it('passes the upstream timestamp setting of the trigger to the API call', async () => {
+    const spy = jest.spyOn(api, 'callApi');
+    const mockedResponse = {
+      success: true,
+      data: { encodedValue: 'value', timestamp: '123456789', signature: 'signature' },
+    } as HttpSignedDataApiCallSuccessResponse;
+    spy.mockResolvedValueOnce([[], mockedResponse]);
+    const config = fixtures.buildConfig();
+    const upstreamTimestampConfig = {
+      ...config,
+      triggers: {
+        ...config.triggers,
+        httpSignedData: config.triggers.httpSignedData.map((trigger) => ({ ...trigger, upstreamTimestamp: true })),
+      },
+    };
+
+    const encodedParameters =
+      '0x3173000000000000000000000000000000000000000000000000000000000000636f696e49640000000000000000000000000000000000000000000000000000626974636f696e00000000000000000000000000000000000000000000000000';
+    await processHttpSignedDataRequest(upstreamTimestampConfig, ENDPOINT_ID, encodedParameters);
+
+    expect(spy).toHaveBeenCalledWith(
+      expect.objectContaining({ aggregatedApiCall: expect.objectContaining({ upstreamTimestamp: true }) })
+    );
+  });
 });
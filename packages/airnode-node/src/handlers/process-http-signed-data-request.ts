@@ -1,5 +1,6 @@
 import find from 'lodash/find';
 import { logger, randomHexString } from '@api3/airnode-utilities';
+import { getSignedResponseCache, SignedResponseResult } from './signed-response-cache';
 import * as wallet from '../evm/wallet';
 import * as evm from '../evm';
 import {
@@ -11,11 +12,11 @@ import { callApi } from '../api';
 import { Config } from '../config';
 import { getExpectedTemplateIdV1 } from '../evm/templates';
 
-export async function processHttpSignedDataRequest(
+export function processHttpSignedDataRequest(
   config: Config,
   endpointId: string,
   encodedParameters: string
-): Promise<[Error, null] | [null, HttpSignedDataApiCallSuccessResponse]> {
+): Promise<SignedResponseResult> {
   const requestId = randomHexString(16);
 
   // Both "trigger" and "decodedParameters" are guaranteed to exist because validation is already performed in the
@@ -42,16 +43,22 @@ export async function processHttpSignedDataRequest(
       id: templateId,
       ...template,
     },
+    upstreamTimestamp: trigger.upstreamTimestamp,
   };
 
-  const [logs, response] = await callApi({ type: 'http-signed-data-gateway', config, aggregatedApiCall });
+  const callApiAndSign = async (): Promise<SignedResponseResult> => {
+    const [logs, response] = await callApi({ type: 'http-signed-data-gateway', config, aggregatedApiCall });
 
-  logger.logPending(logs);
+    logger.logPending(logs);
 
-  if (!response.success) {
-    const err = new Error(response.errorMessage || 'An unknown error occurred');
-    return [err, null];
-  }
+    if (!response.success) {
+      const err = new Error(response.errorMessage || 'An unknown error occurred');
+      return [err, null];
+    }
 
-  return [null, response as HttpSignedDataApiCallSuccessResponse];
+    return [null, response as HttpSignedDataApiCallSuccessResponse];
+  };
+
+  if (!trigger.responseCache) return callApiAndSign();
+  return getSignedResponseCache(config).getOrFetch(templateId, trigger.responseCache.ttlSeconds, callApiAndSign);
 }
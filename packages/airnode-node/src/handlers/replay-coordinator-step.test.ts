@@ -0,0 +1,63 @@
+import { replayCoordinatorStep } from './replay-coordinator-step';
+import * as journal from '../coordinator/journal';
+import * as coordinatorState from '../coordinator/state';
+import * as fixtures from '../../test/fixtures';
+
+describe('replayCoordinatorStep', () => {
+  fixtures.setEnvVariables({ AIRNODE_WALLET_PRIVATE_KEY: fixtures.getAirnodeWalletPrivateKey() });
+
+  const endpointId = '0x13dea3311fe0d6b84f4daeab831befbc49e19e6494c41e9e065a09c3c68f43b6';
+  const buildJournal = () => {
+    const providerState = fixtures.buildEVMProviderState({
+      requests: { apiCalls: [fixtures.requests.buildApiCall({ endpointId })], withdrawals: [] },
+    });
+    const state = coordinatorState.update(coordinatorState.create(providerState.config!, 'coordinatorId'), {
+      providerStates: { evm: [providerState] },
+    });
+    const coordinatorJournal = journal.addStep(journal.create('coordinatorId'), {
+      name: 'aggregateApiCalls',
+      startedAt: new Date().toISOString(),
+      durationMs: 1,
+      input: journal.redactState(state),
+      output: null,
+      errorMessage: 'Unexpected error',
+    });
+
+    return { coordinatorJournal, config: providerState.config! };
+  };
+
+  it('re-runs the step with the journaled input state', async () => {
+    const { coordinatorJournal, config } = buildJournal();
+
+    const [err, outputState] = await replayCoordinatorStep(config, coordinatorJournal, 'aggregateApiCalls');
+
+    expect(err).toBeNull();
+    expect(Object.keys(outputState!.aggregatedApiCallsById)).toEqual(['apiCallId']);
+    expect(outputState!.aggregatedApiCallsById.apiCallId).toEqual(
+      expect.objectContaining({ endpointId, endpointName: 'convertToUSD', oisTitle: 'Currency Converter API' })
+    );
+    expect(outputState!.providerStates.evm[0].settings.url).toEqual(journal.REDACTED_VALUE);
+  });
+
+  it('returns an error if the step was not journaled', async () => {
+    const { coordinatorJournal, config } = buildJournal();
+
+    const [err, outputState] = await replayCoordinatorStep(config, coordinatorJournal, 'executeApiCalls');
+
+    expect(err).toEqual(new Error('Step "executeApiCalls" was not run by the coordinator with ID:coordinatorId'));
+    expect(outputState).toBeNull();
+  });
+
+  it('returns an error if the journaled state cannot be revived', async () => {
+    const { coordinatorJournal, config } = buildJournal();
+
+    const [err, outputState] = await replayCoordinatorStep(
+      { ...config, chains: [] },
+      coordinatorJournal,
+      'aggregateApiCalls'
+    );
+
+    expect(err).toEqual(new Error('Unable to find provider:Ganache test for chain:31337 in the config'));
+    expect(outputState).toBeNull();
+  });
+});
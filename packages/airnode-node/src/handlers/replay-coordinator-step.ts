@@ -0,0 +1,42 @@
+import { logger } from '@api3/airnode-utilities';
+import { go } from '@api3/promise-utils';
+import { coordinatorSteps } from './start-coordinator';
+import * as journal from '../coordinator/journal';
+import { Config } from '../config';
+import { CoordinatorState } from '../types';
+
+/**
+ * Re-runs a single coordinator step using the input state recorded in the journal of a previous coordinator run.
+ *
+ * The workers are always run in the current process (regardless of the cloud provider in the config), so that the
+ * step can be debugged offline. Note that the steps are not dry runs - replaying "initiateTransactions" submits the
+ * transactions again.
+ */
+export async function replayCoordinatorStep(
+  config: Config,
+  coordinatorJournal: journal.CoordinatorJournal,
+  stepName: journal.CoordinatorStepName
+): Promise<[Error, null] | [null, journal.JournaledState]> {
+  const journalStep = journal.findStep(coordinatorJournal, stepName);
+  if (!journalStep) {
+    const err = new Error(
+      `Step "${stepName}" was not run by the coordinator with ID:${coordinatorJournal.coordinatorId}`
+    );
+    return [err, null];
+  }
+
+  const localConfig: Config = { ...config, nodeSettings: { ...config.nodeSettings, cloudProvider: { type: 'local' } } };
+  const goInputState = await go(() => journal.reviveState(journalStep.input, localConfig));
+  if (!goInputState.success) {
+    return [goInputState.error, null];
+  }
+
+  logger.info(`Replaying step "${stepName}" of the coordinator with ID:${coordinatorJournal.coordinatorId}`);
+  const step = coordinatorSteps[stepName] as (state: CoordinatorState) => CoordinatorState | Promise<CoordinatorState>;
+  const goOutputState = await go(() => step(goInputState.data));
+  if (!goOutputState.success) {
+    return [goOutputState.error, null];
+  }
+
+  return [null, journal.redactState(goOutputState.data)];
+}
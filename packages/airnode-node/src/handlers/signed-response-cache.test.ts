@@ -0,0 +1,59 @@
+import { createMemoryCacheBackend, createSignedResponseCache, SignedResponseResult } from './signed-response-cache';
+import { HttpSignedDataApiCallSuccessResponse } from '../types';
+
+const TEMPLATE_ID = '0xaa1525fe964092a826934ff09c75e1db395b947543a4ca3eb4a19628bad6c6d5';
+
+const buildResponse = (timestamp: string): HttpSignedDataApiCallSuccessResponse => ({
+  success: true,
+  data: { encodedValue: '0x01', timestamp, signature: 'signature' },
+});
+
+describe('createSignedResponseCache', () => {
+  const now = 1_700_000_000_000;
+
+  it('caches the responses per template and time window', async () => {
+    const cache = createSignedResponseCache(createMemoryCacheBackend());
+    const fetch = jest.fn();
+    fetch.mockResolvedValueOnce([null, buildResponse('1')]);
+    fetch.mockResolvedValueOnce([null, buildResponse('2')]);
+    fetch.mockResolvedValueOnce([null, buildResponse('3')]);
+
+    expect(await cache.getOrFetch(TEMPLATE_ID, 10, fetch, now)).toEqual([null, buildResponse('1')]);
+    expect(await cache.getOrFetch(TEMPLATE_ID, 10, fetch, now + 9_999)).toEqual([null, buildResponse('1')]);
+    // The next time window
+    expect(await cache.getOrFetch(TEMPLATE_ID, 10, fetch, now + 10_000)).toEqual([null, buildResponse('2')]);
+    // Another template
+    expect(await cache.getOrFetch('0x1234', 10, fetch, now)).toEqual([null, buildResponse('3')]);
+    expect(fetch).toHaveBeenCalledTimes(3);
+  });
+
+  it('makes a single API call for the concurrent requests', async () => {
+    const cache = createSignedResponseCache(createMemoryCacheBackend());
+    const fetch = jest
+      .fn()
+      .mockImplementation(
+        () => new Promise<SignedResponseResult>((resolve) => setTimeout(() => resolve([null, buildResponse('1')]), 20))
+      );
+
+    const results = await Promise.all([
+      cache.getOrFetch(TEMPLATE_ID, 10, fetch, now),
+      cache.getOrFetch(TEMPLATE_ID, 10, fetch, now),
+      cache.getOrFetch(TEMPLATE_ID, 10, fetch, now),
+    ]);
+
+    expect(results).toEqual(Array(3).fill([null, buildResponse('1')]));
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not cache the errors', async () => {
+    const cache = createSignedResponseCache(createMemoryCacheBackend());
+    const error = new Error('API call failed');
+    const fetch = jest.fn();
+    fetch.mockResolvedValueOnce([error, null]);
+    fetch.mockResolvedValueOnce([null, buildResponse('1')]);
+
+    expect(await cache.getOrFetch(TEMPLATE_ID, 10, fetch, now)).toEqual([error, null]);
+    expect(await cache.getOrFetch(TEMPLATE_ID, 10, fetch, now)).toEqual([null, buildResponse('1')]);
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,98 @@
+import omit from 'lodash/omit';
+import { caching, logger } from '@api3/airnode-utilities';
+import { Config } from '../config';
+import { HttpSignedDataApiCallSuccessResponse } from '../types';
+
+export const SIGNED_RESPONSE_CACHE_KEY_PREFIX = 'signedResponse-';
+
+export type SignedResponseResult = [Error, null] | [null, HttpSignedDataApiCallSuccessResponse];
+
+export interface CachedSignedResponse {
+  expiresAt: number;
+  response: HttpSignedDataApiCallSuccessResponse;
+}
+
+export interface SignedResponseCacheBackend {
+  get: (key: string) => CachedSignedResponse | undefined;
+  set: (key: string, value: CachedSignedResponse) => void;
+}
+
+export function createMemoryCacheBackend(): SignedResponseCacheBackend {
+  let entries: { readonly [key: string]: CachedSignedResponse } = {};
+
+  const get = (key: string) => entries[key];
+
+  // The expired entries are removed on each write, so that the entries of the past time windows do not pile up
+  const set = (key: string, value: CachedSignedResponse) => {
+    const now = Date.now();
+    entries = {
+      ...Object.fromEntries(Object.entries(entries).filter(([_key, entry]) => entry.expiresAt > now)),
+      [key]: value,
+    };
+  };
+
+  return { get, set };
+}
+
+// The filesystem cache outlives a single invocation of the cloud functions. It removes the old entries on its own.
+export const fsCacheBackend: SignedResponseCacheBackend = {
+  get: (key: string) => caching.getValueForKey(key),
+  set: (key: string, value: CachedSignedResponse) => caching.addKey(key, value, true),
+};
+
+/**
+ * Creates a cache of the signed responses. The responses are cached per template and per time window of the TTL, so
+ * all requests in the same time window get the same signed response. Concurrent requests for a response which is not
+ * cached yet wait for the same API call (instead of each making their own). Errors are not cached.
+ */
+export function createSignedResponseCache(backend: SignedResponseCacheBackend) {
+  let inFlight: { readonly [key: string]: Promise<SignedResponseResult> } = {};
+
+  const getOrFetch = (
+    templateId: string,
+    ttlSeconds: number,
+    fetch: () => Promise<SignedResponseResult>,
+    now = Date.now()
+  ): Promise<SignedResponseResult> => {
+    const ttlMs = ttlSeconds * 1000;
+    const timeWindow = Math.floor(now / ttlMs);
+    const key = `${SIGNED_RESPONSE_CACHE_KEY_PREFIX}${templateId}-${ttlSeconds}-${timeWindow}`;
+
+    const cached = backend.get(key);
+    if (cached && cached.expiresAt > now) {
+      logger.debug(`Using the cached signed response for Template ID:${templateId}`);
+      return Promise.resolve<SignedResponseResult>([null, cached.response]);
+    }
+
+    const pending = inFlight[key];
+    if (pending) {
+      logger.debug(`Waiting for the pending signed response for Template ID:${templateId}`);
+      return pending;
+    }
+
+    const request = fetch()
+      .then((result): SignedResponseResult => {
+        const [err, response] = result;
+        if (!err) backend.set(key, { expiresAt: (timeWindow + 1) * ttlMs, response: response! });
+        return result;
+      })
+      .finally(() => {
+        inFlight = omit(inFlight, key);
+      });
+    inFlight = { ...inFlight, [key]: request };
+
+    return request;
+  };
+
+  return { getOrFetch };
+}
+
+export type SignedResponseCache = ReturnType<typeof createSignedResponseCache>;
+
+const memoryCache = createSignedResponseCache(createMemoryCacheBackend());
+const fsCache = createSignedResponseCache(fsCacheBackend);
+
+// The local gateway server is a long running process, so the responses can be kept in memory
+export function getSignedResponseCache(config: Config) {
+  return config.nodeSettings.cloudProvider.type === 'local' ? memoryCache : fsCache;
+}
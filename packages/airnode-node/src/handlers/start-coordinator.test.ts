@@ -33,12 +33,19 @@ import * as calls from '../coordinator/calls';
 import { buildAggregatedRegularApiCall, buildConfig } from '../../test/fixtures';
 import { BLOCK_COUNT_HISTORY_LIMIT } from '../constants';
 import { DEPLOYMENT_ID_LENGTH } from '../workers';
+import { createInMemoryJournalStore } from '../coordinator/journal';
+import * as reportingMetrics from '../reporting/metrics';
 
 const deploymentIdRegex = RegExp(`local[0-9a-f]{${DEPLOYMENT_ID_LENGTH}}`);
 
 describe('startCoordinator', () => {
   jest.setTimeout(30_000);
   fixtures.setEnvVariables({ AIRNODE_WALLET_PRIVATE_KEY: fixtures.getAirnodeWalletPrivateKey() });
+
+  beforeEach(() => {
+    // The broadcast transactions are persisted with forced writes, which the cache does not skip in tests
+    jest.spyOn(caching, 'addKey').mockImplementation(() => {});
+  });
   const coordinatorId = randomHexString(16);
   const requestId = '0x894580d6cffd205170373f9b95adfe58b65d63f273bb9945e81fa5f0d7901ffe';
   const encodedValue = '0x0000000000000000000000000000000000000000000000000000000002a5213d';
@@ -179,7 +186,8 @@ describe('startCoordinator', () => {
       [],
       expect.objectContaining({
         deploymentId: expect.stringMatching(deploymentIdRegex),
-      })
+      }),
+      config
     );
 
     expect(blockWithTransactionsSpy).toHaveBeenCalled();
@@ -224,6 +232,116 @@ describe('startCoordinator', () => {
     expect(balanceSpy).not.toHaveBeenCalled();
     expect(contract.fulfill).not.toHaveBeenCalled();
   });
+
+  it('journals the coordinator steps', async () => {
+    const config = fixtures.buildConfig();
+    mockReadFileSync('config.json', JSON.stringify(config));
+
+    const getBlockNumberSpy = jest.spyOn(ethers.providers.JsonRpcProvider.prototype, 'getBlockNumber');
+    getBlockNumberSpy.mockResolvedValueOnce(12);
+
+    const getLogsSpy = jest.spyOn(ethers.providers.JsonRpcProvider.prototype, 'getLogs');
+    getLogsSpy.mockResolvedValueOnce([]);
+
+    getTemplatesMock.mockResolvedValueOnce(fixtures.evm.airnodeRrp.getTemplates());
+    checkAuthorizationStatusesMock.mockResolvedValueOnce([true]);
+
+    const journalStore = createInMemoryJournalStore();
+    await startCoordinator(config, coordinatorId, { journalStore });
+
+    const journal = journalStore.read(coordinatorId)!;
+    expect(journal.completedAt).toBeDefined();
+    // The coordinator returns early, because there are no actionable requests
+    expect(journal.steps.map((step) => step.name)).toEqual(['initializeProviders']);
+    const [initializeProvidersStep] = journal.steps;
+    expect(initializeProvidersStep.input.providerStates.evm).toEqual([]);
+    expect(initializeProvidersStep.output!.providerStates.evm).toHaveLength(1);
+    expect(initializeProvidersStep.output!.providerStates.evm[0].settings.url).toEqual('[REDACTED]');
+    expect(initializeProvidersStep.output!.providerStates.evm[0].currentBlock).toEqual(12);
+    expect(initializeProvidersStep.output).not.toHaveProperty('config');
+  });
+
+  test.each([
+    [false, 0],
+    [true, 1],
+  ])(
+    'records the coordinator metrics only if the metrics are enabled - enableMetrics: %s',
+    async (enableMetrics, times) => {
+      const initialConfig = fixtures.buildConfig();
+      const config = {
+        ...initialConfig,
+        nodeSettings: {
+          ...initialConfig.nodeSettings,
+          cloudProvider: { type: 'local' as const, gatewayServerPort: 3000, enableMetrics },
+        },
+      };
+      mockReadFileSync('config.json', JSON.stringify(config));
+      jest.spyOn(ethers.providers.JsonRpcProvider.prototype, 'getBlockNumber').mockResolvedValueOnce(12);
+      jest.spyOn(ethers.providers.JsonRpcProvider.prototype, 'getLogs').mockResolvedValueOnce([]);
+      getTemplatesMock.mockResolvedValueOnce(fixtures.evm.airnodeRrp.getTemplates());
+      checkAuthorizationStatusesMock.mockResolvedValueOnce([true]);
+      const recordCoordinatorMetricsSpy = jest.spyOn(reportingMetrics, 'recordCoordinatorMetrics');
+
+      await startCoordinator(config, coordinatorId, {
+        journalStore: createInMemoryJournalStore(),
+        sendHeartbeat: false,
+      });
+
+      expect(recordCoordinatorMetricsSpy).toHaveBeenCalledTimes(times);
+      recordCoordinatorMetricsSpy.mockRestore();
+    }
+  );
+
+  it('journals the coordinator steps when the coordinator fails', async () => {
+    const config = fixtures.buildConfig();
+    jest.spyOn(calls, 'applyChainLimits').mockImplementationOnce(() => {
+      throw new Error('Unexpected error');
+    });
+    // Returning a request skips the early return so that the chain limits are applied
+    const templateRequest = fixtures.evm.logs.buildMadeTemplateRequest();
+    mockReadFileSync('config.json', JSON.stringify(config));
+    jest.spyOn(ethers.providers.JsonRpcProvider.prototype, 'getBlockNumber').mockResolvedValueOnce(12);
+    jest.spyOn(ethers.providers.JsonRpcProvider.prototype, 'getLogs').mockResolvedValueOnce([templateRequest]);
+    getTemplatesMock.mockResolvedValueOnce(fixtures.evm.airnodeRrp.getTemplates());
+    checkAuthorizationStatusesMock.mockResolvedValueOnce([true]);
+
+    const journalStore = createInMemoryJournalStore();
+    await expect(startCoordinator(config, coordinatorId, { journalStore })).rejects.toThrow('Unexpected error');
+
+    const journal = journalStore.read(coordinatorId)!;
+    expect(journal.steps.map((step) => step.name)).toEqual(['initializeProviders', 'applyChainRequestLimits']);
+    expect(journal.steps[1]).toEqual(
+      expect.objectContaining({ name: 'applyChainRequestLimits', output: null, errorMessage: 'Unexpected error' })
+    );
+  });
+
+  it('derives the pending requests from the given event logs', async () => {
+    const config = fixtures.buildConfig();
+    mockReadFileSync('config.json', JSON.stringify(config));
+    jest.spyOn(ethers.providers.JsonRpcProvider.prototype, 'getBlockNumber').mockResolvedValueOnce(12);
+    const getLogsSpy = jest.spyOn(ethers.providers.JsonRpcProvider.prototype, 'getLogs');
+    getTemplatesMock.mockResolvedValueOnce(fixtures.evm.airnodeRrp.getTemplates());
+    checkAuthorizationStatusesMock.mockResolvedValueOnce([true]);
+    const executeSpy = jest.spyOn(adapter, 'execute');
+    // Stop the coordinator once the requests are known
+    jest.spyOn(calls, 'applyChainLimits').mockImplementationOnce(() => {
+      throw new Error('Unexpected error');
+    });
+    const eventLogsByProvider = { '31337': { 'EVM local': [fixtures.evm.logs.buildMadeTemplateRequest()] } };
+
+    const journalStore = createInMemoryJournalStore();
+    await expect(
+      startCoordinator(config, coordinatorId, { journalStore, eventLogsByProvider, sendHeartbeat: false })
+    ).rejects.toThrow('Unexpected error');
+
+    expect(getLogsSpy).not.toHaveBeenCalled();
+    expect(executeSpy).not.toHaveBeenCalled();
+    const [initializeProvidersStep] = journalStore.read(coordinatorId)!.steps;
+    expect(initializeProvidersStep.input.eventLogsByProvider).toEqual(eventLogsByProvider);
+    const [providerState] = initializeProvidersStep.output!.providerStates.evm;
+    expect(providerState.requests.apiCalls.map((apiCall) => apiCall.id)).toEqual([requestId]);
+    expect(providerState).not.toHaveProperty('eventLogs');
+  });
 });
 
 describe('getMinConfirmationsReservedParameter', () => {
@@ -7,12 +7,14 @@ import { logger, formatDateTime, caching } from '@api3/airnode-utilities';
 import { go } from '@api3/promise-utils';
 import * as calls from '../coordinator/calls';
 import * as providers from '../providers';
-import { reportHeartbeat } from '../reporting';
+import { isMetricsEnabled, recordCoordinatorMetrics, reportHeartbeat } from '../reporting';
 import { hasNoActionableRequests } from '../requests/request';
 import * as coordinatorState from '../coordinator/state';
+import * as journal from '../coordinator/journal';
 import {
   CoordinatorState,
   CoordinatorStateWithApiResponses,
+  EventLogsByProvider,
   WorkerOptions,
   RegularApiCallSuccessResponse,
   RegularAggregatedApiCallWithResponse,
@@ -23,14 +25,40 @@ import { Config } from '../config';
 import { getReservedParameterValue } from '../adapters/http/parameters';
 import { BLOCK_COUNT_HISTORY_LIMIT } from '../constants';
 
-export async function startCoordinator(config: Config, coordinatorId: string) {
+export interface CoordinatorOptions {
+  readonly journalStore?: journal.JournalStore;
+  // Pending requests of these providers are derived from the given logs instead of fetching the logs
+  readonly eventLogsByProvider?: EventLogsByProvider;
+  // The daemon sends the heartbeat on its own schedule instead of after each coordinator run
+  readonly sendHeartbeat?: boolean;
+}
+
+export async function startCoordinator(config: Config, coordinatorId: string, options: CoordinatorOptions = {}) {
+  const { journalStore = journal.createJournalStore(config), eventLogsByProvider, sendHeartbeat = true } = options;
+
   const startedAt = new Date();
-  const endState = await coordinator(config, coordinatorId);
+  const recorder = journal.createRecorder(coordinatorId);
+  const goEndState = await go(() => coordinator(config, coordinatorId, recorder, eventLogsByProvider));
   const completedAt = new Date();
 
+  // The journal is persisted even if the coordinator fails, because that is when it is needed the most
+  const completedJournal = journal.complete(recorder.getJournal(), completedAt);
+  journalStore.write(completedJournal);
+  if (isMetricsEnabled(config)) {
+    recordCoordinatorMetrics(completedJournal);
+  }
+  if (!goEndState.success) {
+    throw goEndState.error;
+  }
+  const endState = goEndState.data;
+
   const durationMs = Math.abs(completedAt.getTime() - startedAt.getTime());
   logger.info(`Coordinator completed at ${formatDateTime(completedAt)}. Total time: ${durationMs}ms`);
 
+  if (!sendHeartbeat) {
+    return;
+  }
+
   // Heartbeat is not core part of coordinator because it may return early in case there are no actionable requests
   const goHeartbeatRes = await go(() => reportHeartbeat(endState));
   if (!goHeartbeatRes.success) {
@@ -38,8 +66,13 @@ export async function startCoordinator(config: Config, coordinatorId: string) {
   }
 }
 
-function createInitialCoordinatorState(config: Config, coordinatorId: string) {
-  const state = coordinatorState.create(config, coordinatorId);
+function createInitialCoordinatorState(
+  config: Config,
+  coordinatorId: string,
+  eventLogsByProvider?: EventLogsByProvider
+) {
+  const createdState = coordinatorState.create(config, coordinatorId);
+  const state = eventLogsByProvider ? coordinatorState.update(createdState, { eventLogsByProvider }) : createdState;
 
   logger.info(`Created initial coordinator state`);
   return state;
@@ -55,14 +88,15 @@ function getWorkerOptions(state: CoordinatorState): WorkerOptions {
 }
 
 async function initializeProviders(state: CoordinatorState) {
-  const { coordinatorId, config, settings } = state;
+  const { coordinatorId, config, settings, eventLogsByProvider } = state;
 
   logger.info('Forking to initialize providers');
   const [logs, providerStates] = await providers.initialize(
     coordinatorId,
     settings.airnodeAddress,
     config,
-    getWorkerOptions(state)
+    getWorkerOptions(state),
+    eventLogsByProvider
   );
   logger.logPending(logs);
   logger.info('Forking to initialize providers complete');
@@ -188,7 +222,11 @@ async function executeApiCalls(state: CoordinatorState) {
 
   const aggregatedApiCalls = Object.values(filteredUncachedAggregatedApiCalls);
 
-  const [logs, processedAggregatedApiCalls] = await calls.callApis(aggregatedApiCalls, getWorkerOptions(state));
+  const [logs, processedAggregatedApiCalls] = await calls.callApis(
+    aggregatedApiCalls,
+    getWorkerOptions(state),
+    state.config
+  );
   logger.logPending(logs);
 
   processedAggregatedApiCalls
@@ -247,18 +285,34 @@ function applyChainRequestLimits(state: CoordinatorState) {
   return coordinatorState.update(state, { providerStates: processedProviders });
 }
 
-async function coordinator(config: Config, coordinatorId: string): Promise<CoordinatorState> {
+// The coordinator steps which can be journaled and replayed individually
+export const coordinatorSteps = {
+  initializeProviders,
+  applyChainRequestLimits,
+  aggregateApiCalls,
+  filterByMinConfirmations,
+  executeApiCalls,
+  disaggregateApiCalls,
+  initiateTransactions,
+} satisfies Record<journal.CoordinatorStepName, unknown>;
+
+async function coordinator(
+  config: Config,
+  coordinatorId: string,
+  recorder: journal.JournalRecorder,
+  eventLogsByProvider?: EventLogsByProvider
+): Promise<CoordinatorState> {
   caching.initPath();
 
   // =================================================================
   // STEP 1: Create a blank coordinator state
   // =================================================================
-  let state = createInitialCoordinatorState(config, coordinatorId);
+  let state = createInitialCoordinatorState(config, coordinatorId, eventLogsByProvider);
 
   // =================================================================
   // STEP 2: Create the initial state from each provider
   // =================================================================
-  state = await initializeProviders(state);
+  state = await recorder.record('initializeProviders', state, initializeProviders);
 
   // =================================================================
   // STEP 3: Return early if there are no actionable requests
@@ -271,32 +325,32 @@ async function coordinator(config: Config, coordinatorId: string): Promise<Coord
   // =================================================================
   // STEP 4: Apply chain limits and drop requests exceeding this limit
   // =================================================================
-  state = applyChainRequestLimits(state);
+  state = await recorder.record('applyChainRequestLimits', state, applyChainRequestLimits);
 
   // =================================================================
   // STEP 5: Group API calls with respect to request IDs
   // =================================================================
-  state = aggregateApiCalls(state);
+  state = await recorder.record('aggregateApiCalls', state, aggregateApiCalls);
 
   // =================================================================
   // STEP 6: Drop requests that haven't had (_)minConfirmations
   // =================================================================
-  state = filterByMinConfirmations(state);
+  state = await recorder.record('filterByMinConfirmations', state, filterByMinConfirmations);
 
   // =================================================================
   // STEP 7: Execute API calls and save the responses
   // =================================================================
-  let stateWithResponses = await executeApiCalls(state);
+  let stateWithResponses = await recorder.record('executeApiCalls', state, executeApiCalls);
 
   // =================================================================
   // STEP 8: Map API responses back to each provider's API requests
   // =================================================================
-  stateWithResponses = disaggregateApiCalls(stateWithResponses);
+  stateWithResponses = await recorder.record('disaggregateApiCalls', stateWithResponses, disaggregateApiCalls);
 
   // ======================================================================
   // STEP 9: Initiate transactions for each provider, sponsor pair
   // ======================================================================
-  stateWithResponses = await initiateTransactions(stateWithResponses);
+  stateWithResponses = await recorder.record('initiateTransactions', stateWithResponses, initiateTransactions);
 
   return stateWithResponses;
 }
@@ -0,0 +1,147 @@
+import { ethers } from 'ethers';
+import { caching, logger } from '@api3/airnode-utilities';
+import { createDaemon } from './start-daemon';
+import * as startCoordinatorModule from './start-coordinator';
+import * as heartbeat from '../reporting/heartbeat';
+import * as fixtures from '../../test/fixtures';
+import { DAEMON_COORDINATOR_RETRY_INTERVAL, DAEMON_HEARTBEAT_INTERVAL } from '../constants';
+
+describe('createDaemon', () => {
+  fixtures.setEnvVariables({ AIRNODE_WALLET_PRIVATE_KEY: fixtures.getAirnodeWalletPrivateKey() });
+  const templateRequest = fixtures.evm.logs.buildMadeTemplateRequest();
+
+  let startCoordinatorSpy: jest.SpyInstance;
+  let reportHeartbeatSpy: jest.SpyInstance;
+  let addKeySpy: jest.SpyInstance;
+
+  beforeEach(() => {
+    jest.spyOn(caching, 'initPath').mockImplementation(() => {});
+    jest.spyOn(caching, 'getValueForKey').mockReturnValue(undefined);
+    addKeySpy = jest.spyOn(caching, 'addKey').mockImplementation(() => {});
+    startCoordinatorSpy = jest.spyOn(startCoordinatorModule, 'startCoordinator').mockResolvedValue();
+    reportHeartbeatSpy = jest.spyOn(heartbeat, 'reportHeartbeat').mockResolvedValue([]);
+  });
+
+  it('is only supported with the local cloud provider', () => {
+    const config = fixtures.buildConfig({
+      nodeSettings: {
+        ...fixtures.buildNodeSettings(),
+        cloudProvider: { type: 'aws', region: 'us-east-1', disableConcurrencyReservations: false },
+      },
+    });
+
+    expect(() => createDaemon(config)).toThrow('Daemon mode is only supported with the "local" cloud provider');
+  });
+
+  it('runs the coordinator with the logs of the pending requests', async () => {
+    jest.spyOn(ethers.providers.JsonRpcProvider.prototype, 'getBlockNumber').mockResolvedValueOnce(20);
+    const getLogsSpy = jest.spyOn(ethers.providers.JsonRpcProvider.prototype, 'getLogs');
+    getLogsSpy.mockResolvedValueOnce([templateRequest]);
+    const journalStore = { write: jest.fn(), read: jest.fn(), list: jest.fn() };
+
+    await createDaemon(fixtures.buildConfig(), { journalStore }).tick();
+
+    expect(getLogsSpy).toHaveBeenCalledWith({
+      fromBlock: 0,
+      toBlock: 20,
+      address: '0x197F3826040dF832481f835652c290aC7c41f073',
+      topics: [null, '0x000000000000000000000000A30CA71Ba54E83127214D3271aEA8F5D6bD4Dace'],
+    });
+    expect(addKeySpy).toHaveBeenCalledWith(
+      'daemonLogWindow-31337-EVM%20local',
+      { lastProcessedBlock: 20, logs: [templateRequest] },
+      true
+    );
+    expect(startCoordinatorSpy).toHaveBeenCalledTimes(1);
+    expect(startCoordinatorSpy).toHaveBeenCalledWith(expect.anything(), expect.any(String), {
+      journalStore,
+      eventLogsByProvider: { '31337': { 'EVM local': [templateRequest] } },
+      sendHeartbeat: false,
+    });
+  });
+
+  it('does not run the coordinator if there are no pending requests', async () => {
+    jest.spyOn(ethers.providers.JsonRpcProvider.prototype, 'getBlockNumber').mockResolvedValueOnce(20);
+    jest.spyOn(ethers.providers.JsonRpcProvider.prototype, 'getLogs').mockResolvedValueOnce([]);
+
+    await createDaemon(fixtures.buildConfig()).tick();
+
+    expect(startCoordinatorSpy).not.toHaveBeenCalled();
+  });
+
+  it('retries the pending requests periodically', async () => {
+    const getBlockNumberSpy = jest.spyOn(ethers.providers.JsonRpcProvider.prototype, 'getBlockNumber');
+    getBlockNumberSpy.mockResolvedValueOnce(20).mockResolvedValueOnce(20).mockResolvedValueOnce(21);
+    const getLogsSpy = jest.spyOn(ethers.providers.JsonRpcProvider.prototype, 'getLogs');
+    getLogsSpy.mockResolvedValueOnce([templateRequest]).mockResolvedValueOnce([]);
+    const daemon = createDaemon(fixtures.buildConfig());
+
+    const now = Date.now();
+    await daemon.tick(now);
+    // There are no new blocks
+    await daemon.tick(now + 1);
+    expect(getLogsSpy).toHaveBeenCalledTimes(1);
+    expect(startCoordinatorSpy).toHaveBeenCalledTimes(1);
+
+    await daemon.tick(now + DAEMON_COORDINATOR_RETRY_INTERVAL);
+    expect(getLogsSpy).toHaveBeenCalledTimes(2);
+    expect(getLogsSpy).toHaveBeenLastCalledWith(expect.objectContaining({ fromBlock: 16, toBlock: 21 }));
+    expect(startCoordinatorSpy).toHaveBeenCalledTimes(2);
+  });
+
+  it('leaves out the providers whose logs cannot be fetched', async () => {
+    jest.spyOn(ethers.providers.JsonRpcProvider.prototype, 'getBlockNumber').mockRejectedValueOnce(new Error('Boom'));
+    const errorSpy = jest.spyOn(logger, 'error');
+    jest.spyOn(caching, 'getValueForKey').mockReturnValue({ lastProcessedBlock: 20, logs: [templateRequest] });
+
+    await createDaemon(fixtures.buildConfig()).tick();
+
+    expect(errorSpy).toHaveBeenCalledWith('Unable to fetch new blocks for provider:EVM local', new Error('Boom'));
+    expect(startCoordinatorSpy).not.toHaveBeenCalled();
+  });
+
+  it('sends the heartbeat periodically', async () => {
+    jest.spyOn(ethers.providers.JsonRpcProvider.prototype, 'getBlockNumber').mockResolvedValue(20);
+    jest.spyOn(ethers.providers.JsonRpcProvider.prototype, 'getLogs').mockResolvedValue([]);
+    const daemon = createDaemon(fixtures.buildConfig());
+
+    const now = Date.now();
+    await daemon.tick(now);
+    await daemon.tick(now + 1);
+    expect(reportHeartbeatSpy).toHaveBeenCalledTimes(1);
+
+    await daemon.tick(now + DAEMON_HEARTBEAT_INTERVAL);
+    expect(reportHeartbeatSpy).toHaveBeenCalledTimes(2);
+  });
+
+  it('stops after the tick in progress', async () => {
+    const getBlockNumberSpy = jest.spyOn(ethers.providers.JsonRpcProvider.prototype, 'getBlockNumber');
+    getBlockNumberSpy.mockResolvedValue(20);
+    jest.spyOn(ethers.providers.JsonRpcProvider.prototype, 'getLogs').mockResolvedValue([]);
+    const daemon = createDaemon(fixtures.buildConfig(), { pollingIntervalMs: 10 });
+
+    daemon.start();
+    await daemon.stop();
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    expect(getBlockNumberSpy).toHaveBeenCalledTimes(1);
+  });
+
+  it('logs the failed ticks and keeps polling', async () => {
+    const getBlockNumberSpy = jest.spyOn(ethers.providers.JsonRpcProvider.prototype, 'getBlockNumber');
+    getBlockNumberSpy.mockResolvedValue(20);
+    jest.spyOn(ethers.providers.JsonRpcProvider.prototype, 'getLogs').mockResolvedValue([]);
+    addKeySpy.mockImplementationOnce(() => {
+      throw new Error('Disk full');
+    });
+    const errorSpy = jest.spyOn(logger, 'error');
+    const daemon = createDaemon(fixtures.buildConfig(), { pollingIntervalMs: 10 });
+
+    daemon.start();
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    await daemon.stop();
+
+    expect(errorSpy).toHaveBeenCalledWith('Daemon tick failed', new Error('Disk full'));
+    expect(getBlockNumberSpy.mock.calls.length).toBeGreaterThan(1);
+  });
+});
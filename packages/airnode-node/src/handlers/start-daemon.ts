@@ -0,0 +1,213 @@
+import flatMap from 'lodash/flatMap';
+import map from 'lodash/map';
+import { ethers } from 'ethers';
+import { caching, logger, metrics, randomHexString, setLogOptions } from '@api3/airnode-utilities';
+import { go } from '@api3/promise-utils';
+import { startCoordinator } from './start-coordinator';
+import * as coordinatorState from '../coordinator/state';
+import * as journal from '../coordinator/journal';
+import { logWindow } from '../evm/requests';
+import { buildEVMProvider } from '../evm/evm-provider';
+import { getAirnodeWalletFromPrivateKey } from '../evm/wallet';
+import { COORDINATOR_METRICS_SOURCE, isMetricsEnabled, reportHeartbeat } from '../reporting';
+import { EventLogsByProvider } from '../types';
+import { Config } from '../config';
+import {
+  BLOCK_COUNT_HISTORY_LIMIT,
+  BLOCK_MIN_CONFIRMATIONS,
+  DAEMON_COORDINATOR_RETRY_INTERVAL,
+  DAEMON_HEARTBEAT_INTERVAL,
+  DAEMON_POLLING_INTERVAL,
+  EVM_PROVIDER_TIMEOUT,
+} from '../constants';
+
+export interface DaemonOptions {
+  readonly pollingIntervalMs?: number;
+  readonly journalStore?: journal.JournalStore;
+}
+
+export interface DaemonProvider {
+  readonly chainId: string;
+  readonly providerName: string;
+  readonly airnodeRrpAddress: string;
+  readonly blockHistoryLimit: number;
+  readonly minConfirmations: number;
+  readonly provider: ethers.providers.JsonRpcProvider;
+}
+
+interface AdvancedLogWindow {
+  readonly logWindow: logWindow.LogWindow;
+  readonly hasNewlyConfirmedRequests: boolean;
+}
+
+// The provider instances are created once and kept for the whole lifetime of the daemon
+export function buildDaemonProviders(config: Config): DaemonProvider[] {
+  const evmChains = config.chains.filter((chain) => chain.type === 'evm');
+
+  return flatMap(evmChains, (chain) =>
+    map(chain.providers, (chainProvider, providerName) => ({
+      chainId: chain.id,
+      providerName,
+      airnodeRrpAddress: chain.contracts.AirnodeRrp,
+      blockHistoryLimit: chain.blockHistoryLimit || BLOCK_COUNT_HISTORY_LIMIT,
+      minConfirmations: chain.minConfirmations || BLOCK_MIN_CONFIRMATIONS,
+      provider: buildEVMProvider(chainProvider.url, chain.id),
+    }))
+  );
+}
+
+export async function advanceLogWindow(
+  daemonProvider: DaemonProvider,
+  airnodeAddress: string,
+  previousLogWindow: logWindow.LogWindow | undefined
+): Promise<AdvancedLogWindow | null> {
+  const { provider, blockHistoryLimit, minConfirmations } = daemonProvider;
+
+  const currentBlock = await provider.getBlockNumber();
+  if (previousLogWindow && currentBlock <= previousLogWindow.lastProcessedBlock) {
+    return null;
+  }
+
+  const fromBlock = logWindow.getFromBlock(previousLogWindow, currentBlock, blockHistoryLimit);
+  const newLogs = await provider.getLogs({
+    fromBlock,
+    toBlock: currentBlock,
+    address: daemonProvider.airnodeRrpAddress,
+    topics: [null, ethers.utils.hexZeroPad(airnodeAddress, 32)],
+  });
+
+  const advancedLogWindow = logWindow.advance(previousLogWindow, newLogs, fromBlock, currentBlock, blockHistoryLimit);
+  const previousBlock = previousLogWindow ? previousLogWindow.lastProcessedBlock : fromBlock - 1;
+
+  return {
+    logWindow: advancedLogWindow,
+    hasNewlyConfirmedRequests: logWindow.hasNewlyConfirmedRequests(advancedLogWindow, previousBlock, minConfirmations),
+  };
+}
+
+/**
+ * Creates a long-running alternative to invoking the coordinator periodically. The daemon keeps track of the Airnode
+ * RRP logs of each chain provider as new blocks arrive and runs the coordinator with these logs as soon as there are
+ * requests to be fulfilled. The tracked logs are persisted in the cache, so the daemon can continue where it left off
+ * after a restart.
+ */
+export function createDaemon(config: Config, options: DaemonOptions = {}) {
+  if (config.nodeSettings.cloudProvider.type !== 'local') {
+    throw new Error(`Daemon mode is only supported with the "local" cloud provider`);
+  }
+
+  const { pollingIntervalMs = DAEMON_POLLING_INTERVAL, journalStore = journal.createJournalStore(config) } = options;
+  const { logFormat, logLevel } = config.nodeSettings;
+  const airnodeAddress = getAirnodeWalletFromPrivateKey().address;
+  const daemonProviders = buildDaemonProviders(config);
+
+  const metricsEnabled = isMetricsEnabled(config);
+  if (metricsEnabled) metrics.restore(COORDINATOR_METRICS_SOURCE);
+
+  caching.initPath();
+  let logWindows = daemonProviders.map(({ chainId, providerName }) => logWindow.load(chainId, providerName));
+  let lastCoordinatorRunAt = 0;
+  let lastHeartbeatAt = 0;
+
+  const runCoordinator = async (eventLogsByProvider: EventLogsByProvider) => {
+    const coordinatorId = randomHexString(16);
+    setLogOptions({ format: logFormat, level: logLevel, meta: { 'Coordinator-ID': coordinatorId } });
+
+    const goRun = await go(() =>
+      startCoordinator(config, coordinatorId, { journalStore, eventLogsByProvider, sendHeartbeat: false })
+    );
+    if (!goRun.success) {
+      logger.error(`Coordinator with ID:${coordinatorId} failed`, goRun.error);
+    }
+    if (metricsEnabled) metrics.persist(COORDINATOR_METRICS_SOURCE);
+    setLogOptions({ format: logFormat, level: logLevel });
+  };
+
+  const sendHeartbeat = async () => {
+    const goHeartbeatLogs = await go(() => reportHeartbeat(coordinatorState.create(config, randomHexString(16))));
+    if (!goHeartbeatLogs.success) {
+      logger.error('Failed to send Airnode heartbeat', goHeartbeatLogs.error);
+      return;
+    }
+    logger.logPending(goHeartbeatLogs.data);
+  };
+
+  const tick = async (now = Date.now()) => {
+    const goAdvancedLogWindows = await Promise.all(
+      daemonProviders.map((daemonProvider, index) =>
+        go(() => advanceLogWindow(daemonProvider, airnodeAddress, logWindows[index]), {
+          totalTimeoutMs: EVM_PROVIDER_TIMEOUT,
+        })
+      )
+    );
+
+    // Providers whose logs could not be fetched are left out, so the coordinator fetches their logs by itself
+    let eventLogsByProvider: EventLogsByProvider = {};
+    let hasNewlyConfirmedRequests = false;
+    goAdvancedLogWindows.forEach((goAdvancedLogWindow, index) => {
+      const { chainId, providerName } = daemonProviders[index];
+      if (!goAdvancedLogWindow.success) {
+        logger.error(`Unable to fetch new blocks for provider:${providerName}`, goAdvancedLogWindow.error);
+        return;
+      }
+
+      if (goAdvancedLogWindow.data) {
+        const advancedLogWindow = goAdvancedLogWindow.data.logWindow;
+        logWindow.persist(chainId, providerName, advancedLogWindow);
+        logWindows = logWindows.map((previousLogWindow, i) => (i === index ? advancedLogWindow : previousLogWindow));
+        hasNewlyConfirmedRequests = hasNewlyConfirmedRequests || goAdvancedLogWindow.data.hasNewlyConfirmedRequests;
+      }
+
+      eventLogsByProvider = {
+        ...eventLogsByProvider,
+        [chainId]: { ...eventLogsByProvider[chainId], [providerName]: logWindows[index]!.logs },
+      };
+    });
+
+    // Pending requests whose confirmations depend on the "_minConfirmations" parameter, or whose fulfillment failed,
+    // are retried periodically
+    const hasPendingRequests = Object.values(eventLogsByProvider).some((eventLogsByProviderName) =>
+      Object.values(eventLogsByProviderName).some((eventLogs) => eventLogs.length > 0)
+    );
+    const isRetryDue = now - lastCoordinatorRunAt >= DAEMON_COORDINATOR_RETRY_INTERVAL;
+    if (hasNewlyConfirmedRequests || (hasPendingRequests && isRetryDue)) {
+      lastCoordinatorRunAt = now;
+      await runCoordinator(eventLogsByProvider);
+    }
+
+    if (now - lastHeartbeatAt >= DAEMON_HEARTBEAT_INTERVAL) {
+      lastHeartbeatAt = now;
+      await sendHeartbeat();
+    }
+  };
+
+  let isStopped = false;
+  let timeout: NodeJS.Timeout | undefined;
+  let currentTick: Promise<void> = Promise.resolve();
+
+  const loop = async () => {
+    // A failed tick must not stop the daemon, so the error is logged and the next tick is scheduled as usual
+    currentTick = tick().catch((error) => logger.error('Daemon tick failed', error));
+    await currentTick;
+    if (!isStopped) {
+      timeout = setTimeout(loop, pollingIntervalMs);
+    }
+  };
+
+  const start = () => {
+    logger.info(`Starting the daemon for ${daemonProviders.length} provider(s)`);
+    loop();
+  };
+
+  // Resolves once the tick in progress (if any) is completed
+  const stop = async () => {
+    isStopped = true;
+    clearTimeout(timeout);
+    await currentTick;
+    logger.info('Daemon stopped');
+  };
+
+  return { tick, start, stop };
+}
+
+export type Daemon = ReturnType<typeof createDaemon>;
@@ -25,6 +25,7 @@ jest.mock('../workers/cloud-platforms/aws', () => ({
 }));
 
 import * as validator from '@api3/airnode-validator';
+import { caching } from '@api3/airnode-utilities';
 import { ethers } from 'ethers';
 import range from 'lodash/range';
 import * as providers from './actions';
@@ -249,6 +250,11 @@ describe('initialize', () => {
 describe('processRequests', () => {
   fixtures.setEnvVariables({ AIRNODE_WALLET_PRIVATE_KEY: fixtures.getAirnodeWalletPrivateKey() });
 
+  beforeEach(() => {
+    // The broadcast transactions are persisted with forced writes, which the cache does not skip in tests
+    jest.spyOn(caching, 'addKey').mockImplementation(() => {});
+  });
+
   test.each(['legacy', 'eip1559'] as const)('processes requests for each EVM provider - txType: %s', async (txType) => {
     const { blockWithTransactionsSpy } = createAndMockGasTarget(txType);
     estimateGasWithdrawalMock.mockResolvedValueOnce(ethers.BigNumber.from(50_000));
@@ -8,6 +8,7 @@ import { spawnNewProvider, spawnProviderRequestProcessor } from './worker';
 import {
   EVMProviderState,
   EVMProviderSponsorState,
+  EventLogsByProvider,
   LogsData,
   ProviderState,
   ProviderStates,
@@ -39,7 +40,8 @@ export async function initialize(
   coordinatorId: string,
   airnodeAddress: string,
   config: Config,
-  workerOpts: WorkerOptions
+  workerOpts: WorkerOptions,
+  eventLogsByProvider: EventLogsByProvider = {}
 ): Promise<LogsData<ProviderStates>> {
   const { chains } = config;
   const evmChains = chains.filter((c) => c.type === 'evm');
@@ -50,7 +52,8 @@ export async function initialize(
     evmChains.map((chain) => {
       return map(chain.providers, (_, providerName) => {
         const state = buildEVMState(coordinatorId, airnodeAddress, chain, providerName, config);
-        return initializeEVMProvider(state, workerOpts);
+        const eventLogs = eventLogsByProvider[chain.id]?.[providerName];
+        return initializeEVMProvider(eventLogs ? { ...state, eventLogs } : state, workerOpts);
       });
     })
   );
@@ -239,6 +239,12 @@ describe('scrub', () => {
       expect(scrubbed[key as keyof ProviderState<EVMProviderState>]).toEqual(undefined);
     });
   });
+
+  it('removes the eventLogs key', () => {
+    const newState = { ...fixtures.buildEVMProviderState(), eventLogs: [fixtures.evm.logs.buildMadeTemplateRequest()] };
+    const scrubbed = state.scrub(newState);
+    expect(scrubbed.eventLogs).toEqual(undefined);
+  });
 });
 
 describe('refresh', () => {
@@ -81,7 +81,9 @@ export function scrub<T>(state: ProviderState<T>): ProviderState<T> {
   //
   // The 'masterHDNode' and the 'provider' keys are class instances. These do not typically transfer
   // well and are better off being re-instantiated with the 'refresh(state)' function.
-  return removeKeys(state, ['config', 'masterHDNode', 'provider']) as ProviderState<T>;
+  //
+  // The 'eventLogs' are only needed to fetch the pending requests when initializing the provider.
+  return removeKeys(state, ['config', 'masterHDNode', 'provider', 'eventLogs']) as ProviderState<T>;
 }
 
 export function refresh<T extends EVMProviderState>(state: ProviderState<T>) {
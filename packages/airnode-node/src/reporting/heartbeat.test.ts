@@ -10,6 +10,7 @@ import * as heartbeat from './heartbeat';
 import * as coordinatorState from '../coordinator/state';
 import * as fixtures from '../../test/fixtures';
 import { Config } from '../config';
+import * as pathKeyModule from '../workers/local-gateways/path-key';
 
 describe('reportHeartbeat', () => {
   const httpGatewayUrl = 'https://some.http.gateway.url/v1/';
@@ -21,6 +22,11 @@ describe('reportHeartbeat', () => {
     OEV_GATEWAY_URL: oevGatewayUrl,
     AIRNODE_WALLET_PRIVATE_KEY: fixtures.getAirnodeWalletPrivateKey(),
   });
+  const defaultNodeSettings = fixtures.buildNodeSettings();
+  const pathKey = pathKeyModule.deriveGatewayPathKey(
+    defaultNodeSettings.airnodeWalletMnemonic,
+    defaultNodeSettings.stage
+  );
   const systemTimestamp = 1661582890984;
   const expectedTimestamp = 1661582891;
 
@@ -48,9 +54,9 @@ describe('reportHeartbeat', () => {
       stage: state.config.nodeSettings.stage,
       cloud_provider: state.config.nodeSettings.cloudProvider.type,
       deployment_id: state.settings.deploymentId,
-      http_gateway_url: 'http://localhost:3000/http-data',
-      http_signed_data_gateway_url: 'http://localhost:3000/http-signed-data',
-      oev_gateway_url: 'http://localhost:3000/sign-oev',
+      http_gateway_url: `http://localhost:3000/http-data/${pathKey}`,
+      http_signed_data_gateway_url: `http://localhost:3000/http-signed-data/${pathKey}`,
+      oev_gateway_url: `http://localhost:3000/sign-oev/${pathKey}`,
     });
     const signature = await heartbeat.signHeartbeat(heartbeatPayload);
     const res = await heartbeat.reportHeartbeat(state);
@@ -83,9 +89,9 @@ describe('reportHeartbeat', () => {
       stage: state.config.nodeSettings.stage,
       cloud_provider: state.config.nodeSettings.cloudProvider.type,
       deployment_id: state.settings.deploymentId,
-      http_gateway_url: 'http://localhost:3000/http-data',
-      http_signed_data_gateway_url: 'http://localhost:3000/http-signed-data',
-      oev_gateway_url: 'http://localhost:3000/sign-oev',
+      http_gateway_url: `http://localhost:3000/http-data/${pathKey}`,
+      http_signed_data_gateway_url: `http://localhost:3000/http-signed-data/${pathKey}`,
+      oev_gateway_url: `http://localhost:3000/sign-oev/${pathKey}`,
     });
     const signature = await heartbeat.signHeartbeat(heartbeatPayload);
     const logs = await heartbeat.reportHeartbeat(state);
@@ -111,10 +117,12 @@ describe('reportHeartbeat', () => {
   describe('getHttpGatewayUrl', () => {
     it('returns correct local gateway URL', () => {
       const mockedConfig = {
-        nodeSettings: { cloudProvider: { type: 'local', gatewayServerPort: 8765 } },
+        nodeSettings: { ...defaultNodeSettings, cloudProvider: { type: 'local', gatewayServerPort: 8765 } },
       } as unknown as Config;
 
-      expect(heartbeat.getHttpGatewayUrl(mockedConfig)).toEqual('http://localhost:8765/http-data');
+      expect(heartbeat.getHttpGatewayUrl(mockedConfig, () => pathKey)).toEqual(
+        `http://localhost:8765/http-data/${pathKey}`
+      );
     });
 
     it('returns correct serverless gateway URL', () => {
@@ -122,17 +130,19 @@ describe('reportHeartbeat', () => {
         nodeSettings: { cloudProvider: { type: 'aws', region: 'us-east1', disableConcurrencyReservations: false } },
       } as unknown as Config;
 
-      expect(heartbeat.getHttpGatewayUrl(mockedConfig)).toEqual(httpGatewayUrl);
+      expect(heartbeat.getHttpGatewayUrl(mockedConfig, () => pathKey)).toEqual(httpGatewayUrl);
     });
   });
 
   describe('getHttpSignedDataGatewayUrl', () => {
     it('returns correct local gateway URL', () => {
       const mockedConfig = {
-        nodeSettings: { cloudProvider: { type: 'local', gatewayServerPort: 8765 } },
+        nodeSettings: { ...defaultNodeSettings, cloudProvider: { type: 'local', gatewayServerPort: 8765 } },
       } as unknown as Config;
 
-      expect(heartbeat.getHttpSignedDataGatewayUrl(mockedConfig)).toEqual('http://localhost:8765/http-signed-data');
+      expect(heartbeat.getHttpSignedDataGatewayUrl(mockedConfig, () => pathKey)).toEqual(
+        `http://localhost:8765/http-signed-data/${pathKey}`
+      );
     });
 
     it('returns correct serverless gateway URL', () => {
@@ -140,17 +150,19 @@ describe('reportHeartbeat', () => {
         nodeSettings: { cloudProvider: { type: 'aws', region: 'us-east1', disableConcurrencyReservations: false } },
       } as unknown as Config;
 
-      expect(heartbeat.getHttpSignedDataGatewayUrl(mockedConfig)).toEqual(httpSignedDataGatewayUrl);
+      expect(heartbeat.getHttpSignedDataGatewayUrl(mockedConfig, () => pathKey)).toEqual(httpSignedDataGatewayUrl);
     });
   });
 
   describe('getOevGatewayUrl', () => {
     it('returns correct local gateway URL', () => {
       const mockedConfig = {
-        nodeSettings: { cloudProvider: { type: 'local', gatewayServerPort: 8765 } },
+        nodeSettings: { ...defaultNodeSettings, cloudProvider: { type: 'local', gatewayServerPort: 8765 } },
       } as unknown as Config;
 
-      expect(heartbeat.getOevGatewayUrl(mockedConfig)).toEqual('http://localhost:8765/sign-oev');
+      expect(heartbeat.getOevGatewayUrl(mockedConfig, () => pathKey)).toEqual(
+        `http://localhost:8765/sign-oev/${pathKey}`
+      );
     });
 
     it('returns correct serverless gateway URL', () => {
@@ -158,7 +170,7 @@ describe('reportHeartbeat', () => {
         nodeSettings: { cloudProvider: { type: 'aws', region: 'us-east1', disableConcurrencyReservations: false } },
       } as unknown as Config;
 
-      expect(heartbeat.getOevGatewayUrl(mockedConfig)).toEqual(oevGatewayUrl);
+      expect(heartbeat.getOevGatewayUrl(mockedConfig, () => pathKey)).toEqual(oevGatewayUrl);
     });
   });
 
@@ -231,9 +243,9 @@ describe('reportHeartbeat', () => {
         stage: state.config.nodeSettings.stage,
         cloud_provider: state.config.nodeSettings.cloudProvider.type,
         deployment_id: state.settings.deploymentId,
-        http_gateway_url: 'http://localhost:8765/http-data',
-        http_signed_data_gateway_url: 'http://localhost:8765/http-signed-data',
-        oev_gateway_url: 'http://localhost:8765/sign-oev',
+        http_gateway_url: `http://localhost:8765/http-data/${pathKey}`,
+        http_signed_data_gateway_url: `http://localhost:8765/http-signed-data/${pathKey}`,
+        oev_gateway_url: `http://localhost:8765/sign-oev/${pathKey}`,
       });
       const signature = await heartbeat.signHeartbeat(heartbeatPayload);
       const logs = await heartbeat.reportHeartbeat(state);
@@ -256,6 +268,19 @@ describe('reportHeartbeat', () => {
         timeout: 5_000,
       });
     });
+
+    it('are built with the path key resolved once', async () => {
+      executeMock.mockResolvedValueOnce({ received: true });
+      const getGatewayPathKeySpy = jest.spyOn(pathKeyModule, 'getGatewayPathKey');
+      const config = cloneDeep(baseConfig);
+      config.nodeSettings.cloudProvider = { type: 'local', gatewayServerPort: 8765 };
+      const state = coordinatorState.create(config, 'coordinatorId');
+
+      await heartbeat.reportHeartbeat(state);
+
+      expect(getGatewayPathKeySpy).toHaveBeenCalledTimes(1);
+      getGatewayPathKeySpy.mockRestore();
+    });
   });
 
   describe('signHeartbeat', () => {
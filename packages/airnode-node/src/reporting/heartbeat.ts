@@ -1,4 +1,5 @@
 import { execute } from '@api3/airnode-adapter';
+import once from 'lodash/once';
 import { logger, PendingLog } from '@api3/airnode-utilities';
 import { go } from '@api3/promise-utils';
 import { Config, getEnvValue } from '../config';
@@ -9,26 +10,30 @@ import {
   HTTP_SIGNED_DATA_BASE_PATH,
   OEV_BASE_PATH,
 } from '../workers/local-gateways/server';
+import { getGatewayPathKey } from '../workers/local-gateways/path-key';
 import { getAirnodeWalletFromPrivateKey } from '../evm';
 
-export function getHttpGatewayUrl(config: Config) {
+export function getHttpGatewayUrl(config: Config, getPathKey: () => string) {
   if (config.nodeSettings.cloudProvider.type === 'local') {
-    return getGatewaysUrl(config.nodeSettings.cloudProvider.gatewayServerPort, HTTP_BASE_PATH);
+    return getGatewaysUrl(config.nodeSettings.cloudProvider.gatewayServerPort, `${HTTP_BASE_PATH}/${getPathKey()}`);
   }
 
   return getEnvValue('HTTP_GATEWAY_URL');
 }
 
-export function getHttpSignedDataGatewayUrl(config: Config) {
+export function getHttpSignedDataGatewayUrl(config: Config, getPathKey: () => string) {
   if (config.nodeSettings.cloudProvider.type === 'local') {
-    return getGatewaysUrl(config.nodeSettings.cloudProvider.gatewayServerPort, HTTP_SIGNED_DATA_BASE_PATH);
+    return getGatewaysUrl(
+      config.nodeSettings.cloudProvider.gatewayServerPort,
+      `${HTTP_SIGNED_DATA_BASE_PATH}/${getPathKey()}`
+    );
   }
   return getEnvValue('HTTP_SIGNED_DATA_GATEWAY_URL');
 }
 
-export function getOevGatewayUrl(config: Config) {
+export function getOevGatewayUrl(config: Config, getPathKey: () => string) {
   if (config.nodeSettings.cloudProvider.type === 'local') {
-    return getGatewaysUrl(config.nodeSettings.cloudProvider.gatewayServerPort, OEV_BASE_PATH);
+    return getGatewaysUrl(config.nodeSettings.cloudProvider.gatewayServerPort, `${OEV_BASE_PATH}/${getPathKey()}`);
   }
   return getEnvValue('OEV_GATEWAY_URL');
 }
@@ -51,9 +56,11 @@ export async function reportHeartbeat(state: CoordinatorState): Promise<PendingL
   }
 
   const { apiKey, url } = heartbeat;
-  const httpGatewayUrl = getHttpGatewayUrl(config);
-  const httpSignedDataGatewayUrl = getHttpSignedDataGatewayUrl(config);
-  const oevGatewayUrl = getOevGatewayUrl(config);
+  // All local gateway URLs contain the path key, which is resolved at most once per heartbeat
+  const getPathKey = once(() => getGatewayPathKey(config));
+  const httpGatewayUrl = getHttpGatewayUrl(config, getPathKey);
+  const httpSignedDataGatewayUrl = getHttpSignedDataGatewayUrl(config, getPathKey);
+  const oevGatewayUrl = getOevGatewayUrl(config, getPathKey);
 
   const timestamp = Math.round(Date.now() / 1_000);
 
@@ -0,0 +1,206 @@
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { caching, metrics } from '@api3/airnode-utilities';
+import * as reportingMetrics from './metrics';
+import * as journal from '../coordinator/journal';
+import * as coordinatorState from '../coordinator/state';
+import * as fixtures from '../../test/fixtures';
+import { GroupedRequests } from '../types';
+
+describe('recordCoordinatorMetrics', () => {
+  fixtures.setEnvVariables({ AIRNODE_WALLET_PRIVATE_KEY: fixtures.getAirnodeWalletPrivateKey() });
+
+  const buildJournaledState = (requests: GroupedRequests) => {
+    const state = coordinatorState.update(coordinatorState.create(fixtures.buildConfig(), 'coordinatorId'), {
+      providerStates: { evm: [fixtures.buildEVMProviderState({ requests })] },
+    });
+    return journal.redactState(state);
+  };
+
+  const buildStep = (
+    name: journal.CoordinatorStepName,
+    durationMs: number,
+    output: journal.JournaledState | null
+  ): journal.JournalStep => ({
+    name,
+    startedAt: new Date().toISOString(),
+    durationMs,
+    input: buildJournaledState({ apiCalls: [], withdrawals: [] }),
+    output,
+  });
+
+  const buildJournal = (pendingRequests: GroupedRequests, finalRequests: GroupedRequests) =>
+    [
+      buildStep('initializeProviders', 1500, buildJournaledState(pendingRequests)),
+      buildStep('initiateTransactions', 200, buildJournaledState(finalRequests)),
+    ].reduce(journal.addStep, journal.create('coordinatorId'));
+
+  const requestSeries = () => Object.values(metrics.getSnapshot()['airnode_requests_total']?.series ?? {});
+
+  const labels = { chain_id: '31337', sponsor_address: 'sponsorAddress' };
+
+  let persistedValues: Record<string, unknown>;
+
+  beforeEach(() => {
+    metrics.reset();
+    persistedValues = {};
+    jest.spyOn(caching, 'getValueForKey').mockImplementation((key) => persistedValues[key]);
+    jest.spyOn(caching, 'removeKey').mockImplementation((key) => delete persistedValues[key]);
+    jest.spyOn(caching, 'addKey').mockImplementation((key, data) => {
+      persistedValues[key] = JSON.parse(JSON.stringify(data));
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('records the step durations and the request outcomes', () => {
+    const fulfilled = fixtures.requests.buildApiCall({ id: 'fulfilled', fulfillment: { hash: '0x1' } });
+    const failed = fixtures.requests.buildApiCall({
+      id: 'failed',
+      errorMessage: 'API call failed',
+      fulfillment: { hash: '0x2' },
+    });
+    const notSubmitted = fixtures.requests.buildApiCall({ id: 'notSubmitted' });
+    const filteredOut = fixtures.requests.buildWithdrawal({ id: 'filteredOut', sponsorAddress: 'sponsorAddress' });
+
+    reportingMetrics.recordCoordinatorMetrics(
+      buildJournal(
+        { apiCalls: [fulfilled, failed, notSubmitted], withdrawals: [filteredOut] },
+        { apiCalls: [fulfilled, failed, notSubmitted], withdrawals: [] }
+      )
+    );
+
+    const snapshot = metrics.getSnapshot();
+    expect(Object.values(snapshot['airnode_coordinator_step_duration_seconds'].series)).toEqual([
+      expect.objectContaining({ labels: { step: 'initializeProviders' }, value: 1.5, count: 1 }),
+      expect.objectContaining({ labels: { step: 'initiateTransactions' }, value: 0.2, count: 1 }),
+    ]);
+    // The requests which are not submitted in this run are still pending rather than dropped
+    expect(requestSeries()).toEqual([
+      { labels: { ...labels, status: 'seen' }, value: 4 },
+      { labels: { ...labels, status: 'fulfilled' }, value: 1 },
+      { labels: { ...labels, status: 'failed' }, value: 1 },
+    ]);
+  });
+
+  it('counts each request as seen and with its outcome once over the coordinator runs', () => {
+    const pending = fixtures.requests.buildApiCall({ id: 'pending' });
+    const fulfilled = { ...pending, fulfillment: { hash: '0x1' } };
+
+    reportingMetrics.recordCoordinatorMetrics(
+      buildJournal({ apiCalls: [pending], withdrawals: [] }, { apiCalls: [pending], withdrawals: [] })
+    );
+    reportingMetrics.recordCoordinatorMetrics(
+      buildJournal({ apiCalls: [pending], withdrawals: [] }, { apiCalls: [fulfilled], withdrawals: [] })
+    );
+    // The request is still pending while the transaction is not confirmed, and it is fulfilled again if the
+    // transaction is dropped
+    reportingMetrics.recordCoordinatorMetrics(
+      buildJournal({ apiCalls: [pending], withdrawals: [] }, { apiCalls: [fulfilled], withdrawals: [] })
+    );
+    reportingMetrics.recordCoordinatorMetrics(
+      buildJournal({ apiCalls: [], withdrawals: [] }, { apiCalls: [], withdrawals: [] })
+    );
+
+    expect(requestSeries()).toEqual([
+      { labels: { ...labels, status: 'seen' }, value: 1 },
+      { labels: { ...labels, status: 'fulfilled' }, value: 1 },
+    ]);
+    expect(persistedValues[reportingMetrics.TRACKED_REQUESTS_KEY]).toEqual({});
+  });
+
+  it('counts the requests which leave the pending requests without a transaction as dropped', () => {
+    const pending = fixtures.requests.buildApiCall({ id: 'pending' });
+    const otherChainRequest = fixtures.requests.buildApiCall({ id: 'otherChainRequest', chainId: '1' });
+    persistedValues[reportingMetrics.TRACKED_REQUESTS_KEY] = {
+      otherChainRequest: { chainId: '1', sponsorAddress: 'sponsorAddress' },
+    };
+
+    reportingMetrics.recordCoordinatorMetrics(
+      buildJournal({ apiCalls: [pending], withdrawals: [] }, { apiCalls: [pending], withdrawals: [] })
+    );
+    reportingMetrics.recordCoordinatorMetrics(
+      buildJournal({ apiCalls: [], withdrawals: [] }, { apiCalls: [], withdrawals: [] })
+    );
+
+    expect(requestSeries()).toEqual([
+      { labels: { ...labels, status: 'seen' }, value: 1 },
+      { labels: { ...labels, status: 'dropped' }, value: 1 },
+    ]);
+    // The requests of the chains which were not initialized in the run are kept
+    expect(persistedValues[reportingMetrics.TRACKED_REQUESTS_KEY]).toEqual({
+      [otherChainRequest.id]: { chainId: '1', sponsorAddress: 'sponsorAddress' },
+    });
+  });
+
+  it('records only the step durations if the providers failed to initialize', () => {
+    const coordinatorJournal = journal.addStep(
+      journal.create('coordinatorId'),
+      buildStep('initializeProviders', 10, null)
+    );
+
+    reportingMetrics.recordCoordinatorMetrics(coordinatorJournal);
+
+    expect(Object.keys(metrics.getSnapshot())).toEqual(['airnode_coordinator_step_duration_seconds']);
+  });
+});
+
+describe('recordApiCall', () => {
+  beforeEach(() => {
+    metrics.reset();
+  });
+
+  it('records the duration and the failures of the API calls', () => {
+    reportingMetrics.recordApiCall('Currency Converter API', 'convertToUSD', 300, true);
+    reportingMetrics.recordApiCall('Currency Converter API', 'convertToUSD', 500, false);
+
+    const rendered = metrics.render();
+    expect(rendered).toContain(
+      'airnode_api_call_duration_seconds_count{ois="Currency Converter API",endpoint="convertToUSD"} 2'
+    );
+    expect(rendered).toContain(
+      'airnode_api_call_failures_total{ois="Currency Converter API",endpoint="convertToUSD"} 1'
+    );
+  });
+});
+
+describe('isMetricsEnabled', () => {
+  it('returns true only if enabled for the local cloud provider', () => {
+    const config = fixtures.buildConfig();
+    const nodeSettings = config.nodeSettings;
+
+    expect(reportingMetrics.isMetricsEnabled(config)).toEqual(false);
+    expect(
+      reportingMetrics.isMetricsEnabled({
+        ...config,
+        nodeSettings: { ...nodeSettings, cloudProvider: { type: 'local', enableMetrics: true } },
+      })
+    ).toEqual(true);
+  });
+});
+
+describe('renderMetrics', () => {
+  let basePath: string;
+
+  beforeEach(() => {
+    metrics.reset();
+    basePath = mkdtempSync(join(tmpdir(), 'airnode-metrics-'));
+  });
+
+  afterEach(() => {
+    rmSync(basePath, { recursive: true, force: true });
+  });
+
+  it('renders the metrics of this process together with the persisted ones', () => {
+    reportingMetrics.recordGatewayRequest('httpGateway', 200);
+    metrics.persist(reportingMetrics.COORDINATOR_METRICS_SOURCE, basePath, true);
+    reportingMetrics.recordGatewayRequest('httpGateway', 200);
+
+    expect(reportingMetrics.renderMetrics(basePath)).toContain(
+      'airnode_gateway_requests_total{gateway="httpGateway",status_code="200"} 3'
+    );
+  });
+});
@@ -0,0 +1,146 @@
+import flatMap from 'lodash/flatMap';
+import { caching, MetricDefinition, metrics } from '@api3/airnode-utilities';
+import { CoordinatorJournal, JournaledState } from '../coordinator/journal';
+import { Config } from '../config';
+
+// The name under which the coordinator process persists its metrics for the gateway server to serve them
+export const COORDINATOR_METRICS_SOURCE = 'coordinator';
+
+// The key under which the requests seen by the coordinator runs are persisted until they leave the pending requests
+export const TRACKED_REQUESTS_KEY = 'requestMetrics';
+
+export const coordinatorStepDurationMetric: MetricDefinition = {
+  name: 'airnode_coordinator_step_duration_seconds',
+  help: 'The duration of the coordinator steps',
+  type: 'histogram',
+};
+
+export const requestsMetric: MetricDefinition = {
+  name: 'airnode_requests_total',
+  help: 'The number of requests seen, dropped, fulfilled and failed by the coordinator runs',
+  type: 'counter',
+};
+
+export const apiCallDurationMetric: MetricDefinition = {
+  name: 'airnode_api_call_duration_seconds',
+  help: 'The duration of the API calls including the retry',
+  type: 'histogram',
+};
+
+export const apiCallFailuresMetric: MetricDefinition = {
+  name: 'airnode_api_call_failures_total',
+  help: 'The number of API calls that failed after the retry',
+  type: 'counter',
+};
+
+export const gatewayRequestsMetric: MetricDefinition = {
+  name: 'airnode_gateway_requests_total',
+  help: 'The number of gateway requests by response status code',
+  type: 'counter',
+};
+
+export type RequestStatus = 'seen' | 'dropped' | 'fulfilled' | 'failed';
+
+type RequestOutcome = 'fulfilled' | 'failed';
+
+interface JournaledRequest {
+  readonly id: string;
+  readonly chainId: string;
+  readonly sponsorAddress: string;
+  readonly errorMessage?: string;
+  readonly fulfillment?: unknown;
+}
+
+// A request seen by a coordinator run, together with its outcome once a run submitted a transaction for it
+interface TrackedRequest {
+  readonly chainId: string;
+  readonly sponsorAddress: string;
+  readonly outcome?: RequestOutcome;
+}
+
+type TrackedRequestsById = Record<string, TrackedRequest>;
+
+function getRequests(state: JournaledState): JournaledRequest[] {
+  return flatMap(state.providerStates.evm, (providerState) => [
+    ...providerState.requests.apiCalls,
+    ...providerState.requests.withdrawals,
+  ]);
+}
+
+function getOutcome(request: JournaledRequest | undefined): RequestOutcome | undefined {
+  if (!request?.fulfillment) return undefined;
+  // Requests that error out are fulfilled by calling "fail" on the AirnodeRrp contract
+  return request.errorMessage ? 'failed' : 'fulfilled';
+}
+
+/**
+ * Records the step durations and the request outcomes of a coordinator run. A request stays pending over several runs
+ * (e.g. while it does not have enough confirmations), so the requests are tracked in the cache and each request is
+ * counted as seen, and with its outcome, only once. A request is counted as dropped only if it leaves the pending
+ * requests of its chain without a transaction of this Airnode (e.g. because it is no longer in the fetched block range).
+ */
+export function recordCoordinatorMetrics(journal: CoordinatorJournal) {
+  journal.steps.forEach((step) => {
+    metrics.observe(coordinatorStepDurationMetric, { step: step.name }, step.durationMs / 1000);
+  });
+
+  const initializeProvidersStep = journal.steps.find((step) => step.name === 'initializeProviders');
+  const lastStep = journal.steps[journal.steps.length - 1];
+  if (!initializeProvidersStep?.output || !lastStep?.output) return;
+
+  const increment = (request: TrackedRequest, status: RequestStatus) =>
+    metrics.increment(requestsMetric, { chain_id: request.chainId, sponsor_address: request.sponsorAddress, status });
+
+  const trackedRequestsById: TrackedRequestsById = caching.getValueForKey(TRACKED_REQUESTS_KEY) ?? {};
+  const finalRequestsById = new Map(getRequests(lastStep.output).map((request) => [request.id, request]));
+  const pendingRequests = getRequests(initializeProvidersStep.output);
+  const initializedChainIds = initializeProvidersStep.output.providerStates.evm.map(({ settings }) => settings.chainId);
+
+  const pendingTrackedRequests = pendingRequests.map((request): [string, TrackedRequest] => {
+    const trackedRequest = trackedRequestsById[request.id];
+    const outcome = getOutcome(finalRequestsById.get(request.id));
+    const { chainId, sponsorAddress } = request;
+    if (!trackedRequest) increment(request, 'seen');
+    if (outcome && !trackedRequest?.outcome) increment(request, outcome);
+
+    return [request.id, { chainId, sponsorAddress, outcome: trackedRequest?.outcome ?? outcome }];
+  });
+
+  const pendingRequestIds = pendingRequests.map(({ id }) => id);
+  const leftTrackedRequests = Object.entries(trackedRequestsById).filter(([id]) => !pendingRequestIds.includes(id));
+  leftTrackedRequests
+    .filter(([_id, { chainId, outcome }]) => !outcome && initializedChainIds.includes(chainId))
+    .forEach(([_id, trackedRequest]) => increment(trackedRequest, 'dropped'));
+
+  // The requests of the chains that failed to initialize in this run are kept as they are
+  const nextTrackedRequestsById: TrackedRequestsById = Object.fromEntries([
+    ...pendingTrackedRequests,
+    ...leftTrackedRequests.filter(([_id, { chainId }]) => !initializedChainIds.includes(chainId)),
+  ]);
+  caching.removeKey(TRACKED_REQUESTS_KEY);
+  caching.addKey(TRACKED_REQUESTS_KEY, nextTrackedRequestsById);
+}
+
+export function recordApiCall(oisTitle: string, endpointName: string, durationMs: number, success: boolean) {
+  const labels = { ois: oisTitle, endpoint: endpointName };
+  metrics.observe(apiCallDurationMetric, labels, durationMs / 1000);
+  if (!success) {
+    metrics.increment(apiCallFailuresMetric, labels);
+  }
+}
+
+export function recordGatewayRequest(gateway: string, statusCode: number) {
+  metrics.increment(gatewayRequestsMetric, { gateway, status_code: String(statusCode) });
+}
+
+export function isMetricsEnabled(config: Config) {
+  const { cloudProvider } = config.nodeSettings;
+  return cloudProvider.type === 'local' && !!cloudProvider.enableMetrics;
+}
+
+/**
+ * Renders the metrics of this process together with the metrics persisted by the coordinator process.
+ */
+export function renderMetrics(basePath?: string) {
+  return metrics.render(metrics.merge(...metrics.readPersisted(basePath), metrics.getSnapshot()));
+}
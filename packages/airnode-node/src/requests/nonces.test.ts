@@ -2,6 +2,7 @@ import shuffle from 'lodash/shuffle';
 import * as nonces from './nonces';
 import * as fixtures from '../../test/fixtures';
 import * as providerState from '../providers/state';
+import { ReconciledNonces } from '../evm/nonce-manager';
 import { EVMProviderSponsorState, GroupedRequests, ProviderState } from '../types';
 
 describe('assign', () => {
@@ -95,4 +96,45 @@ describe('assign', () => {
     expect(res.withdrawals[1]).toEqual({ ...second, nonce: 12 });
     expect(res.withdrawals[2]).toEqual({ ...third, nonce: 13 });
   });
+
+  it('keeps the nonces of the persisted transactions and skips the nonces they reserve', () => {
+    const sponsorAddress = '0x69e2B095fbAc6C3f9E528Ef21882b86BF1595181';
+    const apiCalls = ['0x1', '0x2', '0x3', '0x4', '0x5', '0x6'].map((id, index) =>
+      fixtures.requests.buildApiCall({
+        id,
+        nonce: undefined,
+        metadata: fixtures.requests.buildMetadata({ blockNumber: 100 + index, transactionHash: id, logIndex: 0 }),
+        sponsorAddress,
+      })
+    );
+    const broadcastTransaction = { gasPrice: '1000', broadcastAt: 0 };
+    const reconciledNonces: ReconciledNonces = {
+      transactions: [
+        { ...broadcastTransaction, requestId: '0x1', nonce: 5, hash: '0xa', status: 'mined' },
+        { ...broadcastTransaction, requestId: '0x2', nonce: 6, hash: '0xb', status: 'pending' },
+        // The request of this transaction is no longer pending, but its nonce is still in use
+        { ...broadcastTransaction, requestId: '0x7', nonce: 7, hash: '0xc', status: 'pending' },
+        { ...broadcastTransaction, requestId: '0x3', nonce: 9, hash: '0xd', status: 'stuck' },
+        { ...broadcastTransaction, requestId: '0x4', nonce: 10, hash: '0xe', status: 'dropped' },
+        // The request of this transaction is no longer pending, so its nonce is free
+        { ...broadcastTransaction, requestId: '0x8', nonce: 11, hash: '0xf', status: 'dropped' },
+      ],
+      gaps: [8],
+    };
+
+    const state = providerState.update(mutableInitialState, {
+      requests: { apiCalls: shuffle(apiCalls), withdrawals: [] },
+      transactionCountsBySponsorAddress: { [sponsorAddress]: 5 },
+      sponsorAddress,
+    });
+    const res = nonces.assign(state, reconciledNonces);
+    expect(res.apiCalls).toEqual([
+      { ...apiCalls[0], nonce: 5, fulfillment: { hash: '0xa' } },
+      { ...apiCalls[1], nonce: 6, fulfillment: { hash: '0xb' } },
+      { ...apiCalls[2], nonce: 9 },
+      { ...apiCalls[3], nonce: 10 },
+      { ...apiCalls[4], nonce: 8 },
+      { ...apiCalls[5], nonce: 11 },
+    ]);
+  });
 });
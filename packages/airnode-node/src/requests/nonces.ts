@@ -1,5 +1,6 @@
 import * as grouping from './grouping';
 import * as sorting from './sorting';
+import { ReconciledNonces, ReconciledTransaction } from '../evm/nonce-manager';
 import { AnyRequest, GroupedRequests, ProviderState, Request, EVMProviderSponsorState } from '../types';
 
 interface AssignedNonces {
@@ -7,7 +8,40 @@ interface AssignedNonces {
   readonly requests: Request<AnyRequest>[];
 }
 
-function assignWalletNonces(flatRequests: Request<AnyRequest>[], transactionCount: number): Request<any>[] {
+function findNextFreeNonce(nonce: number, reservedNonces: number[]): number {
+  return reservedNonces.includes(nonce) ? findNextFreeNonce(nonce + 1, reservedNonces) : nonce;
+}
+
+function assignPersistedNonce(request: Request<AnyRequest>, transaction: ReconciledTransaction): Request<AnyRequest> {
+  switch (transaction.status) {
+    // The request is not submitted again while its transaction is mined or pending
+    case 'mined':
+    case 'pending':
+      return { ...request, nonce: transaction.nonce, fulfillment: { hash: transaction.hash } };
+    // The transaction is replaced by (or the nonce is filled with) a new transaction for the same request
+    case 'stuck':
+    case 'dropped':
+      return { ...request, nonce: transaction.nonce };
+  }
+}
+
+function assignWalletNonces(
+  flatRequests: Request<AnyRequest>[],
+  transactionCount: number,
+  reconciledNonces: ReconciledNonces
+): Request<any>[] {
+  const transactionsByRequestId = new Map(
+    reconciledNonces.transactions.map((transaction) => [transaction.requestId, transaction])
+  );
+  // The nonces of the persisted transactions are not assigned to other requests, except for the nonces of the dropped
+  // transactions whose requests are no longer pending
+  const reservedNonces = reconciledNonces.transactions
+    .filter(
+      (transaction) =>
+        transaction.status !== 'dropped' || flatRequests.some((request) => request.id === transaction.requestId)
+    )
+    .map(({ nonce }) => nonce);
+
   const initialState = {
     assignmentBlocked: false,
     nextNonce: transactionCount,
@@ -15,25 +49,34 @@ function assignWalletNonces(flatRequests: Request<AnyRequest>[], transactionCoun
   };
 
   const withNonces = flatRequests.reduce((acc: AssignedNonces, request) => {
-    const requestWithNonce = { ...request, nonce: acc.nextNonce };
+    const transaction = transactionsByRequestId.get(request.id);
+    if (transaction) {
+      return { ...acc, requests: [...acc.requests, assignPersistedNonce(request, transaction)] };
+    }
+
+    const nonce = findNextFreeNonce(acc.nextNonce, reservedNonces);
+    const requestWithNonce = { ...request, nonce };
     return {
       ...acc,
       requests: [...acc.requests, requestWithNonce],
-      nextNonce: acc.nextNonce + 1,
+      nextNonce: nonce + 1,
     };
   }, initialState);
 
   return withNonces.requests;
 }
 
-export function assign(state: ProviderState<EVMProviderSponsorState>): GroupedRequests {
+export function assign(
+  state: ProviderState<EVMProviderSponsorState>,
+  reconciledNonces: ReconciledNonces = { transactions: [], gaps: [] }
+): GroupedRequests {
   // Ensure requests are sorted before assigning nonces
   const sortedRequests = sorting.sortGroupedRequests(state.requests);
   // Flatten all requests into a single array so that nonces can be assigned across types
   const flatRequests = grouping.flattenRequests(sortedRequests);
   const transactionCount = state.transactionCountsBySponsorAddress[state.sponsorAddress];
-  // Assign nonces to each request
-  const flattenRequestsWithNonces = assignWalletNonces(flatRequests, transactionCount);
+  // Assign nonces to each request, where the requests with persisted transactions keep their nonces
+  const flattenRequestsWithNonces = assignWalletNonces(flatRequests, transactionCount, reconciledNonces);
 
   return grouping.groupRequests(flattenRequestsWithNonces);
 }
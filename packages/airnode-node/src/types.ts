@@ -17,6 +17,7 @@ import {
   Amount,
   ChainAuthorizers,
   ChainAuthorizations,
+  RetryableError,
 } from './config';
 import { apiCallParametersSchema } from './validation';
 import { AirnodeRrpV0 } from './evm/contracts';
@@ -43,6 +44,7 @@ export enum RequestErrorMessage {
   UnknownEndpointName = 'Unknown endpoint name',
   NoMatchingAggregatedApiCall = 'No matching aggregated API call',
   ApiCallFailed = 'API call failed',
+  ApiServerUnavailable = 'API call skipped as the API server is unavailable',
   ReservedParametersInvalid = 'Reserved parameters are invalid',
   FulfillTransactionFailed = 'Fulfill transaction failed',
   GasEstimationFailed = 'Gas estimation failed',
@@ -183,6 +185,12 @@ export interface CoordinatorState {
   readonly providerStates: ProviderStates;
   readonly coordinatorId: string;
   readonly settings: CoordinatorSettings;
+  // Airnode RRP logs fetched ahead of the coordinator run (e.g. by the daemon) for each chain ID and provider name
+  readonly eventLogsByProvider?: EventLogsByProvider;
+}
+
+export interface EventLogsByProvider {
+  readonly [chainId: string]: { readonly [providerName: string]: ethers.providers.Log[] };
 }
 
 export interface CoordinatorStateWithApiResponses extends CoordinatorState {
@@ -204,6 +212,8 @@ export interface EVMProviderState {
   readonly provider: ethers.providers.JsonRpcProvider;
   readonly masterHDNode: ethers.utils.HDNode;
   readonly currentBlock: number | null;
+  // When set, pending requests are derived from these logs instead of fetching the logs from the provider
+  readonly eventLogs?: ethers.providers.Log[];
 }
 
 export interface EVMProviderSponsorState extends EVMProviderState {
@@ -236,20 +246,27 @@ export type ApiCallResponse = RegularApiCallResponse | HttpGatewayApiCallRespons
 export interface RegularApiCallSuccessResponse {
   success: true;
   data: { encodedValue: string; signature: string };
+  // The base URL of the API server which served the response, which is missing if the API call is skipped
+  apiServerUrl?: string;
   reservedParameterOverrides?: {
     gasPrice?: string;
   };
 }
 
+// The base URL of the API server which served the response
+export interface HttpGatewayResponseMetadata {
+  apiServerUrl: string;
+}
+
 export interface HttpGatewayApiCallSuccessResponse {
   success: true;
-  data: { values: unknown[]; rawValue: unknown; encodedValue: string };
+  data: { values: unknown[]; rawValue: unknown; encodedValue: string; metadata?: HttpGatewayResponseMetadata };
 }
 
 export interface HttpGatewayApiCallPartialResponse {
   success: true;
   errorMessage: string;
-  data: unknown;
+  data: { rawValue: unknown; metadata?: HttpGatewayResponseMetadata };
 }
 
 export interface HttpSignedDataApiCallSuccessResponse {
@@ -257,14 +274,25 @@ export interface HttpSignedDataApiCallSuccessResponse {
   data: { timestamp: string; encodedValue: string; signature: string };
 }
 
+// Each item of the batch response has its own status code, as if it was requested separately
+export type HttpSignedDataBatchItemResponse =
+  | { statusCode: 200; data: HttpSignedDataApiCallSuccessResponse['data'] }
+  | { statusCode: number; error: { message: string } };
+
 export interface SignOevDataResponse {
   success: true;
   data: string[]; // Signatures for the beacons of this Airnode in order they were provided
 }
 
+export type ApiCallErrorClass = { type: 'status'; statusCode: number } | { type: RetryableError } | { type: 'other' };
+
 export interface ApiCallErrorResponse {
   success: false;
   errorMessage: string;
+  // The class of the error returned by the API server, which is missing if the API call failed before reaching it
+  errorClass?: ApiCallErrorClass;
+  // The base URL of the API server which returned the error, if it is known
+  apiServerUrl?: string;
   reservedParameterOverrides?: {
     gasPrice?: string;
   };
@@ -307,9 +335,20 @@ export interface HttpSignedDataAggregatedApiCall extends BaseAggregatedApiCall {
   endpointId: string;
   templateId: string;
   template: ApiCallTemplate;
+  upstreamTimestamp?: boolean;
 }
 
-export type HttpApiCallConfig = Pick<Config, 'ois' | 'apiCredentials'>;
+export type HttpApiCallConfig = Pick<
+  Config,
+  | 'ois'
+  | 'apiCredentials'
+  | 'retryPolicies'
+  | 'serverSelectionPolicies'
+  | 'oauth2Credentials'
+  | 'hmacSecuritySchemes'
+  | 'responseFormats'
+  | 'jsonBodyEncodings'
+>;
 
 export type RegularApiCallConfig = HttpApiCallConfig &
   Pick<Config, 'chains'> & {
@@ -0,0 +1,294 @@
+import { Request, Response } from 'express';
+import {
+  createTokenBucketLimiter,
+  gatewayAccessControl,
+  getAuthHeaders,
+  getRequestedEndpointIds,
+  RequestWithRawBody,
+  signGatewayRequest,
+  verifyApiKey,
+  verifyHmacSignature,
+  RATE_LIMIT_MAX_BUCKETS,
+} from './access-control';
+import { EnabledGateway } from '../../config';
+
+const apiKey = 'f2a1b6c4-0e2d-4b1f-9c3e-8a7d6e5f4c3b';
+const secret = 'ed1c32a8b6b2e1d0a3f4c5b6a7d8e9f0';
+const path = '/http-signed-data/01234567-abcd-abcd-abcd-012345678abc/0xabc';
+const body = '{"encodedParameters":"0x"}';
+
+const buildRequest = (overrides: Partial<RequestWithRawBody> = {}) =>
+  ({
+    method: 'POST',
+    originalUrl: path,
+    headers: {},
+    params: { endpointId: '0xabc' },
+    ip: '127.0.0.1',
+    rawBody: Buffer.from(body),
+    ...overrides,
+  }) as RequestWithRawBody;
+
+const buildResponse = () => {
+  const res = { set: jest.fn(), status: jest.fn(), send: jest.fn() };
+  res.set.mockReturnValue(res);
+  res.status.mockReturnValue(res);
+  return res;
+};
+
+describe('getAuthHeaders', () => {
+  it('returns the headers used by the authentication', () => {
+    expect(getAuthHeaders()).toEqual([]);
+    expect(getAuthHeaders({ type: 'apiKeys', apiKeys: [apiKey] })).toEqual(['x-api-key']);
+    expect(getAuthHeaders({ type: 'hmac', clients: [{ clientId: 'feeder', secret }] })).toEqual([
+      'x-airnode-client-id',
+      'x-airnode-timestamp',
+      'x-airnode-signature',
+    ]);
+  });
+});
+
+describe('verifyApiKey', () => {
+  it('accepts the configured API keys', () => {
+    const result = verifyApiKey(['another-api-key', apiKey], buildRequest({ headers: { 'x-api-key': apiKey } }));
+
+    expect(result).toEqual({ success: true, clientId: expect.any(String) });
+    expect(JSON.stringify(result)).not.toContain(apiKey);
+  });
+
+  it('rejects missing and unknown API keys', () => {
+    const error = { success: false, error: { message: 'Invalid API key' } };
+    expect(verifyApiKey([apiKey], buildRequest())).toEqual(error);
+    expect(verifyApiKey([apiKey], buildRequest({ headers: { 'x-api-key': `${apiKey}0` } }))).toEqual(error);
+  });
+});
+
+describe('verifyHmacSignature', () => {
+  const clients = [{ clientId: 'feeder', secret }];
+  const now = 1_700_000_000_000;
+  const timestamp = now / 1000;
+
+  const buildSignedRequest = (requestTimestamp = timestamp, signature?: string) =>
+    buildRequest({
+      headers: {
+        'x-airnode-client-id': 'feeder',
+        'x-airnode-timestamp': String(requestTimestamp),
+        'x-airnode-signature': signature ?? signGatewayRequest(secret, requestTimestamp, 'POST', path, body),
+      },
+    });
+
+  it('accepts requests signed by a known client', () => {
+    expect(verifyHmacSignature(clients, buildSignedRequest(), now)).toEqual({ success: true, clientId: 'feeder' });
+  });
+
+  it('rejects requests with an invalid signature', () => {
+    const otherSignature = signGatewayRequest(secret, timestamp, 'POST', path, '{}');
+
+    expect(verifyHmacSignature(clients, buildSignedRequest(timestamp, otherSignature), now)).toEqual({
+      success: false,
+      error: { message: 'Invalid request signature' },
+    });
+    expect(verifyHmacSignature([{ clientId: 'other', secret }], buildSignedRequest(), now)).toEqual({
+      success: false,
+      error: { message: 'Invalid request signature' },
+    });
+  });
+
+  it('rejects requests with a timestamp out of the allowed range', () => {
+    expect(verifyHmacSignature(clients, buildSignedRequest(timestamp - 301), now)).toEqual({
+      success: false,
+      error: { message: 'Request timestamp is out of the allowed range' },
+    });
+  });
+});
+
+describe('createTokenBucketLimiter', () => {
+  it('allows bursts up to the capacity and refills the tokens over time', () => {
+    const limiter = createTokenBucketLimiter({ capacity: 2, refillPerSecond: 0.5 });
+
+    expect(limiter.consume('client', 0)).toEqual({ allowed: true });
+    expect(limiter.consume('client', 0)).toEqual({ allowed: true });
+    expect(limiter.consume('client', 0)).toEqual({ allowed: false, retryAfterSeconds: 2 });
+    // Other keys have separate buckets
+    expect(limiter.consume('other-client', 0)).toEqual({ allowed: true });
+
+    expect(limiter.consume('client', 1_000)).toEqual({ allowed: false, retryAfterSeconds: 1 });
+    expect(limiter.consume('client', 2_000)).toEqual({ allowed: true });
+    expect(limiter.consume('client', 2_000)).toEqual({ allowed: false, retryAfterSeconds: 2 });
+  });
+
+  it('checks the tokens without taking them', () => {
+    const limiter = createTokenBucketLimiter({ capacity: 2, refillPerSecond: 1 });
+
+    expect(limiter.check('client', 0, 2)).toEqual({ allowed: true });
+    expect(limiter.consume('client', 0, 2)).toEqual({ allowed: true });
+    expect(limiter.check('client', 0)).toEqual({ allowed: false, retryAfterSeconds: 1 });
+  });
+
+  it('takes as many tokens as the request costs', () => {
+    const limiter = createTokenBucketLimiter({ capacity: 5, refillPerSecond: 1 });
+
+    expect(limiter.consume('client', 0, 4)).toEqual({ allowed: true });
+    expect(limiter.consume('client', 0, 2)).toEqual({ allowed: false, retryAfterSeconds: 1 });
+    expect(limiter.consume('client', 0, 1)).toEqual({ allowed: true });
+  });
+
+  it('never allows a cost above the capacity', () => {
+    const limiter = createTokenBucketLimiter({ capacity: 2, refillPerSecond: 1 });
+
+    expect(limiter.check('client', 0, 3)).toEqual({ allowed: false, exceedsCapacity: true });
+    expect(limiter.consume('client', 0, 3)).toEqual({ allowed: false, exceedsCapacity: true });
+    expect(limiter.consume('client', 0, 2)).toEqual({ allowed: true });
+  });
+
+  it('prunes the buckets which are full again', () => {
+    const limiter = createTokenBucketLimiter({ capacity: 1, refillPerSecond: 1 });
+    Array.from({ length: RATE_LIMIT_MAX_BUCKETS }).forEach((_, index) => limiter.consume(`client-${index}`, 0));
+
+    expect(limiter.consume('client-0', 500)).toEqual({ allowed: false, retryAfterSeconds: 1 });
+    // Adding a new bucket prunes the full buckets, which makes no difference for their clients
+    expect(limiter.consume('new-client', 1_000)).toEqual({ allowed: true });
+    expect(limiter.consume('client-1', 1_000)).toEqual({ allowed: true });
+  });
+
+  it('evicts the least recently used bucket if none of the buckets is full again', () => {
+    const limiter = createTokenBucketLimiter({ capacity: 1, refillPerSecond: 0.001 });
+    Array.from({ length: RATE_LIMIT_MAX_BUCKETS }).forEach((_, index) => limiter.consume(`client-${index}`, index));
+
+    expect(limiter.consume('new-client', RATE_LIMIT_MAX_BUCKETS)).toEqual({ allowed: true });
+    // The bucket of the first client is evicted, while the others are kept
+    expect(limiter.check('client-0', RATE_LIMIT_MAX_BUCKETS)).toEqual({ allowed: true });
+    expect(limiter.check('client-1', RATE_LIMIT_MAX_BUCKETS)).toEqual({ allowed: false, retryAfterSeconds: 991 });
+    expect(limiter.check('new-client', RATE_LIMIT_MAX_BUCKETS)).toEqual({ allowed: false, retryAfterSeconds: 1000 });
+  });
+});
+
+describe('getRequestedEndpointIds', () => {
+  it('returns the endpoint ID of the single and the batch requests', () => {
+    expect(getRequestedEndpointIds(buildRequest())).toEqual(['0xabc']);
+    expect(
+      getRequestedEndpointIds(
+        buildRequest({ params: {}, body: [{ endpointId: '0xabc' }, { endpointId: '0xdef' }, {}, null] })
+      )
+    ).toEqual(['0xabc', '0xdef']);
+    expect(getRequestedEndpointIds(buildRequest({ params: {}, body: { endpointId: '0xabc' } }))).toEqual([]);
+  });
+});
+
+describe('gatewayAccessControl', () => {
+  const gateway: EnabledGateway = {
+    enabled: true,
+    maxConcurrency: 10,
+    corsOrigins: [],
+    auth: { type: 'apiKeys', apiKeys: [apiKey] },
+    rateLimit: { perClient: { capacity: 1, refillPerSecond: 0.1 }, perEndpoint: { capacity: 2, refillPerSecond: 0.1 } },
+  };
+
+  it('passes the preflight requests through', () => {
+    const next = jest.fn();
+    const res = buildResponse();
+
+    gatewayAccessControl('httpSignedDataGateway', gateway)(
+      buildRequest({ method: 'OPTIONS' }),
+      res as unknown as Response,
+      next
+    );
+
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(res.status).not.toHaveBeenCalled();
+  });
+
+  it('rejects unauthenticated requests', () => {
+    const next = jest.fn();
+    const res = buildResponse();
+
+    gatewayAccessControl('httpSignedDataGateway', gateway)(buildRequest(), res as unknown as Response, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.send).toHaveBeenCalledWith({ message: 'Invalid API key' });
+  });
+
+  it('applies the rate limits per client and per endpoint', () => {
+    const next = jest.fn();
+    const middleware = gatewayAccessControl('httpSignedDataGateway', { ...gateway, auth: undefined });
+    const request = (ip: string) => {
+      const res = buildResponse();
+      middleware(buildRequest({ ip } as Partial<Request>), res as unknown as Response, next);
+      return res;
+    };
+
+    request('1.1.1.1');
+    const rateLimitedClientRes = request('1.1.1.1');
+    expect(rateLimitedClientRes.status).toHaveBeenCalledWith(429);
+    expect(rateLimitedClientRes.set).toHaveBeenCalledWith('Retry-After', '10');
+
+    request('2.2.2.2');
+    const rateLimitedEndpointRes = request('3.3.3.3');
+    expect(rateLimitedEndpointRes.status).toHaveBeenCalledWith(429);
+    expect(rateLimitedEndpointRes.send).toHaveBeenCalledWith({ message: 'Too many requests' });
+
+    expect(next).toHaveBeenCalledTimes(2);
+  });
+
+  it('applies the rate limits to each item of a batch request', () => {
+    const next = jest.fn();
+    const middleware = gatewayAccessControl('httpSignedDataGateway', {
+      ...gateway,
+      auth: undefined,
+      rateLimit: { perClient: { capacity: 3, refillPerSecond: 0.1 }, perEndpoint: gateway.rateLimit!.perEndpoint },
+    });
+    const request = (body: unknown) => {
+      const res = buildResponse();
+      middleware(buildRequest({ params: {}, body }), res as unknown as Response, next);
+      return res;
+    };
+
+    request([{ endpointId: '0xabc' }, { endpointId: '0xabc' }]);
+    const rateLimitedEndpointRes = request([{ endpointId: '0xabc' }]);
+    expect(rateLimitedEndpointRes.status).toHaveBeenCalledWith(429);
+
+    const rateLimitedClientRes = request([{ endpointId: '0xdef' }, { endpointId: '0xdef' }]);
+    expect(rateLimitedClientRes.status).toHaveBeenCalledWith(429);
+    expect(next).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects the batch requests which cost more than the capacity of a rate limit', () => {
+    const next = jest.fn();
+    const res = buildResponse();
+    const body = [{ endpointId: '0xabc' }, { endpointId: '0xabc' }, { endpointId: '0xabc' }];
+
+    gatewayAccessControl('httpSignedDataGateway', {
+      ...gateway,
+      auth: undefined,
+      rateLimit: { perClient: { capacity: 3, refillPerSecond: 0.1 }, perEndpoint: gateway.rateLimit!.perEndpoint },
+    })(buildRequest({ params: {}, body }), res as unknown as Response, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.send).toHaveBeenCalledWith({ message: 'Request exceeds the rate limit capacity' });
+    expect(res.set).not.toHaveBeenCalled();
+  });
+
+  it('does not take any tokens for the rejected requests', () => {
+    const next = jest.fn();
+    const middleware = gatewayAccessControl('httpSignedDataGateway', {
+      ...gateway,
+      auth: undefined,
+      rateLimit: { perClient: { capacity: 4, refillPerSecond: 0.1 }, perEndpoint: gateway.rateLimit!.perEndpoint },
+    });
+    const request = (body: unknown) => {
+      const res = buildResponse();
+      middleware(buildRequest({ params: {}, body }), res as unknown as Response, next);
+      return res;
+    };
+
+    request([{ endpointId: '0xabc' }]);
+    // The endpoint "0xdef" is within its limit, but the request is rejected because of the endpoint "0xabc"
+    const rateLimitedEndpointRes = request([{ endpointId: '0xdef' }, { endpointId: '0xabc' }, { endpointId: '0xabc' }]);
+    expect(rateLimitedEndpointRes.status).toHaveBeenCalledWith(429);
+
+    const res = request([{ endpointId: '0xdef' }, { endpointId: '0xdef' }, { endpointId: '0xabc' }]);
+    expect(res.status).not.toHaveBeenCalled();
+    expect(next).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,235 @@
+import { createHmac, createHash, timingSafeEqual } from 'crypto';
+import countBy from 'lodash/countBy';
+import minBy from 'lodash/minBy';
+import { logger } from '@api3/airnode-utilities';
+import { NextFunction, Request, Response } from 'express';
+import { EnabledGateway, GatewayAuth, TokenBucket } from '../../config';
+
+export const API_KEY_HEADER = 'x-api-key';
+export const CLIENT_ID_HEADER = 'x-airnode-client-id';
+export const TIMESTAMP_HEADER = 'x-airnode-timestamp';
+export const SIGNATURE_HEADER = 'x-airnode-signature';
+
+// The maximum difference between the timestamp of an HMAC signed request and the current time
+export const HMAC_TIMESTAMP_DEVIATION_SECONDS = 5 * 60;
+// The maximum number of buckets of a limiter. Adding a bucket beyond this prunes the buckets which are full again, or
+// evicts the least recently used bucket if none of them is.
+export const RATE_LIMIT_MAX_BUCKETS = 10_000;
+
+export type AuthResult = { success: true; clientId: string } | { success: false; error: { message: string } };
+
+// The raw body is needed to verify the HMAC signature, because the parsed JSON body might serialize differently
+export type RequestWithRawBody = Request & { rawBody?: Buffer };
+
+const safeEqual = (a: string, b: string) => {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && timingSafeEqual(bufferA, bufferB);
+};
+
+const getHeader = (req: Request, name: string) => {
+  const value = req.headers[name];
+  return Array.isArray(value) ? value[0] : value;
+};
+
+export function getAuthHeaders(auth?: GatewayAuth) {
+  if (!auth) return [];
+  return auth.type === 'apiKeys' ? [API_KEY_HEADER] : [CLIENT_ID_HEADER, TIMESTAMP_HEADER, SIGNATURE_HEADER];
+}
+
+/**
+ * Signs the request as expected by the gateways using the "hmac" authentication. The signature is the hex encoded
+ * HMAC-SHA256 of the timestamp (in seconds), the HTTP method, the request path and the raw request body, joined by
+ * newlines.
+ */
+export function signGatewayRequest(secret: string, timestamp: number, method: string, path: string, body: string) {
+  return createHmac('sha256', secret).update([timestamp, method.toUpperCase(), path, body].join('\n')).digest('hex');
+}
+
+export function verifyApiKey(apiKeys: string[], req: Request): AuthResult {
+  const apiKey = getHeader(req, API_KEY_HEADER);
+  if (apiKey && apiKeys.some((allowedApiKey) => safeEqual(allowedApiKey, apiKey))) {
+    // The API key itself is not used as the client identifier, because the identifier ends up in the logs
+    return { success: true, clientId: createHash('sha256').update(apiKey).digest('hex').substring(0, 16) };
+  }
+
+  return { success: false, error: { message: 'Invalid API key' } };
+}
+
+export function verifyHmacSignature(
+  clients: { clientId: string; secret: string }[],
+  req: RequestWithRawBody,
+  now = Date.now()
+): AuthResult {
+  const clientId = getHeader(req, CLIENT_ID_HEADER);
+  const timestamp = Number(getHeader(req, TIMESTAMP_HEADER));
+  const signature = getHeader(req, SIGNATURE_HEADER);
+  const client = clients.find((client) => client.clientId === clientId);
+  if (!client || !signature || !Number.isInteger(timestamp)) {
+    return { success: false, error: { message: 'Invalid request signature' } };
+  }
+
+  // Requests with a timestamp too far from the current time are rejected to limit replay attacks
+  if (Math.abs(Math.floor(now / 1000) - timestamp) > HMAC_TIMESTAMP_DEVIATION_SECONDS) {
+    return { success: false, error: { message: 'Request timestamp is out of the allowed range' } };
+  }
+
+  const body = req.rawBody?.toString() ?? '';
+  const expectedSignature = signGatewayRequest(client.secret, timestamp, req.method, req.originalUrl, body);
+  if (!safeEqual(expectedSignature, signature.toLowerCase())) {
+    return { success: false, error: { message: 'Invalid request signature' } };
+  }
+
+  return { success: true, clientId: client.clientId };
+}
+
+export function verifyGatewayAuth(auth: GatewayAuth | undefined, req: RequestWithRawBody): AuthResult {
+  if (!auth) {
+    // Without authentication the clients are told apart by their IP address
+    return { success: true, clientId: req.ip ?? 'unknown' };
+  }
+
+  switch (auth.type) {
+    case 'apiKeys':
+      return verifyApiKey(auth.apiKeys, req);
+    case 'hmac':
+      return verifyHmacSignature(auth.clients, req);
+  }
+}
+
+interface BucketState {
+  readonly tokens: number;
+  readonly updatedAt: number;
+}
+
+export type RateLimitResult =
+  | { allowed: true }
+  | { allowed: false; retryAfterSeconds: number }
+  // The cost is above the capacity of the bucket, so the request is never allowed
+  | { allowed: false; exceedsCapacity: true };
+
+/**
+ * Creates a token bucket rate limiter which keeps a separate bucket for each key. Each request takes a token (or more
+ * tokens, if it costs more) from the bucket of its key and the buckets are refilled continuously up to their capacity.
+ * A request which is limited by several buckets is checked against all of them before it takes tokens from any.
+ */
+export function createTokenBucketLimiter({ capacity, refillPerSecond }: TokenBucket) {
+  let buckets: { readonly [key: string]: BucketState } = {};
+
+  const getTokens = (bucket: BucketState | undefined, now: number) =>
+    bucket ? Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) / 1000) * refillPerSecond) : capacity;
+
+  // An evicted bucket is full the next time it is used, so the least recently used one is evicted only if there are no
+  // buckets which are full already
+  const makeRoom = (now: number) => {
+    buckets = Object.fromEntries(Object.entries(buckets).filter(([_key, bucket]) => getTokens(bucket, now) < capacity));
+    if (Object.keys(buckets).length < RATE_LIMIT_MAX_BUCKETS) return;
+
+    const [leastRecentlyUsedKey] = minBy(Object.entries(buckets), ([_key, bucket]) => bucket.updatedAt)!;
+    const { [leastRecentlyUsedKey]: _evictedBucket, ...remainingBuckets } = buckets;
+    buckets = remainingBuckets;
+  };
+
+  // Checks whether the bucket of the key has enough tokens for the cost, without taking them
+  const check = (key: string, now = Date.now(), cost = 1): RateLimitResult => {
+    if (cost > capacity) return { allowed: false, exceedsCapacity: true };
+
+    const tokens = getTokens(buckets[key], now);
+    if (tokens < cost) {
+      return { allowed: false, retryAfterSeconds: Math.ceil((cost - tokens) / refillPerSecond) };
+    }
+
+    return { allowed: true };
+  };
+
+  const consume = (key: string, now = Date.now(), cost = 1): RateLimitResult => {
+    const result = check(key, now, cost);
+    if (!result.allowed) return result;
+
+    if (!buckets[key] && Object.keys(buckets).length >= RATE_LIMIT_MAX_BUCKETS) makeRoom(now);
+    buckets = { ...buckets, [key]: { tokens: getTokens(buckets[key], now) - cost, updatedAt: now } };
+    return result;
+  };
+
+  return { check, consume };
+}
+
+export type TokenBucketLimiter = ReturnType<typeof createTokenBucketLimiter>;
+
+// Returns the endpoint IDs of the request, which are in the request body in case of a batch request
+export function getRequestedEndpointIds(req: Request): string[] {
+  if (req.params.endpointId) return [req.params.endpointId];
+  if (!Array.isArray(req.body)) return [];
+
+  return req.body.map((item) => item?.endpointId).filter((endpointId) => typeof endpointId === 'string');
+}
+
+/**
+ * Creates an express middleware which authenticates the gateway requests and applies the rate limits of the gateway.
+ * The CORS preflight requests are passed through, because the browsers do not send the authentication headers with
+ * them.
+ */
+export function gatewayAccessControl(gatewayName: string, gateway: EnabledGateway) {
+  const { auth, rateLimit } = gateway;
+  const perClientLimiter = rateLimit?.perClient ? createTokenBucketLimiter(rateLimit.perClient) : null;
+  const perEndpointLimiter = rateLimit?.perEndpoint ? createTokenBucketLimiter(rateLimit.perEndpoint) : null;
+
+  const rejectRateLimited = (res: Response, rateLimitResult: RateLimitResult) => {
+    if (rateLimitResult.allowed) return false;
+
+    // Retrying such a request would not help, e.g. a batch request with more items than the rate limit allows at once
+    if ('exceedsCapacity' in rateLimitResult) {
+      res.status(400).send({ message: 'Request exceeds the rate limit capacity' });
+      return true;
+    }
+
+    res
+      .set('Retry-After', String(rateLimitResult.retryAfterSeconds))
+      .status(429)
+      .send({ message: 'Too many requests' });
+    return true;
+  };
+
+  return function (req: RequestWithRawBody, res: Response, next: NextFunction) {
+    if (req.method === 'OPTIONS') {
+      next();
+      return;
+    }
+
+    const authResult = verifyGatewayAuth(auth, req);
+    if (!authResult.success) {
+      logger.error(`${gatewayName} request authentication error: ${authResult.error.message}`);
+      res.status(401).send(authResult.error);
+      return;
+    }
+
+    // Each item of a batch request costs as much as a separate request
+    const endpointIds = getRequestedEndpointIds(req);
+    const cost = Math.max(endpointIds.length, 1);
+
+    // All the buckets of the request are checked before any of them is consumed, so that a rejected request does not
+    // use up the rate limits of its client or of its other endpoints
+    const now = Date.now();
+    const { clientId } = authResult;
+    if (perClientLimiter && rejectRateLimited(res, perClientLimiter.check(clientId, now, cost))) {
+      logger.error(`${gatewayName} request from client:${clientId} exceeded the rate limit`);
+      return;
+    }
+
+    const endpointCosts = Object.entries(countBy(endpointIds));
+    const rateLimitedEndpoint = perEndpointLimiter
+      ? endpointCosts.find(([endpointId, endpointCost]) =>
+          rejectRateLimited(res, perEndpointLimiter.check(endpointId, now, endpointCost))
+        )
+      : undefined;
+    if (rateLimitedEndpoint) {
+      logger.error(`${gatewayName} request for Endpoint ID:${rateLimitedEndpoint[0]} exceeded the rate limit`);
+      return;
+    }
+
+    perClientLimiter?.consume(clientId, now, cost);
+    endpointCosts.forEach(([endpointId, endpointCost]) => perEndpointLimiter?.consume(endpointId, now, endpointCost));
+
+    next();
+  };
+}
@@ -1,2 +1,2 @@
 export * from './validation';
-export { DEFAULT_PATH_KEY } from './server';
+export { deriveGatewayPathKey, getGatewayPathKey, GATEWAY_PATH_KEY_SECRET } from './path-key';
@@ -0,0 +1,74 @@
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  createGatewayPathKeyResolver,
+  deriveGatewayPathKey,
+  getGatewayPathKey,
+  readGatewayPathKeySecret,
+} from './path-key';
+import * as fixtures from '../../../test/fixtures';
+
+describe('gateway path key', () => {
+  const config = fixtures.buildConfig();
+  const { airnodeWalletMnemonic, stage } = config.nodeSettings;
+  const rotatedPathKey = 'c0ffee00-1234-4567-89ab-0123456789ab';
+  let secretsPath: string;
+  let basePath: string;
+
+  beforeEach(() => {
+    basePath = mkdtempSync(join(tmpdir(), 'airnode-secrets-'));
+    secretsPath = join(basePath, 'secrets.env');
+  });
+
+  afterEach(() => {
+    rmSync(basePath, { recursive: true, force: true });
+  });
+
+  describe('deriveGatewayPathKey', () => {
+    it('derives a path key formatted as UUID per deployment', () => {
+      const pathKey = deriveGatewayPathKey(airnodeWalletMnemonic, stage);
+
+      expect(pathKey).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/);
+      expect(deriveGatewayPathKey(airnodeWalletMnemonic, stage)).toEqual(pathKey);
+      expect(deriveGatewayPathKey(airnodeWalletMnemonic, 'other-stage')).not.toEqual(pathKey);
+    });
+  });
+
+  describe('readGatewayPathKeySecret', () => {
+    it('reads the path key from the secrets file', () => {
+      writeFileSync(secretsPath, `OTHER_SECRET=value\nGATEWAY_PATH_KEY=${rotatedPathKey}\n`);
+
+      expect(readGatewayPathKeySecret(secretsPath)).toEqual(rotatedPathKey);
+    });
+
+    it('returns undefined if the secret is missing or invalid', () => {
+      expect(readGatewayPathKeySecret(secretsPath)).toBeUndefined();
+
+      writeFileSync(secretsPath, 'GATEWAY_PATH_KEY=too-short\n');
+      expect(readGatewayPathKeySecret(secretsPath)).toBeUndefined();
+    });
+  });
+
+  describe('getGatewayPathKey', () => {
+    it('falls back to the derived path key', () => {
+      expect(getGatewayPathKey(config, secretsPath)).toEqual(deriveGatewayPathKey(airnodeWalletMnemonic, stage));
+
+      writeFileSync(secretsPath, `GATEWAY_PATH_KEY=${rotatedPathKey}\n`);
+      expect(getGatewayPathKey(config, secretsPath)).toEqual(rotatedPathKey);
+    });
+  });
+
+  describe('createGatewayPathKeyResolver', () => {
+    it('picks up the rotated path key after the refresh interval', () => {
+      const getPathKey = createGatewayPathKeyResolver(config, secretsPath, 10_000);
+      const now = Date.now();
+      const derivedPathKey = deriveGatewayPathKey(airnodeWalletMnemonic, stage);
+      expect(getPathKey(now)).toEqual(derivedPathKey);
+
+      writeFileSync(secretsPath, `GATEWAY_PATH_KEY=${rotatedPathKey}\n`);
+      expect(getPathKey(now + 1_000)).toEqual(derivedPathKey);
+      expect(getPathKey(now + 10_000)).toEqual(rotatedPathKey);
+    });
+  });
+});
@@ -0,0 +1,80 @@
+import { readFileSync } from 'fs';
+import path from 'path';
+import { logger } from '@api3/airnode-utilities';
+import { goSync } from '@api3/promise-utils';
+import dotenv from 'dotenv';
+import { ethers } from 'ethers';
+import { Config } from '../../config';
+import { GATEWAY_PATH_KEY_REFRESH_INTERVAL } from '../../constants';
+
+// The name of the secret which sets the path key of the local gateways
+export const GATEWAY_PATH_KEY_SECRET = 'GATEWAY_PATH_KEY';
+
+export const SECRETS_PATH = path.resolve(`${__dirname}/../../../config/secrets.env`);
+
+const pathKeyRegex = /^[a-zA-Z0-9-]{16,128}$/;
+
+/**
+ * Derives the path key of the local gateways of a deployment. The path key is derived from the Airnode wallet, so that
+ * it can not be guessed, and from the stage, so that each deployment of the same Airnode has a different path key. The
+ * result is formatted as a UUID.
+ */
+export function deriveGatewayPathKey(airnodeWalletMnemonic: string, stage: string) {
+  const { privateKey } = ethers.Wallet.fromMnemonic(airnodeWalletMnemonic);
+  const hash = ethers.utils.solidityKeccak256(['bytes32', 'string', 'string'], [privateKey, 'gateway-path-key', stage]);
+
+  return [hash.slice(2, 10), hash.slice(10, 14), hash.slice(14, 18), hash.slice(18, 22), hash.slice(22, 34)].join('-');
+}
+
+/**
+ * Reads the path key from the secrets file. The file is read on each call (instead of relying on the environment
+ * variables) so that the path key can be rotated without restarting the container.
+ */
+export function readGatewayPathKeySecret(secretsPath = SECRETS_PATH) {
+  const goSecrets = goSync(() => dotenv.parse(readFileSync(secretsPath)));
+  const pathKey = goSecrets.success ? goSecrets.data[GATEWAY_PATH_KEY_SECRET] : undefined;
+  if (!pathKey) return undefined;
+
+  if (!pathKeyRegex.test(pathKey)) {
+    logger.error(
+      `Ignoring the "${GATEWAY_PATH_KEY_SECRET}" secret, because it must consist of 16 to 128 alphanumeric characters or dashes`
+    );
+    return undefined;
+  }
+  return pathKey;
+}
+
+export function getGatewayPathKey(config: Config, secretsPath = SECRETS_PATH) {
+  const { airnodeWalletMnemonic, stage } = config.nodeSettings;
+
+  return readGatewayPathKeySecret(secretsPath) ?? deriveGatewayPathKey(airnodeWalletMnemonic, stage);
+}
+
+/**
+ * Creates a function returning the current gateway path key. The path key is cached for a short time, because it is
+ * needed for each gateway request.
+ */
+export function createGatewayPathKeyResolver(
+  config: Config,
+  secretsPath = SECRETS_PATH,
+  refreshIntervalMs = GATEWAY_PATH_KEY_REFRESH_INTERVAL
+) {
+  const { airnodeWalletMnemonic, stage } = config.nodeSettings;
+  // Deriving the path key is expensive, so it is done only once
+  const derivedPathKey = deriveGatewayPathKey(airnodeWalletMnemonic, stage);
+  let cachedPathKey = { pathKey: readGatewayPathKeySecret(secretsPath) ?? derivedPathKey, resolvedAt: Date.now() };
+
+  return (now = Date.now()) => {
+    if (now - cachedPathKey.resolvedAt >= refreshIntervalMs) {
+      const pathKey = readGatewayPathKeySecret(secretsPath) ?? derivedPathKey;
+      if (pathKey !== cachedPathKey.pathKey) {
+        logger.info('Gateway path key has been rotated');
+      }
+      cachedPathKey = { pathKey, resolvedAt: now };
+    }
+
+    return cachedPathKey.pathKey;
+  };
+}
+
+export type GatewayPathKeyResolver = ReturnType<typeof createGatewayPathKeyResolver>;
@@ -1,4 +1,7 @@
-import { getGatewaysUrl } from './server';
+import { EventEmitter } from 'events';
+import { metrics } from '@api3/airnode-utilities';
+import { Request, Response } from 'express';
+import { countGatewayRequests, getGatewaysUrl, verifyPathKey } from './server';
 
 describe('getGatewaysUrl', () => {
   it('returns full gateway URL', () => {
@@ -17,3 +20,53 @@ describe('getGatewaysUrl', () => {
     expect(getGatewaysUrl()).toEqual('http://localhost:3000');
   });
 });
+
+describe('countGatewayRequests', () => {
+  beforeEach(() => {
+    metrics.reset();
+  });
+
+  it('counts the request by the status code once the response is sent', () => {
+    const res = new EventEmitter() as EventEmitter & { statusCode: number };
+    const next = jest.fn();
+
+    countGatewayRequests('httpSignedDataGateway')({} as Request, res as unknown as Response, next);
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(metrics.getSnapshot()).toEqual({});
+
+    res.statusCode = 400;
+    res.emit('finish');
+
+    expect(metrics.render()).toContain(
+      'airnode_gateway_requests_total{gateway="httpSignedDataGateway",status_code="400"} 1'
+    );
+  });
+});
+
+describe('verifyPathKey', () => {
+  const pathKey = 'c0ffee00-1234-4567-89ab-0123456789ab';
+
+  it('passes the requests with the current path key through', () => {
+    const next = jest.fn();
+
+    verifyPathKey(() => pathKey)({ params: { pathKey } } as unknown as Request, {} as Response, next);
+
+    expect(next).toHaveBeenCalledTimes(1);
+  });
+
+  it('responds with 404 to the requests with any other path key', () => {
+    const next = jest.fn();
+    const res = { status: jest.fn(), send: jest.fn() };
+    res.status.mockReturnValue(res);
+
+    verifyPathKey(() => pathKey)(
+      { params: { pathKey: '01234567-abcd-abcd-abcd-012345678abc' } } as unknown as Request,
+      res as unknown as Response,
+      next
+    );
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.send).toHaveBeenCalledWith({ message: 'Not found' });
+  });
+});
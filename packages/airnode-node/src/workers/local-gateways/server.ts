@@ -1,16 +1,25 @@
 import { randomUUID } from 'crypto';
 import { addMetadata, logger, setLogOptions } from '@api3/airnode-utilities';
-import express, { Request, Response } from 'express';
+import express, { NextFunction, Request, Response } from 'express';
 import { z } from 'zod';
 import {
   signOevDataBodySchema,
   verifyHttpRequest,
+  verifyHttpSignedDataBatchRequest,
   verifyHttpSignedDataRequest,
   verifyRequestOrigin,
   verifySignOevDataRequest,
 } from './validation';
+import { gatewayAccessControl, getAuthHeaders, RequestWithRawBody } from './access-control';
+import { createGatewayPathKeyResolver, GatewayPathKeyResolver } from './path-key';
 import { Config, EnabledGateway, LocalProvider } from '../../config';
-import { processHttpRequest, processHttpSignedDataRequest, signOevData } from '../../handlers';
+import {
+  processHttpRequest,
+  processHttpSignedDataBatchRequest,
+  processHttpSignedDataRequest,
+  signOevData,
+} from '../../handlers';
+import { isMetricsEnabled, recordGatewayRequest, renderMetrics } from '../../reporting';
 
 type GatewayName = 'httpGateway' | 'httpSignedDataGateway' | 'oevGateway';
 
@@ -23,7 +32,6 @@ const httpSignedDataBodySchema = z.object({
   encodedParameters: z.string(),
 });
 const DEFAULT_PORT = 3000;
-export const DEFAULT_PATH_KEY = '01234567-abcd-abcd-abcd-012345678abc';
 
 export function getGatewaysUrl(port: number = DEFAULT_PORT, path?: string) {
   const base = `http://localhost:${port || DEFAULT_PORT}`;
@@ -32,22 +40,64 @@ export function getGatewaysUrl(port: number = DEFAULT_PORT, path?: string) {
 }
 
 export const HTTP_SIGNED_DATA_BASE_PATH = '/http-signed-data';
+// The batch requests are sent to "<HTTP_SIGNED_DATA_BASE_PATH>/<PATH_KEY>/batch"
+export const HTTP_SIGNED_DATA_BATCH_PATH = 'batch';
 export const HTTP_BASE_PATH = '/http-data';
 export const OEV_BASE_PATH = '/sign-oev';
+export const METRICS_PATH = '/metrics';
+
+// Counts the requests of the gateway by the status code of the response once it is sent
+export function countGatewayRequests(gatewayName: GatewayName) {
+  return function (_req: Request, res: Response, next: NextFunction) {
+    res.on('finish', () => recordGatewayRequest(gatewayName, res.statusCode));
+    next();
+  };
+}
+
+// The path key is a route parameter (instead of a part of the route) so that it can be rotated while the server runs
+export function verifyPathKey(getPathKey: GatewayPathKeyResolver) {
+  return function (req: Request, res: Response, next: NextFunction) {
+    if (req.params.pathKey !== getPathKey()) {
+      res.status(404).send({ message: 'Not found' });
+      return;
+    }
+    next();
+  };
+}
+
+export function metricsRequestHandler(_req: Request, res: Response) {
+  res.set('Content-Type', 'text/plain; version=0.0.4').status(200).send(renderMetrics());
+}
 
 export function startGatewayServer(config: Config, enabledGateways: GatewayName[]) {
-  if (enabledGateways.length === 0) {
+  const metricsEnabled = isMetricsEnabled(config);
+  if (enabledGateways.length === 0 && !metricsEnabled) {
     logger.log('Not starting API gateway server because there is no gateway enabled.');
     return;
   }
 
   const app = express();
-  app.use(express.json());
+  app.use(
+    express.json({
+      // Keep the raw body for verifying the HMAC signed requests
+      verify: (req: RequestWithRawBody, _res, buf) => {
+        // eslint-disable-next-line functional/immutable-data
+        req.rawBody = buf;
+      },
+    })
+  );
   const cloudProviderSettings = config.nodeSettings.cloudProvider as LocalProvider;
   const port = cloudProviderSettings.gatewayServerPort ?? DEFAULT_PORT;
+  const getPathKey = createGatewayPathKeyResolver(config);
+
+  if (metricsEnabled) {
+    app.get(METRICS_PATH, metricsRequestHandler);
+
+    logger.log(`Metrics available on "${getGatewaysUrl(port, METRICS_PATH)}"`);
+  }
 
   if (enabledGateways.includes('httpSignedDataGateway')) {
-    const httpSignedDataGatewayPath = `${HTTP_SIGNED_DATA_BASE_PATH}/${DEFAULT_PATH_KEY}/:endpointId`;
+    const httpSignedDataGatewayPath = `${HTTP_SIGNED_DATA_BASE_PATH}/:pathKey/:endpointId`;
     const httpSignedDataRequestHandler = async function (req: Request, res: Response) {
       setLogOptions({
         format: config.nodeSettings.logFormat,
@@ -59,7 +109,8 @@ export function startGatewayServer(config: Config, enabledGateways: GatewayName[
 
       const originVerification = verifyRequestOrigin(
         (config.nodeSettings.httpSignedDataGateway as EnabledGateway).corsOrigins,
-        req.headers.origin
+        req.headers.origin,
+        getAuthHeaders((config.nodeSettings.httpSignedDataGateway as EnabledGateway).auth)
       );
       if (req.method === 'OPTIONS') {
         if (!originVerification.success) {
@@ -114,16 +165,98 @@ export function startGatewayServer(config: Config, enabledGateways: GatewayName[
       res.status(200).send(result!.data);
     };
 
-    app.post(httpSignedDataGatewayPath, httpSignedDataRequestHandler);
-    app.options(httpSignedDataGatewayPath, httpSignedDataRequestHandler);
+    const httpSignedDataBatchRequestHandler = async function (req: Request, res: Response) {
+      setLogOptions({
+        format: config.nodeSettings.logFormat,
+        level: config.nodeSettings.logLevel,
+        meta: { requestId: randomUUID() },
+      });
+
+      logger.debug(`HTTP signed data gateway batch request received`);
 
+      const gatewaySettings = config.nodeSettings.httpSignedDataGateway as EnabledGateway;
+      const originVerification = verifyRequestOrigin(
+        gatewaySettings.corsOrigins,
+        req.headers.origin,
+        getAuthHeaders(gatewaySettings.auth)
+      );
+      if (req.method === 'OPTIONS') {
+        if (!originVerification.success) {
+          logger.error(`HTTP signed data gateway batch request origin verification error`);
+          res.status(400).send(originVerification.error);
+          return;
+        }
+
+        // Set headers for the OPTIONS responses
+        res.set(originVerification.headers).status(204).send('');
+        return;
+      }
+      // See the comment in the handler of the single requests above
+      res.set(originVerification.headers);
+      logger.debug(`HTTP signed data gateway batch request passed origin verification`);
+
+      const verificationResult = verifyHttpSignedDataBatchRequest(config, req.body);
+      if (!verificationResult.success) {
+        const { statusCode, error } = verificationResult;
+        logger.error(`HTTP signed data gateway batch request verification error`);
+        res.status(statusCode).send(error);
+        return;
+      }
+      logger.debug(`HTTP signed data gateway batch request passed request verification`);
+
+      const responses = await processHttpSignedDataBatchRequest(
+        config,
+        verificationResult.items,
+        gatewaySettings.maxConcurrency
+      );
+
+      // The batch itself succeeded, the status of each item is part of its response
+      res.status(200).send(responses);
+    };
+
+    // The batch route needs to be registered before the single request route, which would match it as well
+    const httpSignedDataBatchPath = `${HTTP_SIGNED_DATA_BASE_PATH}/:pathKey/${HTTP_SIGNED_DATA_BATCH_PATH}`;
+    app.post(
+      httpSignedDataBatchPath,
+      countGatewayRequests('httpSignedDataGateway'),
+      verifyPathKey(getPathKey),
+      gatewayAccessControl('httpSignedDataGateway', config.nodeSettings.httpSignedDataGateway as EnabledGateway),
+      httpSignedDataBatchRequestHandler
+    );
+    app.options(
+      httpSignedDataBatchPath,
+      countGatewayRequests('httpSignedDataGateway'),
+      verifyPathKey(getPathKey),
+      gatewayAccessControl('httpSignedDataGateway', config.nodeSettings.httpSignedDataGateway as EnabledGateway),
+      httpSignedDataBatchRequestHandler
+    );
+
+    app.post(
+      httpSignedDataGatewayPath,
+      countGatewayRequests('httpSignedDataGateway'),
+      verifyPathKey(getPathKey),
+      gatewayAccessControl('httpSignedDataGateway', config.nodeSettings.httpSignedDataGateway as EnabledGateway),
+      httpSignedDataRequestHandler
+    );
+    app.options(
+      httpSignedDataGatewayPath,
+      countGatewayRequests('httpSignedDataGateway'),
+      verifyPathKey(getPathKey),
+      gatewayAccessControl('httpSignedDataGateway', config.nodeSettings.httpSignedDataGateway as EnabledGateway),
+      httpSignedDataRequestHandler
+    );
+
+    // The path key is a secret, so the logged URLs keep the ":pathKey" placeholder
     logger.log(
       `HTTP signed data gateway listening for request on "${getGatewaysUrl(port, httpSignedDataGatewayPath)}"`
     );
+    logger.log(
+      `HTTP signed data gateway listening for batch requests on "${getGatewaysUrl(port, httpSignedDataBatchPath)}"`
+    );
   }
 
   if (enabledGateways.includes('httpGateway')) {
-    const httpGatewayPath = `${HTTP_BASE_PATH}/${DEFAULT_PATH_KEY}/:endpointId`;
+    const httpGatewayPath = `${HTTP_BASE_PATH}/:pathKey/:endpointId`;
     const httpRequestHandler = async function (req: Request, res: Response) {
       setLogOptions({
         format: config.nodeSettings.logFormat,
@@ -135,7 +268,8 @@ export function startGatewayServer(config: Config, enabledGateways: GatewayName[
 
       const originVerification = verifyRequestOrigin(
         (config.nodeSettings.httpGateway as EnabledGateway).corsOrigins,
-        req.headers.origin
+        req.headers.origin,
+        getAuthHeaders((config.nodeSettings.httpGateway as EnabledGateway).auth)
       );
 
       if (req.method === 'OPTIONS') {
@@ -191,14 +325,26 @@ export function startGatewayServer(config: Config, enabledGateways: GatewayName[
       res.status(200).send(result!.data);
     };
 
-    app.post(httpGatewayPath, httpRequestHandler);
-    app.options(httpGatewayPath, httpRequestHandler);
+    app.post(
+      httpGatewayPath,
+      countGatewayRequests('httpGateway'),
+      verifyPathKey(getPathKey),
+      gatewayAccessControl('httpGateway', config.nodeSettings.httpGateway as EnabledGateway),
+      httpRequestHandler
+    );
+    app.options(
+      httpGatewayPath,
+      countGatewayRequests('httpGateway'),
+      verifyPathKey(getPathKey),
+      gatewayAccessControl('httpGateway', config.nodeSettings.httpGateway as EnabledGateway),
+      httpRequestHandler
+    );
 
     logger.log(`HTTP (testing) gateway listening for request on "${getGatewaysUrl(port, httpGatewayPath)}"`);
   }
 
   if (enabledGateways.includes('oevGateway')) {
-    const oevGatewayPath = `${OEV_BASE_PATH}/${DEFAULT_PATH_KEY}`;
+    const oevGatewayPath = `${OEV_BASE_PATH}/:pathKey`;
     const signOevDataRequestHandler = async function (req: Request, res: Response) {
       setLogOptions({
         format: config.nodeSettings.logFormat,
@@ -210,7 +356,8 @@ export function startGatewayServer(config: Config, enabledGateways: GatewayName[
 
       const originVerification = verifyRequestOrigin(
         (config.nodeSettings.oevGateway as EnabledGateway).corsOrigins,
-        req.headers.origin
+        req.headers.origin,
+        getAuthHeaders((config.nodeSettings.oevGateway as EnabledGateway).auth)
       );
       if (req.method === 'OPTIONS') {
         if (!originVerification.success) {
@@ -264,8 +411,20 @@ export function startGatewayServer(config: Config, enabledGateways: GatewayName[
       res.status(200).send(result!.data);
     };
 
-    app.post(oevGatewayPath, signOevDataRequestHandler);
-    app.options(oevGatewayPath, signOevDataRequestHandler);
+    app.post(
+      oevGatewayPath,
+      countGatewayRequests('oevGateway'),
+      verifyPathKey(getPathKey),
+      gatewayAccessControl('oevGateway', config.nodeSettings.oevGateway as EnabledGateway),
+      signOevDataRequestHandler
+    );
+    app.options(
+      oevGatewayPath,
+      countGatewayRequests('oevGateway'),
+      verifyPathKey(getPathKey),
+      gatewayAccessControl('oevGateway', config.nodeSettings.oevGateway as EnabledGateway),
+      signOevDataRequestHandler
+    );
 
     logger.log(`OEV gateway listening for request on "${getGatewaysUrl(port, oevGatewayPath)}"`);
   }
@@ -7,6 +7,7 @@ import { Config } from '@api3/airnode-node';
 import {
   verifyHttpRequest,
   verifyHttpSignedDataRequest,
+  verifyHttpSignedDataBatchRequest,
   checkRequestOrigin,
   verifyRequestOrigin,
   buildCorsHeaders,
@@ -162,6 +163,49 @@ describe('verifyHttpSignedDataRequest', () => {
   });
 });
 
+describe('verifyHttpSignedDataBatchRequest', () => {
+  const encodedParameters =
+    '0x3173000000000000000000000000000000000000000000000000000000000000636f696e49640000000000000000000000000000000000000000000000000000626974636f696e00000000000000000000000000000000000000000000000000';
+
+  it('returns error when the body is not an array of allowed size', () => {
+    const config = loadConfigFixture();
+    const error = {
+      success: false,
+      statusCode: 400,
+      error: { message: 'Request body must be an array of 1 to 100 items' },
+    };
+
+    expect(verifyHttpSignedDataBatchRequest(config, { endpointId: validEndpointId, encodedParameters })).toEqual(error);
+    expect(verifyHttpSignedDataBatchRequest(config, [])).toEqual(error);
+    expect(
+      verifyHttpSignedDataBatchRequest(config, Array(101).fill({ endpointId: validEndpointId, encodedParameters }))
+    ).toEqual(error);
+  });
+
+  it('verifies each item separately', () => {
+    const config = loadConfigFixture();
+
+    const result = verifyHttpSignedDataBatchRequest(config, [
+      { endpointId: validEndpointId, encodedParameters },
+      { endpointId: validEndpointId },
+      { endpointId: validEndpointId, encodedParameters: '0x-Clearly-Invalid' },
+    ]);
+
+    expect(result).toEqual({
+      success: true,
+      items: [
+        { success: true, endpointId: validEndpointId, encodedParameters },
+        { success: false, statusCode: 400, error: { message: 'Invalid request body' } },
+        {
+          success: false,
+          statusCode: 400,
+          error: { message: 'Request contains invalid encodedParameters: 0x-Clearly-Invalid' },
+        },
+      ],
+    });
+  });
+});
+
 describe('decodeBeaconsWithData', () => {
   const currentTimestamp = 1677790659;
   beforeAll(() => {
@@ -457,6 +501,11 @@ describe('cors', () => {
         'Access-Control-Allow-Headers': 'Content-Type',
       });
     });
+
+    it('allows the extra headers', () => {
+      const headers = buildCorsHeaders(origin, ['x-api-key']);
+      expect(headers['Access-Control-Allow-Headers']).toEqual('Content-Type,x-api-key');
+    });
   });
 
   describe('checkRequestOrigin', () => {
@@ -10,6 +10,7 @@ import { ApiCallParameters } from '../../types';
 import { Config, endpointIdSchema } from '../../config';
 import { apiCallParametersSchema } from '../../validation';
 import { getAirnodeWalletFromPrivateKey } from '../../evm';
+import { HTTP_SIGNED_DATA_BATCH_MAX_SIZE } from '../../constants';
 
 const TIMESTAMP_DEVIATION = 2; // in minutes
 // Solidity type(int224).min
@@ -118,6 +119,52 @@ export function verifyHttpSignedDataRequest(
   return { success: true, encodedParameters, endpointId: validEndpointId };
 }
 
+// We do not want to enable ".strict()" - we want to allow extra fields in the batch items
+const httpSignedDataBatchItemSchema = z.object({
+  endpointId: z.string(),
+  encodedParameters: z.string(),
+});
+
+// The items are parsed one by one, so that an invalid item does not fail the whole batch
+export const httpSignedDataBatchBodySchema = z.array(z.unknown()).nonempty().max(HTTP_SIGNED_DATA_BATCH_MAX_SIZE);
+
+export interface HttpSignedDataBatchRequestData {
+  items: VerificationResult<HttpSignedDataRequestData>[];
+}
+
+/**
+ * Verifies the batch request of the HTTP signed data gateway. The batch is rejected as a whole only if it is not an
+ * array of allowed size. Otherwise, each item is verified separately and the invalid items are responded with their own
+ * error.
+ */
+export function verifyHttpSignedDataBatchRequest(
+  config: Config,
+  body: unknown
+): VerificationResult<HttpSignedDataBatchRequestData> {
+  const parsedBody = httpSignedDataBatchBodySchema.safeParse(body);
+  if (!parsedBody.success) {
+    return {
+      success: false,
+      statusCode: 400,
+      error: {
+        message: `Request body must be an array of 1 to ${HTTP_SIGNED_DATA_BATCH_MAX_SIZE} items`,
+      },
+    };
+  }
+
+  const items = parsedBody.data.map((rawItem): VerificationResult<HttpSignedDataRequestData> => {
+    const parsedItem = httpSignedDataBatchItemSchema.safeParse(rawItem);
+    if (!parsedItem.success) {
+      return { success: false, statusCode: 400, error: { message: 'Invalid request body' } };
+    }
+
+    const { encodedParameters, endpointId } = parsedItem.data;
+    return verifyHttpSignedDataRequest(config, encodedParameters, endpointId);
+  });
+
+  return { success: true, items };
+}
+
 const beaconSchema = z.object({
   airnodeAddress: z.string(),
   templateId: z.string(),
@@ -360,17 +407,18 @@ export const checkRequestOrigin = (allowedOrigins: string[], origin?: string) =>
   allowedOrigins.find((allowedOrigin) => allowedOrigin === '*') ||
   (origin && allowedOrigins.find((allowedOrigin) => allowedOrigin === origin));
 
-export const buildCorsHeaders = (origin: string) => ({
+// The authentication headers of the local gateways need to be allowed as well (see "access-control.ts")
+export const buildCorsHeaders = (origin: string, extraAllowedHeaders: string[] = []) => ({
   'Access-Control-Allow-Origin': origin,
   'Access-Control-Allow-Methods': 'OPTIONS,POST',
-  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Allow-Headers': ['Content-Type', ...extraAllowedHeaders].join(','),
 });
 
-export const verifyRequestOrigin = (allowedOrigins: string[], origin?: string) => {
+export const verifyRequestOrigin = (allowedOrigins: string[], origin?: string, extraAllowedHeaders: string[] = []) => {
   const allowedOrigin = checkRequestOrigin(allowedOrigins, origin);
 
   // Return CORS headers to be used by the response if the origin is allowed
-  if (allowedOrigin) return { success: true, headers: buildCorsHeaders(allowedOrigin) };
+  if (allowedOrigin) return { success: true, headers: buildCorsHeaders(allowedOrigin, extraAllowedHeaders) };
 
   return { success: false, error: { message: 'CORS origin verification failed.' } };
 };
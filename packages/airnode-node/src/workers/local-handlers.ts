@@ -1,10 +1,11 @@
 import * as path from 'path';
 import { ethers } from 'ethers';
-import { addMetadata, logger, randomHexString, setLogOptions } from '@api3/airnode-utilities';
+import { addMetadata, logger, metrics, randomHexString, setLogOptions } from '@api3/airnode-utilities';
 import { go } from '@api3/promise-utils';
 import { loadTrustedConfig, setEnvValue } from '../config';
 import * as handlers from '../handlers';
 import * as state from '../providers/state';
+import { COORDINATOR_METRICS_SOURCE, isMetricsEnabled } from '../reporting';
 import { WorkerResponse, InitializeProviderPayload, CallApiPayload, ProcessTransactionsPayload } from '../types';
 
 export function loadConfig() {
@@ -24,7 +25,16 @@ export async function startCoordinator(): Promise<WorkerResponse> {
   });
   setAirnodePrivateKeyToEnv(config.nodeSettings.airnodeWalletMnemonic);
 
-  await handlers.startCoordinator(config, coordinatorId);
+  // Each coordinator run is a new process, so the metrics of the previous runs are restored to keep the counters growing
+  const metricsEnabled = isMetricsEnabled(config);
+  if (metricsEnabled) metrics.restore(COORDINATOR_METRICS_SOURCE);
+
+  const goStartCoordinator = await go(() => handlers.startCoordinator(config, coordinatorId));
+  if (metricsEnabled) metrics.persist(COORDINATOR_METRICS_SOURCE);
+  if (!goStartCoordinator.success) {
+    throw goStartCoordinator.error;
+  }
+
   return { ok: true, data: { message: 'Coordinator completed' } };
 }
 
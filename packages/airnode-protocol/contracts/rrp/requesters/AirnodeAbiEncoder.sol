@@ -0,0 +1,244 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+/// @title Library that builds request parameters in the Airnode ABI
+/// encoding
+/// @notice The output is identical to what `encode()` of airnode-abi returns
+/// for the same parameters, i.e., the schema header followed by the
+/// ABI-encoded name/value pairs. The parameters are added in order, e.g.,
+/// `AirnodeAbiEncoder.newParameters().addString32("from", "ETH").addUint256("amount", 1000).build()`
+/// @dev Only the basic types of version 1 of the schema are supported. The
+/// names are given as `bytes32`, so that string literals such as "from" are
+/// converted to the expected name encoding by the compiler. The schema
+/// header is a `bytes32` string, which limits the number of parameters to
+/// 30.
+library AirnodeAbiEncoder {
+    struct Parameters {
+        // Short types of the schema header, e.g., "Su"
+        bytes shortTypes;
+        bytes32[] names;
+        // Static values, or the offsets of the dynamic values in `tail`
+        bytes32[] values;
+        bytes tail;
+    }
+
+    uint256 private constant MAXIMUM_PARAMETER_COUNT = 30;
+
+    bytes1 private constant SCHEMA_VERSION = "1";
+
+    /// @notice Creates an empty set of parameters to add to
+    /// @return parameters Empty parameters
+    function newParameters()
+        internal
+        pure
+        returns (Parameters memory parameters)
+    {
+        parameters.names = new bytes32[](MAXIMUM_PARAMETER_COUNT);
+        parameters.values = new bytes32[](MAXIMUM_PARAMETER_COUNT);
+    }
+
+    /// @notice Adds a `bytes` parameter
+    /// @param parameters Parameters to add to
+    /// @param name Parameter name
+    /// @param value Parameter value
+    /// @return Parameters with the added parameter
+    function addBytes(
+        Parameters memory parameters,
+        bytes32 name,
+        bytes memory value
+    ) internal pure returns (Parameters memory) {
+        return addDynamicParameter(parameters, "B", name, value);
+    }
+
+    /// @notice Adds a `bytes32` parameter
+    /// @param parameters Parameters to add to
+    /// @param name Parameter name
+    /// @param value Parameter value
+    /// @return Parameters with the added parameter
+    function addBytes32(
+        Parameters memory parameters,
+        bytes32 name,
+        bytes32 value
+    ) internal pure returns (Parameters memory) {
+        return addStaticParameter(parameters, "b", name, value);
+    }
+
+    /// @notice Adds a `string` parameter
+    /// @param parameters Parameters to add to
+    /// @param name Parameter name
+    /// @param value Parameter value
+    /// @return Parameters with the added parameter
+    function addString(
+        Parameters memory parameters,
+        bytes32 name,
+        string memory value
+    ) internal pure returns (Parameters memory) {
+        return addDynamicParameter(parameters, "S", name, bytes(value));
+    }
+
+    /// @notice Adds a `string32` parameter, i.e., a short string that is
+    /// encoded as `bytes32`
+    /// @param parameters Parameters to add to
+    /// @param name Parameter name
+    /// @param value Parameter value as a `bytes32` string, e.g., "ETH"
+    /// @return Parameters with the added parameter
+    function addString32(
+        Parameters memory parameters,
+        bytes32 name,
+        bytes32 value
+    ) internal pure returns (Parameters memory) {
+        return addStaticParameter(parameters, "s", name, value);
+    }
+
+    /// @notice Adds an `address` parameter
+    /// @param parameters Parameters to add to
+    /// @param name Parameter name
+    /// @param value Parameter value
+    /// @return Parameters with the added parameter
+    function addAddress(
+        Parameters memory parameters,
+        bytes32 name,
+        address value
+    ) internal pure returns (Parameters memory) {
+        return
+            addStaticParameter(
+                parameters,
+                "a",
+                name,
+                bytes32(uint256(uint160(value)))
+            );
+    }
+
+    /// @notice Adds an `int256` parameter
+    /// @param parameters Parameters to add to
+    /// @param name Parameter name
+    /// @param value Parameter value
+    /// @return Parameters with the added parameter
+    function addInt256(
+        Parameters memory parameters,
+        bytes32 name,
+        int256 value
+    ) internal pure returns (Parameters memory) {
+        return addStaticParameter(parameters, "i", name, bytes32(uint256(value)));
+    }
+
+    /// @notice Adds a `uint256` parameter
+    /// @param parameters Parameters to add to
+    /// @param name Parameter name
+    /// @param value Parameter value
+    /// @return Parameters with the added parameter
+    function addUint256(
+        Parameters memory parameters,
+        bytes32 name,
+        uint256 value
+    ) internal pure returns (Parameters memory) {
+        return addStaticParameter(parameters, "u", name, bytes32(value));
+    }
+
+    /// @notice Adds a `bool` parameter
+    /// @param parameters Parameters to add to
+    /// @param name Parameter name
+    /// @param value Parameter value
+    /// @return Parameters with the added parameter
+    function addBool(
+        Parameters memory parameters,
+        bytes32 name,
+        bool value
+    ) internal pure returns (Parameters memory) {
+        return
+            addStaticParameter(
+                parameters,
+                "f",
+                name,
+                bytes32(uint256(value ? 1 : 0))
+            );
+    }
+
+    /// @notice Encodes the parameters
+    /// @param parameters Parameters to encode
+    /// @return encodedParameters Parameters in the Airnode ABI encoding
+    function build(Parameters memory parameters)
+        internal
+        pure
+        returns (bytes memory encodedParameters)
+    {
+        uint256 parameterCount = parameters.shortTypes.length;
+        // The dynamic values follow the header and the name/value pairs
+        uint256 headLength = 32 + parameterCount * 64;
+        encodedParameters = abi.encodePacked(
+            bytes32(abi.encodePacked(SCHEMA_VERSION, parameters.shortTypes))
+        );
+        for (uint256 ind = 0; ind < parameterCount; ind++) {
+            bytes32 value = parameters.values[ind];
+            if (isDynamicType(parameters.shortTypes[ind])) {
+                value = bytes32(uint256(value) + headLength);
+            }
+            encodedParameters = abi.encodePacked(
+                encodedParameters,
+                parameters.names[ind],
+                value
+            );
+        }
+        encodedParameters = abi.encodePacked(
+            encodedParameters,
+            parameters.tail
+        );
+    }
+
+    /// @notice Adds a parameter that is encoded in place
+    /// @param parameters Parameters to add to
+    /// @param shortType Short type of the parameter
+    /// @param name Parameter name
+    /// @param value Parameter value encoded as a single word
+    /// @return Parameters with the added parameter
+    function addStaticParameter(
+        Parameters memory parameters,
+        bytes1 shortType,
+        bytes32 name,
+        bytes32 value
+    ) private pure returns (Parameters memory) {
+        uint256 index = parameters.shortTypes.length;
+        require(index < MAXIMUM_PARAMETER_COUNT, "Too many parameters");
+        parameters.shortTypes = abi.encodePacked(
+            parameters.shortTypes,
+            shortType
+        );
+        parameters.names[index] = name;
+        parameters.values[index] = value;
+        return parameters;
+    }
+
+    /// @notice Adds a parameter that is encoded after the name/value pairs
+    /// and referred to by its offset
+    /// @param parameters Parameters to add to
+    /// @param shortType Short type of the parameter
+    /// @param name Parameter name
+    /// @param value Parameter value
+    /// @return Parameters with the added parameter
+    function addDynamicParameter(
+        Parameters memory parameters,
+        bytes1 shortType,
+        bytes32 name,
+        bytes memory value
+    ) private pure returns (Parameters memory) {
+        bytes32 offset = bytes32(parameters.tail.length);
+        // The value is prefixed with its length and right-padded to a
+        // multiple of 32 bytes
+        parameters.tail = abi.encodePacked(
+            parameters.tail,
+            value.length,
+            value,
+            new bytes((32 - (value.length % 32)) % 32)
+        );
+        return addStaticParameter(parameters, shortType, name, offset);
+    }
+
+    /// @notice Returns if the values of the type are encoded after the
+    /// name/value pairs
+    /// @dev Upper case short types refer to dynamically sized types
+    /// @param shortType Short type of the parameter
+    /// @return If the type is dynamically sized
+    function isDynamicType(bytes1 shortType) private pure returns (bool) {
+        return shortType == "B" || shortType == "S";
+    }
+}
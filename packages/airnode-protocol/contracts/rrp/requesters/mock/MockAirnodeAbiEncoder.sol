@@ -0,0 +1,196 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.9;
+
+import "../AirnodeAbiEncoder.sol";
+
+/// @title A mock contract to test AirnodeAbiEncoder
+contract MockAirnodeAbiEncoder {
+    using AirnodeAbiEncoder for AirnodeAbiEncoder.Parameters;
+
+    /// @notice Encodes the parameters with the respective methods of
+    /// AirnodeAbiEncoder
+    /// @param shortTypes Short types of the parameters
+    /// @param names Parameter names
+    /// @param encodedValues ABI-encoded parameter values
+    /// @return encodedParameters Parameters in the Airnode ABI encoding
+    function encode(
+        bytes1[] calldata shortTypes,
+        bytes32[] calldata names,
+        bytes[] calldata encodedValues
+    ) external pure returns (bytes memory encodedParameters) {
+        AirnodeAbiEncoder.Parameters memory parameters = AirnodeAbiEncoder
+            .newParameters();
+        for (uint256 ind = 0; ind < shortTypes.length; ind++) {
+            bytes1 shortType = shortTypes[ind];
+            bytes32 name = names[ind];
+            bytes calldata encodedValue = encodedValues[ind];
+            if (shortType == "B") {
+                parameters.addBytes(name, abi.decode(encodedValue, (bytes)));
+            } else if (shortType == "b") {
+                parameters.addBytes32(name, abi.decode(encodedValue, (bytes32)));
+            } else if (shortType == "S") {
+                parameters.addString(name, abi.decode(encodedValue, (string)));
+            } else if (shortType == "s") {
+                parameters.addString32(
+                    name,
+                    abi.decode(encodedValue, (bytes32))
+                );
+            } else if (shortType == "a") {
+                parameters.addAddress(name, abi.decode(encodedValue, (address)));
+            } else if (shortType == "i") {
+                parameters.addInt256(name, abi.decode(encodedValue, (int256)));
+            } else if (shortType == "u") {
+                parameters.addUint256(name, abi.decode(encodedValue, (uint256)));
+            } else if (shortType == "f") {
+                parameters.addBool(name, abi.decode(encodedValue, (bool)));
+            } else {
+                revert("Unknown type");
+            }
+        }
+        encodedParameters = parameters.build();
+    }
+
+    /// @notice Encodes the parameters by chaining the methods of
+    /// AirnodeAbiEncoder
+    /// @return encodedParameters Parameters in the Airnode ABI encoding
+    function encodeChained()
+        external
+        pure
+        returns (bytes memory encodedParameters)
+    {
+        encodedParameters = AirnodeAbiEncoder
+            .newParameters()
+            .addString32("from", "ETH")
+            .addString("to", "USD")
+            .addUint256("amount", 1000)
+            .build();
+    }
+
+    /// @notice Encodes two `bytes` parameters by chaining `addBytes()`
+    /// @param firstValue Value of the first parameter
+    /// @param secondValue Value of the second parameter
+    /// @return encodedParameters Parameters in the Airnode ABI encoding
+    function encodeChainedBytes(bytes calldata firstValue, bytes calldata secondValue)
+        external
+        pure
+        returns (bytes memory encodedParameters)
+    {
+        encodedParameters = AirnodeAbiEncoder
+            .newParameters()
+            .addBytes("first", firstValue)
+            .addBytes("second", secondValue)
+            .build();
+    }
+
+    /// @notice Encodes two `bytes32` parameters by chaining `addBytes32()`
+    /// @param firstValue Value of the first parameter
+    /// @param secondValue Value of the second parameter
+    /// @return encodedParameters Parameters in the Airnode ABI encoding
+    function encodeChainedBytes32(bytes32 firstValue, bytes32 secondValue)
+        external
+        pure
+        returns (bytes memory encodedParameters)
+    {
+        encodedParameters = AirnodeAbiEncoder
+            .newParameters()
+            .addBytes32("first", firstValue)
+            .addBytes32("second", secondValue)
+            .build();
+    }
+
+    /// @notice Encodes two `string` parameters by chaining `addString()`
+    /// @param firstValue Value of the first parameter
+    /// @param secondValue Value of the second parameter
+    /// @return encodedParameters Parameters in the Airnode ABI encoding
+    function encodeChainedString(string calldata firstValue, string calldata secondValue)
+        external
+        pure
+        returns (bytes memory encodedParameters)
+    {
+        encodedParameters = AirnodeAbiEncoder
+            .newParameters()
+            .addString("first", firstValue)
+            .addString("second", secondValue)
+            .build();
+    }
+
+    /// @notice Encodes two `string32` parameters by chaining `addString32()`
+    /// @param firstValue Value of the first parameter
+    /// @param secondValue Value of the second parameter
+    /// @return encodedParameters Parameters in the Airnode ABI encoding
+    function encodeChainedString32(bytes32 firstValue, bytes32 secondValue)
+        external
+        pure
+        returns (bytes memory encodedParameters)
+    {
+        encodedParameters = AirnodeAbiEncoder
+            .newParameters()
+            .addString32("first", firstValue)
+            .addString32("second", secondValue)
+            .build();
+    }
+
+    /// @notice Encodes two `address` parameters by chaining `addAddress()`
+    /// @param firstValue Value of the first parameter
+    /// @param secondValue Value of the second parameter
+    /// @return encodedParameters Parameters in the Airnode ABI encoding
+    function encodeChainedAddress(address firstValue, address secondValue)
+        external
+        pure
+        returns (bytes memory encodedParameters)
+    {
+        encodedParameters = AirnodeAbiEncoder
+            .newParameters()
+            .addAddress("first", firstValue)
+            .addAddress("second", secondValue)
+            .build();
+    }
+
+    /// @notice Encodes two `int256` parameters by chaining `addInt256()`
+    /// @param firstValue Value of the first parameter
+    /// @param secondValue Value of the second parameter
+    /// @return encodedParameters Parameters in the Airnode ABI encoding
+    function encodeChainedInt256(int256 firstValue, int256 secondValue)
+        external
+        pure
+        returns (bytes memory encodedParameters)
+    {
+        encodedParameters = AirnodeAbiEncoder
+            .newParameters()
+            .addInt256("first", firstValue)
+            .addInt256("second", secondValue)
+            .build();
+    }
+
+    /// @notice Encodes two `uint256` parameters by chaining `addUint256()`
+    /// @param firstValue Value of the first parameter
+    /// @param secondValue Value of the second parameter
+    /// @return encodedParameters Parameters in the Airnode ABI encoding
+    function encodeChainedUint256(uint256 firstValue, uint256 secondValue)
+        external
+        pure
+        returns (bytes memory encodedParameters)
+    {
+        encodedParameters = AirnodeAbiEncoder
+            .newParameters()
+            .addUint256("first", firstValue)
+            .addUint256("second", secondValue)
+            .build();
+    }
+
+    /// @notice Encodes two `bool` parameters by chaining `addBool()`
+    /// @param firstValue Value of the first parameter
+    /// @param secondValue Value of the second parameter
+    /// @return encodedParameters Parameters in the Airnode ABI encoding
+    function encodeChainedBool(bool firstValue, bool secondValue)
+        external
+        pure
+        returns (bytes memory encodedParameters)
+    {
+        encodedParameters = AirnodeAbiEncoder
+            .newParameters()
+            .addBool("first", firstValue)
+            .addBool("second", secondValue)
+            .build();
+    }
+}
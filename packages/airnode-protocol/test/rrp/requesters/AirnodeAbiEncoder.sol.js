@@ -0,0 +1,155 @@
+const hre = require('hardhat');
+const { expect } = require('chai');
+const airnodeAbi = require('@api3/airnode-abi');
+
+const { ethers } = hre;
+
+const SHORT_TYPES = Object.keys(airnodeAbi.PARAMETER_SHORT_TYPES);
+
+// The random parameters are derived from a seed, so that a failing run can be reproduced by setting AIRNODE_ABI_SEED
+const SEED = process.env.AIRNODE_ABI_SEED ? Number(process.env.AIRNODE_ABI_SEED) : Date.now() % 2 ** 32;
+
+// mulberry32
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let value = state;
+    value = Math.imul(value ^ (value >>> 15), value | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 2 ** 32;
+  };
+}
+
+const random = createRandom(SEED);
+
+function randomInteger(max) {
+  return Math.floor(random() * (max + 1));
+}
+
+function randomBytes(length) {
+  return ethers.utils.hexlify(Array.from({ length }, () => randomInteger(255)));
+}
+
+function randomString(maxLength) {
+  const characters = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789 _-.,/é€';
+  return Array.from({ length: randomInteger(maxLength) }, () => characters[randomInteger(characters.length - 1)]).join(
+    ''
+  );
+}
+
+// Returns a random string that fits in 31 bytes when UTF-8 encoded
+function randomShortString() {
+  const value = randomString(31);
+  return ethers.utils.toUtf8Bytes(value).length <= 31 ? value : randomShortString();
+}
+
+function generateRandomValue(type) {
+  switch (type) {
+    case 'bytes':
+      return randomBytes(randomInteger(100));
+    case 'bytes32':
+      return randomBytes(32);
+    case 'string':
+      return randomString(100);
+    case 'string32':
+      return randomShortString();
+    case 'address':
+      return ethers.utils.getAddress(randomBytes(20));
+    case 'int256':
+      return ethers.BigNumber.from(randomBytes(32)).fromTwos(256).toString();
+    case 'uint256':
+      return ethers.BigNumber.from(randomBytes(32)).toString();
+    case 'bool':
+      return random() < 0.5;
+  }
+}
+
+function generateRandomParameters(parameterCount) {
+  return Array.from({ length: parameterCount }, () => {
+    const shortType = SHORT_TYPES[randomInteger(SHORT_TYPES.length - 1)];
+    const type = airnodeAbi.PARAMETER_SHORT_TYPES[shortType];
+    return { shortType, type, name: randomShortString(), value: generateRandomValue(type) };
+  });
+}
+
+function encodeValue(type, value) {
+  return type === 'string32' ? ethers.utils.formatBytes32String(value) : value;
+}
+
+function encodeWithLibrary(airnodeAbiEncoder, parameters) {
+  return airnodeAbiEncoder.encode(
+    parameters.map(({ shortType }) => ethers.utils.hexlify(ethers.utils.toUtf8Bytes(shortType))),
+    parameters.map(({ name }) => ethers.utils.formatBytes32String(name)),
+    parameters.map(({ type, value }) =>
+      ethers.utils.defaultAbiCoder.encode([type === 'string32' ? 'bytes32' : type], [encodeValue(type, value)])
+    )
+  );
+}
+
+describe('AirnodeAbiEncoder', function () {
+  let airnodeAbiEncoder;
+
+  before(function () {
+    // eslint-disable-next-line no-console
+    console.log(`AirnodeAbiEncoder tests use AIRNODE_ABI_SEED=${SEED}`);
+  });
+
+  beforeEach(async () => {
+    const accounts = await hre.ethers.getSigners();
+    const airnodeAbiEncoderFactory = await hre.ethers.getContractFactory('MockAirnodeAbiEncoder', accounts[0]);
+    airnodeAbiEncoder = await airnodeAbiEncoderFactory.deploy();
+  });
+
+  describe('build', function () {
+    context('Parameters are empty', function () {
+      it('encodes the schema header', async function () {
+        expect(await encodeWithLibrary(airnodeAbiEncoder, [])).to.equal(airnodeAbi.encode([]));
+      });
+    });
+    context('Parameters are chained', function () {
+      it('encodes the parameters', async function () {
+        expect(await airnodeAbiEncoder.encodeChained()).to.equal(
+          airnodeAbi.encode([
+            { type: 'string32', name: 'from', value: 'ETH' },
+            { type: 'string', name: 'to', value: 'USD' },
+            { type: 'uint256', name: 'amount', value: '1000' },
+          ])
+        );
+      });
+      Object.values(airnodeAbi.PARAMETER_SHORT_TYPES).forEach((type) => {
+        const typeName = `${type.charAt(0).toUpperCase()}${type.slice(1)}`;
+        it(`encodes the parameters added with add${typeName}()`, async function () {
+          const [firstValue, secondValue] = [generateRandomValue(type), generateRandomValue(type)];
+          const encodeChained = airnodeAbiEncoder[`encodeChained${typeName}`];
+          expect(await encodeChained(encodeValue(type, firstValue), encodeValue(type, secondValue))).to.equal(
+            airnodeAbi.encode([
+              { type, name: 'first', value: firstValue },
+              { type, name: 'second', value: secondValue },
+            ]),
+            `AIRNODE_ABI_SEED=${SEED}`
+          );
+        });
+      });
+    });
+    context('Parameters are random', function () {
+      it('encodes the parameters identically to airnode-abi', async function () {
+        for (let ind = 0; ind < 50; ind++) {
+          const parameters = generateRandomParameters(randomInteger(30));
+          const encodedParameters = await encodeWithLibrary(airnodeAbiEncoder, parameters);
+          expect(encodedParameters).to.equal(
+            airnodeAbi.encode(parameters),
+            `AIRNODE_ABI_SEED=${SEED} ${JSON.stringify(parameters)}`
+          );
+        }
+      });
+    });
+    context('Parameters are too many', function () {
+      it('reverts', async function () {
+        await expect(encodeWithLibrary(airnodeAbiEncoder, generateRandomParameters(31))).to.be.revertedWith(
+          'Too many parameters'
+        );
+      });
+    });
+  });
+});
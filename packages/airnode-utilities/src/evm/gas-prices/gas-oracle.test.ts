@@ -3,6 +3,7 @@ import { go, assertGoError, assertGoSuccess } from '@api3/promise-utils';
 import { advanceTimersByTime } from '@api3/airnode-utilities';
 import { config } from '@api3/airnode-validator';
 import * as gasOracle from './gas-oracle';
+import { metrics } from '../../metrics';
 import {
   GAS_ORACLE_STRATEGY_ATTEMPT_TIMEOUT_MS,
   GAS_ORACLE_STRATEGY_MAX_TIMEOUT_MS,
@@ -276,6 +277,46 @@ describe('Gas oracle', () => {
       );
     });
 
+    it('records the chosen gas price in the metrics', async () => {
+      metrics.reset();
+      jest
+        .spyOn(ethers.providers.StaticJsonRpcProvider.prototype, 'getBlock')
+        .mockResolvedValue({ baseFeePerGas: ethers.utils.parseUnits('10', 'gwei') } as any);
+
+      await gasOracle.getGasPrice(
+        provider,
+        {
+          ...defaultChainOptions,
+          gasPriceOracle: [providerRecommendedEip1559GasPriceStrategy, constantGasPriceStrategy],
+        },
+        '31337'
+      );
+
+      const rendered = metrics.render();
+      expect(rendered).toContain(
+        'airnode_gas_price_gwei{chain_id="31337",strategy="providerRecommendedEip1559GasPrice",fee="maxFeePerGas"}'
+      );
+      expect(rendered).toContain(
+        'airnode_gas_price_gwei{chain_id="31337",strategy="providerRecommendedEip1559GasPrice",fee="maxPriorityFeePerGas"}'
+      );
+    });
+
+    it('records the constant gas price in the metrics if all other strategies fail', async () => {
+      metrics.reset();
+      jest
+        .spyOn(ethers.providers.StaticJsonRpcProvider.prototype, 'getBlockWithTransactions')
+        .mockRejectedValue(new Error('some error'));
+      jest
+        .spyOn(ethers.providers.StaticJsonRpcProvider.prototype, 'getGasPrice')
+        .mockRejectedValue(new Error('some error'));
+
+      await gasOracle.getGasPrice(provider, defaultChainOptions, '31337');
+
+      expect(metrics.render()).toContain(
+        'airnode_gas_price_gwei{chain_id="31337",strategy="constantGasPrice",fee="gasPrice"} 10'
+      );
+    });
+
     it('returns providerRecommendedEip1559GasPrice', async () => {
       jest.spyOn(ethers.providers.StaticJsonRpcProvider.prototype, 'getBlock').mockImplementation(
         () =>
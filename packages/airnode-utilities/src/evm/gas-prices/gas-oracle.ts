@@ -9,6 +9,29 @@ import {
   GAS_ORACLE_RANDOM_BACKOFF_MAX_MS,
 } from '../../constants';
 import { logger, PendingLog, LogsData } from '../../logging';
+import { MetricDefinition, metrics } from '../../metrics';
+
+export const gasPriceMetric: MetricDefinition = {
+  name: 'airnode_gas_price_gwei',
+  help: 'The gas price chosen by the gas price oracle strategies',
+  type: 'gauge',
+};
+
+// The chain ID is only used to label the gas price metric
+export const recordGasPriceMetric = (gasTarget: GasTarget, strategy: string, chainId = 'unknown') => {
+  const toGwei = (value: ethers.BigNumber) => Number(ethers.utils.formatUnits(value, 'gwei'));
+
+  if (gasTarget.type === 2) {
+    metrics.set(gasPriceMetric, { chain_id: chainId, strategy, fee: 'maxFeePerGas' }, toGwei(gasTarget.maxFeePerGas));
+    metrics.set(
+      gasPriceMetric,
+      { chain_id: chainId, strategy, fee: 'maxPriorityFeePerGas' },
+      toGwei(gasTarget.maxPriorityFeePerGas)
+    );
+    return;
+  }
+  metrics.set(gasPriceMetric, { chain_id: chainId, strategy, fee: 'gasPrice' }, toGwei(gasTarget.gasPrice));
+};
 
 export const calculateTimeout = (startTime: number, totalTimeout: number) => totalTimeout - (Date.now() - startTime);
 
@@ -287,13 +310,15 @@ export const attemptGasOracleStrategy = (
 // Get gas price based on gas price oracle strategies
 export const getGasPrice = async (
   provider: Provider,
-  chainOptions: config.ChainOptions
+  chainOptions: config.ChainOptions,
+  chainId?: string
 ): Promise<LogsData<GasTarget>> => {
   const { gasPriceOracle, fulfillmentGasLimit } = chainOptions;
 
-  const goProcessGasPriceOracleStrategies = await go(() => processGasPriceOracleStrategies(provider, gasPriceOracle), {
-    totalTimeoutMs: GAS_ORACLE_STRATEGY_MAX_TIMEOUT_MS,
-  });
+  const goProcessGasPriceOracleStrategies = await go(
+    () => processGasPriceOracleStrategies(provider, gasPriceOracle, chainId),
+    { totalTimeoutMs: GAS_ORACLE_STRATEGY_MAX_TIMEOUT_MS }
+  );
 
   // Return the strategy gas price if successful
   if (goProcessGasPriceOracleStrategies.success && goProcessGasPriceOracleStrategies.data[1]) {
@@ -306,6 +331,7 @@ export const getGasPrice = async (
     (strategy) => strategy.gasPriceStrategy === 'constantGasPrice'
   ) as config.ConstantGasPriceStrategy;
   const constantGasTarget = fetchConstantGasPrice(constantGasPriceConfig);
+  recordGasPriceMetric(constantGasTarget, 'constantGasPrice', chainId);
 
   const log = logger.pend(
     'INFO',
@@ -321,7 +347,8 @@ export const getGasPrice = async (
 
 export const processGasPriceOracleStrategies = async (
   provider: Provider,
-  gasPriceOracleConfig: config.GasPriceOracleConfig
+  gasPriceOracleConfig: config.GasPriceOracleConfig,
+  chainId?: string
 ): Promise<LogsData<GasTarget | null>> => {
   const logs: PendingLog[] = [];
   const startTime = Date.now();
@@ -360,6 +387,7 @@ export const processGasPriceOracleStrategies = async (
             'gwei'
           )} gwei.`;
     logs.push(logger.pend('INFO', message));
+    recordGasPriceMetric(goAttemptGasOraclePriceStrategy.data, strategy.gasPriceStrategy, chainId);
 
     return [logs, goAttemptGasOraclePriceStrategy.data];
   }
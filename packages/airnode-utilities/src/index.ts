@@ -7,3 +7,4 @@ export * from './evm';
 export * from './caching';
 export * from './constants';
 export * from './testing';
+export * from './metrics';
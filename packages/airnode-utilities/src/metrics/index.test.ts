@@ -0,0 +1,144 @@
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { metrics, MetricDefinition } from './index';
+
+const counter: MetricDefinition = { name: 'test_requests_total', help: 'The number of requests', type: 'counter' };
+const gauge: MetricDefinition = { name: 'test_gas_price', help: 'The gas price', type: 'gauge' };
+const histogram: MetricDefinition = {
+  name: 'test_duration_seconds',
+  help: 'The duration',
+  type: 'histogram',
+  buckets: [0.1, 1],
+};
+
+describe('metrics', () => {
+  beforeEach(() => {
+    metrics.reset();
+  });
+
+  it('increments counters per labels', () => {
+    metrics.increment(counter, { status: 'seen' });
+    metrics.increment(counter, { status: 'seen' }, 2);
+    metrics.increment(counter, { status: 'dropped' });
+
+    expect(metrics.render()).toEqual(
+      [
+        '# HELP test_requests_total The number of requests',
+        '# TYPE test_requests_total counter',
+        'test_requests_total{status="seen"} 3',
+        'test_requests_total{status="dropped"} 1',
+        '',
+      ].join('\n')
+    );
+  });
+
+  it('sets gauges to the latest value', () => {
+    metrics.set(gauge, { chain_id: '1' }, 10);
+    metrics.set(gauge, { chain_id: '1' }, 12.5);
+
+    expect(metrics.render()).toContain('test_gas_price{chain_id="1"} 12.5');
+  });
+
+  it('renders histograms with cumulative buckets', () => {
+    metrics.observe(histogram, { step: 'a' }, 0.05);
+    metrics.observe(histogram, { step: 'a' }, 0.5);
+    metrics.observe(histogram, { step: 'a' }, 5);
+
+    expect(metrics.render()).toEqual(
+      [
+        '# HELP test_duration_seconds The duration',
+        '# TYPE test_duration_seconds histogram',
+        'test_duration_seconds_bucket{step="a",le="0.1"} 1',
+        'test_duration_seconds_bucket{step="a",le="1"} 2',
+        'test_duration_seconds_bucket{step="a",le="+Inf"} 3',
+        'test_duration_seconds_sum{step="a"} 5.55',
+        'test_duration_seconds_count{step="a"} 3',
+        '',
+      ].join('\n')
+    );
+  });
+
+  it('escapes the label values', () => {
+    metrics.increment(counter, { ois: 'My "OIS"\\' });
+
+    expect(metrics.render()).toContain('test_requests_total{ois="My \\"OIS\\"\\\\"} 1');
+  });
+
+  it('treats labels in a different order as the same series', () => {
+    metrics.increment(counter, { a: '1', b: '2' });
+    metrics.increment(counter, { b: '2', a: '1' });
+
+    expect(Object.values(metrics.getSnapshot()[counter.name].series)).toEqual([
+      { labels: { a: '1', b: '2' }, value: 2 },
+    ]);
+  });
+
+  it('merges snapshots', () => {
+    metrics.increment(counter, { status: 'seen' });
+    metrics.set(gauge, {}, 1);
+    metrics.observe(histogram, {}, 0.5);
+    const snapshot = metrics.getSnapshot();
+
+    metrics.reset();
+    metrics.increment(counter, { status: 'seen' }, 2);
+    metrics.increment(counter, { status: 'dropped' });
+    metrics.set(gauge, {}, 2);
+    metrics.observe(histogram, {}, 0.05);
+
+    const merged = metrics.merge(snapshot, metrics.getSnapshot());
+
+    expect(merged[counter.name].series).toEqual({
+      'status=seen': { labels: { status: 'seen' }, value: 3 },
+      'status=dropped': { labels: { status: 'dropped' }, value: 1 },
+    });
+    expect(merged[gauge.name].series['']).toEqual({ labels: {}, value: 2 });
+    expect(merged[histogram.name].series['']).toEqual({ labels: {}, value: 0.55, bucketCounts: [1, 1], count: 2 });
+  });
+
+  describe('persistence', () => {
+    let basePath: string;
+
+    beforeEach(() => {
+      basePath = mkdtempSync(join(tmpdir(), 'airnode-metrics-'));
+    });
+
+    afterEach(() => {
+      rmSync(basePath, { recursive: true, force: true });
+    });
+
+    it('does not persist the snapshot in a test environment unless forced', () => {
+      metrics.increment(counter);
+
+      metrics.persist('coordinator', basePath);
+      expect(metrics.readPersisted(basePath)).toEqual([]);
+
+      metrics.persist('coordinator', basePath, true);
+      expect(metrics.readPersisted(basePath)).toEqual([metrics.getSnapshot()]);
+    });
+
+    it('reads the persisted snapshots except for the excluded sources', () => {
+      metrics.increment(counter);
+      metrics.persist('coordinator', basePath, true);
+      metrics.persist('gateway', basePath, true);
+      writeFileSync(join(basePath, 'invalid.json'), '{');
+
+      expect(metrics.readPersisted(basePath, ['gateway'])).toEqual([metrics.getSnapshot()]);
+    });
+
+    it('returns no snapshots if nothing was persisted', () => {
+      expect(metrics.readPersisted(join(basePath, 'missing'))).toEqual([]);
+    });
+
+    it('continues from the persisted snapshot of the same source', () => {
+      metrics.increment(counter);
+      metrics.persist('coordinator', basePath, true);
+      metrics.reset();
+      metrics.increment(counter);
+
+      metrics.restore('coordinator', basePath);
+
+      expect(metrics.render()).toContain('test_requests_total 2');
+    });
+  });
+});
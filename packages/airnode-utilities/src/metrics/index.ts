@@ -0,0 +1,250 @@
+import { existsSync, mkdirSync, readdirSync, readFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { goSync } from '@api3/promise-utils';
+import { isJest } from '../caching';
+import { logger } from '../logging';
+
+export const METRICS_BASE_PATH = '/tmp/airnode-metrics';
+
+// The default histogram buckets (in seconds) which are suitable for measuring the duration of network calls
+export const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+export type MetricType = 'counter' | 'gauge' | 'histogram';
+
+export type MetricLabels = { readonly [labelName: string]: string };
+
+export interface MetricDefinition {
+  readonly name: string;
+  readonly help: string;
+  readonly type: MetricType;
+  // Only used by histograms
+  readonly buckets?: number[];
+}
+
+export interface MetricSeries {
+  readonly labels: MetricLabels;
+  // The counter or gauge value. For histograms this is the sum of the observed values.
+  readonly value: number;
+  // Only used by histograms. The number of observed values in each bucket (not cumulative) and the total count.
+  readonly bucketCounts?: number[];
+  readonly count?: number;
+}
+
+export interface Metric extends MetricDefinition {
+  // The series keyed by their serialized labels
+  readonly series: { readonly [labelsKey: string]: MetricSeries };
+}
+
+export type MetricsSnapshot = { readonly [name: string]: Metric };
+
+let registry: MetricsSnapshot = {};
+
+const getLabelsKey = (labels: MetricLabels) =>
+  Object.keys(labels)
+    .sort()
+    .map((labelName) => `${labelName}=${labels[labelName]}`)
+    .join(',');
+
+const updateSeries = (
+  definition: MetricDefinition,
+  labels: MetricLabels,
+  update: (series: MetricSeries | undefined) => MetricSeries
+) => {
+  const metric: Metric = registry[definition.name] ?? { ...definition, series: {} };
+  const labelsKey = getLabelsKey(labels);
+
+  registry = {
+    ...registry,
+    [definition.name]: { ...metric, series: { ...metric.series, [labelsKey]: update(metric.series[labelsKey]) } },
+  };
+};
+
+/**
+ * Increase the value of a counter.
+ */
+const increment = (definition: MetricDefinition, labels: MetricLabels = {}, value = 1) => {
+  updateSeries(definition, labels, (series) => ({ labels, value: (series?.value ?? 0) + value }));
+};
+
+/**
+ * Set the value of a gauge.
+ */
+const set = (definition: MetricDefinition, labels: MetricLabels, value: number) => {
+  updateSeries(definition, labels, () => ({ labels, value }));
+};
+
+/**
+ * Record a value (e.g. a duration in seconds) in a histogram.
+ */
+const observe = (definition: MetricDefinition, labels: MetricLabels, value: number) => {
+  const buckets = definition.buckets ?? DEFAULT_BUCKETS;
+  const bucketIndex = buckets.findIndex((upperBound) => value <= upperBound);
+
+  updateSeries(definition, labels, (series) => {
+    const bucketCounts = series?.bucketCounts ?? buckets.map(() => 0);
+    return {
+      labels,
+      value: (series?.value ?? 0) + value,
+      bucketCounts: bucketCounts.map((bucketCount, index) => (index === bucketIndex ? bucketCount + 1 : bucketCount)),
+      count: (series?.count ?? 0) + 1,
+    };
+  });
+};
+
+const getSnapshot = () => registry;
+
+const reset = () => {
+  registry = {};
+};
+
+const mergeSeries = (type: MetricType, series: MetricSeries, otherSeries: MetricSeries | undefined): MetricSeries => {
+  if (!otherSeries) return series;
+  // Gauges are not additive, so the value from the snapshot merged later wins
+  if (type === 'gauge') return otherSeries;
+
+  return {
+    labels: series.labels,
+    value: series.value + otherSeries.value,
+    ...(type === 'histogram'
+      ? {
+          bucketCounts: series.bucketCounts!.map(
+            (bucketCount, index) => bucketCount + otherSeries.bucketCounts![index]
+          ),
+          count: series.count! + otherSeries.count!,
+        }
+      : {}),
+  };
+};
+
+/**
+ * Merge snapshots that were recorded by different processes (e.g. the gateway server and the coordinator).
+ */
+const merge = (...snapshots: MetricsSnapshot[]) =>
+  snapshots.reduce((acc: MetricsSnapshot, snapshot) => {
+    return Object.values(snapshot).reduce((snapshotAcc, metric) => {
+      const existingMetric = snapshotAcc[metric.name];
+      if (!existingMetric) return { ...snapshotAcc, [metric.name]: metric };
+
+      const labelsKeys = [...new Set([...Object.keys(existingMetric.series), ...Object.keys(metric.series)])];
+      const series = labelsKeys.reduce((seriesAcc, labelsKey) => {
+        const existingSeries = existingMetric.series[labelsKey];
+        const mergedSeries = existingSeries
+          ? mergeSeries(metric.type, existingSeries, metric.series[labelsKey])
+          : metric.series[labelsKey];
+        return { ...seriesAcc, [labelsKey]: mergedSeries };
+      }, {});
+
+      return { ...snapshotAcc, [metric.name]: { ...existingMetric, series } };
+    }, acc);
+  }, {});
+
+const escapeLabelValue = (value: string) => value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const formatLabels = (labels: MetricLabels) => {
+  const formattedLabels = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return formattedLabels.length === 0 ? '' : `{${formattedLabels.join(',')}}`;
+};
+
+const formatSeries = (metric: Metric, series: MetricSeries) => {
+  if (metric.type !== 'histogram') {
+    return [`${metric.name}${formatLabels(series.labels)} ${series.value}`];
+  }
+
+  const buckets = metric.buckets ?? DEFAULT_BUCKETS;
+  // Prometheus histogram buckets are cumulative
+  const cumulativeCounts = series.bucketCounts!.reduce(
+    (acc: number[], bucketCount) => [...acc, (acc[acc.length - 1] ?? 0) + bucketCount],
+    []
+  );
+  return [
+    ...buckets.map(
+      (upperBound, index) =>
+        `${metric.name}_bucket${formatLabels({ ...series.labels, le: String(upperBound) })} ${cumulativeCounts[index]}`
+    ),
+    `${metric.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`,
+    `${metric.name}_sum${formatLabels(series.labels)} ${series.value}`,
+    `${metric.name}_count${formatLabels(series.labels)} ${series.count}`,
+  ];
+};
+
+/**
+ * Render the snapshot in the Prometheus text exposition format.
+ */
+const render = (snapshot: MetricsSnapshot = registry) =>
+  Object.values(snapshot)
+    .map((metric) =>
+      [
+        `# HELP ${metric.name} ${metric.help}`,
+        `# TYPE ${metric.name} ${metric.type}`,
+        ...Object.values(metric.series).flatMap((series) => formatSeries(metric, series)),
+      ].join('\n')
+    )
+    .map((lines) => `${lines}\n`)
+    .join('');
+
+/**
+ * Persist the snapshot of this process, so that it can be served by the gateway server which runs in another process.
+ *
+ * @param source the name of the process that recorded the metrics, e.g. `coordinator`
+ * @param force persist the snapshot also when executing in a test environment
+ */
+const persist = (source: string, basePath = METRICS_BASE_PATH, force = false) => {
+  // To not pollute the filesystem do nothing if we're executing in a test environment
+  if (isJest() && !force) {
+    return;
+  }
+
+  const goWrite = goSync(() => {
+    if (!existsSync(basePath)) mkdirSync(basePath, { recursive: true });
+    writeFileSync(join(basePath, `${source}.json`), JSON.stringify(registry));
+  });
+  if (!goWrite.success) {
+    logger.error(`Unable to persist metrics`);
+    logger.error(goWrite.error.stack!);
+  }
+};
+
+/**
+ * Read the snapshots persisted by the other processes.
+ *
+ * @param excludedSources the sources that should not be read, e.g. the source of the current process
+ */
+const readPersisted = (basePath = METRICS_BASE_PATH, excludedSources: string[] = []): MetricsSnapshot[] => {
+  const goFiles = goSync(() => readdirSync(basePath).filter((file) => file.endsWith('.json')));
+  if (!goFiles.success) return [];
+
+  return goFiles.data
+    .filter((file) => !excludedSources.includes(file.substring(0, file.length - '.json'.length)))
+    .flatMap((file) => {
+      const goSnapshot = goSync(() => JSON.parse(readFileSync(join(basePath, file), 'utf8')) as MetricsSnapshot);
+      if (!goSnapshot.success) {
+        logger.error(`Unable to read persisted metrics from ${file}`);
+        return [];
+      }
+      return [goSnapshot.data];
+    });
+};
+
+/**
+ * Continue from the snapshot that was persisted by a previous process of the same source. This is needed for the
+ * counters to keep increasing when the coordinator is invoked as a new process each time.
+ */
+const restore = (source: string, basePath = METRICS_BASE_PATH) => {
+  const goRead = goSync(() => JSON.parse(readFileSync(join(basePath, `${source}.json`), 'utf8')) as MetricsSnapshot);
+  if (goRead.success) {
+    registry = merge(goRead.data, registry);
+  }
+};
+
+export const metrics = {
+  increment,
+  set,
+  observe,
+  getSnapshot,
+  reset,
+  merge,
+  render,
+  persist,
+  readPersisted,
+  restore,
+};
@@ -265,6 +265,65 @@ describe('nodeSettingsSchema', () => {
       ])
     );
   });
+
+  describe('gateway access control', () => {
+    const enabledGateway = { enabled: true as const, maxConcurrency: 10, corsOrigins: [] };
+    const auth = { type: 'hmac', clients: [{ clientId: 'feeder-1', secret: 'a'.repeat(32) }] };
+    const rateLimit = {
+      perClient: { capacity: 10, refillPerSecond: 1 },
+      perEndpoint: { capacity: 100, refillPerSecond: 5 },
+    };
+
+    it('allows authentication and rate limits for the local gateways', () => {
+      const validNodeSettings = {
+        ...nodeSettings,
+        httpGateway: { ...enabledGateway, auth: { type: 'apiKeys', apiKeys: ['a'.repeat(30)] }, rateLimit },
+        httpSignedDataGateway: { ...enabledGateway, auth, rateLimit },
+      };
+
+      expect(() => nodeSettingsSchema.parse(validNodeSettings)).not.toThrow();
+    });
+
+    it('does not allow duplicate HMAC client IDs', () => {
+      const invalidNodeSettings = {
+        ...nodeSettings,
+        httpSignedDataGateway: { ...enabledGateway, auth: { ...auth, clients: [...auth.clients, ...auth.clients] } },
+      };
+
+      expect(() => nodeSettingsSchema.parse(invalidNodeSettings)).toThrow(
+        new ZodError([
+          {
+            code: 'custom',
+            message: 'Duplicate client ID "feeder-1"',
+            path: ['httpSignedDataGateway', 'auth', 'clients', 1, 'clientId'],
+          },
+        ])
+      );
+    });
+
+    it('does not allow authentication and rate limits for the cloud gateways', () => {
+      const invalidNodeSettings = {
+        ...nodeSettings,
+        cloudProvider: { type: 'aws', region: 'region', disableConcurrencyReservations: false },
+        httpSignedDataGateway: { ...enabledGateway, auth, rateLimit },
+      };
+
+      expect(() => nodeSettingsSchema.parse(invalidNodeSettings)).toThrow(
+        new ZodError([
+          {
+            code: 'custom',
+            message: 'Gateway "auth" is only supported with the "local" cloud provider',
+            path: ['httpSignedDataGateway', 'auth'],
+          },
+          {
+            code: 'custom',
+            message: 'Gateway "rateLimit" is only supported with the "local" cloud provider',
+            path: ['httpSignedDataGateway', 'rateLimit'],
+          },
+        ])
+      );
+    });
+  });
 });
 
 describe('templates', () => {
@@ -416,6 +475,440 @@ describe('triggers references', () => {
   });
 });
 
+describe('httpSignedData triggers', () => {
+  const config: Config = JSON.parse(
+    readFileSync(join(__dirname, '../../test/fixtures/interpolated-config.valid.json')).toString()
+  );
+  const { endpointId, endpointName, oisTitle } = config.triggers.rrp[0];
+  const withTrigger = (trigger: object) => ({ ...config, triggers: { ...config.triggers, httpSignedData: [trigger] } });
+
+  it('allows an optional response cache', () => {
+    expect(() => configSchema.parse(withTrigger({ endpointId, endpointName, oisTitle }))).not.toThrow();
+    expect(() =>
+      configSchema.parse(withTrigger({ endpointId, endpointName, oisTitle, responseCache: { ttlSeconds: 5 } }))
+    ).not.toThrow();
+  });
+
+  it('allows opting in to the upstream timestamp', () => {
+    expect(() =>
+      configSchema.parse(withTrigger({ endpointId, endpointName, oisTitle, upstreamTimestamp: true }))
+    ).not.toThrow();
+    expect(() =>
+      configSchema.parse(withTrigger({ endpointId, endpointName, oisTitle, upstreamTimestamp: 'true' }))
+    ).toThrow();
+  });
+
+  it('fails if the response cache TTL is not a positive integer of at most an hour', () => {
+    expect(() =>
+      configSchema.parse(withTrigger({ endpointId, endpointName, oisTitle, responseCache: { ttlSeconds: 3601 } }))
+    ).toThrow(
+      new ZodError([
+        {
+          code: 'too_big',
+          maximum: 3600,
+          type: 'number',
+          inclusive: true,
+          exact: false,
+          message: 'Number must be less than or equal to 3600',
+          path: ['triggers', 'httpSignedData', 0, 'responseCache', 'ttlSeconds'],
+        },
+      ])
+    );
+    expect(() =>
+      configSchema.parse(withTrigger({ endpointId, endpointName, oisTitle, responseCache: { ttlSeconds: 0.5 } }))
+    ).toThrow();
+  });
+});
+
+describe('retryPolicies', () => {
+  const config: Config = JSON.parse(
+    readFileSync(join(__dirname, '../../test/fixtures/interpolated-config.valid.json')).toString()
+  );
+  const oisTitle = config.ois[0].title;
+  const endpointName = config.ois[0].endpoints[0].name;
+  const retryPolicy = {
+    oisTitle,
+    endpointName,
+    maxAttempts: 3,
+    attemptTimeoutMs: 5_000,
+    backoff: { initialDelayMs: 500, multiplier: 2, maxDelayMs: 2_000, jitter: true },
+    retryableStatusCodes: [429, 503],
+    retryableErrors: ['timeout'],
+  };
+  const withRetryPolicies = (retryPolicies: object[]) => ({ ...config, retryPolicies });
+
+  it('allows optional retry policies', () => {
+    expect(() => configSchema.parse(config)).not.toThrow();
+    expect(() => configSchema.parse(withRetryPolicies([retryPolicy]))).not.toThrow();
+    expect(() =>
+      configSchema.parse(withRetryPolicies([{ oisTitle, endpointName, maxAttempts: 1, attemptTimeoutMs: 30_000 }]))
+    ).not.toThrow();
+  });
+
+  it('fails if the retry policy does not match an OIS endpoint', () => {
+    expect(() => configSchema.parse(withRetryPolicies([{ ...retryPolicy, endpointName: 'unknown' }]))).toThrow(
+      new ZodError([
+        {
+          code: 'custom',
+          message: `No matching OIS endpoint for retry policy with OIS title "${oisTitle}" and endpoint name "unknown"`,
+          path: ['retryPolicies', 0],
+        },
+      ])
+    );
+  });
+
+  it('fails if there are multiple retry policies for the same endpoint', () => {
+    expect(() => configSchema.parse(withRetryPolicies([retryPolicy, retryPolicy]))).toThrow(
+      new ZodError([
+        {
+          code: 'custom',
+          message: `Duplicate retry policy for OIS title "${oisTitle}" and endpoint name "${endpointName}"`,
+          path: ['retryPolicies', 1],
+        },
+      ])
+    );
+  });
+
+  it('fails if the attempts and the delays between them can exceed the total API call timeout', () => {
+    // 3 attempts of 9s with 1s and 2s delays take 30s in total, which is allowed
+    const longRetryPolicy = {
+      ...retryPolicy,
+      attemptTimeoutMs: 9_000,
+      backoff: { ...retryPolicy.backoff, initialDelayMs: 1_000 },
+    };
+    expect(() => configSchema.parse(withRetryPolicies([longRetryPolicy]))).not.toThrow();
+
+    expect(() => configSchema.parse(withRetryPolicies([{ ...longRetryPolicy, attemptTimeoutMs: 9_001 }]))).toThrow(
+      new ZodError([
+        {
+          code: 'custom',
+          message: 'The attempts and the delays between them must not take longer than 30000ms in total',
+          path: ['retryPolicies', 0],
+        },
+      ])
+    );
+  });
+
+  it('fails if the backoff delays are invalid', () => {
+    expect(() =>
+      configSchema.parse(
+        withRetryPolicies([{ ...retryPolicy, backoff: { ...retryPolicy.backoff, initialDelayMs: 3_000 } }])
+      )
+    ).toThrow();
+    expect(() =>
+      configSchema.parse(withRetryPolicies([{ ...retryPolicy, backoff: { ...retryPolicy.backoff, multiplier: 0.5 } }]))
+    ).toThrow();
+    expect(() => configSchema.parse(withRetryPolicies([{ ...retryPolicy, maxAttempts: 11 }]))).toThrow();
+    expect(() => configSchema.parse(withRetryPolicies([{ ...retryPolicy, retryableStatusCodes: [600] }]))).toThrow();
+  });
+});
+
+describe('serverSelectionPolicies', () => {
+  const config: Config = JSON.parse(
+    readFileSync(join(__dirname, '../../test/fixtures/interpolated-config.valid.json')).toString()
+  );
+  const oisTitle = config.ois[0].title;
+  const withServerSelectionPolicies = (serverSelectionPolicies: object[]) => ({ ...config, serverSelectionPolicies });
+
+  it('allows optional server selection policies', () => {
+    expect(() => configSchema.parse(withServerSelectionPolicies([{ oisTitle, strategy: 'fastest' }]))).not.toThrow();
+    expect(() => configSchema.parse(withServerSelectionPolicies([{ oisTitle, strategy: 'fallback' }]))).not.toThrow();
+    expect(() => configSchema.parse(withServerSelectionPolicies([{ oisTitle, strategy: 'random' }]))).toThrow();
+  });
+
+  it('fails if the server selection policy does not match an OIS', () => {
+    expect(() =>
+      configSchema.parse(withServerSelectionPolicies([{ oisTitle: 'unknown', strategy: 'fastest' }]))
+    ).toThrow(
+      new ZodError([
+        {
+          code: 'custom',
+          message: 'No matching OIS for server selection policy with OIS title "unknown"',
+          path: ['serverSelectionPolicies', 0],
+        },
+      ])
+    );
+  });
+
+  it('fails if there are multiple server selection policies for the same OIS', () => {
+    const serverSelectionPolicy = { oisTitle, strategy: 'fastest' };
+    expect(() =>
+      configSchema.parse(withServerSelectionPolicies([serverSelectionPolicy, serverSelectionPolicy]))
+    ).toThrow(
+      new ZodError([
+        {
+          code: 'custom',
+          message: `Duplicate server selection policy for OIS title "${oisTitle}"`,
+          path: ['serverSelectionPolicies', 1],
+        },
+      ])
+    );
+  });
+});
+
+describe('responseFormats', () => {
+  const config: Config = JSON.parse(
+    readFileSync(join(__dirname, '../../test/fixtures/interpolated-config.valid.json')).toString()
+  );
+  const oisTitle = config.ois[0].title;
+  const endpointName = config.ois[0].endpoints[0].name;
+  const withResponseFormats = (responseFormats: object[]) => ({ ...config, responseFormats });
+
+  it('allows optional response formats', () => {
+    expect(() => configSchema.parse(withResponseFormats([{ oisTitle, endpointName, format: 'xml' }]))).not.toThrow();
+    expect(() => configSchema.parse(withResponseFormats([{ oisTitle, endpointName, format: 'yaml' }]))).toThrow();
+  });
+
+  it('fails if the response format does not match an OIS endpoint', () => {
+    expect(() =>
+      configSchema.parse(withResponseFormats([{ oisTitle, endpointName: 'unknown', format: 'csv' }]))
+    ).toThrow(
+      new ZodError([
+        {
+          code: 'custom',
+          message: `No matching OIS endpoint for response format with OIS title "${oisTitle}" and endpoint name "unknown"`,
+          path: ['responseFormats', 0],
+        },
+      ])
+    );
+  });
+
+  it('fails if there are multiple response formats for the same endpoint', () => {
+    const responseFormat = { oisTitle, endpointName, format: 'csv' };
+    expect(() => configSchema.parse(withResponseFormats([responseFormat, responseFormat]))).toThrow(
+      new ZodError([
+        {
+          code: 'custom',
+          message: `Duplicate response format for OIS title "${oisTitle}" and endpoint name "${endpointName}"`,
+          path: ['responseFormats', 1],
+        },
+      ])
+    );
+  });
+});
+
+describe('jsonBodyEncodings', () => {
+  const config: Config = JSON.parse(
+    readFileSync(join(__dirname, '../../test/fixtures/interpolated-config.valid.json')).toString()
+  );
+  const oisTitle = config.ois[0].title;
+  const endpointName = config.ois[0].endpoints[0].name;
+  const withJsonBodyEncodings = (jsonBodyEncodings: object[]) => ({ ...config, jsonBodyEncodings });
+
+  it('allows optional JSON body encodings', () => {
+    expect(() =>
+      configSchema.parse(withJsonBodyEncodings([{ oisTitle, endpointName, encoding: 'nested' }]))
+    ).not.toThrow();
+    expect(() => configSchema.parse(withJsonBodyEncodings([{ oisTitle, endpointName, encoding: 'deep' }]))).toThrow();
+  });
+
+  it('fails if the JSON body encoding does not match an OIS endpoint', () => {
+    expect(() =>
+      configSchema.parse(withJsonBodyEncodings([{ oisTitle, endpointName: 'unknown', encoding: 'nested' }]))
+    ).toThrow(
+      new ZodError([
+        {
+          code: 'custom',
+          message: `No matching OIS endpoint for JSON body encoding with OIS title "${oisTitle}" and endpoint name "unknown"`,
+          path: ['jsonBodyEncodings', 0],
+        },
+      ])
+    );
+  });
+
+  it('fails if there are multiple JSON body encodings for the same endpoint', () => {
+    const jsonBodyEncoding = { oisTitle, endpointName, encoding: 'nested' };
+    expect(() => configSchema.parse(withJsonBodyEncodings([jsonBodyEncoding, jsonBodyEncoding]))).toThrow(
+      new ZodError([
+        {
+          code: 'custom',
+          message: `Duplicate JSON body encoding for OIS title "${oisTitle}" and endpoint name "${endpointName}"`,
+          path: ['jsonBodyEncodings', 1],
+        },
+      ])
+    );
+  });
+});
+
+describe('oauth2Credentials', () => {
+  const config: Config = JSON.parse(
+    readFileSync(join(__dirname, '../../test/fixtures/interpolated-config.valid.json')).toString()
+  );
+  const oisTitle = config.ois[0].title;
+  const securitySchemeName = 'OAuth2 Security Scheme';
+  const oauth2Credentials = {
+    oisTitle,
+    securitySchemeName,
+    tokenUrl: 'https://auth.example.com/oauth/token',
+    clientId: 'client-id',
+  };
+  const clientSecretCredentials = { oisTitle, securitySchemeName, securitySchemeValue: 'client-secret' };
+  const withOAuth2Credentials = (
+    oauth2Credentials: object[],
+    scheme = 'bearer',
+    apiCredentials: object[] = [clientSecretCredentials]
+  ) => ({
+    ...config,
+    ois: [
+      {
+        ...config.ois[0],
+        apiSpecifications: {
+          ...config.ois[0].apiSpecifications,
+          components: { securitySchemes: { [securitySchemeName]: { type: 'http', scheme } } },
+          security: { [securitySchemeName]: [] },
+        },
+      },
+      ...config.ois.slice(1),
+    ],
+    apiCredentials,
+    oauth2Credentials,
+  });
+
+  it('allows fetching the bearer token of an enabled security scheme with the client secret of its API credentials', () => {
+    expect(() => configSchema.parse(withOAuth2Credentials([oauth2Credentials]))).not.toThrow();
+    expect(() => configSchema.parse(withOAuth2Credentials([{ ...oauth2Credentials, scope: 'prices' }]))).not.toThrow();
+  });
+
+  it('fails if the client secret is in the OAuth2 credentials', () => {
+    expect(() =>
+      configSchema.parse(withOAuth2Credentials([{ ...oauth2Credentials, clientSecret: 'client-secret' }]))
+    ).toThrow(
+      new ZodError([
+        {
+          code: 'unrecognized_keys',
+          keys: ['clientSecret'],
+          path: ['oauth2Credentials', 0],
+          message: `Unrecognized key(s) in object: 'clientSecret'`,
+        },
+      ])
+    );
+  });
+
+  it('fails if there are no API credentials with the client secret', () => {
+    expect(() => configSchema.parse(withOAuth2Credentials([oauth2Credentials], 'bearer', []))).toThrow(
+      new ZodError([
+        {
+          code: 'custom',
+          message: 'The security scheme is enabled but no credentials are provided in "apiCredentials"',
+          path: ['ois', 0, 'apiSpecifications', 'security', securitySchemeName],
+        },
+        {
+          code: 'custom',
+          message: 'The OAuth2 credentials are enabled but no client secret is provided in "apiCredentials"',
+          path: ['oauth2Credentials', 0],
+        },
+      ])
+    );
+  });
+
+  it('fails if the OAuth2 credentials do not match an HTTP bearer security scheme', () => {
+    const message = `No matching HTTP bearer security scheme for OAuth2 credentials with OIS title "${oisTitle}" and security scheme name "${securitySchemeName}"`;
+    expect(() => configSchema.parse(withOAuth2Credentials([oauth2Credentials], 'basic'))).toThrow(
+      new ZodError([{ code: 'custom', message, path: ['oauth2Credentials', 0] }])
+    );
+  });
+
+  it('fails if there are multiple OAuth2 credentials for the same security scheme', () => {
+    expect(() => configSchema.parse(withOAuth2Credentials([oauth2Credentials, oauth2Credentials]))).toThrow(
+      new ZodError([
+        {
+          code: 'custom',
+          message: `Duplicate OAuth2 credentials for OIS title "${oisTitle}" and security scheme name "${securitySchemeName}"`,
+          path: ['oauth2Credentials', 1],
+        },
+      ])
+    );
+  });
+});
+
+describe('hmacSecuritySchemes', () => {
+  const config: Config = JSON.parse(
+    readFileSync(join(__dirname, '../../test/fixtures/interpolated-config.valid.json')).toString()
+  );
+  const oisTitle = config.ois[0].title;
+  const securitySchemeName = 'exchangeSigning';
+  const hmacSecurityScheme = {
+    oisTitle,
+    securitySchemeName,
+    canonicalString: '{timestamp}{method}{path}{query}{body}',
+    algorithm: 'sha256',
+    encoding: 'hex',
+    signatureHeader: 'X-Signature',
+    timestampHeader: 'X-Timestamp',
+  };
+  const withHmacSecuritySchemes = (hmacSecuritySchemes: object[]) => ({
+    ...config,
+    apiCredentials: [...config.apiCredentials, { oisTitle, securitySchemeName, securitySchemeValue: 'secret' }],
+    hmacSecuritySchemes,
+  });
+
+  it('allows optional HMAC security schemes', () => {
+    expect(() => configSchema.parse(withHmacSecuritySchemes([hmacSecurityScheme]))).not.toThrow();
+    expect(() => configSchema.parse(withHmacSecuritySchemes([{ ...hmacSecurityScheme, algorithm: 'md5' }]))).toThrow();
+  });
+
+  it('fails if the canonical string contains unknown placeholders', () => {
+    expect(() =>
+      configSchema.parse(withHmacSecuritySchemes([{ ...hmacSecurityScheme, canonicalString: '{method}{host}' }]))
+    ).toThrow(
+      new ZodError([
+        {
+          code: 'custom',
+          message: 'Unknown canonical string placeholder "{host}"',
+          path: ['hmacSecuritySchemes', 0, 'canonicalString'],
+        },
+      ])
+    );
+  });
+
+  it('fails if there are no API credentials for the HMAC security scheme', () => {
+    expect(() => configSchema.parse({ ...config, hmacSecuritySchemes: [hmacSecurityScheme] })).toThrow(
+      new ZodError([
+        {
+          code: 'custom',
+          message: 'The HMAC security scheme is enabled but no credentials are provided in "apiCredentials"',
+          path: ['hmacSecuritySchemes', 0],
+        },
+      ])
+    );
+  });
+
+  it('fails if the HMAC security scheme name is used by an OIS security scheme', () => {
+    const invalidConfig = withHmacSecuritySchemes([hmacSecurityScheme]);
+    invalidConfig.ois = [
+      {
+        ...config.ois[0],
+        apiSpecifications: {
+          ...config.ois[0].apiSpecifications,
+          components: { securitySchemes: { [securitySchemeName]: { type: 'apiKey', in: 'header', name: 'X-Key' } } },
+        },
+      },
+      ...config.ois.slice(1),
+    ];
+    expect(() => configSchema.parse(invalidConfig)).toThrow(
+      new ZodError([
+        {
+          code: 'custom',
+          message: `HMAC security scheme name "${securitySchemeName}" is already used by an OIS security scheme`,
+          path: ['hmacSecuritySchemes', 0],
+        },
+      ])
+    );
+  });
+
+  it('fails if there are multiple HMAC security schemes for the same OIS', () => {
+    expect(() => configSchema.parse(withHmacSecuritySchemes([hmacSecurityScheme, hmacSecurityScheme]))).toThrow(
+      new ZodError([
+        {
+          code: 'custom',
+          message: `Duplicate HMAC security scheme for OIS title "${oisTitle}"`,
+          path: ['hmacSecuritySchemes', 1],
+        },
+      ])
+    );
+  });
+});
+
 describe('apiKey schemas', () => {
   const heartbeat: SchemaType<typeof enabledHeartbeatSchema> = {
     enabled: true,
@@ -40,11 +40,30 @@ export const rrpTriggerSchema = triggerSchema
   )
   .strict();
 
+// The signed responses are cached per template and per time window of "ttlSeconds", which can not be longer than the
+// filesystem cache keeps its entries on the cloud providers
+export const signedResponseCacheSchema = z
+  .object({
+    ttlSeconds: z.number().int().positive().max(3600),
+  })
+  .strict();
+
+// The signed data is timestamped with the "Date" header of the API response if "upstreamTimestamp" is enabled, and with
+// the time of the signing otherwise
+export const httpSignedDataTriggerSchema = triggerSchema
+  .merge(
+    z.object({
+      responseCache: signedResponseCacheSchema.optional(),
+      upstreamTimestamp: z.boolean().optional(),
+    })
+  )
+  .strict();
+
 export const triggersSchema = z
   .object({
     rrp: z.array(rrpTriggerSchema),
     http: z.array(triggerSchema),
-    httpSignedData: z.array(triggerSchema),
+    httpSignedData: z.array(httpSignedDataTriggerSchema),
   })
   .strict();
 
@@ -398,11 +417,67 @@ export const apiKeySchema = z.string().min(30).max(120);
 
 export const corsOriginsSchema = z.array(z.string());
 
+export const apiKeysGatewayAuthSchema = z
+  .object({
+    type: z.literal('apiKeys'),
+    // Sent by the clients in the "x-api-key" header
+    apiKeys: z.array(apiKeySchema).nonempty(),
+  })
+  .strict();
+
+export const hmacGatewayClientSchema = z
+  .object({
+    clientId: z.string().regex(/^[a-zA-Z0-9_-]{1,64}$/),
+    secret: z.string().min(32),
+  })
+  .strict();
+
+export const hmacGatewayAuthSchema = z
+  .object({
+    type: z.literal('hmac'),
+    clients: z
+      .array(hmacGatewayClientSchema)
+      .nonempty()
+      .superRefine((clients, ctx) => {
+        clients.forEach((client, index) => {
+          if (clients.findIndex((otherClient) => otherClient.clientId === client.clientId) !== index) {
+            ctx.addIssue({
+              code: z.ZodIssueCode.custom,
+              message: `Duplicate client ID "${client.clientId}"`,
+              path: [index, 'clientId'],
+            });
+          }
+        });
+      }),
+  })
+  .strict();
+
+export const gatewayAuthSchema = z.discriminatedUnion('type', [apiKeysGatewayAuthSchema, hmacGatewayAuthSchema]);
+
+export const tokenBucketSchema = z
+  .object({
+    // The maximum number of requests that can be made in a burst
+    capacity: z.number().int().positive(),
+    // The number of requests that are allowed per second after the burst
+    refillPerSecond: z.number().positive(),
+  })
+  .strict();
+
+export const gatewayRateLimitSchema = z
+  .object({
+    perClient: tokenBucketSchema.optional(),
+    perEndpoint: tokenBucketSchema.optional(),
+  })
+  .strict();
+
 export const enabledGatewaySchema = z
   .object({
     enabled: z.literal(true),
     maxConcurrency: z.number().int().positive(),
     corsOrigins: corsOriginsSchema,
+    // Authentication and rate limits are only supported by the gateways of the "local" cloud provider
+    auth: gatewayAuthSchema.optional(),
+    rateLimit: gatewayRateLimitSchema.optional(),
   })
   .strict();
 
@@ -438,6 +513,8 @@ export const localProviderSchema = z
     // container is run in "network host" mode, where the container uses the host network natively (and no port
     // publishing is needed).
     gatewayServerPort: z.number().optional(),
+    // Serves the Prometheus metrics of the gateway server and the coordinator on the "/metrics" path
+    enableMetrics: z.boolean().optional(),
   })
   .strict();
 
@@ -479,6 +556,32 @@ const validateMnemonic: SuperRefinement<string> = (mnemonic, ctx) => {
   }
 };
 
+const gatewayNames = ['httpGateway', 'httpSignedDataGateway', 'oevGateway'] as const;
+
+const validateGatewayAccessControl: SuperRefinement<{
+  httpGateway: Gateway;
+  httpSignedDataGateway: Gateway;
+  oevGateway: Gateway;
+  cloudProvider: LocalOrCloudProvider;
+}> = (nodeSettings, ctx) => {
+  if (nodeSettings.cloudProvider.type === 'local') return;
+
+  gatewayNames.forEach((gatewayName) => {
+    const gateway = nodeSettings[gatewayName];
+    if (!gateway.enabled) return;
+
+    (['auth', 'rateLimit'] as const).forEach((field) => {
+      if (gateway[field]) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          message: `Gateway "${field}" is only supported with the "local" cloud provider`,
+          path: [gatewayName, field],
+        });
+      }
+    });
+  });
+};
+
 export const nodeSettingsSchema = z
   .object({
     airnodeWalletMnemonic: z.string().superRefine(validateMnemonic),
@@ -490,6 +593,8 @@ export const nodeSettingsSchema = z
     cloudProvider: localOrCloudProviderSchema,
     logFormat: logFormatSchema,
     logLevel: logLevelSchema,
+    // Persists the coordinator journals to the filesystem for the replay CLI, which defaults to the local deployments
+    enableJournal: z.boolean().optional(),
     nodeVersion: z.string().superRefine((version, ctx) => {
       if (version === packageVersion) return;
 
@@ -500,7 +605,8 @@ export const nodeSettingsSchema = z
       });
     }),
   })
-  .strict();
+  .strict()
+  .superRefine(validateGatewayAccessControl);
 
 export const baseApiCredentialsSchema = z
   .object({
@@ -515,6 +621,331 @@ export const apiCredentialsSchema = baseApiCredentialsSchema
   })
   .strict();
 
+// The API calls (including all retries) must finish before the worker making them is timed out
+export const API_CALL_TOTAL_TIMEOUT_MS = 30_000;
+
+export const apiCallBackoffSchema = z
+  .object({
+    initialDelayMs: z.number().int().nonnegative(),
+    multiplier: z.number().min(1),
+    maxDelayMs: z.number().int().nonnegative(),
+    // Full jitter, i.e. the delay is a random value between zero and the computed delay
+    jitter: z.boolean(),
+  })
+  .strict()
+  .refine((backoff) => backoff.maxDelayMs >= backoff.initialDelayMs, {
+    message: '"maxDelayMs" must be greater than or equal to "initialDelayMs"',
+    path: ['maxDelayMs'],
+  });
+
+export const retryableErrorSchema = z.union([z.literal('timeout'), z.literal('noResponse')]);
+
+export const retryPolicySchema = z
+  .object({
+    oisTitle: z.string(),
+    endpointName: z.string(),
+    maxAttempts: z.number().int().min(1).max(10),
+    attemptTimeoutMs: z.number().int().positive(),
+    backoff: apiCallBackoffSchema.optional(),
+    retryableStatusCodes: z.array(z.number().int().min(100).max(599)).optional(),
+    retryableErrors: z.array(retryableErrorSchema).optional(),
+  })
+  .strict();
+
+// Returns the delay before the given retry (the first retry is 1) without the jitter, which can only make it shorter
+export const getMaxBackoffDelay = (backoff: ApiCallBackoff | undefined, retry: number) =>
+  backoff ? Math.min(backoff.initialDelayMs * backoff.multiplier ** (retry - 1), backoff.maxDelayMs) : 0;
+
+export const getMaxRetryPolicyDuration = (retryPolicy: RetryPolicy) =>
+  Array.from({ length: retryPolicy.maxAttempts - 1 }, (_, index) =>
+    getMaxBackoffDelay(retryPolicy.backoff, index + 1)
+  ).reduce((duration, delay) => duration + delay, retryPolicy.maxAttempts * retryPolicy.attemptTimeoutMs);
+
+const validateRetryPolicies: SuperRefinement<{
+  ois: OIS[];
+  retryPolicies?: RetryPolicy[];
+}> = (config, ctx) => {
+  (config.retryPolicies ?? []).forEach((retryPolicy, index) => {
+    const { oisTitle, endpointName } = retryPolicy;
+
+    const ois = config.ois.find((ois) => ois.title === oisTitle);
+    if (!ois || !ois.endpoints.find((endpoint) => endpoint.name === endpointName)) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: `No matching OIS endpoint for retry policy with OIS title "${oisTitle}" and endpoint name "${endpointName}"`,
+        path: ['retryPolicies', index],
+      });
+    }
+
+    const duplicateIndex = config.retryPolicies!.findIndex(
+      (other) => other.oisTitle === oisTitle && other.endpointName === endpointName
+    );
+    if (duplicateIndex !== index) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: `Duplicate retry policy for OIS title "${oisTitle}" and endpoint name "${endpointName}"`,
+        path: ['retryPolicies', index],
+      });
+    }
+
+    if (getMaxRetryPolicyDuration(retryPolicy) > API_CALL_TOTAL_TIMEOUT_MS) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: `The attempts and the delays between them must not take longer than ${API_CALL_TOTAL_TIMEOUT_MS}ms in total`,
+        path: ['retryPolicies', index],
+      });
+    }
+  });
+};
+
+// The servers of an OIS other than the first one are fallbacks, which are either tried in order or called concurrently
+export const serverSelectionStrategySchema = z.union([z.literal('fallback'), z.literal('fastest')]);
+
+export const serverSelectionPolicySchema = z
+  .object({
+    oisTitle: z.string(),
+    strategy: serverSelectionStrategySchema,
+  })
+  .strict();
+
+const validateServerSelectionPolicies: SuperRefinement<{
+  ois: OIS[];
+  serverSelectionPolicies?: ServerSelectionPolicy[];
+}> = (config, ctx) => {
+  (config.serverSelectionPolicies ?? []).forEach((serverSelectionPolicy, index) => {
+    const { oisTitle } = serverSelectionPolicy;
+
+    if (!config.ois.find((ois) => ois.title === oisTitle)) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: `No matching OIS for server selection policy with OIS title "${oisTitle}"`,
+        path: ['serverSelectionPolicies', index],
+      });
+    }
+
+    const duplicateIndex = config.serverSelectionPolicies!.findIndex((other) => other.oisTitle === oisTitle);
+    if (duplicateIndex !== index) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: `Duplicate server selection policy for OIS title "${oisTitle}"`,
+        path: ['serverSelectionPolicies', index],
+      });
+    }
+  });
+};
+
+// The response format of an endpoint overrides the one detected from the "Content-Type" header of the response
+export const responseFormatSchema = z.union([z.literal('json'), z.literal('csv'), z.literal('xml'), z.literal('text')]);
+
+export const endpointResponseFormatSchema = z
+  .object({
+    oisTitle: z.string(),
+    endpointName: z.string(),
+    format: responseFormatSchema,
+  })
+  .strict();
+
+const validateResponseFormats: SuperRefinement<{
+  ois: OIS[];
+  responseFormats?: EndpointResponseFormat[];
+}> = (config, ctx) => {
+  (config.responseFormats ?? []).forEach((responseFormat, index) => {
+    const { oisTitle, endpointName } = responseFormat;
+
+    const ois = config.ois.find((ois) => ois.title === oisTitle);
+    if (!ois || !ois.endpoints.find((endpoint) => endpoint.name === endpointName)) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: `No matching OIS endpoint for response format with OIS title "${oisTitle}" and endpoint name "${endpointName}"`,
+        path: ['responseFormats', index],
+      });
+    }
+
+    const duplicateIndex = config.responseFormats!.findIndex(
+      (other) => other.oisTitle === oisTitle && other.endpointName === endpointName
+    );
+    if (duplicateIndex !== index) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: `Duplicate response format for OIS title "${oisTitle}" and endpoint name "${endpointName}"`,
+        path: ['responseFormats', index],
+      });
+    }
+  });
+};
+
+// The "nested" encoding of an endpoint builds its JSON request bodies from the dotted parameter names (e.g.
+// "variables.id"), which are sent as flat keys otherwise
+export const jsonBodyEncodingSchema = z.union([z.literal('flat'), z.literal('nested')]);
+
+export const endpointJsonBodyEncodingSchema = z
+  .object({
+    oisTitle: z.string(),
+    endpointName: z.string(),
+    encoding: jsonBodyEncodingSchema,
+  })
+  .strict();
+
+const validateJsonBodyEncodings: SuperRefinement<{
+  ois: OIS[];
+  jsonBodyEncodings?: EndpointJsonBodyEncoding[];
+}> = (config, ctx) => {
+  (config.jsonBodyEncodings ?? []).forEach((jsonBodyEncoding, index) => {
+    const { oisTitle, endpointName } = jsonBodyEncoding;
+
+    const ois = config.ois.find((ois) => ois.title === oisTitle);
+    if (!ois || !ois.endpoints.find((endpoint) => endpoint.name === endpointName)) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: `No matching OIS endpoint for JSON body encoding with OIS title "${oisTitle}" and endpoint name "${endpointName}"`,
+        path: ['jsonBodyEncodings', index],
+      });
+    }
+
+    const duplicateIndex = config.jsonBodyEncodings!.findIndex(
+      (other) => other.oisTitle === oisTitle && other.endpointName === endpointName
+    );
+    if (duplicateIndex !== index) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: `Duplicate JSON body encoding for OIS title "${oisTitle}" and endpoint name "${endpointName}"`,
+        path: ['jsonBodyEncodings', index],
+      });
+    }
+  });
+};
+
+// The access token of an HTTP bearer security scheme can be fetched with the OAuth2 client credentials grant instead
+// of being a static secret, using the value of the API credentials of the security scheme as the client secret
+export const oauth2CredentialsSchema = z
+  .object({
+    oisTitle: z.string(),
+    securitySchemeName: z.string(),
+    tokenUrl: z.string().url(),
+    clientId: z.string(),
+    scope: z.string().optional(),
+  })
+  .strict();
+
+const validateOAuth2Credentials: SuperRefinement<{
+  ois: OIS[];
+  apiCredentials: ApiCredentials[];
+  oauth2Credentials?: OAuth2Credentials[];
+}> = (config, ctx) => {
+  (config.oauth2Credentials ?? []).forEach((oauth2Credentials, index) => {
+    const { oisTitle, securitySchemeName } = oauth2Credentials;
+
+    const ois = config.ois.find((ois) => ois.title === oisTitle);
+    const securityScheme = ois?.apiSpecifications.components.securitySchemes[securitySchemeName];
+    if (!securityScheme || securityScheme.type !== 'http' || securityScheme.scheme !== 'bearer') {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: `No matching HTTP bearer security scheme for OAuth2 credentials with OIS title "${oisTitle}" and security scheme name "${securitySchemeName}"`,
+        path: ['oauth2Credentials', index],
+      });
+    }
+
+    const apiCredentials = config.apiCredentials.find(
+      (apiCredentials) =>
+        apiCredentials.oisTitle === oisTitle && apiCredentials.securitySchemeName === securitySchemeName
+    );
+    if (!apiCredentials) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: `The OAuth2 credentials are enabled but no client secret is provided in "apiCredentials"`,
+        path: ['oauth2Credentials', index],
+      });
+    }
+
+    const duplicateIndex = config.oauth2Credentials!.findIndex(
+      (other) => other.oisTitle === oisTitle && other.securitySchemeName === securitySchemeName
+    );
+    if (duplicateIndex !== index) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: `Duplicate OAuth2 credentials for OIS title "${oisTitle}" and security scheme name "${securitySchemeName}"`,
+        path: ['oauth2Credentials', index],
+      });
+    }
+  });
+};
+
+export const hmacCanonicalStringPlaceholders = ['timestamp', 'method', 'path', 'query', 'body'];
+
+// Signs each request to the API of the OIS with an HMAC, using the value of the API credentials with the same security
+// scheme name as the secret
+export const hmacSecuritySchemeSchema = z
+  .object({
+    oisTitle: z.string(),
+    securitySchemeName: z.string(),
+    canonicalString: z.string().superRefine((canonicalString, ctx) => {
+      const placeholders = Array.from(canonicalString.matchAll(/\{(\w+)\}/g), (match) => match[1]);
+      placeholders
+        .filter((placeholder) => !hmacCanonicalStringPlaceholders.includes(placeholder))
+        .forEach((placeholder) => {
+          ctx.addIssue({
+            code: z.ZodIssueCode.custom,
+            message: `Unknown canonical string placeholder "{${placeholder}}"`,
+            path: [],
+          });
+        });
+    }),
+    algorithm: z.union([z.literal('sha256'), z.literal('sha384'), z.literal('sha512')]),
+    encoding: z.union([z.literal('hex'), z.literal('base64')]),
+    signatureHeader: z.string(),
+    timestampHeader: z.string().optional(),
+    timestampFormat: z.union([z.literal('milliseconds'), z.literal('seconds')]).optional(),
+  })
+  .strict();
+
+const validateHmacSecuritySchemes: SuperRefinement<{
+  ois: OIS[];
+  apiCredentials: ApiCredentials[];
+  hmacSecuritySchemes?: HmacSecurityScheme[];
+}> = (config, ctx) => {
+  (config.hmacSecuritySchemes ?? []).forEach((hmacSecurityScheme, index) => {
+    const { oisTitle, securitySchemeName } = hmacSecurityScheme;
+
+    const ois = config.ois.find((ois) => ois.title === oisTitle);
+    if (!ois) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: `No matching OIS for HMAC security scheme with OIS title "${oisTitle}"`,
+        path: ['hmacSecuritySchemes', index],
+      });
+    }
+    // The secret would otherwise be sent to the API as the value of the OIS security scheme
+    if (ois?.apiSpecifications.components.securitySchemes[securitySchemeName]) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: `HMAC security scheme name "${securitySchemeName}" is already used by an OIS security scheme`,
+        path: ['hmacSecuritySchemes', index],
+      });
+    }
+
+    const apiCredentials = config.apiCredentials.find(
+      (apiCredentials) =>
+        apiCredentials.oisTitle === oisTitle && apiCredentials.securitySchemeName === securitySchemeName
+    );
+    if (!apiCredentials) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: `The HMAC security scheme is enabled but no credentials are provided in "apiCredentials"`,
+        path: ['hmacSecuritySchemes', index],
+      });
+    }
+
+    const duplicateIndex = config.hmacSecuritySchemes!.findIndex((other) => other.oisTitle === oisTitle);
+    if (duplicateIndex !== index) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: `Duplicate HMAC security scheme for OIS title "${oisTitle}"`,
+        path: ['hmacSecuritySchemes', index],
+      });
+    }
+  });
+};
+
 const validateSecuritySchemesReferences: SuperRefinement<{
   ois: OIS[];
   apiCredentials: ApiCredentials[];
@@ -652,15 +1083,38 @@ export const configSchema = z
     triggers: triggersSchema,
     templates: z.array(templateSchema),
     apiCredentials: z.array(apiCredentialsSchema),
+    retryPolicies: z.array(retryPolicySchema).optional(),
+    serverSelectionPolicies: z.array(serverSelectionPolicySchema).optional(),
+    oauth2Credentials: z.array(oauth2CredentialsSchema).optional(),
+    hmacSecuritySchemes: z.array(hmacSecuritySchemeSchema).optional(),
+    responseFormats: z.array(endpointResponseFormatSchema).optional(),
+    jsonBodyEncodings: z.array(endpointJsonBodyEncodingSchema).optional(),
   })
   .strict()
   .superRefine(validateSecuritySchemesReferences)
   .superRefine(validateTemplateSchemes)
   .superRefine(validateTriggersReferences)
-  .superRefine(ensureRelayedMetadataAreNotUsedWithGateways);
+  .superRefine(ensureRelayedMetadataAreNotUsedWithGateways)
+  .superRefine(validateRetryPolicies)
+  .superRefine(validateServerSelectionPolicies)
+  .superRefine(validateOAuth2Credentials)
+  .superRefine(validateHmacSecuritySchemes)
+  .superRefine(validateResponseFormats)
+  .superRefine(validateJsonBodyEncodings);
 
 export type Config = SchemaType<typeof configSchema>;
 export type ApiCredentials = SchemaType<typeof apiCredentialsSchema>;
+export type ApiCallBackoff = SchemaType<typeof apiCallBackoffSchema>;
+export type RetryableError = SchemaType<typeof retryableErrorSchema>;
+export type RetryPolicy = SchemaType<typeof retryPolicySchema>;
+export type ServerSelectionStrategy = SchemaType<typeof serverSelectionStrategySchema>;
+export type ServerSelectionPolicy = SchemaType<typeof serverSelectionPolicySchema>;
+export type OAuth2Credentials = SchemaType<typeof oauth2CredentialsSchema>;
+export type HmacSecurityScheme = SchemaType<typeof hmacSecuritySchemeSchema>;
+export type ResponseFormat = SchemaType<typeof responseFormatSchema>;
+export type EndpointResponseFormat = SchemaType<typeof endpointResponseFormatSchema>;
+export type JsonBodyEncoding = SchemaType<typeof jsonBodyEncodingSchema>;
+export type EndpointJsonBodyEncoding = SchemaType<typeof endpointJsonBodyEncodingSchema>;
 export type NodeSettings = SchemaType<typeof nodeSettingsSchema>;
 export type Template = SchemaType<typeof templateSchema>;
 export type CloudProvider = SchemaType<typeof cloudProviderSchema>;
@@ -692,10 +1146,16 @@ export type GasPriceOracleStrategy = z.infer<typeof gasPriceOracleStrategySchema
 export type GasPriceOracleConfig = z.infer<typeof gasPriceOracleSchema>;
 export type Trigger = SchemaType<typeof triggerSchema>;
 export type RrpTrigger = SchemaType<typeof rrpTriggerSchema>;
+export type HttpSignedDataTrigger = SchemaType<typeof httpSignedDataTriggerSchema>;
+export type SignedResponseCache = SchemaType<typeof signedResponseCacheSchema>;
 export type Triggers = SchemaType<typeof triggersSchema>;
 export type Heartbeat = SchemaType<typeof heartbeatSchema>;
 export type Amount = SchemaType<typeof amountSchema>;
 export type EnabledGateway = SchemaType<typeof enabledGatewaySchema>;
+export type GatewayAuth = SchemaType<typeof gatewayAuthSchema>;
+export type HmacGatewayClient = SchemaType<typeof hmacGatewayClientSchema>;
+export type TokenBucket = SchemaType<typeof tokenBucketSchema>;
+export type GatewayRateLimit = SchemaType<typeof gatewayRateLimitSchema>;
 export type MaxConcurrency = SchemaType<typeof maxConcurrencySchema>;
 
 export const availableCloudProviders = Array.from(cloudProviderSchema.optionsMap.keys()) as CloudProvider['type'][];
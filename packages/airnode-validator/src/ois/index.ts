@@ -1 +1,24 @@
 export * from '@api3/ois';
+// The schemas and types which widen the ones of @api3/ois take precedence over them
+export {
+  methodSchema,
+  endpointOperationSchema,
+  pathSchema,
+  pathsSchema,
+  apiSpecificationSchema,
+  ROUNDING_MODES,
+  MAX_DECIMALS,
+  reservedParameterNameSchema,
+  reservedParameterSchema,
+  reservedParametersSchema,
+  RESERVED_PARAMETERS,
+  endpointSchema,
+  oisSchema,
+  Method,
+  ReservedParameterName,
+  ReservedParameters,
+  Paths,
+  ApiSpecification,
+  Endpoint,
+  OIS,
+} from './ois';
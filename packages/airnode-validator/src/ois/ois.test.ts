@@ -0,0 +1,184 @@
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { ZodError } from 'zod';
+import * as ois from '@api3/ois';
+import { OIS, oisSchema, RESERVED_PARAMETERS, reservedParameterSchema } from './ois';
+
+const loadOis = (): OIS => JSON.parse(readFileSync(join(__dirname, '../../test/fixtures/ois.json')).toString());
+
+const withMethod = (ois: OIS, method: string) => ({
+  ...ois,
+  apiSpecifications: {
+    ...ois.apiSpecifications,
+    paths: { '/convert': { [method]: ois.apiSpecifications.paths['/convert'].get } },
+  },
+  endpoints: [{ ...ois.endpoints[0], operation: { method, path: '/convert' } }],
+});
+
+describe('oisSchema', () => {
+  it('accepts the PUT, PATCH and DELETE operations', () => {
+    const ois = loadOis();
+
+    expect(oisSchema.parse(ois)).toEqual(ois);
+    ['put', 'patch', 'delete'].forEach((method) => {
+      expect(oisSchema.parse(withMethod(ois, method))).toEqual(withMethod(ois, method));
+    });
+  });
+
+  it('rejects the other methods', () => {
+    expect(() => oisSchema.parse(withMethod(loadOis(), 'head'))).toThrow(ZodError);
+  });
+
+  it('checks the method of the endpoint operations against the API specification', () => {
+    const ois = loadOis();
+    const invalidOis = { ...ois, endpoints: [{ ...ois.endpoints[0], operation: { method: 'put', path: '/convert' } }] };
+
+    expect(() => oisSchema.parse(invalidOis)).toThrow(
+      new ZodError([
+        {
+          code: 'custom',
+          message: 'No matching API specification found in "apiSpecifications" section',
+          path: ['endpoints', 0],
+        },
+      ])
+    );
+  });
+
+  it('keeps the refinements of @api3/ois', () => {
+    const ois = withMethod(loadOis(), 'put');
+    const invalidOis = {
+      ...ois,
+      apiSpecifications: {
+        ...ois.apiSpecifications,
+        paths: { '/convert/{id}': ois.apiSpecifications.paths['/convert'] },
+      },
+    };
+
+    expect(() => oisSchema.parse(invalidOis)).toThrow(
+      expect.objectContaining({
+        issues: expect.arrayContaining([
+          expect.objectContaining({
+            message: 'Path parameter "id" is not found in "parameters"',
+            path: ['apiSpecifications', 'paths', '/convert/{id}', 'put', 'parameters'],
+          }),
+        ]),
+      })
+    );
+  });
+});
+
+describe('oisSchema and @api3/ois', () => {
+  it('report the same issues for the OISes with GET and POST operations', () => {
+    const validOis = loadOis();
+    const [endpoint] = validOis.endpoints;
+    const getOperation = validOis.apiSpecifications.paths['/convert'].get!;
+    const variants = [
+      validOis,
+      withMethod(validOis, 'post'),
+      { ...validOis, oisFormat: '1.0.0' },
+      { ...validOis, apiSpecifications: { ...validOis.apiSpecifications, security: { unknownScheme: [] } } },
+      {
+        ...validOis,
+        apiSpecifications: {
+          ...validOis.apiSpecifications,
+          paths: {
+            '/convert/{id}': {
+              get: { parameters: [...getOperation.parameters, { in: 'query', name: 'to' }, { in: 'path', name: 'x' }] },
+            },
+          },
+        },
+      },
+      { ...validOis, endpoints: [{ ...endpoint, parameters: [...endpoint.parameters, endpoint.parameters[0]] }] },
+      { ...validOis, endpoints: [{ ...endpoint, operation: undefined }] },
+      { ...validOis, endpoints: [{ ...endpoint, operation: undefined, fixedOperationParameters: [] }] },
+      {
+        ...validOis,
+        endpoints: [
+          {
+            ...endpoint,
+            parameters: [...endpoint.parameters, { name: 'to', operationParameter: { in: 'query', name: 'to' } }],
+            fixedOperationParameters: [
+              ...endpoint.fixedOperationParameters,
+              { operationParameter: { in: 'query', name: 'unknown' }, value: '1' },
+            ],
+          },
+        ],
+      },
+      {
+        ...validOis,
+        endpoints: [
+          {
+            ...endpoint,
+            reservedParameters: [
+              { name: '_path' },
+              { name: '_gasPrice', default: '-1' },
+              { name: '_times', default: '' },
+            ],
+          },
+        ],
+      },
+      {
+        ...validOis,
+        endpoints: [
+          {
+            ...endpoint,
+            preProcessingSpecifications: [{ environment: 'Node', value: 'output = input;', timeoutMs: 1000 }],
+            preProcessingSpecificationV2: { environment: 'Node', value: '() => ({})', timeoutMs: 1000 },
+          },
+        ],
+      },
+    ];
+
+    variants.forEach((variant) => {
+      expect(oisSchema.safeParse(variant)).toEqual(ois.oisSchema.safeParse(variant));
+    });
+  });
+});
+
+describe('reservedParameterSchema', () => {
+  it('accepts the rounding modes and decimals', () => {
+    expect(RESERVED_PARAMETERS).toEqual(expect.arrayContaining(['_type', '_times', '_rounding', '_decimals']));
+    expect(reservedParameterSchema.parse({ name: '_rounding', default: 'half-even' })).toEqual({
+      name: '_rounding',
+      default: 'half-even',
+    });
+    expect(() => reservedParameterSchema.parse({ name: '_rounding', fixed: 'half-up,(down,),' })).not.toThrow();
+    expect(() => reservedParameterSchema.parse({ name: '_decimals', fixed: '18,(0,77)' })).not.toThrow();
+    expect(() => reservedParameterSchema.parse({ name: '_decimals' })).not.toThrow();
+  });
+
+  it('rejects the invalid rounding modes and decimals', () => {
+    expect(() => reservedParameterSchema.parse({ name: '_rounding', default: 'half-up,nearest' })).toThrow(
+      new ZodError([
+        {
+          code: 'custom',
+          message:
+            'Reserved parameter _rounding must be one of down, up, floor, ceil, half-up, half-down, half-even, but it was "nearest"',
+          path: [],
+        },
+      ])
+    );
+    expect(() => reservedParameterSchema.parse({ name: '_decimals', fixed: '(18,78)' })).toThrow(
+      new ZodError([
+        {
+          code: 'custom',
+          message: 'Reserved parameter _decimals must be an integer from 0 to 77, but it was "78"',
+          path: [],
+        },
+      ])
+    );
+  });
+
+  it('keeps the refinements of @api3/ois', () => {
+    expect(() => reservedParameterSchema.parse({ name: '_decimals', fixed: '18', default: '18' })).toThrow(
+      new ZodError([
+        {
+          code: 'custom',
+          message: 'Reserved parameter must use at most one of "default" and "fixed" properties',
+          path: [],
+        },
+      ])
+    );
+    expect(() => reservedParameterSchema.parse({ name: '_unknown' })).toThrow(ZodError);
+  });
+});
@@ -0,0 +1,409 @@
+import find from 'lodash/find';
+import forEach from 'lodash/forEach';
+import groupBy from 'lodash/groupBy';
+import trimEnd from 'lodash/trimEnd';
+import trimStart from 'lodash/trimStart';
+import { SuperRefinement, z } from 'zod';
+import * as ois from '@api3/ois';
+import { SchemaType } from '../types';
+
+// The schemas below mirror the ones of @api3/ois that involve the operation methods or the reserved parameters, which
+// are wider here, together with their refinements
+
+// @api3/ois accepts only GET and POST operations, while the adapter is able to call the other methods as well
+export const methodSchema = z.union([
+  z.literal('get'),
+  z.literal('post'),
+  z.literal('put'),
+  z.literal('patch'),
+  z.literal('delete'),
+]);
+
+export const endpointOperationSchema = z
+  .object({
+    method: methodSchema,
+    path: ois.pathNameSchema,
+  })
+  .strict();
+
+export const pathSchema = z.record(methodSchema, ois.operationSchema);
+
+const removeBraces = (value: string) => trimEnd(trimStart(value, '{'), '}');
+
+const ensurePathParametersExist: SuperRefinement<Record<string, Path>> = (paths, ctx) => {
+  forEach(paths, (pathData, rawPath) => {
+    forEach(pathData, (operation, method) => {
+      const { parameters } = operation!;
+      // Match on anything in the path that is braces, i.e. the path /users/{id}/{action} matches ['id', 'action']
+      const matches = rawPath.match(/\{([^}]+)\}/g)?.map(removeBraces) ?? [];
+
+      matches.forEach((match) => {
+        if (!parameters.find((p) => p.in === 'path' && p.name === match)) {
+          ctx.addIssue({
+            code: z.ZodIssueCode.custom,
+            message: `Path parameter "${match}" is not found in "parameters"`,
+            path: [rawPath, method, 'parameters'],
+          });
+        }
+      });
+
+      parameters.forEach((p, index) => {
+        if (p.in === 'path' && !matches.includes(p.name)) {
+          ctx.addIssue({
+            code: z.ZodIssueCode.custom,
+            message: `Parameter "${p.name}" is not found in the URL path`,
+            path: [rawPath, method, 'parameters', index],
+          });
+        }
+      });
+    });
+  });
+};
+
+const ensureUniqueApiSpecificationParameters: SuperRefinement<Record<string, Path>> = (paths, ctx) => {
+  forEach(paths, (pathData, rawPath) => {
+    forEach(pathData, (operation, method) => {
+      const { parameters } = operation!;
+      const groups = Object.values(groupBy(parameters, (p) => p.in + p.name));
+      const duplicates = groups.filter((group) => group.length > 1).flat();
+
+      parameters.forEach((parameter, index) => {
+        if (duplicates.includes(parameter)) {
+          ctx.addIssue({
+            code: z.ZodIssueCode.custom,
+            message: `Parameter "${parameter.name}" in "${parameter.in}" is used multiple times`,
+            path: [rawPath, method, 'parameters', index],
+          });
+        }
+      });
+    });
+  });
+};
+
+export const pathsSchema = z
+  .record(ois.pathNameSchema, pathSchema)
+  .superRefine(ensurePathParametersExist)
+  .superRefine(ensureUniqueApiSpecificationParameters);
+
+export const apiSpecificationSchema = z
+  .object({
+    components: ois.apiComponentsSchema,
+    paths: pathsSchema,
+    servers: z.array(ois.serverSchema),
+    security: z.record(z.string(), z.tuple([])),
+  })
+  .strict()
+  .superRefine((apiSpecifications, ctx) => {
+    Object.keys(apiSpecifications.security).forEach((enabledSecuritySchemeName, index) => {
+      if (!apiSpecifications.components.securitySchemes[enabledSecuritySchemeName]) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          message: `Security scheme "${enabledSecuritySchemeName}" is not defined in "components.securitySchemes"`,
+          path: ['security', index],
+        });
+      }
+    });
+  });
+
+// The rounding modes of "_rounding", which mirror the ones of the adapter
+export const ROUNDING_MODES = ['down', 'up', 'floor', 'ceil', 'half-up', 'half-down', 'half-even'] as const;
+// 10^77 is the largest power of ten that fits uint256
+export const MAX_DECIMALS = 77;
+
+// "_rounding" and "_decimals" control how the numeric values multiplied by "_times" are rounded to integers
+export const reservedParameterNameSchema = z.union([
+  z.literal('_type'),
+  z.literal('_path'),
+  z.literal('_times'),
+  z.literal('_minConfirmations'),
+  z.literal('_gasPrice'),
+  z.literal('_rounding'),
+  z.literal('_decimals'),
+]);
+
+const isValidReservedParameterValue = (name: ReservedParameterName, value: string) => {
+  switch (name) {
+    case '_minConfirmations':
+    case '_gasPrice':
+      return z.number().int().nonnegative().safeParse(parseInt(value)).success;
+    case '_rounding':
+      return ROUNDING_MODES.includes(value as any);
+    case '_decimals':
+      return /^\d+$/.test(value) && Number(value) <= MAX_DECIMALS;
+    default:
+      return true;
+  }
+};
+
+// The values of "_rounding" and "_decimals" are given per value in the multi-value form (e.g. "half-up,down") and per
+// field of a tuple (e.g. "(half-up,)"), where the empty values stand for the defaults
+const ensureValidReservedParameterValue: SuperRefinement<{
+  name: ReservedParameterName;
+  default?: string;
+  fixed?: string;
+}> = (param, ctx) => {
+  const value = param.default || param.fixed;
+  if (!value) return;
+
+  switch (param.name) {
+    case '_minConfirmations':
+    case '_gasPrice': {
+      if (!isValidReservedParameterValue(param.name, value)) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          message: `Reserved parameter ${param.name} must be a non-negative integer if present`,
+        });
+      }
+      return;
+    }
+    case '_rounding':
+    case '_decimals': {
+      const invalidValues = value
+        .split(/[(),]/)
+        .filter((token) => token !== '' && !isValidReservedParameterValue(param.name, token));
+      if (invalidValues.length === 0) return;
+
+      const expected =
+        param.name === '_rounding' ? `one of ${ROUNDING_MODES.join(', ')}` : `an integer from 0 to ${MAX_DECIMALS}`;
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: `Reserved parameter ${param.name} must be ${expected}, but it was "${invalidValues[0]}"`,
+      });
+    }
+  }
+};
+
+export const reservedParameterSchema = z
+  .object({
+    name: reservedParameterNameSchema,
+    // At most one of the following fields can be used. If none of them is used, the requester is expected to pass the
+    // value as a parameter
+    default: z.string().optional(),
+    fixed: z.string().optional(),
+  })
+  .strict()
+  // An empty string is a valid reserved parameter value, hence the explicit checks for "undefined"
+  .refine(
+    (param) => param.fixed === undefined || param.default === undefined,
+    'Reserved parameter must use at most one of "default" and "fixed" properties'
+  )
+  .superRefine(ensureValidReservedParameterValue);
+
+export const reservedParametersSchema = z.array(reservedParameterSchema).superRefine((params, ctx) => {
+  if (!params.some((param) => param.name === '_type')) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      message: 'Reserved parameters must contain object with { "name": "_type" }',
+    });
+  }
+});
+
+export const RESERVED_PARAMETERS = reservedParameterNameSchema.options.map((option) => option.value);
+
+const endpointParametersSchema = z.array(ois.endpointParameterSchema).superRefine((parameters, ctx) => {
+  const groups = Object.values(groupBy(parameters, 'name'));
+  const duplicates = groups.filter((group) => group.length > 1).flatMap((group) => group.map((p) => p.name));
+
+  parameters.forEach(({ name }, index) => {
+    if (duplicates.includes(name)) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: `Parameter names must be unique, but parameter "${name}" is used multiple times`,
+        path: [index],
+      });
+    }
+  });
+});
+
+export const endpointSchema = z
+  .object({
+    fixedOperationParameters: z.array(ois.fixedParameterSchema),
+    name: z.string(),
+    operation: endpointOperationSchema.optional(),
+    parameters: endpointParametersSchema,
+    reservedParameters: reservedParametersSchema,
+    preProcessingSpecifications: z.array(ois.processingSpecificationSchema).optional(),
+    postProcessingSpecifications: z.array(ois.processingSpecificationSchema).optional(),
+    preProcessingSpecificationV2: ois.processingSpecificationSchemaV2.optional(),
+    postProcessingSpecificationV2: ois.processingSpecificationSchemaV2.optional(),
+    // The following fields are ignored by Airnode
+    description: z.string().optional(),
+    externalDocs: z.string().optional(),
+    summary: z.string().optional(),
+  })
+  .strict()
+  .superRefine((endpoint, ctx) => {
+    if (endpoint.preProcessingSpecificationV2 && endpoint.preProcessingSpecifications) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: 'Only one of "preProcessingSpecificationV2" and "preProcessingSpecifications" can be defined',
+      });
+    }
+    if (endpoint.postProcessingSpecificationV2 && endpoint.postProcessingSpecifications) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: 'Only one of "postProcessingSpecificationV2" and "postProcessingSpecifications" can be defined',
+      });
+    }
+  });
+
+type OperationParameter = ois.OperationParameter;
+
+const isSameOperationParameter = (a: OperationParameter, b: OperationParameter) => a.in === b.in && a.name === b.name;
+
+const ensureSingleParameterUsagePerEndpoint: SuperRefinement<{ endpoints: Endpoint[] }> = ({ endpoints }, ctx) => {
+  endpoints.forEach((endpoint, endpointIndex) => {
+    const params = endpoint.parameters.map((p) => p.operationParameter);
+    const fixedParams = endpoint.fixedOperationParameters.map((p) => p.operationParameter);
+
+    const checkUniqueness = (section: 'parameters' | 'fixedOperationParameters') => {
+      const paramsToCheck = section === 'parameters' ? params : fixedParams;
+      paramsToCheck.forEach((param, paramIndex) => {
+        if (!param) return;
+        if (paramsToCheck.filter((p) => p && isSameOperationParameter(p, param)).length > 1) {
+          ctx.addIssue({
+            code: z.ZodIssueCode.custom,
+            message: `Parameter "${param.name}" in "${param.in}" is used multiple times`,
+            path: ['endpoints', endpointIndex, section, paramIndex],
+          });
+        }
+      });
+    };
+    checkUniqueness('parameters');
+    checkUniqueness('fixedOperationParameters');
+
+    params.forEach((param, paramIndex) => {
+      if (!param) return;
+      const fixedParam = fixedParams.find((p) => isSameOperationParameter(p, param));
+      if (!fixedParam) return;
+
+      const message = `Parameter "${param.name}" in "${param.in}" is used in both "parameters" and "fixedOperationParameters"`;
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message,
+        path: ['endpoints', endpointIndex, 'parameters', paramIndex],
+      });
+      // The issue is added for the fixed parameter as well, which makes the offending parameters easier to find
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message,
+        path: ['endpoints', endpointIndex, 'fixedOperationParameters', fixedParams.indexOf(fixedParam)],
+      });
+    });
+  });
+};
+
+// The method and path of each endpoint operation must be in "apiSpecifications.paths", and the parameters of the two
+// must match
+const ensureEndpointAndApiSpecificationParamsMatch: SuperRefinement<{
+  apiSpecifications: ApiSpecification;
+  endpoints: Endpoint[];
+}> = ({ apiSpecifications, endpoints }, ctx) => {
+  forEach(apiSpecifications.paths, (pathData, rawPath) => {
+    forEach(pathData, (operation, method) => {
+      // A missing endpoint for an API specification is not an error
+      const apiEndpoints = endpoints.filter((e) => e.operation?.method === method && e.operation.path === rawPath);
+      apiEndpoints.forEach((endpoint) => {
+        const allEndpointParams = [...endpoint.parameters, ...endpoint.fixedOperationParameters];
+        operation!.parameters.forEach((apiParam) => {
+          const endpointParam = allEndpointParams.find(
+            ({ operationParameter }) => operationParameter && isSameOperationParameter(operationParameter, apiParam)
+          );
+          if (!endpointParam) {
+            ctx.addIssue({
+              code: z.ZodIssueCode.custom,
+              message: `Parameter "${apiParam.name}" not found in "fixedOperationParameters" or "parameters"`,
+              path: ['endpoints', endpoints.indexOf(endpoint)],
+            });
+          }
+        });
+      });
+    });
+  });
+
+  endpoints.forEach((endpoint, endpointIndex) => {
+    const { operation } = endpoint;
+    if (!operation) return;
+
+    const apiOperation = find(apiSpecifications.paths, (_pathData, path) => path === operation.path)?.[
+      operation.method
+    ];
+    if (!apiOperation) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: 'No matching API specification found in "apiSpecifications" section',
+        path: ['endpoints', endpointIndex],
+      });
+      return;
+    }
+
+    const ensureApiParamExists = (
+      operationParameter: OperationParameter | undefined,
+      section: 'parameters' | 'fixedOperationParameters',
+      paramIndex: number
+    ) => {
+      if (!operationParameter) return;
+      if (!apiOperation.parameters.find((p) => isSameOperationParameter(p, operationParameter))) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          message: 'No matching API specification parameter found in "apiSpecifications" section',
+          path: ['endpoints', endpointIndex, section, paramIndex],
+        });
+      }
+    };
+    endpoint.parameters.forEach((p, index) => ensureApiParamExists(p.operationParameter, 'parameters', index));
+    endpoint.fixedOperationParameters.forEach((p, index) =>
+      ensureApiParamExists(p.operationParameter, 'fixedOperationParameters', index)
+    );
+  });
+};
+
+const ensureApiCallSkipRequirements: SuperRefinement<{ endpoints: Endpoint[] }> = ({ endpoints }, ctx) => {
+  endpoints.forEach((endpoint, endpointIndex) => {
+    if (endpoint.operation) return;
+
+    const hasProcessing =
+      !!endpoint.preProcessingSpecifications?.length ||
+      !!endpoint.postProcessingSpecifications?.length ||
+      !!endpoint.preProcessingSpecificationV2 ||
+      !!endpoint.postProcessingSpecificationV2;
+    if (endpoint.fixedOperationParameters.length === 0 && !hasProcessing) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message:
+          'At least one processing schema must be defined when "operation" is not specified and "fixedOperationParameters" is empty array.',
+        path: ['endpoints', endpointIndex],
+      });
+    }
+    if (endpoint.fixedOperationParameters.length !== 0) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: '"fixedOperationParameters" must be empty array when "operation" is not specified.',
+        path: ['endpoints', endpointIndex],
+      });
+    }
+  });
+};
+
+export const oisSchema = z
+  .object({
+    oisFormat: ois.packageVersionCompatibleSemverSchema,
+    // Limit the title to 64 characters
+    title: z.string().regex(/^[a-zA-Z0-9-_\s]{1,64}$/),
+    version: ois.semverSchema,
+    apiSpecifications: apiSpecificationSchema,
+    endpoints: z.array(endpointSchema),
+  })
+  .strict()
+  .superRefine(ensureSingleParameterUsagePerEndpoint)
+  .superRefine(ensureEndpointAndApiSpecificationParamsMatch)
+  .superRefine(ensureApiCallSkipRequirements);
+
+export type Method = SchemaType<typeof methodSchema>;
+export type Path = SchemaType<typeof pathSchema>;
+export type ReservedParameterName = SchemaType<typeof reservedParameterNameSchema>;
+export type ReservedParameters = SchemaType<typeof reservedParametersSchema>;
+export type Paths = SchemaType<typeof pathsSchema>;
+export type ApiSpecification = SchemaType<typeof apiSpecificationSchema>;
+export type Endpoint = SchemaType<typeof endpointSchema>;
+export type OIS = SchemaType<typeof oisSchema>;